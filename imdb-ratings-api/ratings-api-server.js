@@ -1,5 +1,6 @@
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const readline = require('readline');
 const zlib = require('zlib');
@@ -25,6 +26,11 @@ const MAL_CLIENT_ID = process.env.MAL_CLIENT_ID || null;
 const MAL_BASE_URL = 'https://api.myanimelist.net/v2';
 const MAL_TIMEOUT = 10000; // 10 seconds
 
+// Per-user provider keys (X-TMDB-API-KEY, X-OMDB-API-KEY, X-MAL-CLIENT-ID) are only
+// accepted from the wrapper, which proves itself with this shared secret. Data fetched
+// with a user's key is returned to that caller only, never stored in the shared database.
+const USER_KEYS_SECRET = process.env.USER_KEYS_SECRET || null;
+
 // Parse cron schedule from environment variable, default to 2 AM daily
 const UPDATE_CRON_SCHEDULE = process.env.UPDATE_CRON_SCHEDULE || '0 2 * * *';
 
@@ -1015,14 +1021,36 @@ async function fetchTvCertification(tmdbId, imdbId) {
     }
 }
 
+/**
+ * Read a per-user provider key sent by the wrapper
+ * @param {Object} req - Express request
+ * @param {string} header - Header holding the user's key
+ * @returns {string|null} - The user's key, or null if none was sent or the caller isn't the wrapper
+ */
+function getUserKey(req, header) {
+    const key = req.get(header);
+    if (!key) {
+        return null;
+    }
+
+    const secret = Buffer.from(req.get('X-User-Keys-Secret') || '');
+    const expected = Buffer.from(USER_KEYS_SECRET || '');
+    if (!USER_KEYS_SECRET || secret.length !== expected.length || !crypto.timingSafeEqual(secret, expected)) {
+        console.warn(`[USER-KEYS] Ignoring ${header} from a caller without the wrapper secret`);
+        return null;
+    }
+    return key;
+}
+
 /**
  * Fetch TMDB data (ratings, release dates, streaming providers) by IMDb ID
  * @param {string} imdbId - IMDb ID (e.g., "tt0111161")
  * @param {string} region - ISO 3166-1 country code for streaming providers (default: 'US')
- * @returns {Promise<Object|null>} - TMDB data object or null
+ * @param {string} apiKey - TMDB API key (defaults to TMDB_API_KEY; the wrapper may send a user's own)
+ * @returns {Promise<Object|null>} - TMDB data object or null (only stored when fetched with TMDB_API_KEY)
  */
-async function fetchTmdbDataByImdbId(imdbId, region = 'US') {
-    if (!TMDB_API_KEY) {
+async function fetchTmdbDataByImdbId(imdbId, region = 'US', apiKey = TMDB_API_KEY) {
+    if (!apiKey) {
         return null;
     }
 
@@ -1031,7 +1059,7 @@ async function fetchTmdbDataByImdbId(imdbId, region = 'US') {
         const findUrl = `${TMDB_BASE_URL}/find/${imdbId}`;
         const findResponse = await axios.get(findUrl, {
             params: {
-                api_key: TMDB_API_KEY,
+                api_key: apiKey,
                 external_source: 'imdb_id'
             },
             timeout: TMDB_TIMEOUT
@@ -1073,13 +1101,13 @@ async function fetchTmdbDataByImdbId(imdbId, region = 'US') {
 
         // Step 2: Fetch streaming providers if we found TMDB data
         if (tmdbData) {
-            const streamingProviders = await fetchStreamingProviders(tmdbData.tmdbId, tmdbData.mediaType, region);
+            const streamingProviders = await fetchStreamingProviders(tmdbData.tmdbId, tmdbData.mediaType, region, apiKey);
             tmdbData.streamingProviders = streamingProviders;
             tmdbData.streamingRegion = region;
         }
 
-        // Store in database if found
-        if (tmdbData) {
+        // Store in database if found (data fetched with a user's key stays with that user)
+        if (tmdbData && apiKey === TMDB_API_KEY) {
             try {
                 const now = Date.now();
                 const streamingProvidersJson = tmdbData.streamingProviders ? JSON.stringify(tmdbData.streamingProviders) : null;
@@ -1135,10 +1163,11 @@ async function fetchTmdbDataByImdbId(imdbId, region = 'US') {
  * @param {number} tmdbId - TMDB ID
  * @param {string} mediaType - Media type ('movie' or 'tv')
  * @param {string} region - ISO 3166-1 country code (e.g., 'US', 'GB', 'CA')
+ * @param {string} apiKey - TMDB API key (defaults to TMDB_API_KEY)
  * @returns {Promise<string[]|null>} - Array of provider names or null
  */
-async function fetchStreamingProviders(tmdbId, mediaType, region = 'US') {
-    if (!TMDB_API_KEY) {
+async function fetchStreamingProviders(tmdbId, mediaType, region = 'US', apiKey = TMDB_API_KEY) {
+    if (!apiKey) {
         return null;
     }
 
@@ -1146,7 +1175,7 @@ async function fetchStreamingProviders(tmdbId, mediaType, region = 'US') {
         const endpoint = mediaType === 'movie' ? 'movie' : 'tv';
         const url = `${TMDB_BASE_URL}/${endpoint}/${tmdbId}/watch/providers`;
         const response = await axios.get(url, {
-            params: { api_key: TMDB_API_KEY },
+            params: { api_key: apiKey },
             timeout: TMDB_TIMEOUT
         });
 
@@ -1349,13 +1378,15 @@ app.get('/api/tmdb-data/:imdbId', async (req, res) => {
         }
 
         // Step 2: Not in database or data is stale, fetch from TMDB
-        if (!TMDB_API_KEY) {
+        // (with the user's own key when the wrapper forwards one from a user config)
+        const tmdbApiKey = getUserKey(req, 'X-TMDB-API-KEY') || TMDB_API_KEY;
+        if (!tmdbApiKey) {
             console.warn('[TMDB-DATA] TMDB_API_KEY not configured');
             return res.status(503).json({ error: 'TMDB API not configured' });
         }
 
         console.info(`[TMDB-DATA] Fetching from TMDB: ${imdbId}`);
-        const tmdbData = await fetchTmdbDataByImdbId(imdbId, region);
+        const tmdbData = await fetchTmdbDataByImdbId(imdbId, region, tmdbApiKey);
 
         if (tmdbData) {
             console.info(`[TMDB-DATA] Fetched from TMDB: ${tmdbData.title}`);
@@ -1427,10 +1458,11 @@ app.post('/api/tmdb-data', (req, res) => {
 /**
  * Fetch MAL data (rating, votes) by MAL ID
  * @param {string} malId - MAL ID (e.g., "40028")
- * @returns {Promise<Object|null>} - MAL data object or null
+ * @param {string} clientId - MAL client ID (defaults to MAL_CLIENT_ID; the wrapper may send a user's own)
+ * @returns {Promise<Object|null>} - MAL data object or null (only stored when fetched with MAL_CLIENT_ID)
  */
-async function fetchMalDataByMalId(malId) {
-    if (!MAL_CLIENT_ID) {
+async function fetchMalDataByMalId(malId, clientId = MAL_CLIENT_ID) {
+    if (!clientId) {
         return null;
     }
 
@@ -1438,7 +1470,7 @@ async function fetchMalDataByMalId(malId) {
         const url = `${MAL_BASE_URL}/anime/${malId}`;
         const response = await axios.get(url, {
             headers: {
-                'X-MAL-CLIENT-ID': MAL_CLIENT_ID
+                'X-MAL-CLIENT-ID': clientId
             },
             params: {
                 fields: 'mean,num_scoring_users,title'
@@ -1466,8 +1498,8 @@ async function fetchMalDataByMalId(malId) {
 
         console.info(`[MAL] Retrieved data for ${malId}: title="${data.title}", mean=${data.mean}, votes=${voteCount}`);
 
-        // Store in database if we have any data
-        if (malData.malRating || malData.malVotes) {
+        // Store in database if we have any data (data fetched with a user's key stays with that user)
+        if ((malData.malRating || malData.malVotes) && clientId === MAL_CLIENT_ID) {
             try {
                 const now = Date.now();
                 const stmt = db.prepare(`
@@ -1552,13 +1584,15 @@ app.get('/api/mal-data/:malId', async (req, res) => {
         }
 
         // Step 2: Not in database or ratings are stale, fetch from MAL
-        if (!MAL_CLIENT_ID) {
+        const userClientId = getUserKey(req, 'X-MAL-CLIENT-ID');
+        const malClientId = userClientId || MAL_CLIENT_ID;
+        if (!malClientId) {
             console.warn('[MAL-DATA] MAL_CLIENT_ID not configured');
             return res.status(503).json({ error: 'MAL API not configured' });
         }
 
         console.info(`[MAL-DATA] Fetching from MAL API: ${malId}`);
-        const malData = await fetchMalDataByMalId(malId);
+        const malData = await fetchMalDataByMalId(malId, malClientId);
 
         if (malData && (malData.malRating || malData.malVotes)) {
             console.info(`[MAL-DATA] Fetched from MAL: ${malData.title} - Rating=${malData.malRating}, Votes=${malData.malVotes}`);
@@ -1570,17 +1604,20 @@ app.get('/api/mal-data/:malId', async (req, res) => {
         }
 
         // Step 3: Not found anywhere — write negative cache entry to avoid repeated fetches
-        try {
-            const now = Date.now();
-            const stmt = db.prepare(`
-                INSERT OR REPLACE INTO mal_metadata
-                (mal_id, title, mal_rating, mal_votes, updated_at, ratings_cached_at, imdb_id)
-                VALUES (?, NULL, NULL, NULL, ?, ?, NULL)
-            `);
-            stmt.run(malId, now, now);
-            console.info(`[MAL-DATA] Negative cache stored for ${malId} (no MAL data)`);
-        } catch (dbErr) {
-            console.warn(`[MAL-DATA] Failed to store negative cache for ${malId}: ${dbErr.message}`);
+        // (not for a user's key: an invalid or exhausted key would hide the data for everyone)
+        if (!userClientId) {
+            try {
+                const now = Date.now();
+                const stmt = db.prepare(`
+                    INSERT OR REPLACE INTO mal_metadata
+                    (mal_id, title, mal_rating, mal_votes, updated_at, ratings_cached_at, imdb_id)
+                    VALUES (?, NULL, NULL, NULL, ?, ?, NULL)
+                `);
+                stmt.run(malId, now, now);
+                console.info(`[MAL-DATA] Negative cache stored for ${malId} (no MAL data)`);
+            } catch (dbErr) {
+                console.warn(`[MAL-DATA] Failed to store negative cache for ${malId}: ${dbErr.message}`);
+            }
         }
 
         console.info(`[MAL-DATA] Not found in database or MAL: ${malId}`);
@@ -1642,10 +1679,11 @@ app.post('/api/mal-data', (req, res) => {
 /**
  * Fetch OMDB data (Rotten Tomatoes, Metacritic) by IMDb ID
  * @param {string} imdbId - IMDb ID (e.g., "tt0111161")
- * @returns {Promise<Object|null>} - OMDB data object or null
+ * @param {string} apiKey - OMDB API key (defaults to OMDB_API_KEY; the wrapper may send a user's own)
+ * @returns {Promise<Object|null>} - OMDB data object or null (only stored when fetched with OMDB_API_KEY)
  */
-async function fetchOmdbDataByImdbId(imdbId) {
-    if (!OMDB_API_KEY) {
+async function fetchOmdbDataByImdbId(imdbId, apiKey = OMDB_API_KEY) {
+    if (!apiKey) {
         return null;
     }
 
@@ -1653,7 +1691,7 @@ async function fetchOmdbDataByImdbId(imdbId) {
         const url = `${OMDB_BASE_URL}`;
         const response = await axios.get(url, {
             params: {
-                apikey: OMDB_API_KEY,
+                apikey: apiKey,
                 i: imdbId,
                 plot: 'short'
             },
@@ -1713,8 +1751,8 @@ async function fetchOmdbDataByImdbId(imdbId) {
             metacritic
         };
 
-        // Store in database if we have any data
-        if (rottenTomatoes || metacritic) {
+        // Store in database if we have any data (data fetched with a user's key stays with that user)
+        if ((rottenTomatoes || metacritic) && apiKey === OMDB_API_KEY) {
             try {
                 const now = Date.now();
                 const stmt = db.prepare(`
@@ -1793,13 +1831,15 @@ app.get('/api/omdb-data/:imdbId', async (req, res) => {
         }
 
         // Step 2: Not in database or ratings are stale, fetch from OMDB
-        if (!OMDB_API_KEY) {
+        const userApiKey = getUserKey(req, 'X-OMDB-API-KEY');
+        const omdbApiKey = userApiKey || OMDB_API_KEY;
+        if (!omdbApiKey) {
             console.warn('[OMDB-DATA] OMDB_API_KEY not configured');
             return res.status(503).json({ error: 'OMDB API not configured' });
         }
 
         console.info(`[OMDB-DATA] Fetching from OMDB: ${imdbId}`);
-        const omdbData = await fetchOmdbDataByImdbId(imdbId);
+        const omdbData = await fetchOmdbDataByImdbId(imdbId, omdbApiKey);
 
         if (omdbData && (omdbData.rottenTomatoes || omdbData.metacritic)) {
             console.info(`[OMDB-DATA] Fetched from OMDB: RT=${omdbData.rottenTomatoes}, MC=${omdbData.metacritic}`);
@@ -1812,17 +1852,20 @@ app.get('/api/omdb-data/:imdbId', async (req, res) => {
         }
 
         // Step 3: Not found anywhere — write negative cache entry to avoid repeated fetches
-        try {
-            const now = Date.now();
-            const stmt = db.prepare(`
-                INSERT OR REPLACE INTO omdb_metadata
-                (imdb_id, rotten_tomatoes, metacritic, updated_at, ratings_cached_at)
-                VALUES (?, NULL, NULL, ?, ?)
-            `);
-            stmt.run(imdbId, now, now);
-            console.info(`[OMDB-DATA] Negative cache stored for ${imdbId} (no OMDB data)`);
-        } catch (dbErr) {
-            console.warn(`[OMDB-DATA] Failed to store negative cache for ${imdbId}: ${dbErr.message}`);
+        // (not for a user's key: an invalid or exhausted key would hide the data for everyone)
+        if (!userApiKey) {
+            try {
+                const now = Date.now();
+                const stmt = db.prepare(`
+                    INSERT OR REPLACE INTO omdb_metadata
+                    (imdb_id, rotten_tomatoes, metacritic, updated_at, ratings_cached_at)
+                    VALUES (?, NULL, NULL, ?, ?)
+                `);
+                stmt.run(imdbId, now, now);
+                console.info(`[OMDB-DATA] Negative cache stored for ${imdbId} (no OMDB data)`);
+            } catch (dbErr) {
+                console.warn(`[OMDB-DATA] Failed to store negative cache for ${imdbId}: ${dbErr.message}`);
+            }
         }
 
         console.info(`[OMDB-DATA] Not found in database or OMDB: ${imdbId}`);
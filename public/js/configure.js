@@ -8,7 +8,7 @@
 // Note: serverUrl is set via inline script in HTML (passed from server)
 const serverUrl = window.SERVER_URL || window.location.origin;
 const CINEMETA_URL = 'https://v3-cinemeta.strem.io/manifest.json';
-const state = { items: [], selectedAddons: new Set(), authToken: null };
+const state = { items: [], selectedAddons: new Set(), authToken: null, hasSession: false, userId: null, aggregated: false, preservedSettings: {} };
 
 /**
  * Generate a user ID from auth token for rate limiting
@@ -32,6 +32,55 @@ async function generateUserId(authToken) {
   }
 }
 
+/**
+ * Builds an account request body
+ * Without a pasted token the server uses the session cookie set at login.
+ * @param {string} authToken - Pasted auth token (may be empty)
+ * @param {Object} body - Other request fields
+ * @returns {Object} Request body
+ */
+function withAuth(authToken, body = {}) {
+  return authToken ? { authToken, ...body } : body;
+}
+
+/**
+ * Checks whether account requests can be made (pasted token or login session)
+ * @param {string} authToken - Pasted auth token (may be empty)
+ * @returns {boolean} True if the account is known
+ */
+function hasAccountAccess(authToken) {
+  return !!authToken || state.hasSession;
+}
+
+/**
+ * Applies a successful /api/login or /api/test-auth response
+ * With a session the auth key stays on the server and isn't kept on the page.
+ * @param {Object} result - Login response
+ * @param {string} [authToken] - Token the user pasted (if any)
+ */
+function applyLoginResult(result, authToken) {
+  state.userId = result.userId || null;
+  state.hasSession = !!result.session;
+  document.getElementById('logoutBtn').style.display = state.hasSession ? 'inline-block' : 'none';
+
+  const token = state.hasSession ? '' : (result.authKey || authToken || '');
+  state.authToken = token || null;
+  document.getElementById('loginAuthToken').value = token;
+  document.getElementById('authToken').value = token;
+
+  loadHealthStatus();
+}
+
+// End the login session and reset the page
+async function logout() {
+  try {
+    await fetch(serverUrl + '/api/logout', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  } catch (e) {
+    console.warn('Logout failed:', e);
+  }
+  window.location.reload();
+}
+
 /**
  * Sanitizes addon URL by converting stremio:// protocol to https://
  * @param {string} url - Addon URL
@@ -47,11 +96,11 @@ function sanitizeAddonUrl(url) {
 }
 
 /**
- * Extracts the original addon URL from a wrapped addon URL
+ * Decodes the config of a wrapped addon URL
  * @param {string} wrappedUrl - The wrapped addon URL
- * @returns {string|null} The original unwrapped URL, or null if extraction fails
+ * @returns {Object|null} The config, or null if it can't be read here (encrypted, stored or invalid)
  */
-function extractOriginalUrl(wrappedUrl) {
+function decodeWrappedConfig(wrappedUrl) {
   try {
     // Match the base64url-encoded config in the URL
     // Pattern: https://domain.com/{base64config}/manifest.json
@@ -60,19 +109,75 @@ function extractOriginalUrl(wrappedUrl) {
     if (!match) return null;
 
     const encodedConfig = match[1];
+    // Encrypted configs (enc_...) can only be read by the server
+    if (encodedConfig.startsWith('enc_')) return null;
 
     // Decode base64url to JSON
     const jsonString = atob(encodedConfig.replace(/-/g, '+').replace(/_/g, '/'));
-    const config = JSON.parse(jsonString);
-
-    // Return the original wrapped addon URL
-    return config.wrappedAddonUrl || null;
+    return JSON.parse(jsonString);
   } catch (e) {
-    console.warn('Failed to extract original URL from:', wrappedUrl, e);
+    console.warn('Failed to decode config from:', wrappedUrl, e);
     return null;
   }
 }
 
+/**
+ * Extracts the original addon URL from a wrapped addon URL
+ * @param {string} wrappedUrl - The wrapped addon URL
+ * @returns {string|null} The original unwrapped URL, or null if extraction fails
+ */
+function extractOriginalUrl(wrappedUrl) {
+  const config = decodeWrappedConfig(wrappedUrl);
+  // Return the original wrapped addon URL
+  return (config && config.wrappedAddonUrl) || null;
+}
+
+/**
+ * Checks whether a loaded config was made with an older settings format
+ * Uses the same migrations as the server (window.ConfigMigrations).
+ * @param {Object} config - Decoded config
+ * @returns {Object|null} Migration result {config, fromVersion, applied}, or null if already current
+ */
+function getConfigUpgrade(config) {
+  const migrations = window.ConfigMigrations;
+  if (!migrations || !migrations.isSupportedSchemaVersion(migrations.getSchemaVersion(config))) return null;
+
+  const result = migrations.migrateConfig(config);
+  return result.applied.length ? result : null;
+}
+
+/**
+ * Shows which loaded configs are upgraded to the current settings format
+ * @param {Array<{name: string, upgrade: Object}>} outdated - Addons with older configs
+ */
+function showConfigUpgradeNotice(outdated) {
+  const notice = document.getElementById('configUpgradeNotice');
+  if (!notice) return;
+  if (!outdated.length) {
+    notice.style.display = 'none';
+    return;
+  }
+
+  const changes = new Set();
+  outdated.forEach(entry => entry.upgrade.applied.forEach(change => changes.add(change)));
+
+  notice.textContent = '';
+  const title = document.createElement('div');
+  title.style.fontWeight = '600';
+  title.textContent = outdated.length + ' wrapped addon(s) use an older settings format (' +
+    outdated.map(entry => entry.name).join(', ') + '). Their settings are upgraded when you re-wrap them:';
+  const list = document.createElement('ul');
+  list.style.margin = '6px 0 0 18px';
+  changes.forEach(change => {
+    const item = document.createElement('li');
+    item.textContent = change;
+    list.appendChild(item);
+  });
+  notice.appendChild(title);
+  notice.appendChild(list);
+  notice.style.display = 'block';
+}
+
 // Login section functions
 function toggleLoginAuthMethod() {
   const tokenMethod = document.getElementById('loginAuthTokenMethod');
@@ -118,17 +223,15 @@ async function loginWithPasswordAndFetchAddons() {
 
     const result = await response.json();
 
-    if (result.success && result.authKey) {
-      document.getElementById('loginAuthToken').value = result.authKey;
-      // Also set the auth token in the Auto Replace section
-      document.getElementById('authToken').value = result.authKey;
-      state.authToken = result.authKey; // Store for userId generation (Phase 4)
+    if (result.success && (result.authKey || result.session)) {
+      // Also sets the auth token in the Auto Replace section (without a session)
+      applyLoginResult(result);
       statusDiv.style.background = '#d1fae5';
       statusDiv.style.border = '1px solid #10b981';
       statusDiv.innerHTML = '✔ Login successful! Fetching addons...';
 
       // Now fetch addons
-      await fetchAndDisplayAddons(result.authKey);
+      await fetchAndDisplayAddons(state.authToken);
     } else {
       statusDiv.style.background = '#fee2e2';
       statusDiv.style.border = '1px solid #ef4444';
@@ -154,10 +257,6 @@ async function loginAndFetchAddons() {
     return;
   }
 
-  state.authToken = authToken; // Store for userId generation (Phase 4)
-  // Also set in Auto Replace section
-  document.getElementById('authToken').value = authToken;
-
   loginBtn.disabled = true;
   loginBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin" style="margin-right:6px"></i>Fetching...';
 
@@ -167,7 +266,23 @@ async function loginAndFetchAddons() {
   statusDiv.innerHTML = 'Fetching your addons...';
 
   try {
-    await fetchAndDisplayAddons(authToken);
+    // Checks the token and starts a session, so it doesn't have to be sent again
+    const response = await fetch(serverUrl + '/api/test-auth', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ authToken })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      statusDiv.style.background = '#fee2e2';
+      statusDiv.style.border = '1px solid #ef4444';
+      statusDiv.innerHTML = '✖ ' + (result.error || 'Invalid auth token');
+      return;
+    }
+
+    // Also sets the token in the Auto Replace section (without a session)
+    applyLoginResult(result, authToken);
+    await fetchAndDisplayAddons(state.authToken);
   } catch (e) {
     statusDiv.style.background = '#fee2e2';
     statusDiv.style.border = '1px solid #ef4444';
@@ -185,7 +300,7 @@ async function fetchAndDisplayAddons(authToken) {
     const response = await fetch(serverUrl + '/api/get-wrappable-addons', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ authToken })
+      body: JSON.stringify(withAuth(authToken))
     });
 
     const result = await response.json();
@@ -220,6 +335,9 @@ function renderInstalledAddons(addons) {
     return;
   }
 
+  // Wrapped addons whose config predates the current settings format
+  const outdated = [];
+
   addons.forEach(addon => {
     const card = document.createElement('div');
     const isAlreadyWrapped = addon.reason === 'Already wrapped';
@@ -279,10 +397,16 @@ function renderInstalledAddons(addons) {
     }
 
     const reasonText = document.createElement('span');
+    const wrappedConfig = isAlreadyWrapped ? decodeWrappedConfig(sanitizedUrl) : null;
+    const upgrade = wrappedConfig ? getConfigUpgrade(wrappedConfig) : null;
+    if (upgrade) {
+      outdated.push({ name: addon.name, upgrade });
+    }
+
     if (isCinemeta) {
       reasonText.textContent = 'Cinemeta (recommended)';
     } else if (isAlreadyWrapped) {
-      reasonText.textContent = 'Re-wrap with new settings';
+      reasonText.textContent = upgrade ? 'Re-wrap to upgrade old settings' : 'Re-wrap with new settings';
     } else {
       reasonText.textContent = addon.reason;
       // Add tooltip for non-wrappable addons to explain why
@@ -406,6 +530,8 @@ function renderInstalledAddons(addons) {
     container.appendChild(card);
   });
 
+  showConfigUpgradeNotice(outdated);
+
   // Update the addons list UI after auto-selecting
   detectAndRecommendCinemeta();
   renderAddonList();
@@ -413,7 +539,7 @@ function renderInstalledAddons(addons) {
 
 function updateAutoReplaceSection() {
   const authToken = document.getElementById('authToken').value.trim();
-  if (authToken) {
+  if (hasAccountAccess(authToken)) {
     // Hide the login forms
     document.getElementById('authTokenMethod').style.display = 'none';
     document.getElementById('emailPasswordMethod').style.display = 'none';
@@ -444,6 +570,16 @@ function updateAutoReplaceSection() {
     document.getElementById('individualUnwrapperAuthInput').style.display = 'none';
     document.getElementById('individualUnwrapperAuthReady').style.display = 'block';
     document.getElementById('individualUnwrapperSection').style.display = 'block';
+
+    // Also update Addon Order section
+    document.getElementById('orderAuthToken').value = authToken;
+    document.getElementById('orderAuthInput').style.display = 'none';
+    document.getElementById('orderAuthReady').style.display = 'block';
+
+    // Also update Collection History section
+    document.getElementById('historyAuthToken').value = authToken;
+    document.getElementById('historyAuthInput').style.display = 'none';
+    document.getElementById('historyAuthReady').style.display = 'block';
   }
 }
 
@@ -678,8 +814,8 @@ async function addAddon() {
   const url = sanitizeAddonUrl(rawUrl);
 
   // Blocklist: Stream-only addons that should not be wrapped
+  // (mixed addons with catalogs are fine - their streams are passed through)
   const STREAM_ADDON_BLOCKLIST = [
-    'mediafusion.elfhosted.com',
     'torrentio.strem.fun',
     'torbox.app',
     'sootio.elfhosted.com',
@@ -694,7 +830,7 @@ async function addAddon() {
   });
 
   if (isBlocklisted) {
-    alert('This addon cannot be wrapped. Stream-only addons (Torrentio, MediaFusion, etc.) do not benefit from rating injection and would cause unnecessary overhead.');
+    alert('This addon cannot be wrapped. Stream-only addons (Torrentio, Comet, etc.) do not benefit from rating injection and would cause unnecessary overhead.');
     return;
   }
 
@@ -744,14 +880,28 @@ function encodeConfig(obj) {
   return btoa(binaryString).replaceAll('+','-').replaceAll('/','_').replaceAll('=','');
 }
 
+// Configs with API keys are encrypted by the server (keys must not be readable from the URL)
+async function sealConfig(obj) {
+  const resp = await fetch(serverUrl + '/api/seal-config', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ config: obj })
+  });
+  const result = await resp.json();
+  if (!result || !result.success) {
+    throw new Error((result && result.error) || 'Could not encrypt config');
+  }
+  return result.encodedConfig;
+}
+
 function getMetadataOrder() {
   var list = document.getElementById('metadataOrderList');
-  if (!list) return ['imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','streamingServices','rottenTomatoes','metacritic'];
+  if (!list) return ['imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic'];
   var keys = [];
   list.querySelectorAll('li').forEach(function(li){
     var k = li.getAttribute('data-key'); if (k) keys.push(k);
   });
-  return keys.length ? keys : ['imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','streamingServices','rottenTomatoes','metacritic'];
+  return keys.length ? keys : ['imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic'];
 }
 
 function createOrderItem(key, label) {
@@ -793,11 +943,14 @@ function renderMetadataOrderList() {
     mpaa: document.getElementById('includeMpaa')?.checked || false,
     tmdb: document.getElementById('includeTmdbRating')?.checked || false,
     releaseDate: document.getElementById('includeReleaseDate')?.checked || false,
+    year: document.getElementById('includeYear')?.checked || false,
+    runtime: document.getElementById('includeRuntime')?.checked || false,
     streamingServices: document.getElementById('includeStreamingServices')?.checked || false,
     rottenTomatoes: document.getElementById('includeRottenTomatoes')?.checked || false,
     metacritic: document.getElementById('includeMetacritic')?.checked || false,
     malRating: document.getElementById('includeMalRating')?.checked || false,
-    malVotes: document.getElementById('includeMalVotes')?.checked || false
+    malVotes: document.getElementById('includeMalVotes')?.checked || false,
+    seasonTrend: document.getElementById('includeSeasonTrend')?.checked || false
   };
   var labels = {
     consolidatedRating: 'Consolidated Rating',
@@ -806,13 +959,16 @@ function renderMetadataOrderList() {
     mpaa: 'MPAA rating',
     tmdb: 'TMDB rating',
     releaseDate: 'Release date',
+    year: 'Year',
+    runtime: 'Runtime',
     streamingServices: 'Streaming services',
     rottenTomatoes: 'Rotten Tomatoes',
     metacritic: 'Metacritic',
     malRating: 'MAL rating',
-    malVotes: 'MAL votes'
+    malVotes: 'MAL votes',
+    seasonTrend: 'Season averages'
   };
-  var defaultOrder = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','streamingServices','rottenTomatoes','metacritic'];
+  var defaultOrder = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','malRating','malVotes','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic','seasonTrend'];
   var selected = defaultOrder.filter(function(k){ return includes[k]; });
 
   // Keep existing order where possible
@@ -839,6 +995,153 @@ function moveOrderItem(key, dir) {
   updateRatingPreview();
 }
 
+// Sample values used to render templates in the live preview
+const PREVIEW_TEMPLATE_VALUES = {
+  imdb: 8.5,
+  votes: 1200000,
+  consolidated: 8.2,
+  sources: 4,
+  rt: 83,
+  mc: 68,
+  tmdb: 8.5,
+  mal: 8.5,
+  malVotes: 1200000,
+  mpaa: 'PG-13',
+  year: 2023,
+  runtime: 134,
+  date: '2023-01-15',
+  streaming: ['Netflix', 'Hulu', 'Disney+'],
+  seasonTrend: 'S1 8.1 ▅ S2 8.6 ▆ S3 7.2 ▄'
+};
+
+// Selected formatting locale (defaults to en-US)
+function getPreviewLocale() {
+  return document.getElementById('locale')?.value || 'en-US';
+}
+
+// Render a rating template with sample values (throws on invalid templates)
+function renderPreviewTemplate(template, extraValues, options) {
+  var values = Object.assign({}, PREVIEW_TEMPLATE_VALUES, extraValues || {});
+  if (!window.RatingTemplate) return template;
+  return window.RatingTemplate.renderTemplate(template, values, Object.assign({ locale: getPreviewLocale() }, options || {}));
+}
+
+// Parse custom colour tiers ("minimum | emoji | label" per line), highest threshold first
+// Throws with the offending line number so the preview and generateAll can report it
+function parseColorTiers(text) {
+  var tiers = [];
+  var seen = {};
+  String(text || '').split('\n').forEach(function(line, index) {
+    if (!line.trim()) return;
+    var parts = line.split('|').map(function(part) { return part.trim(); });
+    var min = parseFloat(parts[0]);
+    if (isNaN(min) || min < 0 || min > 10) {
+      throw new Error('line ' + (index + 1) + ': minimum must be a number between 0 and 10');
+    }
+    if (seen[min]) {
+      throw new Error('line ' + (index + 1) + ': another tier already starts at ' + min);
+    }
+    seen[min] = true;
+    var tier = { min: min, emoji: parts[1] || '', label: parts[2] || '' };
+    if (!tier.emoji && !tier.label) {
+      throw new Error('line ' + (index + 1) + ': add an emoji or a label');
+    }
+    tiers.push(tier);
+  });
+  if (tiers.length === 0) throw new Error('add at least one tier');
+  if (tiers.length > 10) throw new Error('at most 10 tiers are allowed');
+  return tiers.sort(function(a, b) { return b.min - a.min; });
+}
+
+// Parse derived catalog lines: "name | type | addon#:catalog id | ranking | pages | min rating | min votes | max votes"
+// Returns [{addon, definition}] with the source catalog ID relative to its addon
+function parseDerivedCatalogs(text, addonCount) {
+  var catalogs = [];
+  var formulas = ['weighted', 'imdb', 'consolidated', 'votes'];
+  String(text || '').split('\n').forEach(function(line, index) {
+    if (!line.trim()) return;
+    var parts = line.split('|').map(function(part) { return part.trim(); });
+    var where = 'line ' + (index + 1) + ': ';
+    var sourceMatch = /^(\d+):(.+)$/.exec(parts[2] || '');
+    if (!parts[0] || !parts[1]) throw new Error(where + 'name and type are required');
+    if (!sourceMatch) throw new Error(where + 'source must look like "1:top" (addon number and catalog id)');
+    var addon = parseInt(sourceMatch[1], 10);
+    if (addon < 1 || addon > addonCount) throw new Error(where + 'there is no addon number ' + addon);
+    var formula = parts[3] || 'weighted';
+    if (formulas.indexOf(formula) === -1) throw new Error(where + 'ranking must be one of ' + formulas.join(', '));
+    var definition = { name: parts[0], type: parts[1], source: sourceMatch[2], formula: formula };
+    var depth = parseInt(parts[4], 10);
+    if (parts[4]) {
+      if (isNaN(depth) || depth < 1 || depth > 10) throw new Error(where + 'pages must be between 1 and 10');
+      definition.depth = depth;
+    }
+    var minRating = parseFloat(parts[5]);
+    if (parts[5]) {
+      if (isNaN(minRating) || minRating < 0 || minRating > 10) throw new Error(where + 'min rating must be between 0 and 10');
+      definition.minRating = minRating;
+    }
+    [[6, 'minVotes', 'min votes'], [7, 'maxVotes', 'max votes']].forEach(function(entry) {
+      if (!parts[entry[0]]) return;
+      var votes = parseInt(parts[entry[0]], 10);
+      if (isNaN(votes) || votes < 0) throw new Error(where + entry[2] + ' must be a whole number');
+      definition[entry[1]] = votes;
+    });
+    catalogs.push({ addon: addon, definition: definition });
+  });
+  if (catalogs.length > 10) throw new Error('at most 10 derived catalogs are allowed');
+  return catalogs;
+}
+
+// Indicator for a rating with custom tiers (same matching as the server)
+function getTierIndicator(tiers, rating) {
+  for (var i = 0; i < tiers.length; i++) {
+    if (rating >= tiers[i].min) {
+      return [tiers[i].emoji, tiers[i].label].filter(Boolean).join(' ');
+    }
+  }
+  return '';
+}
+
+// Indicator for the sample rating: custom tiers when selected, otherwise the built-in emoji
+function getPreviewIndicator(emojiSetId, tiersId, rating, builtInEmoji) {
+  if ((document.getElementById(emojiSetId)?.value || 'circle') !== 'custom') return builtInEmoji;
+  try {
+    return getTierIndicator(parseColorTiers(document.getElementById(tiersId)?.value), rating);
+  } catch (e) {
+    return '';
+  }
+}
+
+// Show/hide a custom tier editor and render sample ratings against it
+function updateColorTiersPreview(emojiSetId, tiersId) {
+  var isCustom = (document.getElementById(emojiSetId)?.value || 'circle') === 'custom';
+  var section = document.getElementById(tiersId === 'colorTiers' ? 'colorTiersSection' : 'descriptionColorTiersSection');
+  if (section) section.style.display = isCustom ? 'block' : 'none';
+
+  var preview = document.getElementById(tiersId + 'Preview');
+  if (!preview || !isCustom) return;
+  try {
+    var tiers = parseColorTiers(document.getElementById(tiersId)?.value);
+    var locale = getPreviewLocale();
+    preview.textContent = [9.4, 8.2, 6.5, 4.0].map(function(rating) {
+      var sample = window.LocaleFormat ? window.LocaleFormat.formatNumber(rating, 1, locale) : rating.toFixed(1);
+      return sample + ' → ' + (getTierIndicator(tiers, rating) || '(none)');
+    }).join('  ·  ');
+  } catch (e) {
+    preview.textContent = '✖ ' + e.message;
+  }
+}
+
+// Returns the first template error as "field: message", or null if all templates are valid
+function getTemplateError(templates) {
+  if (!window.RatingTemplate) return null;
+  for (var i = 0; i < templates.length; i++) {
+    var error = window.RatingTemplate.validateTemplate(templates[i].value);
+    if (error) return templates[i].label + ': ' + error;
+  }
+  return null;
+}
+
 function updateRatingPreview() {
   var enableTitleLocation = document.getElementById('ratingLocationTitle')?.checked || false;
   var enableDescriptionLocation = document.getElementById('ratingLocationDescription')?.checked || false;
@@ -875,6 +1178,13 @@ function updateRatingPreview() {
     releaseDateFormatSection.style.display = includeReleaseDate ? 'block' : 'none';
   }
 
+  // Show/hide runtime format dropdown based on includeRuntime checkbox
+  var includeRuntime = document.getElementById('includeRuntime')?.checked || false;
+  var runtimeFormatSection = document.getElementById('runtimeFormatSection');
+  if (runtimeFormatSection) {
+    runtimeFormatSection.style.display = includeRuntime ? 'block' : 'none';
+  }
+
   // Show/hide Metacritic format dropdown based on includeMetacritic checkbox
   var includeMetacritic = document.getElementById('includeMetacritic')?.checked || false;
   var metacriticFormatSection = document.getElementById('metacriticFormatSection');
@@ -903,9 +1213,19 @@ function updateRatingPreview() {
     streamingRegionSection.style.display = includeStreamingServices ? 'block' : 'none';
   }
 
+  // Show/hide season trend threshold based on includeSeasonTrend checkbox
+  var includeSeasonTrend = document.getElementById('includeSeasonTrend')?.checked || false;
+  var seasonTrendSection = document.getElementById('seasonTrendSection');
+  if (seasonTrendSection) {
+    seasonTrendSection.style.display = includeSeasonTrend ? 'block' : 'none';
+  }
+
   // Rebuild ordering list when toggles change
   renderMetadataOrderList();
 
+  updateColorTiersPreview('emojiSet', 'colorTiers');
+  updateColorTiersPreview('descriptionEmojiSet', 'descriptionColorTiers');
+
   // Update title preview
   if (enableTitleLocation) {
     var titlePos = document.getElementById('titlePosition')?.value || 'prefix';
@@ -915,25 +1235,25 @@ function updateRatingPreview() {
     // Check if using consolidated rating
     var useConsolidatedRating = document.getElementById('useConsolidatedRating')?.checked || false;
 
-    if (useConsolidatedRating) {
-      var useColorEmoji = document.getElementById('useColorEmoji')?.checked || false;
-      var consolidatedTemplate = document.getElementById('consolidatedTemplate')?.value || '{emoji} {rating}';
-      var sampleRating = '8.2';
-      var sampleEmoji = useColorEmoji ? '🟩' : '';
-      ratingText = consolidatedTemplate
-        .replace('{emoji}', sampleEmoji)
-        .replace('{rating}', sampleRating)
-        .trim();
-    } else {
-      var titleTpl = document.getElementById('titleTemplate')?.value || '★ {rating}';
-      var sampleRating = '8.5';
-      ratingText = titleTpl.replace('{rating}', sampleRating);
-    }
+    var titleResult;
+    try {
+      if (useConsolidatedRating) {
+        var useColorEmoji = document.getElementById('useColorEmoji')?.checked || false;
+        var consolidatedTemplate = document.getElementById('consolidatedTemplate')?.value || '{emoji} {rating}';
+        var titleEmoji = useColorEmoji ? getPreviewIndicator('emojiSet', 'colorTiers', 8.2, '🟩') : '';
+        ratingText = renderPreviewTemplate(consolidatedTemplate, { rating: 8.2, emoji: titleEmoji });
+      } else {
+        var titleTpl = document.getElementById('titleTemplate')?.value || '★ {rating}';
+        ratingText = renderPreviewTemplate(titleTpl, { rating: 8.5 });
+      }
 
-    var titleSep = document.getElementById('titleSeparator')?.value || ' | ';
-    var titleResult = titlePos === 'prefix'
-      ? ratingText + titleSep + sampleTitle
-      : sampleTitle + titleSep + ratingText;
+      var titleSep = document.getElementById('titleSeparator')?.value || ' | ';
+      titleResult = titlePos === 'prefix'
+        ? ratingText + titleSep + sampleTitle
+        : sampleTitle + titleSep + ratingText;
+    } catch (e) {
+      titleResult = '⚠ Template error: ' + e.message;
+    }
 
     var titlePrev = document.getElementById('titlePreview');
     if (titlePrev) {
@@ -951,6 +1271,8 @@ function updateRatingPreview() {
     var includeMpaa = document.getElementById('includeMpaa')?.checked || false;
     var includeTmdbRating = document.getElementById('includeTmdbRating')?.checked || false;
     var includeReleaseDate = document.getElementById('includeReleaseDate')?.checked || false;
+    var includeYear = document.getElementById('includeYear')?.checked || false;
+    var runtimeFormat = document.getElementById('runtimeFormat')?.value || 'hm';
     var includeStreamingServices = document.getElementById('includeStreamingServices')?.checked || false;
     var includeRottenTomatoes = document.getElementById('includeRottenTomatoes')?.checked || false;
     var includeMetacritic = document.getElementById('includeMetacritic')?.checked || false;
@@ -967,7 +1289,14 @@ function updateRatingPreview() {
     // Replace literal backslash-n with CRLF to maximize client compatibility
     descSep = descSep.replace(/\\n/g, String.fromCharCode(13) + String.fromCharCode(10));
 
-    var sampleRating = '8.5';
+    // Localized sample numbers, dates and labels
+    var locale = getPreviewLocale();
+    var lf = window.LocaleFormat;
+    var num = function(value) { return lf ? lf.formatNumber(value, 1, locale) : value.toFixed(1); };
+    var votesText = function(style) { return lf ? lf.formatVotes(1200000, style, locale) : '1.2M'; };
+    var label = function(key) { return lf ? lf.getLabel(key, locale) : key; };
+
+    var sampleRating = num(8.5);
     var ratingText = descTpl.replace('{rating}', sampleRating);
 
     // Build metadata parts with configurable order
@@ -982,56 +1311,78 @@ function updateRatingPreview() {
     // Show consolidated rating in preview if checkbox is enabled (for preview purposes only)
     if (includeConsolidatedRating) {
       var descriptionUseColorEmoji = document.getElementById('descriptionUseColorEmoji')?.checked || false;
-      var descriptionEmojiSet = document.getElementById('descriptionEmojiSet')?.value || 'circle';
-      var sampleEmoji = descriptionUseColorEmoji ? '🟢' : '';
-      partTexts.consolidatedRating = (sampleEmoji + ' 8.2 (4 sources)').trim();
+      var sampleEmoji = descriptionUseColorEmoji
+        ? getPreviewIndicator('descriptionEmojiSet', 'descriptionColorTiers', 8.2, '🟢')
+        : '';
+      partTexts.consolidatedRating = (sampleEmoji + ' ' + num(8.2) + ' (4 ' + label('sources') + ')').trim();
     }
 
     // IMDb rating as separate toggleable metadata item
     if (includeImdbRating) {
-      partTexts.imdbRating = '8.5 IMDb';
+      partTexts.imdbRating = num(8.5) + ' ' + label('imdb');
     }
 
     if (includeVotes) {
-      var voteText = '';
-      if (voteCountFormat === 'short') voteText = '1.2M votes';
-      else if (voteCountFormat === 'full') voteText = '1,200,000 votes';
-      else if (voteCountFormat === 'both') voteText = '1,200,000 / 1.2M votes';
-      partTexts.votes = voteText;
+      partTexts.votes = votesText(voteCountFormat) + ' ' + label('votes');
     }
     if (includeMpaa) partTexts.mpaa = 'PG-13';
     if (includeTmdbRating) {
-      var tmdbText = tmdbRatingFormat === 'decimal' ? '8.5 TMDB' : '8.5/10 TMDB';
+      var tmdbText = num(8.5) + (tmdbRatingFormat === 'decimal' ? ' ' : '/10 ') + label('tmdb');
       partTexts.tmdb = tmdbText;
     }
     if (includeReleaseDate) {
-      var dateText = releaseDateFormat === 'year' ? '2023'
-        : (releaseDateFormat === 'short' ? 'Jan 15, 2023' : 'January 15, 2023');
-      partTexts.releaseDate = dateText;
+      partTexts.releaseDate = lf ? lf.formatDate(PREVIEW_TEMPLATE_VALUES.date, releaseDateFormat, locale) : '2023';
+    }
+    if (includeYear) partTexts.year = String(PREVIEW_TEMPLATE_VALUES.year);
+    if (includeRuntime) {
+      partTexts.runtime = lf ? lf.formatRuntime(PREVIEW_TEMPLATE_VALUES.runtime, runtimeFormat, locale) : '2h 14m';
     }
     if (includeStreamingServices) partTexts.streamingServices = 'Netflix, Hulu, Disney+';
-    if (includeRottenTomatoes) partTexts.rottenTomatoes = '83% RT';
+    if (includeRottenTomatoes) partTexts.rottenTomatoes = '83% ' + label('rt');
     if (includeMetacritic) {
-      var mcText = metacriticFormat === 'score' ? '68 MC' : '68/100 MC';
+      var mcText = (metacriticFormat === 'score' ? '68 ' : '68/100 ') + label('mc');
       partTexts.metacritic = mcText;
     }
     if (includeMalRating) {
-      var malText = malRatingFormat === 'decimal' ? '8.5 MAL' : '8.5/10 MAL';
+      var malText = num(8.5) + (malRatingFormat === 'decimal' ? ' ' : '/10 ') + label('mal');
       partTexts.malRating = malText;
     }
     if (includeMalVotes) {
-      var malVotesText = malVoteFormat === 'short' ? '1.2M MAL votes' : '1,200,000 MAL votes';
+      var malVotesText = votesText(malVoteFormat === 'short' ? 'short' : 'full') + ' ' + label('malVotes');
       partTexts.malVotes = malVotesText;
     }
+    if (includeSeasonTrend) partTexts.seasonTrend = PREVIEW_TEMPLATE_VALUES.seasonTrend;
 
     // Build final metadata array in the specified order
     var metadataParts = [];
-    var allowed = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','streamingServices','rottenTomatoes','metacritic','malRating','malVotes'];
+    var allowed = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic','malRating','malVotes','seasonTrend'];
     order.forEach(function(k){ if (allowed.indexOf(k) !== -1 && partTexts[k]) metadataParts.push(partTexts[k]); });
     // Append any parts not in the order list
     allowed.forEach(function(k){ if (order.indexOf(k) === -1 && partTexts[k]) metadataParts.push(partTexts[k]); });
 
     var metadataLine = metadataParts.join(metaSep);
+
+    // Custom metadata template replaces the ordered parts
+    var metadataTemplate = document.getElementById('metadataTemplate')?.value || '';
+    var templateErrorDiv = document.getElementById('templateError');
+    if (templateErrorDiv) templateErrorDiv.style.display = 'none';
+    if (metadataTemplate.trim()) {
+      try {
+        var descriptionEmoji = document.getElementById('descriptionUseColorEmoji')?.checked
+          ? getPreviewIndicator('descriptionEmojiSet', 'descriptionColorTiers', 8.2, '🟢')
+          : '';
+        metadataLine = renderPreviewTemplate(metadataTemplate, { rating: 8.5, emoji: descriptionEmoji }, {
+          voteFormat: voteCountFormat,
+          dateFormat: releaseDateFormat
+        });
+      } catch (e) {
+        if (templateErrorDiv) {
+          templateErrorDiv.textContent = '✖ ' + e.message;
+          templateErrorDiv.style.display = 'block';
+        }
+      }
+    }
+
     var sampleDescription = 'An epic tale of adventure and discovery...';
 
     var descResult = descPos === 'prefix'
@@ -1064,7 +1415,7 @@ async function generateAll() {
   }
 
   // Generate userId from auth token for signed URLs (Phase 4)
-  const userId = state.authToken ? await generateUserId(state.authToken) : null;
+  const userId = state.userId || (state.authToken ? await generateUserId(state.authToken) : null);
 
   // Get title format settings
   const titlePosition = document.getElementById('titlePosition')?.value || 'prefix';
@@ -1083,8 +1434,13 @@ async function generateAll() {
   const includeMpaa = document.getElementById('includeMpaa')?.checked || false;
   const includeTmdbRating = document.getElementById('includeTmdbRating')?.checked || false;
   const includeReleaseDate = document.getElementById('includeReleaseDate')?.checked || false;
+  const includeYear = document.getElementById('includeYear')?.checked || false;
+  const includeRuntime = document.getElementById('includeRuntime')?.checked || false;
+  const runtimeFormat = document.getElementById('runtimeFormat')?.value || 'hm';
   const includeStreamingServices = document.getElementById('includeStreamingServices')?.checked || false;
   const streamingRegion = document.getElementById('streamingRegion')?.value || 'US';
+  const includeSeasonTrend = document.getElementById('includeSeasonTrend')?.checked || false;
+  const seasonTrendMinEpisodes = parseInt(document.getElementById('seasonTrendMinEpisodes')?.value, 10) || 3;
   const metadataSeparator = document.getElementById('metadataSeparator')?.value || ' • ';
   const voteCountFormat = document.getElementById('voteCountFormat')?.value || 'short';
   const tmdbRatingFormat = document.getElementById('tmdbRatingFormat')?.value || 'decimal';
@@ -1097,6 +1453,43 @@ async function generateAll() {
   const malRatingFormat = document.getElementById('malRatingFormat')?.value || 'decimal';
   const malVoteFormat = document.getElementById('malVoteFormat')?.value || 'short';
   const metadataOrder = getMetadataOrder();
+  const metadataTemplate = (document.getElementById('metadataTemplate')?.value || '').trim();
+
+  // Catalog filter settings
+  const filterMinRating = parseFloat(document.getElementById('filterMinRating')?.value) || 0;
+  const filterRatingSource = document.getElementById('filterRatingSource')?.value || 'imdb';
+  const filterMinVotes = parseInt(document.getElementById('filterMinVotes')?.value, 10) || 0;
+  const filterHideUnrated = document.getElementById('filterHideUnrated')?.checked || false;
+  const filterApplyToSearch = document.getElementById('filterApplyToSearch')?.checked || false;
+
+  // Episode highlight settings (best/worst episode markers)
+  const episodeHighlights = document.getElementById('episodeHighlightsEnabled')?.checked ? {
+    enabled: true,
+    scope: document.getElementById('episodeHighlightsScope')?.value || 'season',
+    topCount: parseInt(document.getElementById('episodeHighlightsTopCount')?.value, 10) || 0,
+    bottomCount: parseInt(document.getElementById('episodeHighlightsBottomCount')?.value, 10) || 0,
+    topMarker: document.getElementById('episodeHighlightsTopMarker')?.value || '🏆',
+    bottomMarker: document.getElementById('episodeHighlightsBottomMarker')?.value || '👎'
+  } : null;
+
+  // Poster badge settings
+  const posterBadgeEnabled = document.getElementById('posterBadgeEnabled')?.checked || false;
+  const posterBadgeCorner = document.getElementById('posterBadgeCorner')?.value || 'top-left';
+  const posterBadgeSize = document.getElementById('posterBadgeSize')?.value || 'medium';
+  const posterBadgeSources = [
+    ['posterBadgeImdb', 'imdb'],
+    ['posterBadgeRt', 'rt'],
+    ['posterBadgeMc', 'mc'],
+    ['posterBadgeConsolidated', 'consolidated']
+  ].filter(([elementId]) => document.getElementById(elementId)?.checked).map(([, source]) => source);
+
+  // User's own API keys (only sent when at least one is set)
+  const apiKeys = {};
+  [['tmdbApiKey', 'tmdb'], ['omdbApiKey', 'omdb'], ['malClientId', 'mal']].forEach(([elementId, service]) => {
+    const value = (document.getElementById(elementId)?.value || '').trim();
+    if (value) apiKeys[service] = value;
+  });
+  const hasApiKeys = Object.keys(apiKeys).length > 0;
 
   // Consolidated rating settings (title)
   const useConsolidatedRating = document.getElementById('useConsolidatedRating')?.checked || false;
@@ -1110,20 +1503,111 @@ async function generateAll() {
   const descriptionEmojiSet = document.getElementById('descriptionEmojiSet')?.value || 'circle';
   const includeImdbRating = document.getElementById('includeImdbRating')?.checked || false;
 
+  // Custom colour tiers (only sent when the 'custom' emoji set is selected)
+  let colorTiers = null;
+  let descriptionColorTiers = null;
+  try {
+    if (emojiSet === 'custom') colorTiers = parseColorTiers(document.getElementById('colorTiers')?.value);
+  } catch (e) {
+    alert('Invalid title colour tiers - ' + e.message);
+    return;
+  }
+  try {
+    if (descriptionEmojiSet === 'custom') descriptionColorTiers = parseColorTiers(document.getElementById('descriptionColorTiers')?.value);
+  } catch (e) {
+    alert('Invalid description colour tiers - ' + e.message);
+    return;
+  }
+
+  // Derived catalogs (source addon resolved per generated config below)
+  let derivedCatalogs = [];
+  try {
+    derivedCatalogs = parseDerivedCatalogs(document.getElementById('derivedCatalogs')?.value, state.items.length);
+  } catch (e) {
+    alert('Invalid derived catalogs - ' + e.message);
+    return;
+  }
+
+  // Consolidated rating weighting profile
+  const consolidatedWeights = {};
+  [
+    ['weightImdb', 'imdb'],
+    ['weightTmdb', 'tmdb'],
+    ['weightRt', 'rt'],
+    ['weightMc', 'mc'],
+    ['weightMal', 'mal'],
+    ['weightRtAudience', 'rtAudience'],
+    ['weightMcUser', 'mcUser']
+  ].forEach(([elementId, source]) => {
+    const value = parseFloat(document.getElementById(elementId)?.value);
+    if (!isNaN(value)) consolidatedWeights[source] = value;
+  });
+  const weightVoteShrinkage = document.getElementById('weightVoteShrinkage')?.checked || false;
+  const weightMinVotes = parseInt(document.getElementById('weightMinVotes')?.value, 10) || 0;
+
   // Global enable toggles removed; per-location settings control behavior
   if (!enableTitleLocation && !enableDescLocation) {
     alert('Warning: Neither title nor description location is selected. Please select at least one location.');
     return;
   }
 
-  state.items = state.items.map(it => {
+  if (filterMinRating < 0 || filterMinRating > 10) {
+    alert('Minimum rating must be between 0 and 10.');
+    return;
+  }
+  if (filterMinVotes < 0) {
+    alert('Minimum votes cannot be negative.');
+    return;
+  }
+  if (episodeHighlights && (episodeHighlights.topCount < 0 || episodeHighlights.topCount > 10 ||
+      episodeHighlights.bottomCount < 0 || episodeHighlights.bottomCount > 10)) {
+    alert('Best/worst episode counts must be between 0 and 10.');
+    return;
+  }
+  const weightValues = Object.values(consolidatedWeights);
+  if (weightValues.some(weight => weight < 0 || weight > 10)) {
+    alert('Consolidated rating weights must be between 0 and 10.');
+    return;
+  }
+  if (!weightValues.some(weight => weight > 0)) {
+    alert('Give at least one consolidated rating source a weight above 0.');
+    return;
+  }
+  if (posterBadgeEnabled && posterBadgeSources.length === 0) {
+    alert('Select at least one rating source for poster badges.');
+    return;
+  }
+
+  // The server rejects invalid templates, so catch them before generating URLs
+  const templateError = getTemplateError([
+    { label: 'Title template', value: titleTemplate },
+    { label: 'Consolidated rating template', value: consolidatedTemplate },
+    { label: 'Custom metadata template', value: metadataTemplate }
+  ]);
+  if (templateError) {
+    alert('Invalid template - ' + templateError);
+    return;
+  }
+
+  const locale = document.getElementById('locale')?.value || 'en-US';
+  const aggregate = (document.getElementById('aggregateAddons')?.checked || false) && state.items.length > 1;
+
+  const configs = state.items.map((it, itemIndex) => {
     const config = {
+      schemaVersion: window.ConfigMigrations ? window.ConfigMigrations.CURRENT_SCHEMA_VERSION : undefined,
       wrappedAddonUrl: it.url,
       enableRatings: true, // Inferred from granular settings; keep global flag for compatibility
       ratingLocation: ratingLocation,
       useConsolidatedRating: useConsolidatedRating,
+      consolidatedRating: {
+        weights: consolidatedWeights,
+        voteShrinkage: weightVoteShrinkage,
+        minVotes: weightMinVotes
+      },
       // User ID for authenticated rate limiting (Phase 4)
       ...(userId && { userId }),
+      // Number/date/label formatting (omitted for the default to keep URLs short)
+      ...(locale !== 'en-US' && { locale }),
       // Separate formats for title and description
       titleFormat: {
         position: titlePosition,
@@ -1132,9 +1616,11 @@ async function generateAll() {
         consolidatedTemplate: consolidatedTemplate,
         useColorEmoji: useColorEmoji,
         emojiSet: emojiSet,
+        ...(colorTiers && { colorTiers }),
         // Granular control: catalog items and episodes for title
         enableCatalogItems: document.getElementById('titleEnableCatalogItems')?.checked !== false,
-        enableEpisodes: document.getElementById('titleEnableEpisodes')?.checked !== false
+        enableEpisodes: document.getElementById('titleEnableEpisodes')?.checked !== false,
+        ...(episodeHighlights && { episodeHighlights })
       },
       descriptionFormat: {
         position: descriptionPosition,
@@ -1144,12 +1630,18 @@ async function generateAll() {
         includeImdbRating: includeImdbRating,
         useColorEmoji: descriptionUseColorEmoji,
         emojiSet: descriptionEmojiSet,
+        ...(descriptionColorTiers && { colorTiers: descriptionColorTiers }),
         includeVotes: includeVotes,
         includeMpaa: includeMpaa,
         includeTmdbRating: includeTmdbRating,
         includeReleaseDate: includeReleaseDate,
+        includeYear: includeYear,
+        includeRuntime: includeRuntime,
+        runtimeFormat: runtimeFormat,
         includeStreamingServices: includeStreamingServices,
         streamingRegion: streamingRegion,
+        includeSeasonTrend: includeSeasonTrend,
+        seasonTrendMinEpisodes: seasonTrendMinEpisodes,
         includeRottenTomatoes: includeRottenTomatoes,
         includeMetacritic: includeMetacritic,
         metacriticFormat: metacriticFormat,
@@ -1163,22 +1655,260 @@ async function generateAll() {
         releaseDateFormat: releaseDateFormat,
         metacriticFormat: metacriticFormat,
         metadataOrder: metadataOrder,
+        ...(metadataTemplate && { metadataTemplate }),
         // Granular control: catalog items and episodes for description
         enableCatalogItems: document.getElementById('descriptionEnableCatalogItems')?.checked !== false,
         enableEpisodes: document.getElementById('descriptionEnableEpisodes')?.checked !== false
       }
     };
-    if (it.name) config.addonName = it.name;
-    const encoded = encodeConfig(config);
-    const wrapped = serverUrl + '/' + encoded + '/manifest.json';
+    // Only include filters when one is active to keep URLs short
+    if (filterMinRating || filterMinVotes || filterHideUnrated) {
+      config.catalogFilter = {
+        minRating: filterMinRating,
+        ratingSource: filterRatingSource,
+        minVotes: filterMinVotes,
+        hideUnrated: filterHideUnrated,
+        applyToSearch: filterApplyToSearch
+      };
+    }
+    if (posterBadgeEnabled) {
+      config.posterBadge = {
+        enabled: true,
+        baseUrl: serverUrl,
+        corner: posterBadgeCorner,
+        size: posterBadgeSize,
+        sources: posterBadgeSources
+      };
+    }
+    if (aggregate) {
+      // One install for all addons: every item shares the same URL (meta priority = list order)
+      delete config.wrappedAddonUrl;
+      config.upstreams = state.items.map(item => ({ url: item.url }));
+      // Upstream keys default to u1, u2, ... in list order
+      if (derivedCatalogs.length) {
+        config.derivedCatalogs = derivedCatalogs.map(entry => ({
+          ...entry.definition,
+          source: 'u' + entry.addon + ':' + entry.definition.source
+        }));
+      }
+    } else {
+      if (it.name) config.addonName = it.name;
+      const ownDerived = derivedCatalogs.filter(entry => entry.addon === itemIndex + 1);
+      if (ownDerived.length) config.derivedCatalogs = ownDerived.map(entry => entry.definition);
+    }
+    if (hasApiKeys) config.apiKeys = apiKeys;
+    // Settings without fields on this page, kept from a pre-filled install
+    Object.assign(config, state.preservedSettings);
+    return config;
+  });
+
+  let encodedConfigs;
+  try {
+    if (hasApiKeys) {
+      // Aggregated items share one config, so seal it once to keep a single URL
+      encodedConfigs = aggregate
+        ? Array(configs.length).fill(await sealConfig(configs[0]))
+        : await Promise.all(configs.map(sealConfig));
+    } else {
+      encodedConfigs = configs.map(encodeConfig);
+    }
+  } catch (e) {
+    alert('Could not encrypt your API keys - ' + e.message);
+    return;
+  }
+
+  state.items = state.items.map((it, itemIndex) => {
+    const wrapped = serverUrl + '/' + encodedConfigs[itemIndex] + '/manifest.json';
     return { ...it, wrappedUrl: wrapped };
   });
+  state.aggregated = aggregate;
   renderAddonList();
   renderManualList();
   document.getElementById('resultSection').style.display = 'block';
   document.getElementById('resultSection').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+// Set a form field and fire its events so dependent sections and the preview update
+function setFormValue(elementId, value) {
+  const el = document.getElementById(elementId);
+  if (!el || value === undefined || value === null) return;
+
+  if (el.type === 'checkbox') {
+    el.checked = !!value;
+  } else {
+    // Keep settings the dropdown doesn't offer (e.g. made with an older page)
+    if (el.tagName === 'SELECT' && !Array.from(el.options).some(option => option.value === String(value))) {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = JSON.stringify(String(value));
+      el.appendChild(option);
+    }
+    el.value = String(value);
+  }
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Format colour tiers back into the "minimum | emoji | label" lines parseColorTiers reads
+function formatColorTiers(tiers) {
+  return (tiers || []).map(tier => [tier.min, tier.emoji || '', tier.label || ''].join(' | ')).join('\n');
+}
+
+// Format derived catalogs back into the lines parseDerivedCatalogs reads
+// Sources are "{upstream key}:{catalog id}" in aggregated configs and plain catalog IDs otherwise
+function formatDerivedCatalogs(definitions, upstreams) {
+  return (definitions || []).map(definition => {
+    let addon = 1;
+    let source = definition.source;
+    if (upstreams) {
+      const separatorIndex = source.indexOf(':');
+      const upstreamIndex = upstreams.findIndex(upstream => upstream.key === source.substring(0, separatorIndex));
+      addon = upstreamIndex + 1;
+      source = source.substring(separatorIndex + 1);
+    }
+    const parts = [
+      definition.name, definition.type, addon + ':' + source, definition.formula,
+      definition.depth, definition.minRating, definition.minVotes, definition.maxVotes
+    ].map(part => (part === undefined || part === null ? '' : String(part)));
+    // Optional trailing fields are left out (thresholds of 0 are disabled)
+    while (parts.length > 4 && (parts[parts.length - 1] === '' || parts[parts.length - 1] === '0')) parts.pop();
+    return parts.join(' | ');
+  }).join('\n');
+}
+
+/**
+ * Pre-fills the page from an installed config (the Stremio "Configure" button)
+ * Mirrors generateAll: every setting it writes is read back into its field, so
+ * generating again gives the same config with the user's changes applied.
+ * @param {Object} prefill - { config, hasApiKeys, upgrade } from the server
+ */
+function hydrateFromConfig(prefill) {
+  const config = prefill.config;
+  const titleFormat = config.titleFormat || {};
+  const descriptionFormat = config.descriptionFormat || {};
+
+  // Wrapped addons (one item per upstream for combined installs)
+  if (config.upstreams && config.upstreams.length) {
+    state.items = config.upstreams.map(upstream => ({ url: upstream.url, wasWrapped: true }));
+    setFormValue('aggregateAddons', config.upstreams.length > 1);
+  } else if (config.wrappedAddonUrl) {
+    state.items = [{ url: config.wrappedAddonUrl, name: config.addonName, wasWrapped: true }];
+  }
+
+  setFormValue('ratingLocationTitle', config.ratingLocation === 'title' || config.ratingLocation === 'both');
+  setFormValue('ratingLocationDescription', config.ratingLocation === 'description' || config.ratingLocation === 'both');
+  setFormValue('locale', config.locale);
+
+  // Title format
+  setFormValue('titlePosition', titleFormat.position);
+  setFormValue('titleTemplate', titleFormat.template);
+  setFormValue('titleSeparator', titleFormat.separator);
+  setFormValue('titleEnableCatalogItems', titleFormat.enableCatalogItems);
+  setFormValue('titleEnableEpisodes', titleFormat.enableEpisodes);
+  setFormValue('useConsolidatedRating', config.useConsolidatedRating);
+  setFormValue('consolidatedTemplate', titleFormat.consolidatedTemplate);
+  setFormValue('useColorEmoji', titleFormat.useColorEmoji);
+  setFormValue('colorTiers', formatColorTiers(titleFormat.colorTiers));
+  setFormValue('emojiSet', titleFormat.emojiSet);
+
+  const highlights = titleFormat.episodeHighlights || {};
+  setFormValue('episodeHighlightsEnabled', highlights.enabled);
+  if (highlights.enabled) {
+    setFormValue('episodeHighlightsScope', highlights.scope);
+    setFormValue('episodeHighlightsTopCount', highlights.topCount);
+    setFormValue('episodeHighlightsBottomCount', highlights.bottomCount);
+    setFormValue('episodeHighlightsTopMarker', highlights.topMarker);
+    setFormValue('episodeHighlightsBottomMarker', highlights.bottomMarker);
+  }
+
+  // Description format (the page shows new lines as "\n")
+  setFormValue('descriptionPosition', descriptionFormat.position);
+  setFormValue('descriptionTemplate', descriptionFormat.template);
+  if (descriptionFormat.separator) {
+    setFormValue('descriptionSeparator', descriptionFormat.separator.replace(/\r\n/g, '\n'));
+  }
+  setFormValue('descriptionEnableCatalogItems', descriptionFormat.enableCatalogItems);
+  setFormValue('descriptionEnableEpisodes', descriptionFormat.enableEpisodes);
+  setFormValue('includeConsolidatedRating', descriptionFormat.includeConsolidatedRating);
+  setFormValue('descriptionUseColorEmoji', descriptionFormat.useColorEmoji);
+  setFormValue('descriptionColorTiers', formatColorTiers(descriptionFormat.colorTiers));
+  setFormValue('descriptionEmojiSet', descriptionFormat.emojiSet);
+  [
+    'includeImdbRating', 'includeVotes', 'includeMpaa', 'includeTmdbRating', 'includeReleaseDate',
+    'includeYear', 'includeRuntime', 'runtimeFormat', 'includeStreamingServices', 'streamingRegion',
+    'includeSeasonTrend', 'seasonTrendMinEpisodes', 'includeRottenTomatoes', 'includeMetacritic',
+    'metacriticFormat', 'includeMalRating', 'includeMalVotes', 'malRatingFormat', 'malVoteFormat',
+    'metadataSeparator', 'voteCountFormat', 'tmdbRatingFormat', 'releaseDateFormat', 'metadataTemplate'
+  ].forEach(field => setFormValue(field, descriptionFormat[field]));
+
+  // Metadata order: seed the list in the saved order, then let the renderer keep only included parts
+  const orderList = document.getElementById('metadataOrderList');
+  if (orderList && Array.isArray(descriptionFormat.metadataOrder)) {
+    orderList.innerHTML = '';
+    descriptionFormat.metadataOrder.forEach(key => orderList.appendChild(createOrderItem(key, key)));
+    renderMetadataOrderList();
+  }
+
+  // Consolidated rating weighting
+  const weighting = config.consolidatedRating || {};
+  const weights = weighting.weights || {};
+  [
+    ['weightImdb', 'imdb'],
+    ['weightTmdb', 'tmdb'],
+    ['weightRt', 'rt'],
+    ['weightMc', 'mc'],
+    ['weightMal', 'mal'],
+    ['weightRtAudience', 'rtAudience'],
+    ['weightMcUser', 'mcUser']
+  ].forEach(([elementId, source]) => setFormValue(elementId, weights[source]));
+  setFormValue('weightVoteShrinkage', weighting.voteShrinkage);
+  setFormValue('weightMinVotes', weighting.minVotes);
+
+  // Catalog filter
+  const filter = config.catalogFilter || {};
+  setFormValue('filterMinRating', filter.minRating);
+  setFormValue('filterRatingSource', filter.ratingSource);
+  setFormValue('filterMinVotes', filter.minVotes);
+  setFormValue('filterHideUnrated', filter.hideUnrated);
+  setFormValue('filterApplyToSearch', filter.applyToSearch);
+
+  setFormValue('derivedCatalogs', formatDerivedCatalogs(config.derivedCatalogs, config.upstreams));
+
+  // Poster badges
+  const posterBadge = config.posterBadge || {};
+  setFormValue('posterBadgeEnabled', posterBadge.enabled);
+  setFormValue('posterBadgeCorner', posterBadge.corner);
+  setFormValue('posterBadgeSize', posterBadge.size);
+  const badgeSources = posterBadge.sources || ['imdb'];
+  [
+    ['posterBadgeImdb', 'imdb'],
+    ['posterBadgeRt', 'rt'],
+    ['posterBadgeMc', 'mc'],
+    ['posterBadgeConsolidated', 'consolidated']
+  ].forEach(([elementId, source]) => setFormValue(elementId, badgeSources.indexOf(source) !== -1));
+
+  // Settings the page has no fields for are carried over unchanged by generateAll
+  state.preservedSettings = config.catalogSort ? { catalogSort: config.catalogSort } : {};
+
+  const notice = document.getElementById('prefillNotice');
+  if (notice) {
+    const lines = ['Loaded the settings of your installed addon. Change what you need, then generate the new install URL or use Auto Replace.'];
+    if (prefill.hasApiKeys) {
+      lines.push('This install uses your own API keys. They are not shown here; enter them again to keep them.');
+    }
+    if (prefill.upgrade) {
+      lines.push('These settings were made with an older format (version ' + prefill.upgrade.fromVersion + ') and were upgraded: ' + prefill.upgrade.applied.join('; ') + '.');
+    }
+    notice.textContent = '';
+    lines.forEach(line => {
+      const paragraph = document.createElement('div');
+      paragraph.textContent = line;
+      notice.appendChild(paragraph);
+    });
+    notice.style.display = 'block';
+  }
+}
+
 // Wire up live preview
 (function(){
   // Location checkboxes
@@ -1198,8 +1928,12 @@ async function generateAll() {
   var includeMpaa = document.getElementById('includeMpaa');
   var includeTmdbRating = document.getElementById('includeTmdbRating');
   var includeReleaseDate = document.getElementById('includeReleaseDate');
+  var includeYear = document.getElementById('includeYear');
+  var includeRuntime = document.getElementById('includeRuntime');
+  var runtimeFormat = document.getElementById('runtimeFormat');
   var includeStreamingServices = document.getElementById('includeStreamingServices');
   var streamingRegion = document.getElementById('streamingRegion');
+  var includeSeasonTrend = document.getElementById('includeSeasonTrend');
   var includeRottenTomatoes = document.getElementById('includeRottenTomatoes');
   var includeMetacritic = document.getElementById('includeMetacritic');
   var metacriticFormat = document.getElementById('metacriticFormat');
@@ -1208,6 +1942,7 @@ async function generateAll() {
   var malRatingFormat = document.getElementById('malRatingFormat');
   var malVoteFormat = document.getElementById('malVoteFormat');
   var metaSep = document.getElementById('metadataSeparator');
+  var localeSelect = document.getElementById('locale');
   var voteCountFormat = document.getElementById('voteCountFormat');
   var tmdbRatingFormat = document.getElementById('tmdbRatingFormat');
   var releaseDateFormat = document.getElementById('releaseDateFormat');
@@ -1216,6 +1951,7 @@ async function generateAll() {
   // Attach event listeners
   if (locTitle) locTitle.addEventListener('change', updateRatingPreview);
   if (locDesc) locDesc.addEventListener('change', updateRatingPreview);
+  if (localeSelect) localeSelect.addEventListener('change', updateRatingPreview);
 
   if (titlePos) titlePos.addEventListener('change', updateRatingPreview);
   if (titleTpl) titleTpl.addEventListener('input', updateRatingPreview);
@@ -1228,8 +1964,12 @@ async function generateAll() {
   if (includeMpaa) includeMpaa.addEventListener('change', updateRatingPreview);
   if (includeTmdbRating) includeTmdbRating.addEventListener('change', updateRatingPreview);
   if (includeReleaseDate) includeReleaseDate.addEventListener('change', updateRatingPreview);
+  if (includeYear) includeYear.addEventListener('change', updateRatingPreview);
+  if (includeRuntime) includeRuntime.addEventListener('change', updateRatingPreview);
+  if (runtimeFormat) runtimeFormat.addEventListener('change', updateRatingPreview);
   if (includeStreamingServices) includeStreamingServices.addEventListener('change', updateRatingPreview);
   if (streamingRegion) streamingRegion.addEventListener('change', updateRatingPreview);
+  if (includeSeasonTrend) includeSeasonTrend.addEventListener('change', updateRatingPreview);
   if (includeRottenTomatoes) includeRottenTomatoes.addEventListener('change', updateRatingPreview);
   if (includeMetacritic) includeMetacritic.addEventListener('change', updateRatingPreview);
   if (metacriticFormat) metacriticFormat.addEventListener('change', updateRatingPreview);
@@ -1260,6 +2000,8 @@ async function generateAll() {
   }
   if (useColorEmoji) useColorEmoji.addEventListener('change', updateRatingPreview);
   if (emojiSet) emojiSet.addEventListener('change', updateRatingPreview);
+  var colorTiers = document.getElementById('colorTiers');
+  if (colorTiers) colorTiers.addEventListener('input', updateRatingPreview);
   if (consolidatedTemplate) consolidatedTemplate.addEventListener('input', updateRatingPreview);
 
   // Description consolidated rating with emoji settings toggle
@@ -1276,9 +2018,23 @@ async function generateAll() {
   var descriptionEmojiSet = document.getElementById('descriptionEmojiSet');
   if (descriptionUseColorEmoji) descriptionUseColorEmoji.addEventListener('change', updateRatingPreview);
   if (descriptionEmojiSet) descriptionEmojiSet.addEventListener('change', updateRatingPreview);
+  var descriptionColorTiers = document.getElementById('descriptionColorTiers');
+  if (descriptionColorTiers) descriptionColorTiers.addEventListener('input', updateRatingPreview);
 
   if (includeImdbRating) includeImdbRating.addEventListener('change', updateRatingPreview);
 
+  // Episode highlight settings toggle
+  var episodeHighlightsEnabled = document.getElementById('episodeHighlightsEnabled');
+  if (episodeHighlightsEnabled) {
+    episodeHighlightsEnabled.addEventListener('change', function() {
+      var episodeHighlightsSettings = document.getElementById('episodeHighlightsSettings');
+      episodeHighlightsSettings.style.display = this.checked ? 'block' : 'none';
+    });
+  }
+
+  var metadataTemplate = document.getElementById('metadataTemplate');
+  if (metadataTemplate) metadataTemplate.addEventListener('input', updateRatingPreview);
+
   // Initial update
   updateRatingPreview();
 })();
@@ -1287,13 +2043,17 @@ function renderManualList() {
   const container = document.getElementById('manualList');
   container.innerHTML = '';
   if (!state.items.length) { container.innerHTML = '<em>No wrapped URLs yet.</em>'; return; }
-  state.items.forEach((it, idx) => {
+  // Combined installs share one URL, so list it once
+  const items = state.aggregated ? state.items.slice(0, 1) : state.items;
+  items.forEach((it, idx) => {
     const url = it.wrappedUrl || '(generate first)';
     const box = document.createElement('div');
     box.className = 'url-display';
     const titleDiv = document.createElement('div');
     const strong = document.createElement('strong');
-    strong.textContent = (idx + 1) + '. ' + (it.name || 'Wrapped Addon') + (it.required ? ' (Cinemeta)' : '');
+    strong.textContent = state.aggregated
+      ? 'Combined addon (' + state.items.length + ' addons)'
+      : (idx + 1) + '. ' + (it.name || 'Wrapped Addon') + (it.required ? ' (Cinemeta)' : '');
     titleDiv.appendChild(strong);
     const urlDiv = document.createElement('div');
     urlDiv.textContent = url;
@@ -1402,9 +2162,8 @@ async function loginWithPassword() {
 
     const result = await response.json();
 
-    if (result.success && result.authKey) {
-      document.getElementById('authToken').value = result.authKey;
-      state.authToken = result.authKey; // Store for userId generation (Phase 4)
+    if (result.success && (result.authKey || result.session)) {
+      applyLoginResult(result);
       statusDiv.style.background = '#d1fae5';
       statusDiv.style.border = '1px solid #10b981';
       statusDiv.innerHTML = '✔ ' + result.message;
@@ -1413,7 +2172,7 @@ async function loginWithPassword() {
       const testResponse = await fetch(serverUrl + '/api/test-auth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ authToken: result.authKey })
+        body: JSON.stringify(withAuth(state.authToken))
       });
 
       const testResult = await testResponse.json();
@@ -1447,16 +2206,133 @@ async function testAuth() {
   try {
     const response = await fetch(serverUrl + '/api/test-auth', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ authToken }) });
     const result = await response.json();
-    if (result.success) { statusDiv.style.background = '#d1fae5'; statusDiv.style.border = '1px solid #10b981'; statusDiv.innerHTML = '✔ ' + result.message + ' (' + result.addonCount + ' addons found)'; replaceAllBtn.style.display = 'inline-block'; }
+    if (result.success) { applyLoginResult(result, authToken); statusDiv.style.background = '#d1fae5'; statusDiv.style.border = '1px solid #10b981'; statusDiv.innerHTML = '✔ ' + result.message + ' (' + result.addonCount + ' addons found)'; replaceAllBtn.style.display = 'inline-block'; }
     else { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ ' + result.error; replaceAllBtn.style.display = 'none'; }
   } catch (e) { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ Error: ' + e.message; replaceAllBtn.style.display = 'none'; }
 }
 
+/**
+ * Renders a collection diff (added/removed/moved addons) into a container
+ * @param {HTMLElement} container - Element to append to
+ * @param {Object} diff - Diff from the API ({ added, removed, moved })
+ */
+function renderCollectionDiff(container, diff) {
+  const { added, removed, moved } = diff;
+  if (added.length === 0 && removed.length === 0 && moved.length === 0) {
+    const none = document.createElement('div');
+    none.textContent = 'No differences.';
+    container.appendChild(none);
+    return;
+  }
+
+  const sections = [
+    ['Added', '#059669', added, addon => addon.name],
+    ['Removed', '#dc2626', removed, addon => addon.name],
+    ['Moved', '#7c3aed', moved, addon => `${addon.name} (position ${addon.fromIndex + 1} → ${addon.toIndex + 1})`]
+  ];
+  sections.forEach(([title, color, addons, describe]) => {
+    if (addons.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.style.cssText = `font-weight: 600; color: ${color}; margin: 6px 0 4px;`;
+    heading.textContent = `${title} (${addons.length})`;
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0 0 0 18px;';
+    addons.forEach(addon => {
+      const item = document.createElement('li');
+      item.textContent = describe(addon);
+      item.title = addon.transportUrl;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  });
+}
+
+/**
+ * Shows the dry-run result of a collection change and asks for confirmation
+ * @param {HTMLElement} previewDiv - Element to show the preview in
+ * @param {Object} preview - Dry-run response ({ diff, finalOrder, warnings, disabled? })
+ * @param {Function} onConfirm - Called when the user confirms
+ */
+function showChangePreview(previewDiv, preview, onConfirm) {
+  previewDiv.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.style.cssText = 'font-weight: 700; margin-bottom: 6px;';
+  title.textContent = 'Review the changes to your Stremio account';
+  previewDiv.appendChild(title);
+
+  if (preview.warnings.length > 0) {
+    const warningBox = document.createElement('div');
+    warningBox.style.cssText = 'background: #fef3c7; border: 1px solid #fbbf24; border-radius: 6px; padding: 8px 10px; margin-bottom: 8px; color: #92400e;';
+    preview.warnings.forEach(warning => {
+      const line = document.createElement('div');
+      line.textContent = '⚠ ' + warning;
+      warningBox.appendChild(line);
+    });
+    previewDiv.appendChild(warningBox);
+  }
+
+  renderCollectionDiff(previewDiv, preview.diff);
+
+  // Disabled addons are also listed as removed in the diff
+  if (preview.disabled && preview.disabled.length > 0) {
+    const disabledNote = document.createElement('div');
+    disabledNote.style.cssText = 'color: #6b7280; margin-top: 4px;';
+    disabledNote.textContent = 'Disabled (can be re-enabled later): ' + preview.disabled.map(addon => addon.name).join(', ');
+    previewDiv.appendChild(disabledNote);
+  }
+
+  const orderTitle = document.createElement('div');
+  orderTitle.style.cssText = 'font-weight: 600; margin: 8px 0 4px;';
+  orderTitle.textContent = `Final order (${preview.finalOrder.length})`;
+  previewDiv.appendChild(orderTitle);
+
+  const orderList = document.createElement('ol');
+  orderList.style.cssText = 'margin: 0 0 0 22px;';
+  preview.finalOrder.forEach(addon => {
+    const item = document.createElement('li');
+    item.textContent = addon.name;
+    item.title = addon.transportUrl;
+    orderList.appendChild(item);
+  });
+  previewDiv.appendChild(orderList);
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; gap: 8px; margin-top: 10px;';
+  const confirmBtn = document.createElement('button');
+  confirmBtn.className = 'btn';
+  confirmBtn.style.cssText = 'background: #4f46e5; color: white;';
+  confirmBtn.textContent = 'Apply Changes';
+  confirmBtn.addEventListener('click', () => {
+    previewDiv.style.display = 'none';
+    onConfirm();
+  });
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn';
+  cancelBtn.style.cssText = 'background: #e5e7eb; color: #111827;';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => { previewDiv.style.display = 'none'; });
+  actions.appendChild(confirmBtn);
+  actions.appendChild(cancelBtn);
+  previewDiv.appendChild(actions);
+
+  previewDiv.style.display = 'block';
+}
+
+async function postReplaceAddons(body) {
+  const response = await fetch(serverUrl + '/api/replace-addons', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return response.json();
+}
+
+// Preview the replacement (dry run) and apply it once confirmed
 async function autoReplaceAll() {
   const authToken = document.getElementById('authToken').value.trim();
   const statusDiv = document.getElementById('replaceStatus');
   const btn = document.getElementById('replaceAllBtn');
-  if (!authToken) { alert('Enter your auth token'); return; }
+  if (!hasAccountAccess(authToken)) { alert('Enter your auth token'); return; }
   if (!state.items.length) { alert('Add at least one addon'); return; }
   const items = state.items.map(it => {
     // Detect if this is Cinemeta and use 'cinemeta' as removePattern for proper backend positioning
@@ -1466,11 +2342,24 @@ async function autoReplaceAll() {
       wrappedAddonUrl: it.wrappedUrl
     };
   });
+  btn.disabled = true; btn.textContent = 'Checking...';
+  document.getElementById('replacePreview').style.display = 'none';
+  statusDiv.style.display = 'block'; statusDiv.style.background = '#fff7ed'; statusDiv.style.border = '1px solid #fdba74'; statusDiv.innerHTML = 'Checking what will change in your account...';
+  try {
+    const preview = await postReplaceAddons(withAuth(authToken, { items, dryRun: true }));
+    if (preview.success) { statusDiv.style.display = 'none'; showChangePreview(document.getElementById('replacePreview'), preview, () => applyReplaceAll(authToken, items)); }
+    else { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ ' + preview.error; }
+  } catch (e) { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ Error: ' + e.message; }
+  finally { btn.disabled = false; btn.textContent = 'Auto Replace All'; }
+}
+
+async function applyReplaceAll(authToken, items) {
+  const statusDiv = document.getElementById('replaceStatus');
+  const btn = document.getElementById('replaceAllBtn');
   btn.disabled = true; btn.textContent = 'Replacing...';
   statusDiv.style.display = 'block'; statusDiv.style.background = '#fff7ed'; statusDiv.style.border = '1px solid #fdba74'; statusDiv.innerHTML = 'Replacing addons in your account...';
   try {
-    const response = await fetch(serverUrl + '/api/replace-addons', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ authToken, items }) });
-    const result = await response.json();
+    const result = await postReplaceAddons(withAuth(authToken, { items }));
     if (result.success) { statusDiv.style.background = '#d1fae5'; statusDiv.style.border = '1px solid #10b981'; statusDiv.innerHTML = '✔ ' + result.message + '<br><small>Restart Stremio to see the changes.</small>'; }
     else { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ ' + result.error; }
   } catch (e) { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ Error: ' + e.message; }
@@ -1488,7 +2377,7 @@ async function loadWrappedAddons() {
   const listDiv = document.getElementById('wrappedAddonsList');
   const containerDiv = document.getElementById('wrappedAddonsContainer');
 
-  if (!authToken) {
+  if (!hasAccountAccess(authToken)) {
     alert('Please enter your auth token or login first');
     return;
   }
@@ -1502,7 +2391,7 @@ async function loadWrappedAddons() {
     const response = await fetch(serverUrl + '/api/get-wrappable-addons', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ authToken })
+      body: JSON.stringify(withAuth(authToken))
     });
 
     const result = await response.json();
@@ -1588,7 +2477,7 @@ async function unwrapIndividualAddon(wrappedUrl, addonName, authToken) {
     const response = await fetch(serverUrl + '/api/unwrap-addon', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ authToken, wrappedUrl })
+      body: JSON.stringify(withAuth(authToken, { wrappedUrl }))
     });
 
     const result = await response.json();
@@ -1614,19 +2503,536 @@ async function unwrapIndividualAddon(wrappedUrl, addonName, authToken) {
   }
 }
 
+/**
+ * Addon Order Editor Functions
+ */
+
+// Addons in the order editor (new order; disabled addons have enabled: false)
+let orderEditorAddons = [];
+let orderEditorCanDisable = false;
+let orderDragIndex = null;
+
+function getOrderAuthToken() {
+  return document.getElementById('orderAuthToken').value.trim() || state.authToken;
+}
+
+function showOrderStatus(kind, html) {
+  const statusDiv = document.getElementById('orderStatus');
+  statusDiv.style.display = 'block';
+  statusDiv.style.background = HISTORY_STATUS_COLORS[kind][0];
+  statusDiv.style.border = '1px solid ' + HISTORY_STATUS_COLORS[kind][1];
+  statusDiv.innerHTML = html;
+}
+
+// Load the addon collection into the editor
+async function loadAddonOrder() {
+  const authToken = getOrderAuthToken();
+  if (!hasAccountAccess(authToken)) {
+    alert('Please enter your auth token or login first');
+    return;
+  }
+
+  showOrderStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Loading your addons...');
+  document.getElementById('orderPreview').style.display = 'none';
+
+  try {
+    const response = await fetch(serverUrl + '/api/collection', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(withAuth(authToken))
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      showOrderStatus('error', '✖ ' + (result.error || 'Failed to load addons'));
+      return;
+    }
+
+    orderEditorAddons = result.addons;
+    orderEditorCanDisable = result.canDisable;
+    renderAddonOrder();
+    document.getElementById('orderEditor').style.display = 'block';
+    showOrderStatus('success', `✔ Loaded ${result.addons.length} addon(s). Drag to reorder, then save.`);
+  } catch (e) {
+    showOrderStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+function createOrderButton(iconClass, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn';
+  button.title = title;
+  button.style.cssText = 'background: #e0e7ff; color: #3730a3; padding: 4px 8px; font-size: 12px;';
+  button.innerHTML = `<i class="fa-solid ${iconClass}"></i>`;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderAddonOrder() {
+  const containerDiv = document.getElementById('orderContainer');
+  containerDiv.innerHTML = '';
+
+  orderEditorAddons.forEach((addon, index) => {
+    const row = document.createElement('div');
+    row.draggable = true;
+    row.style.cssText = 'background: white; border: 1px solid #c7d2fe; border-radius: 6px; padding: 8px 10px; display: flex; align-items: center; gap: 10px; cursor: grab;';
+    if (!addon.enabled) row.style.opacity = '0.55';
+
+    row.addEventListener('dragstart', () => { orderDragIndex = index; });
+    row.addEventListener('dragover', (e) => e.preventDefault());
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (orderDragIndex !== null && orderDragIndex !== index) {
+        moveOrderEditorAddon(orderDragIndex, index);
+      }
+      orderDragIndex = null;
+    });
+
+    const position = document.createElement('div');
+    position.style.cssText = 'width: 22px; color: #6366f1; font-weight: 600; text-align: right;';
+    position.textContent = addon.enabled ? String(index + 1) : '–';
+
+    const info = document.createElement('div');
+    info.style.cssText = 'flex: 1; min-width: 0;';
+    const name = document.createElement('div');
+    name.style.cssText = 'font-weight: 600; color: #1e1b4b; font-size: 13px;';
+    name.textContent = addon.name + (addon.providesMeta ? ' · metadata' : '') + (addon.official ? ' · official' : '');
+    info.appendChild(name);
+    if (addon.protected) {
+      const warning = document.createElement('div');
+      warning.style.cssText = 'font-size: 12px; color: #b45309;';
+      warning.textContent = '⚠ Protected official addon - removing or disabling it can break Stremio';
+      info.appendChild(warning);
+    }
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.style.cssText = 'display: flex; align-items: center; gap: 4px; font-size: 12px; margin: 0;';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = addon.enabled;
+    enabledInput.disabled = !orderEditorCanDisable && addon.enabled;
+    enabledInput.addEventListener('change', () => {
+      addon.enabled = enabledInput.checked;
+      renderAddonOrder();
+    });
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(document.createTextNode('Enabled'));
+
+    row.appendChild(position);
+    row.appendChild(info);
+    row.appendChild(enabledLabel);
+    row.appendChild(createOrderButton('fa-arrow-up', 'Move up', () => moveOrderEditorAddon(index, index - 1)));
+    row.appendChild(createOrderButton('fa-arrow-down', 'Move down', () => moveOrderEditorAddon(index, index + 1)));
+    row.appendChild(createOrderButton('fa-trash', 'Remove', () => removeOrderEditorAddon(index)));
+    containerDiv.appendChild(row);
+  });
+}
+
+function moveOrderEditorAddon(from, to) {
+  if (to < 0 || to >= orderEditorAddons.length) return;
+  const [addon] = orderEditorAddons.splice(from, 1);
+  orderEditorAddons.splice(to, 0, addon);
+  renderAddonOrder();
+}
+
+function removeOrderEditorAddon(index) {
+  const addon = orderEditorAddons[index];
+  if (addon.protected && !confirm(`"${addon.name}" is a protected official addon. Removing it can break Stremio. Remove anyway?`)) {
+    return;
+  }
+  orderEditorAddons.splice(index, 1);
+  renderAddonOrder();
+}
+
+async function postCollectionSave(body) {
+  const response = await fetch(serverUrl + '/api/collection/save', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(withAuth(getOrderAuthToken(), body))
+  });
+  return response.json();
+}
+
+// Preview the new order (dry run) and save it once confirmed
+async function saveAddonOrder() {
+  const addons = orderEditorAddons.map(addon => ({ transportUrl: addon.transportUrl, enabled: addon.enabled }));
+  showOrderStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Checking your changes...');
+
+  try {
+    const preview = await postCollectionSave({ addons, dryRun: true });
+    if (!preview.success) {
+      showOrderStatus('error', '✖ ' + (preview.error || 'Failed to check changes'));
+      return;
+    }
+
+    document.getElementById('orderStatus').style.display = 'none';
+    showChangePreview(document.getElementById('orderPreview'), preview, () => applyAddonOrder(addons));
+  } catch (e) {
+    showOrderStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+async function applyAddonOrder(addons) {
+  showOrderStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Saving your addons...');
+
+  try {
+    const result = await postCollectionSave({ addons });
+    if (!result.success) {
+      showOrderStatus('error', '✖ ' + (result.error || 'Failed to save'));
+      return;
+    }
+
+    await loadAddonOrder();
+    showOrderStatus('success', '✔ ' + result.message);
+  } catch (e) {
+    showOrderStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+/**
+ * Addon Health Check Functions
+ */
+
+const HEALTH_STATUS_LABELS = {
+  ok: 'OK',
+  failed: 'Original addon not responding',
+  'id-changed': 'Original addon changed its ID',
+  unknown: 'Wrapper config could not be read'
+};
+
+const AUTO_HEAL_LABELS = {
+  off: 'report only',
+  rewrap: 're-wrap changed addons',
+  unwrap: 'unwrap changed addons'
+};
+
+function showHealthStatus(kind, html) {
+  const statusDiv = document.getElementById('healthStatus');
+  statusDiv.style.display = 'block';
+  statusDiv.style.background = HISTORY_STATUS_COLORS[kind][0];
+  statusDiv.style.border = '1px solid ' + HISTORY_STATUS_COLORS[kind][1];
+  statusDiv.innerHTML = html;
+}
+
+async function postHealthApi(path, body) {
+  const response = await fetch(serverUrl + '/api/health-checks' + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(withAuth(state.authToken, body))
+  });
+  return response.json();
+}
+
+// Load the health check registration and status history
+async function loadHealthStatus() {
+  const controls = document.getElementById('healthControls');
+  if (!hasAccountAccess(state.authToken)) return;
+
+  document.getElementById('healthLoggedOut').style.display = 'none';
+
+  try {
+    const result = await postHealthApi('', {});
+    if (!result.success) {
+      controls.style.display = 'none';
+      showHealthStatus('warning', '<i class="fa-solid fa-info-circle" style="margin-right:8px"></i>' + (result.error || 'Health checks are not available'));
+      return;
+    }
+
+    const registration = result.registration;
+    const registrationDiv = document.getElementById('healthRegistration');
+    if (registration) {
+      registrationDiv.textContent = `✓ Checks are on (${AUTO_HEAL_LABELS[registration.autoHeal]}) until ${new Date(registration.expiresAt).toLocaleString()}, when your login session ends.`;
+      document.getElementById('healthAutoHeal').value = registration.autoHeal;
+    } else {
+      registrationDiv.textContent = state.hasSession
+        ? 'Checks are off.'
+        : 'Checks are off. They run for login sessions, so log in above (email/password or auth token) to turn them on.';
+    }
+    document.getElementById('healthRegisterBtn').innerHTML = `<i class="fa-solid fa-play" style="margin-right:6px"></i>${registration ? 'Update' : 'Enable Checks'}`;
+    document.getElementById('healthRegisterBtn').disabled = !state.hasSession;
+    document.getElementById('healthRunBtn').style.display = registration ? 'inline-block' : 'none';
+    document.getElementById('healthUnregisterBtn').style.display = registration ? 'inline-block' : 'none';
+
+    renderHealthHistory(result.history);
+    controls.style.display = 'block';
+    document.getElementById('healthStatus').style.display = 'none';
+  } catch (e) {
+    showHealthStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+function renderHealthHistory(history) {
+  const historyDiv = document.getElementById('healthHistory');
+  historyDiv.innerHTML = '';
+
+  history.forEach(run => {
+    const card = document.createElement('div');
+    const healthy = run.failed === 0 && run.idChanged === 0;
+    card.style.cssText = `background: white; border: 1px solid ${healthy ? '#a7f3d0' : '#fca5a5'}; border-radius: 6px; padding: 10px 12px; font-size: 13px;`;
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'font-weight: 600; color: #064e3b;';
+    summary.textContent = `${new Date(run.checkedAt).toLocaleString()} - ${run.ok} OK, ${run.failed} not responding, ${run.idChanged} changed ID`;
+    card.appendChild(summary);
+
+    const problems = run.addons.filter(addon => addon.status !== 'ok');
+    if (problems.length > 0) {
+      const list = document.createElement('ul');
+      list.style.cssText = 'margin: 6px 0 0 18px; color: #7f1d1d;';
+      problems.forEach(addon => {
+        const details = addon.upstreams
+          .filter(upstream => upstream.status !== 'ok')
+          .map(upstream => upstream.status === 'failed' ? upstream.error : `${upstream.expectedId} → ${upstream.actualId}`);
+        if (addon.error) details.push(addon.error);
+
+        const item = document.createElement('li');
+        item.textContent = `${addon.name}: ${HEALTH_STATUS_LABELS[addon.status] || addon.status}` +
+          (details.length ? ` (${details.join('; ')})` : '') +
+          (addon.action ? ` - ${addon.action}` : '');
+        item.title = addon.transportUrl;
+        list.appendChild(item);
+      });
+      card.appendChild(list);
+    }
+
+    historyDiv.appendChild(card);
+  });
+}
+
+async function registerHealthChecks() {
+  const autoHeal = document.getElementById('healthAutoHeal').value;
+  try {
+    const result = await postHealthApi('/register', { autoHeal });
+    if (!result.success) {
+      showHealthStatus('error', '✖ ' + (result.error || 'Failed to enable health checks'));
+      return;
+    }
+    await loadHealthStatus();
+    showHealthStatus('success', '✔ Health checks are on.');
+  } catch (e) {
+    showHealthStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+async function unregisterHealthChecks() {
+  try {
+    const result = await postHealthApi('/unregister', {});
+    if (!result.success) {
+      showHealthStatus('error', '✖ ' + (result.error || 'Failed to stop health checks'));
+      return;
+    }
+    await loadHealthStatus();
+    showHealthStatus('success', '✔ Health checks are off.');
+  } catch (e) {
+    showHealthStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+async function runHealthCheckNow() {
+  showHealthStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Checking your wrapped addons...');
+  try {
+    const result = await postHealthApi('/run', {});
+    if (!result.success) {
+      showHealthStatus('error', '✖ ' + (result.error || 'Health check failed'));
+      return;
+    }
+    await loadHealthStatus();
+  } catch (e) {
+    showHealthStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+/**
+ * Collection History Functions
+ */
+
+// Labels of the actions stored with snapshots
+const SNAPSHOT_ACTION_LABELS = {
+  'replace-addon': 'Before auto-replace',
+  'replace-addons': 'Before batch replace',
+  'unwrap-addon': 'Before unwrapping an addon',
+  'emergency-restore': 'Before emergency restore',
+  'snapshot-restore': 'Before restoring from history',
+  'reorder-collection': 'Before saving the addon order',
+  'health-unwrap': 'Before auto-heal (unwrap)',
+  'health-rewrap': 'Before auto-heal (re-wrap)'
+};
+
+// Status message colors [background, border]
+const HISTORY_STATUS_COLORS = {
+  info: ['#f5f3ff', '#a78bfa'],
+  success: ['#d1fae5', '#10b981'],
+  warning: ['#fef3c7', '#fbbf24'],
+  error: ['#fee2e2', '#ef4444']
+};
+
+function showHistoryStatus(kind, html) {
+  const statusDiv = document.getElementById('historyStatus');
+  statusDiv.style.display = 'block';
+  statusDiv.style.background = HISTORY_STATUS_COLORS[kind][0];
+  statusDiv.style.border = '1px solid ' + HISTORY_STATUS_COLORS[kind][1];
+  statusDiv.innerHTML = html;
+}
+
+function getHistoryAuthToken() {
+  return document.getElementById('historyAuthToken').value.trim() || state.authToken;
+}
+
+function describeSnapshot(snapshot) {
+  const label = SNAPSHOT_ACTION_LABELS[snapshot.action] || snapshot.action;
+  return `${new Date(snapshot.createdAt).toLocaleString()} - ${label} (${snapshot.addonCount} addons)`;
+}
+
+async function postSnapshotApi(path, body) {
+  const response = await fetch(serverUrl + '/api/snapshots' + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(withAuth(getHistoryAuthToken(), body))
+  });
+  return response.json();
+}
+
+// Load the snapshots of the user's addon collection
+async function loadSnapshotHistory() {
+  const listDiv = document.getElementById('historyList');
+  const containerDiv = document.getElementById('historyContainer');
+
+  if (!hasAccountAccess(getHistoryAuthToken())) {
+    alert('Please enter your auth token or login first');
+    return;
+  }
+
+  showHistoryStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Loading your collection history...');
+  document.getElementById('historyDiff').style.display = 'none';
+
+  try {
+    const result = await postSnapshotApi('', {});
+
+    if (!result.success) {
+      showHistoryStatus('error', '✖ ' + (result.error || 'Failed to load history'));
+      return;
+    }
+
+    if (result.snapshots.length === 0) {
+      showHistoryStatus('warning', '<i class="fa-solid fa-info-circle" style="margin-right:8px"></i>No snapshots yet. One is saved every time this page changes your addons.');
+      listDiv.style.display = 'none';
+      return;
+    }
+
+    containerDiv.innerHTML = '';
+    result.snapshots.forEach(snapshot => {
+      const row = document.createElement('div');
+      row.style.cssText = 'background: white; border: 1px solid #ddd6fe; border-radius: 6px; padding: 10px 12px; display: flex; align-items: center; gap: 12px;';
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; font-size: 13px; color: #4c1d95;';
+      info.textContent = describeSnapshot(snapshot);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn';
+      restoreBtn.style.cssText = 'background: #7c3aed; color: white; padding: 6px 14px; font-size: 13px;';
+      restoreBtn.innerHTML = '<i class="fa-solid fa-rotate-left" style="margin-right: 6px;"></i>Restore';
+      restoreBtn.addEventListener('click', () => restoreSnapshot(snapshot));
+
+      row.appendChild(info);
+      row.appendChild(restoreBtn);
+      containerDiv.appendChild(row);
+    });
+
+    // Compare the newest snapshot with the current collection by default
+    ['historyDiffFrom', 'historyDiffTo'].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      select.innerHTML = '';
+      select.appendChild(new Option('Current collection', 'current'));
+      result.snapshots.forEach(snapshot => select.appendChild(new Option(describeSnapshot(snapshot), snapshot.id)));
+    });
+    document.getElementById('historyDiffFrom').value = result.snapshots[0].id;
+    document.getElementById('historyDiffTo').value = 'current';
+
+    listDiv.style.display = 'block';
+    showHistoryStatus('success', `✔ Found ${result.snapshots.length} snapshot(s).`);
+  } catch (e) {
+    showHistoryStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+// Compare the two selected points in time
+async function compareSnapshots() {
+  const from = document.getElementById('historyDiffFrom').value;
+  const to = document.getElementById('historyDiffTo').value;
+  const diffDiv = document.getElementById('historyDiff');
+
+  try {
+    const result = await postSnapshotApi('/diff', { from, to });
+    if (!result.success) {
+      showHistoryStatus('error', '✖ ' + (result.error || 'Failed to compare'));
+      return;
+    }
+
+    diffDiv.innerHTML = '';
+    renderCollectionDiff(diffDiv, result.diff);
+    diffDiv.style.display = 'block';
+  } catch (e) {
+    showHistoryStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
+// Restore the addon collection from a snapshot
+async function restoreSnapshot(snapshot) {
+  if (!confirm(`Restore your addons as they were on ${new Date(snapshot.createdAt).toLocaleString()}? Your current addons are saved to history first.`)) {
+    return;
+  }
+
+  showHistoryStatus('info', '<i class="fa-solid fa-spinner fa-spin" style="margin-right:8px"></i>Restoring your addons...');
+
+  try {
+    const result = await postSnapshotApi('/restore', { snapshotId: snapshot.id });
+    if (!result.success) {
+      showHistoryStatus('error', '✖ ' + (result.error || 'Failed to restore'));
+      return;
+    }
+
+    await loadSnapshotHistory();
+    showHistoryStatus('success', '✔ ' + result.message);
+  } catch (e) {
+    showHistoryStatus('error', '✖ Error: ' + e.message);
+  }
+}
+
 async function emergencyRestore() {
   const authToken = document.getElementById('emergencyAuthToken').value.trim();
   const statusDiv = document.getElementById('emergencyStatus');
-  if (!authToken) { alert('Please enter your auth token'); return; }
+  if (!hasAccountAccess(authToken)) { alert('Please enter your auth token'); return; }
   if (!confirm('This will reset your addons to just Cinemeta. Continue?')) { return; }
   statusDiv.style.display = 'block'; statusDiv.style.background = '#fff7ed'; statusDiv.style.border = '1px solid #fdba74'; statusDiv.innerHTML = 'Restoring your Stremio account...';
   try {
-    const response = await fetch(serverUrl + '/api/emergency-restore', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ authToken }) });
+    const response = await fetch(serverUrl + '/api/emergency-restore', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(withAuth(authToken)) });
     const result = await response.json();
     if (result.success) { statusDiv.style.background = '#d1fae5'; statusDiv.style.border = '1px solid #10b981'; statusDiv.innerHTML = '✔ ' + result.message; }
     else { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ ' + result.error; }
   } catch (e) { statusDiv.style.background = '#fee2e2'; statusDiv.style.border = '1px solid #ef4444'; statusDiv.innerHTML = '✖ Error: ' + e.message; }
 }
 
+// Restores the login session after a page reload
+async function restoreSession() {
+  try {
+    const response = await fetch(serverUrl + '/api/session');
+    const result = await response.json();
+    if (!result.authenticated) return;
+
+    applyLoginResult({ session: true, userId: result.userId });
+    await fetchAndDisplayAddons();
+    document.getElementById('loginStatus').style.display = 'block';
+  } catch (e) {
+    console.warn('Failed to restore session:', e);
+  }
+}
+
 // Initialize page
+// Pre-fill from the installed config when opened through Stremio's "Configure" button
+if (window.PREFILL_CONFIG) {
+  hydrateFromConfig(window.PREFILL_CONFIG);
+}
 renderAddonList();
+restoreSession();
@@ -3,6 +3,28 @@
  * All application-wide settings and defaults
  */
 
+/**
+ * Parses CONFIG_SECRETS ("keyId:secret,keyId:secret")
+ * The first key seals new configs; the others only open existing ones (key rotation).
+ * @param {string} value - Environment value
+ * @returns {Array<Object>} Keys [{id, secret}]
+ */
+function parseConfigSecrets(value) {
+  if (!value) return [];
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separatorIndex = entry.indexOf(':');
+      const id = entry.substring(0, separatorIndex);
+      const secret = entry.substring(separatorIndex + 1);
+      if (separatorIndex < 1 || !/^[A-Za-z0-9]{1,16}$/.test(id) || secret.length < 16) {
+        throw new Error('CONFIG_SECRETS entries must be "keyId:secret" (1-16 letter/digit ID, secret of 16+ characters)');
+      }
+      return { id, secret };
+    });
+}
+
 const config = {
   // Server configuration
   port: process.env.PORT || 7000,
@@ -14,6 +36,8 @@ const config = {
 
   // Ratings API configuration
   ratingsApiUrl: process.env.RATINGS_API_URL || 'http://localhost:3001',
+  // Shared with the ratings API, which only accepts users' own provider keys with it
+  userKeysSecret: process.env.USER_KEYS_SECRET || null,
 
   // Default addon settings
   defaults: {
@@ -37,7 +61,23 @@ const config = {
     ratingLocation: 'title', // 'title' | 'description' - where to inject ratings
 
     // Metadata provider for episode data (when wrapped addon doesn't provide meta)
-    metadataProvider: 'cinemeta' // 'cinemeta' | 'tmdb' | 'none'
+    metadataProvider: 'cinemeta', // 'cinemeta' | 'tmdb' | 'none'
+
+    // Consolidated rating weighting profile
+    consolidatedRating: {
+      // Relative weight per source (0 = ignored); MAL and audience scores are opt-in
+      weights: {
+        imdb: 1,
+        tmdb: 1,
+        rt: 1,
+        mc: 1,
+        mal: 0,
+        rtAudience: 0,
+        mcUser: 0
+      },
+      voteShrinkage: false, // Scale weights by votes / (votes + minVotes)
+      minVotes: 1000
+    }
   },
 
   // Metadata provider URLs
@@ -50,7 +90,12 @@ const config = {
   // Addon proxy settings
   proxy: {
     timeout: 20000, // 20 seconds (increased for slow TMDB addons)
-    retries: 3
+    retries: 3,
+    // Per-host circuit breaker: fail fast while an upstream addon is down
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5, // Consecutive failed requests before opening
+      openDurationMs: (parseInt(process.env.CIRCUIT_BREAKER_OPEN_SECONDS, 10) || 60) * 1000 // Time before a trial request
+    }
   },
 
   // Logging
@@ -78,14 +123,54 @@ const config = {
         popular: 6 * 60 * 60,      // 6 hours for popular/trending/top
         search: 1 * 60 * 60,        // 1 hour for search results
         userSpecific: 30 * 60,      // 30 minutes for user-specific catalogs
+        derived: 12 * 60 * 60,      // 12 hours for derived catalogs (several upstream pages each)
         default: 6 * 60 * 60        // 6 hours default
       },
       meta: 24 * 60 * 60,           // 24 hours for meta (episodes/seasons)
       manifest: 24 * 60 * 60,       // 24 hours for manifest
-      rawData: 24 * 60 * 60         // 24 hours for raw data (ratings, TMDB, OMDB, MAL, etc.)
+      rawData: 24 * 60 * 60,        // 24 hours for raw data (ratings, TMDB, OMDB, MAL, etc.)
+      poster: 24 * 60 * 60,         // 24 hours for rendered badge posters
+      lastKnownGood: 7 * 24 * 60 * 60 // 7 days for last successful upstream catalog/meta (served while a circuit is open)
     }
   },
 
+  // Config encryption: sealed configs can carry per-user API keys
+  configEncryption: {
+    keys: parseConfigSecrets(process.env.CONFIG_SECRETS)
+  },
+
+  // Server-side config store (short config IDs, editable without reinstalling)
+  configStore: {
+    enabled: !!process.env.REDIS_URL && process.env.CONFIG_STORE_ENABLED !== 'false' // Requires Redis
+  },
+
+  // Badge posters: links are signed so the poster route only fetches posters the wrapper linked to
+  posterBadge: {
+    signingSecret: process.env.POSTER_SIGNING_SECRET || null // Falls back to the CONFIG_SECRETS key
+  },
+
+  // Configure-page login sessions (the Stremio auth key stays on the server)
+  sessions: {
+    enabled: !!process.env.REDIS_URL && process.env.SESSIONS_ENABLED !== 'false', // Requires Redis
+    idleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT || String(30 * 60), 10), // 30 minutes
+    maxAge: parseInt(process.env.SESSION_MAX_AGE || String(12 * 60 * 60), 10) // 12 hours
+  },
+
+  // Background health checks of the wrapped addons of users who opt in on the configure page
+  healthChecks: {
+    enabled: !!process.env.REDIS_URL && process.env.HEALTH_CHECKS_ENABLED === 'true', // Opt-in; requires Redis and CONFIG_SECRETS
+    interval: parseInt(process.env.HEALTH_CHECK_INTERVAL || String(15 * 60), 10), // 15 minutes
+    historySize: 20, // Check runs kept per user
+    historyTtl: 7 * 24 * 60 * 60 // 7 days
+  },
+
+  // Addon collection snapshots, taken before every change the wrapper makes to a Stremio account
+  collectionSnapshots: {
+    enabled: !!process.env.REDIS_URL && process.env.COLLECTION_SNAPSHOTS_ENABLED !== 'false', // Requires Redis
+    maxPerUser: parseInt(process.env.COLLECTION_SNAPSHOTS_MAX || '20', 10),
+    ttl: parseInt(process.env.COLLECTION_SNAPSHOTS_TTL || String(30 * 24 * 60 * 60), 10) // 30 days
+  },
+
   // Rate limiting configuration
   // NOTE: Rate limiting is applied AFTER cache check (Cache → Rate Limit → Handler)
   // This means:
@@ -115,6 +200,17 @@ const config = {
         requestsPerSecond: parseInt(process.env.RATE_LIMIT_SEARCH_AUTHENTICATED_RPS || '5', 10),
         burst: parseInt(process.env.RATE_LIMIT_SEARCH_AUTHENTICATED_BURST || '10', 10)
       }
+    },
+    // Badge poster routes (a catalog page loads one poster per item)
+    poster: {
+      anonymous: {
+        requestsPerSecond: parseInt(process.env.RATE_LIMIT_POSTER_ANONYMOUS_RPS || '20', 10),
+        burst: parseInt(process.env.RATE_LIMIT_POSTER_ANONYMOUS_BURST || '100', 10)
+      },
+      authenticated: {
+        requestsPerSecond: parseInt(process.env.RATE_LIMIT_POSTER_AUTHENTICATED_RPS || '40', 10),
+        burst: parseInt(process.env.RATE_LIMIT_POSTER_AUTHENTICATED_BURST || '200', 10)
+      }
     }
   },
 
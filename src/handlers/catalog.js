@@ -6,6 +6,118 @@
 const logger = require('../utils/logger');
 const addonProxy = require('../services/addonProxy');
 const metadataEnhancer = require('../services/metadataEnhancer');
+const catalogFilterService = require('../services/catalogFilterService');
+const upstreamService = require('../services/upstreamService');
+const derivedCatalogService = require('../services/derivedCatalogService');
+
+/**
+ * Resolves the sort mode for a catalog request
+ * Explicit per-catalog entries ("type:catalogId") always apply; the default
+ * mode is skipped for search requests so relevance order is kept.
+ * @param {Object} config - User configuration
+ * @param {string} type - Content type
+ * @param {string} id - Catalog ID
+ * @param {Object} extra - Extra catalog parameters
+ * @returns {string} Sort mode ('none' when the catalog should keep upstream order)
+ */
+function getCatalogSortMode(config, type, id, extra = {}) {
+  const catalogSort = config.catalogSort;
+  if (!catalogSort) return 'none';
+
+  const explicit = catalogSort.catalogs && catalogSort.catalogs[`${type}:${id}`];
+  if (explicit) return explicit;
+
+  if (extra.search) return 'none';
+
+  return catalogSort.default || 'none';
+}
+
+/**
+ * Fetches one page of a catalog outside the sort window, in upstream order
+ * @param {Object} config - User configuration (wrappedAddonUrl set to the catalog's addon)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog ID in the upstream addon
+ * @param {Object} extra - Extra catalog parameters (skip, search, genre)
+ * @returns {Promise<Array<Object>>} Metas for the page
+ */
+async function fetchUpstreamPage(config, type, catalogId, extra) {
+  if (catalogFilterService.isEnabled(config, extra)) {
+    // Filtered catalogs pull extra upstream pages to fill short pages
+    return catalogFilterService.fetchFilteredPage(config, type, catalogId, extra);
+  }
+
+  const catalogResponse = await addonProxy.fetchCatalog(config.wrappedAddonUrl, type, catalogId, extra);
+  return catalogResponse.metas || [];
+}
+
+/**
+ * Fetches a page of a sorted catalog
+ * The first `catalogSort.windowPages` upstream pages (read through the raw
+ * catalog cache) are ranked together and sliced by `skip`; later pages keep
+ * the upstream order, so pagination never repeats or drops items.
+ * @param {Object} config - User configuration (wrappedAddonUrl set to the catalog's addon)
+ * @param {string} type - Content type
+ * @param {string} catalogId - Catalog ID in the upstream addon
+ * @param {Object} extra - Extra catalog parameters (skip, search, genre)
+ * @param {string} sortBy - Sort mode
+ * @returns {Promise<Array<Object>>} Metas for the requested page
+ */
+async function fetchSortedPage(config, type, catalogId, extra, sortBy) {
+  const targetSkip = parseInt(extra.skip, 10) || 0;
+  const baseExtra = { ...extra };
+  delete baseExtra.skip;
+
+  // Pull the window through the raw catalog cache
+  const windowMetas = [];
+  let pageSize = 0;
+  let exhausted = false;
+  for (let page = 0; page < config.catalogSort.windowPages; page++) {
+    const pageExtra = page > 0 ? { ...baseExtra, skip: String(windowMetas.length) } : baseExtra;
+    const catalogResponse = await addonProxy.fetchCatalog(config.wrappedAddonUrl, type, catalogId, pageExtra);
+    const pageMetas = catalogResponse.metas || [];
+
+    if (pageMetas.length === 0) {
+      exhausted = true;
+      break;
+    }
+    if (!pageSize) pageSize = pageMetas.length;
+    windowMetas.push(...pageMetas);
+  }
+
+  if (windowMetas.length === 0) return [];
+
+  let ranked = windowMetas;
+  if (catalogFilterService.isEnabled(config, extra)) {
+    ranked = await metadataEnhancer.filterCatalogMetas(ranked, {
+      ...config.catalogFilter,
+      region: config.descriptionFormat?.streamingRegion,
+      weighting: config.consolidatedRating,
+      apiKeys: config.apiKeys
+    });
+  }
+  ranked = await metadataEnhancer.sortCatalogMetas(ranked, sortBy, {
+    minVotes: config.catalogSort.weightedMinVotes,
+    region: config.descriptionFormat?.streamingRegion,
+    weighting: config.consolidatedRating,
+    apiKeys: config.apiKeys
+  });
+
+  // Pages past the window come straight from upstream (filtered offsets line up too)
+  if (targetSkip >= ranked.length) {
+    return exhausted ? [] : fetchUpstreamPage(config, type, catalogId, extra);
+  }
+
+  const metas = ranked.slice(targetSkip, targetSkip + pageSize);
+
+  // Fill the last window page with the first items after the window
+  if (metas.length < pageSize && !exhausted) {
+    const nextMetas = await fetchUpstreamPage(config, type, catalogId, { ...baseExtra, skip: String(ranked.length) });
+    metas.push(...nextMetas.slice(0, pageSize - metas.length));
+  }
+
+  logger.info(`Sorted catalog ${type}/${catalogId} skip=${targetSkip}: ${metas.length} items from a ${windowMetas.length} item window`);
+  return metas;
+}
 
 /**
  * Creates catalog handler function
@@ -19,16 +131,28 @@ function createCatalogHandler(config) {
 
       logger.info(`Handling catalog request: ${type}/${id}`, extra);
 
-      // Fetch catalog from wrapped addon
-      const catalogResponse = await addonProxy.fetchCatalog(
-        config.wrappedAddonUrl,
-        type,
-        id,
-        extra
-      );
+      // Derived catalogs are already filtered and ranked
+      if (derivedCatalogService.isDerivedCatalog(id)) {
+        const derivedMetas = await derivedCatalogService.fetchCatalog(config, type, id, extra);
+        const enhancedMetas = await metadataEnhancer.enhanceCatalogMetas(derivedMetas, config);
+
+        logger.info(`Derived catalog response: ${enhancedMetas.length} items`);
+        return { metas: enhancedMetas };
+      }
+
+      // Aggregated configs route namespaced catalog IDs to their upstream addon
+      const route = upstreamService.resolveCatalog(config, id);
+      if (!route) {
+        logger.warn(`No upstream addon for catalog ${type}/${id}`);
+        return { metas: [] };
+      }
+      const upstreamConfig = { ...config, wrappedAddonUrl: route.addonUrl };
 
-      // Extract metas
-      let metas = catalogResponse.metas || [];
+      // Re-sort by rating if configured for this catalog
+      const sortBy = getCatalogSortMode(config, type, id, extra);
+      const metas = sortBy !== 'none'
+        ? await fetchSortedPage(upstreamConfig, type, route.catalogId, extra, sortBy)
+        : await fetchUpstreamPage(upstreamConfig, type, route.catalogId, extra);
 
       if (metas.length === 0) {
         logger.info('Catalog is empty');
@@ -51,4 +175,4 @@ function createCatalogHandler(config) {
   };
 }
 
-module.exports = { createCatalogHandler };
+module.exports = { createCatalogHandler, fetchSortedPage };
@@ -5,35 +5,169 @@
 
 const logger = require('../utils/logger');
 const addonProxy = require('../services/addonProxy');
+const upstreamService = require('../services/upstreamService');
+const derivedCatalogService = require('../services/derivedCatalogService');
+const cacheKeys = require('../utils/cacheKeys');
 const appConfig = require('../config');
 
+// Resources proxied to the wrapped addon(s) unchanged (see routes/addon.js)
+const PASSTHROUGH_RESOURCES = ['stream', 'subtitles', 'addon_catalog'];
+
+// Upstream manifest fields copied to the wrapper manifest when present
+const OPTIONAL_FIELDS = ['background', 'logo', 'contactEmail', 'idPrefixes', 'addonCatalogs', 'config'];
+
+/**
+ * Merges the declarations of one resource across several upstream manifests
+ * A plain string from any upstream wins (it accepts everything); otherwise
+ * types and idPrefixes are unioned, and dropped if any upstream leaves them open.
+ * @param {string} name - Resource name
+ * @param {Array<string|Object>} declarations - Upstream declarations of the resource
+ * @returns {string|Object} Merged declaration
+ */
+function mergeResourceDeclarations(name, declarations) {
+  if (declarations.some(declaration => typeof declaration === 'string')) {
+    return name;
+  }
+
+  const merged = { name };
+  for (const field of ['types', 'idPrefixes']) {
+    if (declarations.every(declaration => Array.isArray(declaration[field]))) {
+      merged[field] = [...new Set(declarations.flatMap(declaration => declaration[field]))];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Gets the manifest ID of an aggregated install
+ * Stays the same when upstreams are edited, so Stremio keeps treating the install as
+ * one addon: stored configs use their config ID, URL configs their first upstream.
+ * @param {Object} config - User configuration with upstreams
+ * @param {string|null} configId - Config store ID the install was requested with
+ * @returns {string} Manifest ID
+ */
+function getAggregatedManifestId(config, configId) {
+  const source = configId ? { configId } : { url: config.upstreams[0].url };
+  return `ratings-wrapper.aggregate.${cacheKeys.generateConfigHash(source)}`;
+}
+
+/**
+ * Builds one manifest from all upstreams of an aggregated config
+ * Catalog IDs are namespaced per upstream; resource declarations are merged
+ * (passthrough requests fan out to the upstreams that declare them).
+ * @param {Object} config - User configuration with upstreams
+ * @param {string|null} configId - Config store ID the install was requested with
+ * @returns {Promise<Object>} Wrapper manifest
+ */
+async function buildAggregatedManifest(config, configId) {
+  const results = await Promise.allSettled(
+    config.upstreams.map(upstream => addonProxy.fetchManifest(upstream.url))
+  );
+
+  // Skip upstreams that are down rather than failing the whole install
+  const upstreamManifests = [];
+  results.forEach((result, index) => {
+    const upstream = config.upstreams[index];
+    if (result.status === 'fulfilled') {
+      upstreamManifests.push({ upstream, manifest: result.value });
+    } else {
+      logger.warn(`Skipping upstream ${upstream.key} in aggregated manifest: ${result.reason.message}`);
+    }
+  });
+
+  if (upstreamManifests.length === 0) {
+    throw new Error('None of the aggregated addons could be fetched');
+  }
+
+  const resources = [];
+  for (const name of ['catalog', 'meta', ...PASSTHROUGH_RESOURCES]) {
+    const declarations = upstreamManifests
+      .flatMap(({ manifest }) => manifest.resources)
+      .filter(resource => addonProxy.getResourceName(resource) === name);
+    if (declarations.length > 0) {
+      resources.push(mergeResourceDeclarations(name, declarations));
+    }
+  }
+
+  const catalogs = upstreamManifests.flatMap(({ upstream, manifest }) =>
+    (manifest.catalogs || []).map(catalog => ({
+      ...catalog,
+      id: upstreamService.namespaceCatalogId(upstream.key, catalog.id)
+    }))
+  ).concat(derivedCatalogService.getManifestCatalogs(config));
+
+  const types = [...new Set(upstreamManifests.flatMap(({ manifest }) => manifest.types || ['movie', 'series']))];
+  const names = upstreamManifests.map(({ manifest }) => manifest.name);
+  const primary = upstreamManifests[0].manifest;
+
+  const manifest = {
+    id: getAggregatedManifestId(config, configId),
+    name: config.addonName || `Ratings Wrapper (${upstreamManifests.length} addons)`,
+    description: `${names.join(', ')}. Enhanced metadata by Ratings Wrapper.`,
+    version: appConfig.defaults.version,
+    resources,
+    types,
+    catalogs,
+    behaviorHints: {
+      p2p: false,
+      configurable: true,
+      configurationRequired: false
+    }
+  };
+
+  // Top-level idPrefixes only hold if every upstream restricts them
+  if (upstreamManifests.every(({ manifest }) => Array.isArray(manifest.idPrefixes))) {
+    manifest.idPrefixes = [...new Set(upstreamManifests.flatMap(({ manifest }) => manifest.idPrefixes))];
+  }
+  if (primary.background) {
+    manifest.background = primary.background;
+  }
+  if (primary.logo) {
+    manifest.logo = primary.logo;
+  }
+
+  return manifest;
+}
+
 /**
  * Creates manifest handler function
  * @param {Object} config - User configuration from URL
+ * @param {Object} [options] - { configId } when the install uses a stored config
  * @returns {Function} Manifest handler function
  */
-function createManifestHandler(config) {
+function createManifestHandler(config, options = {}) {
   return async () => {
     try {
       logger.info('Handling manifest request');
 
+      if (upstreamService.isAggregated(config)) {
+        const aggregatedManifest = await buildAggregatedManifest(config, options.configId || null);
+
+        if (aggregatedManifest.catalogs.length === 0) {
+          throw new Error('Aggregated addons have no catalogs to proxy');
+        }
+
+        logger.info(`Aggregated manifest created: ${aggregatedManifest.name} (${aggregatedManifest.catalogs.length} catalogs)`);
+        return { manifest: aggregatedManifest };
+      }
+
       // Fetch the wrapped addon's manifest
       const wrappedManifest = await addonProxy.fetchManifest(config.wrappedAddonUrl);
 
       logger.debug('Wrapped addon resources:', wrappedManifest.resources);
 
       // Determine which resources we can support
-      const supportedResources = [];
-      if (wrappedManifest.resources.includes('catalog')) {
-        supportedResources.push('catalog');
-      }
-      // Only add meta if the wrapped addon actually has it
+      // Declarations are copied as-is (string or {name, types, idPrefixes}) so Stremio
+      // routes requests to the wrapper exactly as it did to the original addon.
+      // Meta is only declared if the wrapped addon actually has it
       // (Adding meta when wrapped addon doesn't have it causes conflicts with Cinemeta)
-      if (wrappedManifest.resources.includes('meta')) {
-        supportedResources.push('meta');
-      }
+      // Passthrough resources keep mixed addons (catalogs + streams) working after wrapping
+      const wrappableResources = ['catalog', 'meta', ...PASSTHROUGH_RESOURCES];
+      const supportedResources = wrappedManifest.resources.filter(resource =>
+        wrappableResources.includes(addonProxy.getResourceName(resource))
+      );
 
-      logger.info(`Wrapper will support resources: ${supportedResources.join(', ')}`);
+      logger.info(`Wrapper will support resources: ${supportedResources.map(r => addonProxy.getResourceName(r)).join(', ')}`);
 
       // Create our wrapper manifest based on the wrapped addon
       const wrapperManifest = {
@@ -46,19 +180,20 @@ function createManifestHandler(config) {
         version: appConfig.defaults.version,
         resources: supportedResources,
         types: wrappedManifest.types || ['movie', 'series'],
-        catalogs: wrappedManifest.catalogs || []
+        // Derived catalogs follow the upstream ones
+        catalogs: [
+          ...(wrappedManifest.catalogs || []),
+          ...derivedCatalogService.getManifestCatalogs(config)
+        ]
       };
 
       // Add optional fields only if they exist
-      if (wrappedManifest.background) {
-        wrapperManifest.background = wrappedManifest.background;
-      }
-      if (wrappedManifest.logo) {
-        wrapperManifest.logo = wrappedManifest.logo;
-      }
-      if (wrappedManifest.contactEmail) {
-        wrapperManifest.contactEmail = wrappedManifest.contactEmail;
-      }
+      // (catalogs are copied whole, so their extra/extraSupported/extraRequired survive too)
+      OPTIONAL_FIELDS.forEach(field => {
+        if (wrappedManifest[field]) {
+          wrapperManifest[field] = wrappedManifest[field];
+        }
+      });
 
       // Add behavior hints
       wrapperManifest.behaviorHints = {
@@ -86,4 +221,4 @@ function createManifestHandler(config) {
   };
 }
 
-module.exports = { createManifestHandler };
+module.exports = { createManifestHandler, PASSTHROUGH_RESOURCES };
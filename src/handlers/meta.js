@@ -2,11 +2,13 @@
  * Meta Handler
  * Handles meta requests - fetches from wrapped addon and enhances episodes with ratings
  * Falls back to Cinemeta if wrapped addon doesn't support meta
+ * Aggregated configs ask each upstream that declares the meta, in metaPriority order, until one answers
  */
 
 const logger = require('../utils/logger');
 const addonProxy = require('../services/addonProxy');
 const metadataEnhancer = require('../services/metadataEnhancer');
+const upstreamService = require('../services/upstreamService');
 const appConfig = require('../config');
 
 /**
@@ -21,61 +23,60 @@ function createMetaHandler(config) {
 
       logger.info(`Handling meta request: ${type}/${id}`);
 
-      // Try to fetch meta from wrapped addon first
-      try {
-        const metaResponse = await addonProxy.fetchMeta(
-          config.wrappedAddonUrl,
-          type,
-          id
-        );
+      // Try to fetch meta from the wrapped addon(s) first
+      const addonUrls = await upstreamService.getMetaAddonUrls(config, type, id);
+      for (const addonUrl of addonUrls) {
+        try {
+          const metaResponse = await addonProxy.fetchMeta(addonUrl, type, id);
 
-        // Extract meta object
-        let meta = metaResponse.meta;
+          // Extract meta object
+          let meta = metaResponse.meta;
 
-        if (meta) {
-          // Enhance the meta object (title and episodes)
-          const enhancedMeta = await metadataEnhancer.enhanceFullMeta(meta, config);
+          if (meta) {
+            // Enhance the meta object (title and episodes)
+            const enhancedMeta = await metadataEnhancer.enhanceFullMeta(meta, config);
 
-          logger.info(`Meta response enhanced from wrapped addon: ${enhancedMeta.name}`);
-          logger.info(`✅ Meta response sent with ${enhancedMeta.videos ? enhancedMeta.videos.length : 0} episodes`);
+            logger.info(`Meta response enhanced from wrapped addon: ${enhancedMeta.name}`);
+            logger.info(`✅ Meta response sent with ${enhancedMeta.videos ? enhancedMeta.videos.length : 0} episodes`);
 
-          return { meta: enhancedMeta };
+            return { meta: enhancedMeta };
+          }
+        } catch (error) {
+          // Expected failures (404, 500, invalid response) when addon doesn't support the ID format
+          const isExpectedFailure = error.message.includes('404') ||
+                                    error.message.includes('500') ||
+                                    (error.message.includes('Invalid') && error.message.includes('response'));
+          const logLevel = isExpectedFailure ? 'debug' : 'warn';
+          logger[logLevel](`Wrapped addon ${addonUrl} doesn't support meta ${type}/${id}: ${error.message}`);
         }
-      } catch (error) {
-        // Expected failures (404, 500, invalid response) when addon doesn't support the ID format
-        const isExpectedFailure = error.message.includes('404') ||
-                                  error.message.includes('500') ||
-                                  (error.message.includes('Invalid') && error.message.includes('response'));
-        const logLevel = isExpectedFailure ? 'debug' : 'warn';
-        logger[logLevel](`Wrapped addon doesn't support meta ${type}/${id}: ${error.message}`);
-
-        // ONLY fallback to Cinemeta if:
-        // 1. We're wrapping Cinemeta itself, OR
-        // 2. The wrapped addon explicitly failed AND the ID is IMDb format
-        const metadataProvider = config.metadataProvider || appConfig.defaults.metadataProvider;
-        const isCinemeta = config.wrappedAddonUrl && config.wrappedAddonUrl.includes('v3-cinemeta.strem.io');
-        const isImdbId = id.startsWith('tt');
-
-        // Only use Cinemeta fallback for IMDb IDs when wrapping Cinemeta
-        if (metadataProvider === 'cinemeta' && isCinemeta && isImdbId) {
-          logger.info('Falling back to Cinemeta for episode metadata');
-
-          try {
-            const cinemataResponse = await addonProxy.fetchMetaFromCinemeta(type, id);
-            let meta = cinemataResponse.meta;
-
-            if (meta) {
-              // Enhance the meta object with ratings
-              const enhancedMeta = await metadataEnhancer.enhanceFullMeta(meta, config);
-
-              logger.info(`Meta response enhanced from Cinemeta: ${enhancedMeta.name}`);
-              logger.info(`✅ Meta response sent with ${enhancedMeta.videos ? enhancedMeta.videos.length : 0} episodes`);
-
-              return { meta: enhancedMeta };
-            }
-          } catch (cinemataError) {
-            logger.error(`Cinemeta fallback failed: ${cinemataError.message}`);
+      }
+
+      // ONLY fallback to Cinemeta if:
+      // 1. We're wrapping Cinemeta itself, AND
+      // 2. The wrapped addon(s) failed AND the ID is IMDb format
+      const metadataProvider = config.metadataProvider || appConfig.defaults.metadataProvider;
+      const isCinemeta = upstreamService.getAddonUrls(config).some(url => url && url.includes('v3-cinemeta.strem.io'));
+      const isImdbId = id.startsWith('tt');
+
+      // Only use Cinemeta fallback for IMDb IDs when wrapping Cinemeta
+      if (metadataProvider === 'cinemeta' && isCinemeta && isImdbId) {
+        logger.info('Falling back to Cinemeta for episode metadata');
+
+        try {
+          const cinemataResponse = await addonProxy.fetchMetaFromCinemeta(type, id);
+          let meta = cinemataResponse.meta;
+
+          if (meta) {
+            // Enhance the meta object with ratings
+            const enhancedMeta = await metadataEnhancer.enhanceFullMeta(meta, config);
+
+            logger.info(`Meta response enhanced from Cinemeta: ${enhancedMeta.name}`);
+            logger.info(`✅ Meta response sent with ${enhancedMeta.videos ? enhancedMeta.videos.length : 0} episodes`);
+
+            return { meta: enhancedMeta };
           }
+        } catch (cinemataError) {
+          logger.error(`Cinemeta fallback failed: ${cinemataError.message}`);
         }
       }
 
@@ -9,10 +9,12 @@ const { spawn } = require('child_process');
 const logger = require('./utils/logger');
 const { requestLoggingMiddleware } = require('./utils/requestLogger');
 const kitsuMappingService = require('./services/kitsuMappingService');
+const healthCheckService = require('./services/healthCheckService');
 const config = require('./config');
 const corsMiddleware = require('./middleware/cors');
 const ratingsRouter = require('./routes/ratings');
 const apiRouter = require('./routes/api');
+const pagesRouter = require('./routes/pages');
 const addonRouter = require('./routes/addon');
 const monitoringRouter = require('./routes/monitoring');
 const adminRouter = require('./routes/admin');
@@ -39,6 +41,17 @@ if (process.env.LOG_FORMAT === 'json') {
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Share the rating template engine, locale formatting and config migrations with the configure page
+app.get('/js/templateEngine.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'templateEngine.js'));
+});
+app.get('/js/localeFormat.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'localeFormat.js'));
+});
+app.get('/js/configMigrations.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'utils', 'configMigrations.js'));
+});
+
 /**
  * Health check endpoint
  */
@@ -61,7 +74,7 @@ app.use('/', adminRouter);            // Admin routes (/admin/hotkeys, /admin/st
 app.use('/', webhookRouter);          // Webhook routes (/api/webhook/alerts)
 app.use('/ratings', ratingsRouter);   // Internal ratings API routes
 app.use('/api', apiRouter);           // API routes (auth, replace-addon, etc.)
-app.use('/', apiRouter);              // Configuration pages (/configure, /configure-old)
+app.use('/', pagesRouter);            // Configuration page (/configure)
 app.use('/', addonRouter);            // Addon routes (manifest, catalog, meta)
 
 /**
@@ -92,6 +105,11 @@ app.listen(PORT, async () => {
     logger.info('Redis caching is disabled');
   }
 
+  // Background health checks of registered users' wrapped addons (opt-in)
+  if (config.healthChecks.enabled) {
+    healthCheckService.start();
+  }
+
   // Load Kitsu → IMDb mappings in background
   try {
     await kitsuMappingService.loadMappings();
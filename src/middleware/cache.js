@@ -9,6 +9,10 @@ const cacheKeys = require('../utils/cacheKeys');
 const logger = require('../utils/logger');
 const config = require('../config');
 const metricsService = require('../services/metricsService');
+const addonProxy = require('../services/addonProxy');
+const upstreamService = require('../services/upstreamService');
+const catalogFilterService = require('../services/catalogFilterService');
+const derivedCatalogService = require('../services/derivedCatalogService');
 
 // Track in-flight background refreshes to prevent duplicate work
 const refreshInProgress = new Map();
@@ -17,11 +21,28 @@ const refreshInProgress = new Map();
 // Key: cache key, Value: Promise that resolves when the response is ready
 const inflightCacheMisses = new Map();
 
+/**
+ * Resolves the single upstream catalog page a catalog response is built from
+ * Derived and filtered catalogs combine several upstream pages, so they can't be revalidated.
+ * @param {Object} addonConfig - User configuration
+ * @param {string} id - Catalog ID
+ * @param {Object} extra - Extra catalog parameters
+ * @returns {{addonUrl: string, catalogId: string}|null} Upstream page or null
+ */
+function getUpstreamCatalogPage(addonConfig, id, extra) {
+  if (derivedCatalogService.isDerivedCatalog(id) || catalogFilterService.isEnabled(addonConfig, extra)) {
+    return null;
+  }
+  return upstreamService.resolveCatalog(addonConfig, id);
+}
+
 /**
  * Background refresh for catalog cache (non-blocking)
- * Fetches fresh data and updates cache without blocking the response
+ * Fetches fresh data and updates cache without blocking the response.
+ * Responses built from a single upstream page are revalidated first: if the
+ * upstream answers 304 the cached response is kept for another TTL without re-enhancing.
  */
-async function refreshCatalogInBackground(req, configParam, type, id, extra, cacheKey, ttl, staleTtl) {
+async function refreshCatalogInBackground(req, configParam, type, id, extra, cacheKey, ttl, staleTtl, cached) {
   // Prevent duplicate refresh for the same key
   if (refreshInProgress.has(cacheKey)) {
     logger.debug(`Background refresh already in progress for: ${cacheKey}`);
@@ -38,13 +59,33 @@ async function refreshCatalogInBackground(req, configParam, type, id, extra, cac
     const { createCatalogHandler } = require('../handlers/catalog');
 
     const addonConfig = parseConfigFromPath(configParam);
+    const upstreamPage = getUpstreamCatalogPage(addonConfig, id, extra);
+
+    if (upstreamPage && cached.validators) {
+      const notModified = await addonProxy.revalidateCatalog(
+        upstreamPage.addonUrl, type, upstreamPage.catalogId, extra, cached.validators
+      ).catch(error => {
+        logger.debug(`Catalog revalidation failed for ${type}/${id}: ${error.message}`);
+        return false;
+      });
+
+      if (notModified) {
+        await redisService.set(cacheKey, cached.data, ttl, { staleTtl, validators: cached.validators });
+        logger.info(`Background refresh for catalog ${type}/${id}: upstream not modified, TTL extended`);
+        return;
+      }
+    }
+
     const catalogHandler = createCatalogHandler(addonConfig);
 
     // Fetch fresh data
     const freshData = await catalogHandler({ type, id, extra });
 
     // Update cache with fresh data
-    await redisService.set(cacheKey, freshData, ttl, { staleTtl });
+    const validators = upstreamPage
+      ? await addonProxy.getCatalogValidators(upstreamPage.addonUrl, type, upstreamPage.catalogId, extra)
+      : null;
+    await redisService.set(cacheKey, freshData, ttl, { staleTtl, validators });
 
     logger.info(`Background refresh completed for catalog ${type}/${id}`);
   } catch (error) {
@@ -104,7 +145,7 @@ async function refreshManifestInBackground(req, configParam, cacheKey, ttl, stal
     const { createManifestHandler } = require('../handlers/manifest');
 
     const addonConfig = parseConfigFromPath(configParam);
-    const manifestHandler = createManifestHandler(addonConfig);
+    const manifestHandler = createManifestHandler(addonConfig, { configId: req.configId });
 
     const result = await manifestHandler();
     await redisService.set(cacheKey, result.manifest, ttl, { staleTtl });
@@ -172,7 +213,7 @@ async function catalogCacheMiddleware(req, res, next) {
         redisService.trackHotKey(cacheKey);
 
         // Trigger background refresh (non-blocking)
-        refreshCatalogInBackground(req, configParam, type, id, extra, cacheKey, ttl, staleTtl);
+        refreshCatalogInBackground(req, configParam, type, id, extra, cacheKey, ttl, staleTtl, cacheResult);
 
         return res.json(data);
       } else {
@@ -228,10 +269,17 @@ async function catalogCacheMiddleware(req, res, next) {
       // Track hot key
       redisService.trackHotKey(cacheKey);
 
-      // Cache the response asynchronously (don't wait)
-      redisService.set(cacheKey, data, ttl, { staleTtl }).catch(err => {
-        logger.warn('Failed to cache catalog response:', err.message);
-      });
+      // Cache the response asynchronously (don't wait), remembering the upstream
+      // validators it was built from for later revalidation
+      const upstreamPage = getUpstreamCatalogPage(addonConfig, id, extra);
+      const validatorsPromise = upstreamPage
+        ? addonProxy.getCatalogValidators(upstreamPage.addonUrl, type, upstreamPage.catalogId, extra)
+        : Promise.resolve(null);
+      validatorsPromise
+        .then(validators => redisService.set(cacheKey, data, ttl, { staleTtl, validators }))
+        .catch(err => {
+          logger.warn('Failed to cache catalog response:', err.message);
+        });
 
       // Resolve the in-flight promise so waiting requests can proceed
       resolveInflight(data);
@@ -434,7 +482,8 @@ async function manifestCacheMiddleware(req, res, next) {
 
     // Generate cache key
     const cacheKey = cacheKeys.generateManifestKey({
-      addonConfig
+      addonConfig,
+      configId: req.configId
     });
 
     const ttl = cacheKeys.getManifestTTL();
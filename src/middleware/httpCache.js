@@ -0,0 +1,87 @@
+/**
+ * HTTP cache headers middleware for addon endpoints
+ * Adds Cache-Control and an ETag to manifest, catalog and meta responses so Stremio
+ * clients and CDNs can keep them and revalidate with If-None-Match.
+ * Express answers 304 Not Modified itself when the request's If-None-Match matches
+ * the ETag set here (see res.send / req.fresh).
+ */
+
+const crypto = require('crypto');
+const cacheKeys = require('../utils/cacheKeys');
+const { parseConfigFromPath } = require('../utils/configParser');
+
+/**
+ * Gets the max-age for a response, matching the response cache TTLs
+ * @param {string} resource - manifest, catalog or meta
+ * @param {Object} req - Express request
+ * @param {Object} addonConfig - User configuration
+ * @returns {number} Max age in seconds
+ */
+function getMaxAge(resource, req, addonConfig) {
+  if (resource === 'catalog') {
+    return cacheKeys.getCatalogTTL(req.params.id, cacheKeys.isUserSpecificAddon(addonConfig));
+  }
+  if (resource === 'meta') {
+    return cacheKeys.getMetaTTL();
+  }
+  return cacheKeys.getManifestTTL();
+}
+
+/**
+ * Generates a strong ETag from the response body
+ * @param {Object} data - Response body
+ * @returns {string} Quoted ETag
+ */
+function generateETag(data) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(data))
+    .digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Creates the HTTP cache headers middleware for an addon resource
+ * Error responses are marked no-store so clients retry them.
+ *
+ * @param {string} resource - manifest, catalog or meta
+ * @returns {Function} Express middleware
+ */
+function httpCacheMiddleware(resource) {
+  return (req, res, next) => {
+    let cacheControl;
+
+    try {
+      const addonConfig = parseConfigFromPath(req.params.config);
+      const maxAge = getMaxAge(resource, req, addonConfig);
+
+      // User-specific addons (watchlists, ...) must not be kept by shared caches
+      const scope = cacheKeys.isUserSpecificAddon(addonConfig) ? 'private' : 'public';
+      // Stored configs (short config IDs) can be edited behind the same URL, so
+      // clients revalidate every time instead of keeping old settings for max-age
+      cacheControl = req.configId
+        ? `${scope}, no-cache`
+        : `${scope}, max-age=${maxAge}, stale-while-revalidate=${maxAge}`;
+    } catch (error) {
+      // Invalid config - the route handler answers with an error
+      return next();
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = function(data) {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        res.setHeader('Cache-Control', cacheControl);
+        res.setHeader('ETag', generateETag(data));
+      } else {
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      return originalJson(data);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  httpCacheMiddleware
+};
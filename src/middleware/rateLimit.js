@@ -61,6 +61,16 @@ function isSearchRoute(req) {
   return hasSearch;
 }
 
+/**
+ * Check if route is a badge poster route (own, larger limits)
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+function isPosterRoute(req) {
+  return /\/poster\/[^/]+\/[^/]+\.(png|svg)$/.test(req.path);
+}
+
 /**
  * Create rate limiting middleware with specific limits
  *
@@ -79,21 +89,25 @@ function createRateLimitMiddleware(limits) {
       // Determine tier and identifier
       const { tier, identifier } = determineRateLimitTier(req);
 
-      // Determine if this is a search route
+      // Determine if this is a search or poster route
       const isSearch = isSearchRoute(req);
+      const isPoster = !isSearch && limits.poster && isPosterRoute(req);
 
       // Select appropriate limit based on tier and route type
       let limit;
       if (isSearch) {
         // Use stricter search limits
         limit = limits.search[tier];
+      } else if (isPoster) {
+        // Posters come in bursts (one per catalog item), counted separately
+        limit = limits.poster[tier];
       } else {
         // Use standard limits
         limit = limits.standard[tier];
       }
 
       // Check rate limit
-      const result = await checkRateLimit(identifier, tier, limit);
+      const result = await checkRateLimit(identifier, isPoster ? `poster-${tier}` : tier, limit);
 
       // Add rate limit headers
       res.setHeader('X-RateLimit-Limit', limit.burst || limit.requests);
@@ -111,6 +125,7 @@ function createRateLimitMiddleware(limits) {
         const routeType = req.path.includes('/catalog/') ? 'catalog'
           : req.path.includes('/meta/') ? 'meta'
           : req.path.includes('/manifest.json') ? 'manifest'
+          : isPoster ? 'poster'
           : 'other';
 
         metricsService.recordRateLimit(routeType, tier);
@@ -168,6 +183,18 @@ function createStandardRateLimiter() {
         windowSeconds: 1,
         burst: config.rateLimit.search.authenticated.burst
       }
+    },
+    poster: {
+      anonymous: {
+        requests: config.rateLimit.poster.anonymous.requestsPerSecond,
+        windowSeconds: 1,
+        burst: config.rateLimit.poster.anonymous.burst
+      },
+      authenticated: {
+        requests: config.rateLimit.poster.authenticated.requestsPerSecond,
+        windowSeconds: 1,
+        burst: config.rateLimit.poster.authenticated.burst
+      }
     }
   };
 
@@ -0,0 +1,114 @@
+/**
+ * Session middleware for the /api routes
+ * Resolves the session cookie set by /api/login and /api/test-auth and fills in
+ * req.body.authToken, so routes work the same with a session or with the legacy
+ * token in the body (the token wins when both are sent).
+ */
+
+const appConfig = require('../config');
+const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+
+const SESSION_COOKIE = 'rw_session';
+
+/**
+ * Reads a cookie from the request (no cookie parser needed for one cookie)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value (null if missing or malformed)
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        // Malformed percent-encoding (e.g. "%E0%A4%A"): treat as no cookie
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Sets the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} sessionId - Session ID
+ */
+function setSessionCookie(req, res, sessionId) {
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'strict',
+    path: '/api',
+    maxAge: appConfig.sessions.maxAge * 1000
+  });
+}
+
+/**
+ * Clears the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/api' });
+}
+
+/**
+ * Gets the session ID sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Session ID
+ */
+function getSessionId(req) {
+  return getCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Resolves the session cookie into req.session and req.body.authToken
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ * @private
+ */
+async function applySession(req, res) {
+  const sessionId = getSessionId(req);
+  if (!sessionId || !sessionService.isAvailable()) return;
+
+  let session;
+  try {
+    session = await sessionService.resolve(sessionId);
+  } catch (error) {
+    logger.warn('Session lookup failed:', error.message);
+    return;
+  }
+
+  if (!session) {
+    clearSessionCookie(res);
+    return;
+  }
+
+  req.session = { auditId: session.auditId, userId: session.userId, expiresAt: session.expiresAt };
+  if (req.body && typeof req.body === 'object' && !req.body.authToken) {
+    req.body.authToken = session.authKey;
+    req.authTokenFromSession = true;
+  }
+  logger.info(`Session ${session.auditId}: ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+/**
+ * Session middleware
+ * Fails open: without Redis, or on lookup errors, the request goes on without a session.
+ * Unexpected errors go to Express, since a rejected async middleware would crash the process.
+ */
+function sessionMiddleware(req, res, next) {
+  applySession(req, res).then(() => next(), next);
+}
+
+module.exports = {
+  sessionMiddleware,
+  setSessionCookie,
+  clearSessionCookie,
+  getSessionId
+};
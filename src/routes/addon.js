@@ -1,15 +1,24 @@
 /**
  * Addon Routes
  * Handles Stremio addon endpoints: manifest, catalog, and meta
+ * Stream, subtitles and addon_catalog requests are proxied to the wrapped addon(s) unchanged
+ * Also serves badge posters referenced by enhanced metas
  */
 
 const express = require('express');
 const logger = require('../utils/logger');
-const { parseConfigFromPath } = require('../utils/configParser');
-const { createManifestHandler } = require('../handlers/manifest');
+const appConfig = require('../config');
+const { parseConfigFromPath, decodeConfig } = require('../utils/configParser');
+const configMigrations = require('../utils/configMigrations');
+const { generateConfigureHTML } = require('../views/configure');
+const { createManifestHandler, PASSTHROUGH_RESOURCES } = require('../handlers/manifest');
 const { createCatalogHandler } = require('../handlers/catalog');
 const { createMetaHandler } = require('../handlers/meta');
+const upstreamService = require('../services/upstreamService');
+const posterBadgeService = require('../services/posterBadgeService');
+const configStoreService = require('../services/configStoreService');
 const { catalogCacheMiddleware, metaCacheMiddleware, manifestCacheMiddleware } = require('../middleware/cache');
+const { httpCacheMiddleware } = require('../middleware/httpCache');
 const { createStandardRateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
@@ -17,28 +26,98 @@ const router = express.Router();
 // Create rate limiter instance (applied per-route after cache)
 const rateLimiter = createStandardRateLimiter();
 
+// Empty response per passthrough resource, returned when the wrapped addon fails
+const EMPTY_RESPONSES = {
+  stream: { streams: [] },
+  subtitles: { subtitles: [] },
+  addon_catalog: { addons: [] }
+};
+
+/**
+ * Parses extra parameters from a path segment (format: key=value&key2=value2)
+ * @param {string} [segment] - Extra path segment
+ * @returns {Object} Extra parameters
+ */
+function parseExtraPath(segment) {
+  const extra = {};
+  if (segment) {
+    segment.split('&').forEach(param => {
+      const [key, value] = param.split('=');
+      if (key && value) {
+        extra[key] = decodeURIComponent(value);
+      }
+    });
+  }
+  return extra;
+}
+
+/**
+ * Resolves short config IDs from the config store to the encoded config
+ * Runs before every route with a :config segment, so handlers and cache middleware
+ * work exactly as with long install URLs. Response cache keys hash the config
+ * content, so cached responses follow edits to the stored config.
+ */
+router.param('config', async (req, res, next, value) => {
+  if (!configStoreService.isConfigId(value)) {
+    return next();
+  }
+
+  try {
+    const encodedConfig = await configStoreService.resolve(value);
+    if (!encodedConfig) {
+      return res.status(404).json({ error: 'Unknown config ID' });
+    }
+
+    req.configId = value;
+    req.params.config = encodedConfig;
+    next();
+  } catch (error) {
+    logger.error(`Failed to resolve config ID ${value}:`, error.message);
+    res.status(503).json({ error: error.message });
+  }
+});
+
 /**
- * Configure endpoint - redirects to main configuration page
- * Handles Stremio's configurable: true behavior hint
- * When users click "Configure" button in Stremio, this redirects them to the wrapper's config page
+ * Configure endpoint - opens the configuration page pre-filled with this install's settings
+ * Handles Stremio's configurable: true behavior hint ("Configure" button in Stremio)
+ * API keys of encrypted configs are not sent back to the page; users enter them again.
+ * Invalid configs fall back to the blank configuration page.
  */
 router.get('/:config/configure', (req, res) => {
-  logger.info('Configure button clicked from Stremio, redirecting to main config page');
-  res.redirect('/configure');
+  let prefill;
+  try {
+    const { apiKeys, ...userConfig } = parseConfigFromPath(req.params.config);
+    const { fromVersion, applied } = configMigrations.migrateConfig(decodeConfig(req.params.config));
+
+    prefill = {
+      config: userConfig,
+      hasApiKeys: !!apiKeys,
+      upgrade: applied.length > 0 ? { fromVersion, applied } : null
+    };
+  } catch (error) {
+    logger.warn(`Configure button with an unreadable config, opening blank config page: ${error.message}`);
+    return res.redirect('/configure');
+  }
+
+  logger.info('Configure button clicked from Stremio, opening pre-filled config page');
+  const host = req.get('host') || `localhost:${appConfig.port}`;
+  // The page embeds the config - keep it out of shared caches
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(generateConfigureHTML(req.protocol, host, prefill));
 });
 
 /**
  * Main addon endpoint - Manifest
- * Middleware order: Cache → Rate Limit → Handler
+ * Middleware order: HTTP Cache Headers → Cache → Rate Limit → Handler
  * Cached responses bypass rate limiting
  */
-router.get('/:config/manifest.json', manifestCacheMiddleware, rateLimiter, async (req, res) => {
+router.get('/:config/manifest.json', httpCacheMiddleware('manifest'), manifestCacheMiddleware, rateLimiter, async (req, res) => {
   try {
     logger.info(`Manifest request received from ${req.ip}`);
     const userConfig = parseConfigFromPath(req.params.config);
 
     // Call the manifest handler directly
-    const manifestHandler = createManifestHandler(userConfig);
+    const manifestHandler = createManifestHandler(userConfig, { configId: req.configId });
     const result = await manifestHandler();
 
     logger.info('Manifest generated successfully:', JSON.stringify(result.manifest).substring(0, 200));
@@ -47,29 +126,22 @@ router.get('/:config/manifest.json', manifestCacheMiddleware, rateLimiter, async
 
   } catch (error) {
     logger.error('Error serving manifest:', error.message, error.stack);
-    res.status(400).json({ error: error.message });
+    // field names the invalid setting for config errors (ConfigValidationError)
+    res.status(400).json({ error: error.message, field: error.path });
   }
 });
 
 /**
  * Catalog endpoint - with extra parameters
- * Middleware order: Cache → Rate Limit → Handler
+ * Middleware order: HTTP Cache Headers → Cache → Rate Limit → Handler
  */
-router.get('/:config/catalog/:type/:id/:extra.json', catalogCacheMiddleware, rateLimiter, async (req, res) => {
+router.get('/:config/catalog/:type/:id/:extra.json', httpCacheMiddleware('catalog'), catalogCacheMiddleware, rateLimiter, async (req, res) => {
   try {
     const userConfig = parseConfigFromPath(req.params.config);
     const { type, id } = req.params;
 
     // Parse extra parameters from path (format: key=value&key2=value2)
-    const extra = {};
-    if (req.params.extra) {
-      req.params.extra.split('&').forEach(param => {
-        const [key, value] = param.split('=');
-        if (key && value) {
-          extra[key] = decodeURIComponent(value);
-        }
-      });
-    }
+    const extra = parseExtraPath(req.params.extra);
 
     logger.info(`Catalog request: ${type}/${id} with extra:`, JSON.stringify(extra));
 
@@ -87,9 +159,9 @@ router.get('/:config/catalog/:type/:id/:extra.json', catalogCacheMiddleware, rat
 
 /**
  * Catalog endpoint - without extra parameters
- * Middleware order: Cache → Rate Limit → Handler
+ * Middleware order: HTTP Cache Headers → Cache → Rate Limit → Handler
  */
-router.get('/:config/catalog/:type/:id.json', catalogCacheMiddleware, rateLimiter, async (req, res) => {
+router.get('/:config/catalog/:type/:id.json', httpCacheMiddleware('catalog'), catalogCacheMiddleware, rateLimiter, async (req, res) => {
   try {
     const userConfig = parseConfigFromPath(req.params.config);
     const { type, id } = req.params;
@@ -113,9 +185,9 @@ router.get('/:config/catalog/:type/:id.json', catalogCacheMiddleware, rateLimite
 
 /**
  * Meta endpoint
- * Middleware order: Cache → Rate Limit → Handler
+ * Middleware order: HTTP Cache Headers → Cache → Rate Limit → Handler
  */
-router.get('/:config/meta/:type/:id.json', metaCacheMiddleware, rateLimiter, async (req, res) => {
+router.get('/:config/meta/:type/:id.json', httpCacheMiddleware('meta'), metaCacheMiddleware, rateLimiter, async (req, res) => {
   try {
     logger.info(`🔍 META REQUEST from ${req.ip} - ${req.params.type}/${req.params.id}`);
     logger.info(`User-Agent: ${req.headers['user-agent']}`);
@@ -137,4 +209,86 @@ router.get('/:config/meta/:type/:id.json', metaCacheMiddleware, rateLimiter, asy
   }
 });
 
+/**
+ * Passthrough endpoints - stream, subtitles and addon_catalog
+ * Forwarded to the wrapped addon (aggregated configs: every upstream declaring the
+ * resource, lists merged) and returned unchanged; only catalog and meta
+ * responses are enhanced. Not cached here - stream links can be per-user.
+ * Middleware order: Rate Limit → Handler
+ */
+const passthroughPaths = [
+  `/:config/:resource(${PASSTHROUGH_RESOURCES.join('|')})/:type/:id/:extra.json`,
+  `/:config/:resource(${PASSTHROUGH_RESOURCES.join('|')})/:type/:id.json`
+];
+
+router.get(passthroughPaths, rateLimiter, async (req, res) => {
+  const { resource, type, id } = req.params;
+
+  try {
+    const userConfig = parseConfigFromPath(req.params.config);
+    const extra = parseExtraPath(req.params.extra);
+
+    logger.info(`Passthrough ${resource} request: ${type}/${id}`);
+
+    const result = await upstreamService.fetchResource(userConfig, resource, type, id, extra);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`Error serving ${resource}:`, error.message);
+    res.status(500).json(EMPTY_RESPONSES[resource]);
+  }
+});
+
+/**
+ * Poster endpoint - original poster with rating badges drawn on top
+ * Badge values come from the query string (written by the metadata enhancer),
+ * the layout from the encoded config. Only signed links are served, as PNG or SVG.
+ * Rate limited with the poster limits: a single catalog page references one poster per item.
+ */
+router.get('/:config/poster/:type/:file', rateLimiter, async (req, res) => {
+  try {
+    // Content IDs may contain dots, so only the last extension is the format
+    const fileMatch = /^(.+)\.(png|svg)$/.exec(req.params.file);
+    if (!fileMatch) {
+      return res.status(404).json({ error: 'Posters are served as .png or .svg' });
+    }
+    const [, id, format] = fileMatch;
+
+    const userConfig = parseConfigFromPath(req.params.config);
+    const { posterBadge } = userConfig;
+
+    if (!posterBadge.enabled) {
+      return res.status(400).json({ error: 'Poster badges are not enabled in this configuration' });
+    }
+
+    const posterUrl = typeof req.query.url === 'string' ? req.query.url : '';
+    if (!posterUrl) {
+      return res.status(400).json({ error: 'Poster url is required' });
+    }
+
+    const badge = posterBadgeService.getBadgeContent(req.query, posterBadge.sources);
+    if (!badge || !posterBadgeService.verifyPoster(posterUrl, badge, req.query.sig)) {
+      return res.status(403).json({ error: 'Invalid poster signature' });
+    }
+
+    logger.debug(`Poster request: ${req.params.type}/${id} (${format})`);
+
+    const { body, contentType, fallback } = await posterBadgeService.getPoster(posterUrl, badge, posterBadge, format);
+
+    res.setHeader('Content-Type', contentType);
+    // The SVG only embeds a data: image; nothing in it may load or run anything else
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // Fallbacks (original poster unavailable) shouldn't stick in client caches
+    res.setHeader('Cache-Control', fallback ? 'no-store' : 'public, max-age=86400');
+    res.send(body);
+
+  } catch (error) {
+    logger.error('Error serving poster:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
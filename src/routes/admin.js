@@ -11,6 +11,7 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const { generateObservabilityHTML } = require('../views/observability');
 const metricsService = require('../services/metricsService');
+const circuitBreakerService = require('../services/circuitBreakerService');
 const fs = require('fs').promises;
 const path = require('path');
 const adminAuth = require('../middleware/adminAuth');
@@ -129,6 +130,14 @@ router.get('/admin/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/circuits
+ * Returns the upstream circuit breakers with their hosts and last errors
+ */
+router.get('/admin/circuits', (req, res) => {
+  res.json({ circuits: circuitBreakerService.getStates() });
+});
+
 /**
  * GET /admin/observability
  * Serves the observability dashboard HTML page
@@ -7,20 +7,83 @@ const express = require('express');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const stremioApi = require('../services/stremioApi');
-const { parseConfigFromPath } = require('../utils/configParser');
-const { generateConfigureHTML } = require('../views/configure');
+const { encodeConfig, validateConfig, canSealConfigs } = require('../utils/configParser');
+const { PASSTHROUGH_RESOURCES } = require('../handlers/manifest');
 const config = require('../config');
+const configStoreService = require('../services/configStoreService');
+const collectionSnapshotService = require('../services/collectionSnapshotService');
+const { createStandardRateLimiter } = require('../middleware/rateLimit');
+const sessionService = require('../services/sessionService');
+const healthCheckService = require('../services/healthCheckService');
+const upstreamService = require('../services/upstreamService');
+const { sessionMiddleware, setSessionCookie, clearSessionCookie, getSessionId } = require('../middleware/session');
 
 const router = express.Router();
 
+// Session cookie -> req.body.authToken (routes still accept the token in the body)
+// The router is only mounted at /api, so other routes never touch sessions
+router.use(sessionMiddleware);
+
+// Rate limiter for config store writes
+const rateLimiter = createStandardRateLimiter();
+
 /**
- * Configuration pages
+ * Starts a session for a verified auth key and sets the session cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} authKey - Stremio auth key
+ * @returns {Promise<boolean>} True if a session was started
  */
-router.get('/configure', (req, res) => {
-  const host = req.get('host') || `localhost:${config.port}`;
-  const protocol = req.protocol;
-  res.send(generateConfigureHTML(protocol, host));
-});
+async function startSession(req, res, authKey) {
+  if (!sessionService.isAvailable()) return false;
+
+  try {
+    // Logging in again replaces the browser's previous session
+    const previousSessionId = getSessionId(req);
+    if (previousSessionId) {
+      await sessionService.destroy(previousSessionId);
+    }
+
+    const { sessionId } = await sessionService.create(authKey);
+    setSessionCookie(req, res, sessionId);
+    return true;
+  } catch (error) {
+    logger.warn('Could not start session:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Extracts the original addon URL(s) from a wrapped install URL
+ * @param {string} wrappedUrl - Wrapped addon manifest URL (encoded config or config ID)
+ * @returns {Promise<Array<string>|null>} Original URLs (all upstreams when aggregated), or null
+ */
+async function extractOriginalUrls(wrappedUrl) {
+  try {
+    const match = wrappedUrl.match(/\/([A-Za-z0-9_-]+)\/manifest\.json$/);
+    if (!match) return null;
+
+    const decodedConfig = await configStoreService.parseInstallConfig(match[1]);
+    return decodedConfig.wrappedAddonUrl ? upstreamService.getAddonUrls(decodedConfig) : null;
+  } catch (e) {
+    logger.debug(`Failed to extract original URL from ${wrappedUrl}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Sends the error of a stored-data request with a matching status code
+ * 503 when the store behind it is unavailable, 403 for a wrong owner secret, else 400.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @param {string} label - What was requested (for the log)
+ */
+function sendRequestError(res, error, label) {
+  const status = error.storeUnavailable ? 503 : error.forbidden ? 403 : 400;
+  logger.warn(`${label} request failed:`, error.message);
+  // field is set for invalid config settings (ConfigValidationError)
+  res.status(status).json({ success: false, error: error.message, field: error.path });
+}
 
 /**
  * API: Get current addon collection (for debugging)
@@ -100,21 +163,6 @@ router.post('/emergency-restore', async (req, res) => {
       return false;
     }
 
-    // Helper to extract original addon URL from wrapped config
-    function extractOriginalUrl(wrappedUrl) {
-      try {
-        const match = wrappedUrl.match(/\/([A-Za-z0-9_-]+)\/manifest\.json$/);
-        if (!match) return null;
-
-        const encodedConfig = match[1];
-        const decodedConfig = parseConfigFromPath(encodedConfig);
-        return decodedConfig.wrappedAddonUrl || null;
-      } catch (e) {
-        logger.debug(`Failed to extract original URL from ${wrappedUrl}:`, e.message);
-        return null;
-      }
-    }
-
     // Helper to check if addon is AIO Metadata or similar full metadata addon
     function isFullMetadataAddon(url) {
       const urlLower = url.toLowerCase();
@@ -129,56 +177,43 @@ router.post('/emergency-restore', async (req, res) => {
       const url = addon.transportUrl || '';
 
       if (isWrappedAddon(addon)) {
-        // Extract original addon URL
-        const originalUrl = extractOriginalUrl(url);
-
-        if (originalUrl) {
-          // Check if it's a wrapped full metadata addon (remove it entirely)
-          if (isFullMetadataAddon(originalUrl)) {
-            logger.info(`Removing wrapped full metadata addon: ${addon.manifest?.name}`);
-            removedCount++;
-            continue; // Skip adding to restoredAddons
-          }
-
-          // Restore the original unwrapped addon
-          logger.info(`Unwrapping: ${addon.manifest?.name} -> ${originalUrl}`);
+        // Extract original addon URL(s) - aggregated installs restore each of their upstreams
+        const originalUrls = await extractOriginalUrls(url);
+
+        if (originalUrls) {
+          const originals = [];
+          let failed = false;
+
+          for (const originalUrl of originalUrls) {
+            // Check if it's a wrapped full metadata addon (remove it entirely)
+            if (isFullMetadataAddon(originalUrl)) {
+              logger.info(`Removing wrapped full metadata addon: ${addon.manifest?.name} (${originalUrl})`);
+              removedCount++;
+              continue; // Skip adding to restoredAddons
+            }
 
-          // Fetch the original manifest
-          const https = require('https');
-          const http = require('http');
+            // Restore the original unwrapped addon
+            logger.info(`Unwrapping: ${addon.manifest?.name} -> ${originalUrl}`);
 
-          try {
-            const manifestData = await new Promise((resolve, reject) => {
-              const protocol = originalUrl.startsWith('https') ? https : http;
-              const timeout = setTimeout(() => reject(new Error('Timeout')), 5000);
-
-              protocol.get(originalUrl, (resp) => {
-                let data = '';
-                resp.on('data', chunk => data += chunk);
-                resp.on('end', () => {
-                  clearTimeout(timeout);
-                  try {
-                    resolve(JSON.parse(data));
-                  } catch (e) {
-                    reject(new Error('Invalid JSON'));
-                  }
-                });
-              }).on('error', (err) => {
-                clearTimeout(timeout);
-                reject(err);
+            try {
+              const manifestData = await stremioApi.fetchAddonManifest(originalUrl);
+              originals.push({
+                transportUrl: originalUrl,
+                transportName: 'http',
+                manifest: manifestData
               });
-            });
-
-            restoredAddons.push({
-              transportUrl: originalUrl,
-              transportName: 'http',
-              manifest: manifestData
-            });
+            } catch (e) {
+              logger.warn(`Failed to fetch original manifest for ${originalUrl}, keeping wrapped version:`, e.message);
+              failed = true;
+              break;
+            }
+          }
 
-            unwrappedCount++;
-          } catch (e) {
-            logger.warn(`Failed to fetch original manifest for ${originalUrl}, keeping wrapped version:`, e.message);
+          if (failed) {
             restoredAddons.push(addon);
+          } else if (originals.length > 0) {
+            restoredAddons.push(...originals);
+            unwrappedCount++;
           }
         } else {
           // Couldn't extract original URL, keep the wrapped version
@@ -211,7 +246,7 @@ router.post('/emergency-restore', async (req, res) => {
     });
 
     logger.info(`Emergency restore summary: ${unwrappedCount} unwrapped, ${removedCount} removed (full metadata addons), ${restoredAddons.length} total`);
-    await stremioApi.setAddonCollection(authToken, restoredAddons);
+    await stremioApi.setAddonCollection(authToken, restoredAddons, 'emergency-restore', addons);
 
     res.json({
       success: true,
@@ -247,106 +282,34 @@ router.post('/unwrap-addon', async (req, res) => {
 
     logger.info(`Unwrapping individual addon: ${wrappedUrl}`);
 
-    // Helper to extract original addon URL from wrapped config
-    function extractOriginalUrl(wrappedUrl) {
-      try {
-        const match = wrappedUrl.match(/\/([A-Za-z0-9_-]+)\/manifest\.json$/);
-        if (!match) return null;
+    // Extract original URL(s)
+    const originalUrls = await extractOriginalUrls(wrappedUrl);
 
-        const encodedConfig = match[1];
-        const decodedConfig = parseConfigFromPath(encodedConfig);
-        return decodedConfig.wrappedAddonUrl || null;
-      } catch (e) {
-        logger.debug(`Failed to extract original URL from ${wrappedUrl}:`, e.message);
-        return null;
-      }
-    }
-
-    // Extract original URL
-    const originalUrl = extractOriginalUrl(wrappedUrl);
-
-    if (!originalUrl) {
+    if (!originalUrls) {
       return res.json({
         success: false,
         error: 'Could not extract original addon URL from wrapped config'
       });
     }
 
-    logger.info(`Extracted original URL: ${originalUrl}`);
-
-    // Get current addon collection
-    let addons = await stremioApi.getAddonCollection(authToken);
-    logger.info(`Retrieved ${addons.length} addons from account`);
-
-    // Find the wrapped addon in the collection
-    const wrappedAddonIndex = addons.findIndex(addon => {
-      const url = addon.transportUrl || '';
-      return url === wrappedUrl;
-    });
+    logger.info(`Extracted original URL(s): ${originalUrls.join(', ')}`);
 
-    if (wrappedAddonIndex === -1) {
-      return res.json({
-        success: false,
-        error: 'Wrapped addon not found in your addon collection'
-      });
+    // Replace the wrapped addon with the original(s) (preserve position)
+    const result = await stremioApi.replaceCollectionEntry(authToken, wrappedUrl, originalUrls, 'unwrap-addon');
+    if (!result.success) {
+      return res.json(result);
     }
 
-    const wrappedAddon = addons[wrappedAddonIndex];
-    logger.info(`Found wrapped addon at index ${wrappedAddonIndex}: ${wrappedAddon.manifest?.name}`);
-
-    // Fetch the original manifest
-    const https = require('https');
-    const http = require('http');
-
-    try {
-      const manifestData = await new Promise((resolve, reject) => {
-        const protocol = originalUrl.startsWith('https') ? https : http;
-        const timeout = setTimeout(() => reject(new Error('Timeout fetching original manifest')), 5000);
-
-        protocol.get(originalUrl, (resp) => {
-          let data = '';
-          resp.on('data', chunk => data += chunk);
-          resp.on('end', () => {
-            clearTimeout(timeout);
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error('Invalid JSON from original manifest'));
-            }
-          });
-        }).on('error', (err) => {
-          clearTimeout(timeout);
-          reject(err);
-        });
-      });
-
-      // Replace the wrapped addon with the original (preserve position)
-      addons[wrappedAddonIndex] = {
-        transportUrl: originalUrl,
-        transportName: 'http',
-        manifest: manifestData
-      };
-
-      logger.info(`Replaced wrapped addon with original at index ${wrappedAddonIndex}`);
-
-      // Update addon collection
-      await stremioApi.setAddonCollection(authToken, addons);
-
-      res.json({
-        success: true,
-        message: `Successfully unwrapped "${wrappedAddon.manifest?.name}" and restored original addon. Restart Stremio to see changes.`,
-        originalUrl: originalUrl,
-        originalName: manifestData.name || 'Unknown',
-        totalAddons: addons.length
-      });
-
-    } catch (error) {
-      logger.error('Failed to fetch original manifest:', error.message);
-      return res.json({
-        success: false,
-        error: `Failed to fetch original manifest: ${error.message}`
-      });
-    }
+    res.json({
+      success: true,
+      message: originalUrls.length > 1
+        ? `Successfully unwrapped "${result.previousName}" and restored its ${originalUrls.length} original addons. Restart Stremio to see changes.`
+        : `Successfully unwrapped "${result.previousName}" and restored original addon. Restart Stremio to see changes.`,
+      originalUrl: originalUrls[0],
+      originalUrls,
+      originalName: result.manifest.name || 'Unknown',
+      totalAddons: result.totalAddons
+    });
 
   } catch (error) {
     logger.error('Unwrap addon failed:', error.message);
@@ -379,10 +342,14 @@ router.post('/login', async (req, res) => {
 
     if (response.data && response.data.result && response.data.result.authKey) {
       const authKey = response.data.result.authKey;
+      const session = await startSession(req, res, authKey);
 
+      // With a session the auth key stays on the server
       res.json({
         success: true,
-        authKey: authKey,
+        ...(session ? {} : { authKey }),
+        session,
+        userId: sessionService.getUserId(authKey),
         message: 'Login successful!'
       });
     } else {
@@ -424,10 +391,15 @@ router.post('/test-auth', async (req, res) => {
 
     const addons = await stremioApi.getAddonCollection(authToken);
 
+    // A valid pasted token starts a session (or replaces the current one)
+    const session = req.authTokenFromSession ? true : await startSession(req, res, authToken);
+
     res.json({
       success: true,
       message: 'Auth token is valid!',
-      addonCount: addons.length
+      addonCount: addons.length,
+      session,
+      userId: sessionService.getUserId(authToken)
     });
 
   } catch (error) {
@@ -439,6 +411,40 @@ router.post('/test-auth', async (req, res) => {
   }
 });
 
+/**
+ * API: Get the current session (whether the browser is logged in)
+ */
+router.get('/session', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    authenticated: !!req.session,
+    userId: req.session?.userId || null,
+    expiresAt: req.session?.expiresAt || null
+  });
+});
+
+/**
+ * API: End the current session
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const sessionId = getSessionId(req);
+    if (sessionId && sessionService.isAvailable()) {
+      await sessionService.destroy(sessionId);
+    }
+    // Health checks run for login sessions, so they end with it
+    if (req.session && healthCheckService.isAvailable()) {
+      await healthCheckService.unregister(req.session.userId);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    logger.error('Logout failed:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
 /**
  * API: Fetch an addon manifest from a URL (used by multi-config UI)
  */
@@ -449,27 +455,7 @@ router.post('/fetch-manifest', async (req, res) => {
       return res.status(400).json({ success: false, error: 'url required' });
     }
 
-    const https = require('https');
-    const http = require('http');
-    const client = url.startsWith('https') ? https : http;
-
-    const data = await new Promise((resolve, reject) => {
-      const req2 = client.get(url, (resp) => {
-        let body = '';
-        resp.on('data', (chunk) => body += chunk);
-        resp.on('end', () => resolve(body));
-      });
-      req2.on('error', reject);
-      req2.setTimeout(8000, () => { req2.destroy(new Error('Timeout fetching manifest')); });
-    });
-
-    let manifest;
-    try {
-      manifest = JSON.parse(data);
-    } catch (e) {
-      return res.json({ success: false, error: 'Invalid JSON from manifest' });
-    }
-
+    const manifest = await stremioApi.fetchAddonManifest(url);
     return res.json({ success: true, manifest: manifest });
   } catch (error) {
     logger.error('Fetch manifest failed:', error.message);
@@ -479,10 +465,11 @@ router.post('/fetch-manifest', async (req, res) => {
 
 /**
  * API: Replace addon in Stremio account
+ * With `dryRun: true` nothing is written; the response describes the changes instead.
  */
 router.post('/replace-addon', async (req, res) => {
   try {
-    const { authToken, removePattern, wrappedAddonUrl } = req.body;
+    const { authToken, removePattern, wrappedAddonUrl, dryRun } = req.body;
 
     if (!authToken) {
       return res.status(400).json({ error: 'Auth token required' });
@@ -510,7 +497,7 @@ router.post('/replace-addon', async (req, res) => {
     if (configMatch) {
       try {
         const encodedConfig = configMatch[1];
-        const decodedConfig = parseConfigFromPath(encodedConfig);
+        const decodedConfig = await configStoreService.parseInstallConfig(encodedConfig);
         addonName = decodedConfig.addonName || 'Ratings Wrapper';
         addonId = `${removePattern}.ratings-wrapper`;
       } catch (e) {
@@ -522,7 +509,8 @@ router.post('/replace-addon', async (req, res) => {
       removePattern,
       newAddonUrl: wrappedAddonUrl,
       newAddonName: addonName,
-      newAddonId: addonId
+      newAddonId: addonId,
+      dryRun: dryRun === true
     });
 
     res.json(result);
@@ -538,10 +526,11 @@ router.post('/replace-addon', async (req, res) => {
 
 /**
  * API: Replace multiple addons at once
+ * With `dryRun: true` nothing is written; the response describes the changes instead.
  */
 router.post('/replace-addons', async (req, res) => {
   try {
-    const { authToken, items } = req.body || {};
+    const { authToken, items, dryRun } = req.body || {};
     if (!authToken) {
       return res.status(400).json({ error: 'Auth token required' });
     }
@@ -561,7 +550,7 @@ router.post('/replace-addons', async (req, res) => {
       }
     }
 
-    const result = await stremioApi.replaceAddonsBatch(authToken, items);
+    const result = await stremioApi.replaceAddonsBatch(authToken, items, { dryRun: dryRun === true });
     res.json(result);
   } catch (error) {
     logger.error('Replace addons batch failed:', error.message);
@@ -569,6 +558,297 @@ router.post('/replace-addons', async (req, res) => {
   }
 });
 
+/**
+ * Checks the auth token of an account request, answering with an error if it's invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string|null} Auth token, or null if an error response was sent
+ */
+function getAccountAuthToken(req, res) {
+  const { authToken } = req.body || {};
+  if (!authToken) {
+    res.status(400).json({ error: 'Auth token required' });
+    return null;
+  }
+
+  const validation = stremioApi.validateAuthToken(authToken);
+  if (!validation.valid) {
+    res.json({ success: false, error: `Invalid token: ${validation.error}` });
+    return null;
+  }
+  return authToken;
+}
+
+/**
+ * API: List snapshots of the user's addon collection (newest first)
+ */
+router.post('/snapshots', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const snapshots = await collectionSnapshotService.list(authToken);
+    res.json({ success: true, snapshots });
+  } catch (error) {
+    sendRequestError(res, error, 'Snapshot');
+  }
+});
+
+/**
+ * API: Compare two snapshots
+ * `from` and `to` are snapshot IDs, or 'current' for the collection as it is now
+ * (`to` defaults to 'current').
+ */
+router.post('/snapshots/diff', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const { from, to = 'current' } = req.body;
+    const [fromSnapshot, toSnapshot] = await Promise.all(
+      [from, to].map(async (ref) => {
+        if (ref === 'current') {
+          const addons = await stremioApi.getAddonCollection(authToken);
+          return { id: 'current', addonCount: addons.length, addons };
+        }
+        return collectionSnapshotService.get(authToken, ref);
+      })
+    );
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ success: false, error: 'Unknown snapshot ID' });
+    }
+
+    const { addons: fromAddons, ...fromMeta } = fromSnapshot;
+    const { addons: toAddons, ...toMeta } = toSnapshot;
+    res.json({
+      success: true,
+      from: fromMeta,
+      to: toMeta,
+      diff: collectionSnapshotService.diff(fromAddons, toAddons)
+    });
+  } catch (error) {
+    sendRequestError(res, error, 'Snapshot');
+  }
+});
+
+/**
+ * API: Restore the addon collection from a snapshot
+ * The collection being replaced is snapshotted too, so a restore can be undone.
+ */
+router.post('/snapshots/restore', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const { snapshotId } = req.body;
+    const snapshot = await collectionSnapshotService.get(authToken, snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: 'Unknown snapshot ID' });
+    }
+
+    logger.info(`Restoring addon collection from snapshot ${snapshot.id} (${snapshot.createdAt})`);
+    await stremioApi.setAddonCollection(authToken, snapshot.addons, 'snapshot-restore');
+
+    res.json({
+      success: true,
+      message: `Restored ${snapshot.addons.length} addon(s) from ${snapshot.createdAt}. Restart Stremio to see changes.`,
+      totalAddons: snapshot.addons.length
+    });
+  } catch (error) {
+    sendRequestError(res, error, 'Snapshot');
+  }
+});
+
+/**
+ * API: Get the addon collection for the order editor (including disabled addons)
+ */
+router.post('/collection', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const addons = await stremioApi.getEditableCollection(authToken);
+    res.json({ success: true, addons, canDisable: collectionSnapshotService.isAvailable() });
+  } catch (error) {
+    logger.error('Get collection failed:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Save the order, enabled state and removals from the order editor in one change
+ * `addons` lists the addons to keep ({ transportUrl, enabled }) in their new order.
+ * With `dryRun: true` nothing is written; the response describes the changes instead.
+ */
+router.post('/collection/save', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const { addons, dryRun } = req.body;
+    const result = await stremioApi.saveCollectionOrder(authToken, addons, { dryRun: dryRun === true });
+    res.json(result);
+  } catch (error) {
+    logger.error('Save collection failed:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * API: Get the health check registration and status history of the user
+ */
+router.post('/health-checks', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const status = await healthCheckService.getStatus(sessionService.getUserId(authToken));
+    res.json({ success: true, ...status });
+  } catch (error) {
+    sendRequestError(res, error, 'Health check');
+  }
+});
+
+/**
+ * API: Register the login session for background health checks
+ * Body: { autoHeal: 'off' | 'unwrap' | 'rewrap' }. Requires a session (the checks
+ * stop when it ends).
+ */
+router.post('/health-checks/register', async (req, res) => {
+  if (!req.authTokenFromSession) {
+    return res.status(401).json({ success: false, error: 'Log in on the configure page to register health checks' });
+  }
+
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const registration = await healthCheckService.register(authToken, req.session, req.body.autoHeal);
+    res.json({ success: true, registration });
+  } catch (error) {
+    sendRequestError(res, error, 'Health check');
+  }
+});
+
+/**
+ * API: Stop background health checks for the user
+ */
+router.post('/health-checks/unregister', async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    await healthCheckService.unregister(sessionService.getUserId(authToken));
+    res.json({ success: true });
+  } catch (error) {
+    sendRequestError(res, error, 'Health check');
+  }
+});
+
+/**
+ * API: Run the health check of a registered user now
+ */
+router.post('/health-checks/run', rateLimiter, async (req, res) => {
+  const authToken = getAccountAuthToken(req, res);
+  if (!authToken) return;
+
+  try {
+    const run = await healthCheckService.checkUser(sessionService.getUserId(authToken));
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Health checks are not registered for this account' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    sendRequestError(res, error, 'Health check');
+  }
+});
+
+/**
+ * Gets the owner secret from the Authorization header (Bearer scheme)
+ * @param {Object} req - Express request
+ * @returns {string} Owner secret or empty string
+ */
+function getOwnerSecret(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : '';
+}
+
+/**
+ * API: Store a config under a short config ID
+ * Returns the owner secret once; it is needed to read or edit the config later.
+ */
+router.post('/configs', rateLimiter, async (req, res) => {
+  try {
+    const { config: addonConfig } = req.body || {};
+    const { configId, ownerSecret } = await configStoreService.create(addonConfig);
+
+    const host = req.get('host') || `localhost:${config.port}`;
+    res.status(201).json({
+      success: true,
+      configId,
+      ownerSecret,
+      manifestUrl: `${req.protocol}://${host}/${configId}/manifest.json`
+    });
+  } catch (error) {
+    sendRequestError(res, error, 'Config store');
+  }
+});
+
+/**
+ * API: Get a stored config (owner secret as Bearer token)
+ */
+router.get('/configs/:configId', async (req, res) => {
+  try {
+    const stored = await configStoreService.get(req.params.configId, getOwnerSecret(req));
+    if (!stored) {
+      return res.status(404).json({ success: false, error: 'Unknown config ID' });
+    }
+    res.json({ success: true, configId: req.params.configId, ...stored });
+  } catch (error) {
+    sendRequestError(res, error, 'Config store');
+  }
+});
+
+/**
+ * API: Replace the settings behind an existing install (owner secret as Bearer token)
+ */
+router.put('/configs/:configId', async (req, res) => {
+  try {
+    const { config: addonConfig } = req.body || {};
+    const result = await configStoreService.update(req.params.configId, getOwnerSecret(req), addonConfig);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Unknown config ID' });
+    }
+    res.json({ success: true, configId: req.params.configId, ...result });
+  } catch (error) {
+    sendRequestError(res, error, 'Config store');
+  }
+});
+
+/**
+ * API: Encrypt a config so it can carry the user's own API keys
+ * Returns the sealed config to use in place of the plain encoded one.
+ */
+router.post('/seal-config', rateLimiter, (req, res) => {
+  if (!canSealConfigs()) {
+    return res.status(503).json({ success: false, error: 'Config encryption is not enabled on this server' });
+  }
+
+  try {
+    const { config: addonConfig } = req.body || {};
+    if (!addonConfig || typeof addonConfig !== 'object' || Array.isArray(addonConfig)) {
+      throw new Error('config must be an object');
+    }
+    // Same validation as URL configs (throws on invalid settings)
+    validateConfig(addonConfig);
+
+    res.json({ success: true, encodedConfig: encodeConfig(addonConfig, { seal: true }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, field: error.path });
+  }
+});
+
 /**
  * API: Get wrappable addons from user's Stremio account
  */
@@ -595,9 +875,6 @@ router.post('/get-wrappable-addons', async (req, res) => {
     logger.info(`Retrieved ${addons.length} addons from account`);
 
     // Check each addon to see if it's wrappable
-    const https = require('https');
-    const http = require('http');
-
     const addonResults = await Promise.all(addons.map(async (addon) => {
       const manifestUrl = addon.transportUrl;
       const addonInfo = {
@@ -615,38 +892,15 @@ router.post('/get-wrappable-addons', async (req, res) => {
         return addonInfo;
       }
 
-      // Allowlist: Addons that should be wrappable even if they have stream resources
-      // Use this for edge cases where a stream addon should be wrapped despite the default exclusion
-      // Format: addon manifest IDs or domain patterns
-      const WRAPPER_ALLOWLIST = [
-        // Example: 'some-addon-id'
-        // Example: 'special-addon.domain.com'
-      ];
-
-      // Check if addon is in allowlist (by manifest URL pattern)
-      const isAllowlisted = WRAPPER_ALLOWLIST.some(pattern =>
-        manifestUrl.toLowerCase().includes(pattern.toLowerCase())
-      );
-
-      // Helper to extract original URL from wrapped addon
-      const extractOriginalUrl = (wrappedUrl) => {
-        try {
-          const match = wrappedUrl.match(/\/([A-Za-z0-9_-]+)\/manifest\.json$/);
-          if (!match) return null;
-          const encodedConfig = match[1];
-          const decodedConfig = parseConfigFromPath(encodedConfig);
-          return decodedConfig.wrappedAddonUrl || null;
-        } catch (e) {
-          return null;
-        }
-      };
+      // Original URL of a wrapped addon (the first upstream when aggregated)
+      const extractOriginalUrl = async (wrappedUrl) => (await extractOriginalUrls(wrappedUrl))?.[0] || null;
 
       // Skip if it's already a wrapped addon from this service
       // Check manifest ID for .ratings-wrapper suffix
       if (addon.manifest?.id?.includes('.ratings-wrapper')) {
         addonInfo.reason = 'Already wrapped';
         addonInfo.isRewrappable = true;
-        addonInfo.originalUrl = extractOriginalUrl(manifestUrl);
+        addonInfo.originalUrl = await extractOriginalUrl(manifestUrl);
         return addonInfo;
       }
 
@@ -663,7 +917,7 @@ router.post('/get-wrappable-addons', async (req, res) => {
               url.hostname === '127.0.0.1') {
             addonInfo.reason = 'Already wrapped';
             addonInfo.isRewrappable = true;
-            addonInfo.originalUrl = extractOriginalUrl(manifestUrl);
+            addonInfo.originalUrl = await extractOriginalUrl(manifestUrl);
             return addonInfo;
           }
         }
@@ -673,28 +927,7 @@ router.post('/get-wrappable-addons', async (req, res) => {
 
       try {
         // Fetch the manifest to check resources
-        const manifestData = await new Promise((resolve, reject) => {
-          const protocol = manifestUrl.startsWith('https') ? https : http;
-          const timeout = setTimeout(() => {
-            reject(new Error('Timeout'));
-          }, 5000);
-
-          protocol.get(manifestUrl, (resp) => {
-            let data = '';
-            resp.on('data', chunk => data += chunk);
-            resp.on('end', () => {
-              clearTimeout(timeout);
-              try {
-                resolve(JSON.parse(data));
-              } catch (e) {
-                reject(new Error('Invalid JSON'));
-              }
-            });
-          }).on('error', (err) => {
-            clearTimeout(timeout);
-            reject(err);
-          });
-        });
+        const manifestData = await stremioApi.fetchAddonManifest(manifestUrl);
 
         // Normalize resources: can be strings or objects with name/type
         const rawResources = Array.isArray(manifestData.resources) ? manifestData.resources : [];
@@ -717,23 +950,17 @@ router.post('/get-wrappable-addons', async (req, res) => {
 
         const hasCatalog = resourceNames.includes('catalog');
         const hasMeta = resourceNames.includes('meta');
-        const hasStream = resourceNames.includes('stream');
+        // Stream, subtitles and addon_catalog requests are proxied unchanged,
+        // so mixed addons can be wrapped as long as they have something to enhance
+        const passthrough = resourceNames.filter(r => PASSTHROUGH_RESOURCES.includes(r));
 
-        // Allowlist takes precedence - allow wrapping even if it has streams
-        if (isAllowlisted && (hasCatalog || hasMeta)) {
-          addonInfo.wrappable = true;
-          const present = resourceNames.filter(r => r === 'catalog' || r === 'meta');
-          addonInfo.reason = `Has ${present.join(' and ')} (allowlisted)`;
-        }
-        // Exclude addons with stream resources (wrapping would break streaming)
-        else if (hasStream) {
-          addonInfo.reason = 'Has stream resource (not wrappable - would break streaming)';
-        }
         // Allow addons with catalog or meta resources
-        else if (hasCatalog || hasMeta) {
+        if (hasCatalog || hasMeta) {
           addonInfo.wrappable = true;
           const present = resourceNames.filter(r => r === 'catalog' || r === 'meta');
-          addonInfo.reason = `Has ${present.join(' and ')}`;
+          addonInfo.reason = passthrough.length
+            ? `Has ${present.join(' and ')} (${passthrough.join(', ')} passed through)`
+            : `Has ${present.join(' and ')}`;
         }
         // Missing required resources
         else {
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const metricsService = require('../services/metricsService');
+const circuitBreakerService = require('../services/circuitBreakerService');
 const logger = require('../utils/logger');
 const config = require('../config');
 
@@ -37,6 +38,7 @@ router.get('/metrics', async (req, res) => {
  * GET /healthz
  * Health check endpoint
  * Tests Redis, SQLite (via ratings-api), and basic service health
+ * Also reports how many upstream addon circuit breakers are in each state
  */
 router.get('/healthz', async (req, res) => {
   const startTime = Date.now();
@@ -98,6 +100,15 @@ router.get('/healthz', async (req, res) => {
     health.status = 'degraded';
   }
 
+  // Upstream addon circuits
+  // Reported only: a dead upstream addon doesn't make the wrapper itself unhealthy.
+  // Counts only: hosts and errors come from user configs (see /admin/circuits)
+  const circuits = circuitBreakerService.getStateCounts();
+  health.checks.upstreams = {
+    status: circuits.open > 0 || circuits['half-open'] > 0 ? 'degraded' : 'up',
+    circuits
+  };
+
   // Total health check duration
   health.duration_ms = Date.now() - startTime;
 
@@ -0,0 +1,21 @@
+/**
+ * Page Routes
+ * Serves the configuration page (kept apart from the /api routes and their session handling)
+ */
+
+const express = require('express');
+const { generateConfigureHTML } = require('../views/configure');
+const config = require('../config');
+
+const router = express.Router();
+
+/**
+ * Configuration page
+ */
+router.get('/configure', (req, res) => {
+  const host = req.get('host') || `localhost:${config.port}`;
+  const protocol = req.protocol;
+  res.send(generateConfigureHTML(protocol, host));
+});
+
+module.exports = router;
@@ -3,37 +3,67 @@
  * Handles fetching data from wrapped Stremio addons
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const appConfig = require('../config');
 const redisService = require('./redisService');
 const cacheKeys = require('../utils/cacheKeys');
+const circuitBreakerService = require('./circuitBreakerService');
+const metricsService = require('./metricsService');
+
+// Upstream gateway errors that count against the circuit (plain 500s are often
+// "unsupported ID" answers from addons, so they don't)
+const UNAVAILABLE_STATUS_CODES = [502, 503, 504];
+
+// Unchanged last-known-good copies are rewritten at most this often (ms), which
+// still refreshes their TTL (redis.ttl.lastKnownGood) long before it runs out
+const LAST_KNOWN_GOOD_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
 
 class AddonProxyService {
   constructor() {
     this.timeout = appConfig.proxy.timeout;
     this.retries = appConfig.proxy.retries;
+    // Last-known-good key -> { digest, savedAt } of the copy this process last wrote
+    this.lastKnownGoodWrites = new Map();
+    this.lastKnownGoodWritesMaxSize = 5000;
   }
 
   /**
    * Makes HTTP request to addon with retry logic
+   * Requests are guarded by the upstream host's circuit breaker: while it is open
+   * they fail immediately with error.circuitOpen set. Errors caused by the upstream
+   * being unreachable are flagged with error.upstreamUnavailable.
    * @param {string} url - Full URL to fetch
    * @param {number} attempt - Current retry attempt
-   * @returns {Promise<Object>} Response data
+   * @param {Object} options - Optional settings { headers: Object, fullResponse: boolean }
+   * @returns {Promise<Object>} Response data (the axios response with fullResponse)
    * @private
    */
-  async _fetchWithRetry(url, attempt = 1) {
+  async _fetchWithRetry(url, attempt = 1, options = {}) {
+    const upstream = circuitBreakerService.getUpstreamKey(url);
+
+    if (attempt === 1 && !circuitBreakerService.canRequest(upstream)) {
+      const error = new Error(`Circuit open for ${upstream}`);
+      error.circuitOpen = true;
+      throw error;
+    }
+
     try {
       logger.debug(`Fetching: ${url} (attempt ${attempt}/${this.retries})`);
 
       const response = await axios.get(url, {
         timeout: this.timeout,
         headers: {
-          'User-Agent': 'Stremio-Ratings-Wrapper/1.0'
-        }
+          'User-Agent': 'Stremio-Ratings-Wrapper/1.0',
+          ...options.headers
+        },
+        // 304 is the answer to a conditional request (see _fetchConditional)
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
       });
 
-      return response.data;
+      circuitBreakerService.recordSuccess(upstream);
+      return options.fullResponse ? response : response.data;
 
     } catch (error) {
       const statusCode = error.response?.status;
@@ -41,17 +71,118 @@ class AddonProxyService {
       // Don't retry 4xx errors (client errors like 404, 400, etc.) - they won't succeed on retry
       const isClientError = statusCode >= 400 && statusCode < 500;
 
-      if (!isClientError && attempt < this.retries) {
+      // Only retry while the circuit is closed (half-open trials get a single attempt)
+      if (!isClientError && attempt < this.retries && circuitBreakerService.isClosed(upstream)) {
         logger.debug(`Retry ${attempt} failed for ${url}: ${error.message}`);
         // Exponential backoff
         await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        return this._fetchWithRetry(url, attempt + 1);
+        return this._fetchWithRetry(url, attempt + 1, options);
+      }
+
+      // Any HTTP answer other than a gateway error means the upstream is alive
+      error.upstreamUnavailable = !error.response || UNAVAILABLE_STATUS_CODES.includes(statusCode);
+      if (error.upstreamUnavailable) {
+        circuitBreakerService.recordFailure(upstream, error.message);
+      } else {
+        circuitBreakerService.recordSuccess(upstream);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Fetches a URL, revalidating against previously stored validators
+   * Sends If-None-Match/If-Modified-Since when validators are given; a 304 answer
+   * means the caller's stored copy is still current.
+   * @param {string} url - Full URL to fetch
+   * @param {string} resource - catalog or manifest (for metrics)
+   * @param {Object|null} validators - Stored validators { etag, lastModified }
+   * @returns {Promise<Object>} { notModified, data, validators }
+   * @private
+   */
+  async _fetchConditional(url, resource, validators) {
+    const headers = {};
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await this._fetchWithRetry(url, 1, { headers, fullResponse: true });
+    const isConditional = Object.keys(headers).length > 0;
+
+    if (isConditional && response.status === 304) {
+      logger.debug(`Not modified: ${url}`);
+      metricsService.recordRevalidation(resource, 'not_modified');
+      // 304 answers may omit the validators, so keep the stored ones
+      return { notModified: true, data: null, validators: this._getValidators(response.headers) || validators };
+    }
+
+    if (isConditional) {
+      metricsService.recordRevalidation(resource, 'modified');
+    }
+    return { notModified: false, data: response.data, validators: this._getValidators(response.headers) };
+  }
+
+  /**
+   * Extracts HTTP validators from upstream response headers
+   * @param {Object} headers - Response headers
+   * @returns {Object|null} { etag, lastModified } or null if the upstream sent neither
+   * @private
+   */
+  _getValidators(headers = {}) {
+    const etag = headers.etag || null;
+    const lastModified = headers['last-modified'] || null;
+    return etag || lastModified ? { etag, lastModified } : null;
+  }
+
+  /**
+   * Stores the last successful catalog/meta response for outage fallback
+   * Kept far beyond the normal cache TTL (redis.ttl.lastKnownGood). Only written when
+   * the response changed, or when the stored copy is due for a TTL refresh.
+   * @param {Object} params - Request parameters {resource, addonUrl, type, id, extra}
+   * @param {Object} data - Upstream response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveLastKnownGood(params, data) {
+    if (!appConfig.redis.enabled) return;
+
+    const key = cacheKeys.generateLastKnownGoodKey(params);
+    const digest = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    const previous = this.lastKnownGoodWrites.get(key);
+    if (previous && previous.digest === digest && Date.now() - previous.savedAt < LAST_KNOWN_GOOD_REFRESH_INTERVAL) {
+      return;
+    }
+
+    await redisService.set(key, data, appConfig.redis.ttl.lastKnownGood);
+
+    // Simple FIFO eviction (re-inserted keys move to the end)
+    this.lastKnownGoodWrites.delete(key);
+    if (this.lastKnownGoodWrites.size >= this.lastKnownGoodWritesMaxSize) {
+      this.lastKnownGoodWrites.delete(this.lastKnownGoodWrites.keys().next().value);
+    }
+    this.lastKnownGoodWrites.set(key, { digest, savedAt: Date.now() });
+  }
+
+  /**
+   * Gets the last successful response when the upstream is unavailable
+   * @param {Object} params - Request parameters {resource, addonUrl, type, id, extra}
+   * @param {Error} error - Fetch error
+   * @returns {Promise<Object|null>} Last known good response or null
+   * @private
+   */
+  async _getLastKnownGood(params, error) {
+    if (!appConfig.redis.enabled || !(error.circuitOpen || error.upstreamUnavailable)) {
+      return null;
+    }
+
+    const cached = await redisService.get(cacheKeys.generateLastKnownGoodKey(params));
+    metricsService.recordFallback(params.resource, cached ? 'served' : 'missing');
+    if (cached) {
+      logger.warn(`Serving last known good ${params.resource} ${params.type}/${params.id} (${error.message})`);
+    }
+    return cached;
+  }
+
   /**
    * Normalizes addon URL (removes trailing slashes, ensures proper format)
    * @param {string} url - Addon base URL
@@ -68,6 +199,20 @@ class AddonProxyService {
     return normalized;
   }
 
+  /**
+   * Gets the name of a manifest resource declaration
+   * Resources can be plain names ('meta') or objects ({name: 'meta', types, idPrefixes}).
+   * @param {string|Object} resource - Resource declaration
+   * @returns {string|null} Resource name or null if the declaration is malformed
+   */
+  getResourceName(resource) {
+    if (typeof resource === 'string') return resource;
+    if (resource && typeof resource === 'object' && typeof resource.name === 'string') {
+      return resource.name;
+    }
+    return null;
+  }
+
   /**
    * Fetches manifest from wrapped addon
    * @param {string} addonUrl - Base URL of the wrapped addon
@@ -78,16 +223,29 @@ class AddonProxyService {
       const baseUrl = this._normalizeAddonUrl(addonUrl);
       const manifestUrl = `${baseUrl}/manifest.json`;
 
+      // Raw manifests are only kept to revalidate them (manifest responses have their own cache)
+      const cacheEnabled = appConfig.redis.enabled && appConfig.redis.enableRawDataCache;
+      const cacheKey = cacheKeys.generateRawManifestKey({ addonUrl: baseUrl });
+      const cached = cacheEnabled ? await redisService.getWithSWR(cacheKey) : null;
+
       logger.info(`Fetching manifest from: ${manifestUrl}`);
 
-      const manifest = await this._fetchWithRetry(manifestUrl);
+      const result = await this._fetchConditional(manifestUrl, 'manifest', cached?.validators);
+      const manifest = result.notModified ? cached.data : result.data;
 
       // Validate manifest has required fields
       if (!manifest.id || !manifest.name || !manifest.resources) {
         throw new Error('Invalid manifest: missing required fields');
       }
+      if (!Array.isArray(manifest.resources) || manifest.resources.some(r => !this.getResourceName(r))) {
+        throw new Error('Invalid manifest: resources must be names or {name, types, idPrefixes} objects');
+      }
 
-      logger.debug(`Manifest fetched: ${manifest.name} (${manifest.id})`);
+      if (cacheEnabled && result.validators) {
+        await redisService.set(cacheKey, manifest, cacheKeys.getManifestTTL(), { validators: result.validators });
+      }
+
+      logger.debug(`Manifest ${result.notModified ? 'not modified' : 'fetched'}: ${manifest.name} (${manifest.id})`);
       return manifest;
 
     } catch (error) {
@@ -98,6 +256,8 @@ class AddonProxyService {
 
   /**
    * Fetches catalog from wrapped addon with optional caching
+   * Stale raw entries that carry upstream validators are revalidated with a
+   * conditional request; a 304 extends the entry instead of re-downloading it.
    * @param {string} addonUrl - Base URL of the wrapped addon
    * @param {string} type - Content type (movie, series, etc.)
    * @param {string} id - Catalog ID
@@ -110,88 +270,43 @@ class AddonProxyService {
 
       // Check if raw data caching is enabled
       const cacheEnabled = appConfig.redis.enabled && appConfig.redis.enableRawDataCache;
+      let cached = null;
 
       if (cacheEnabled) {
-        // Generate cache key based on addon URL and catalog parameters (format-agnostic)
-        const cacheKey = cacheKeys.generateRawCatalogKey({
-          addonUrl: baseUrl,
-          type,
-          catalogId: id,
-          page: extra.skip || '',
-          search: extra.search || '',
-          genre: extra.genre || ''
-        });
-
-        // Try to get from cache first
-        const cached = await redisService.get(cacheKey);
-        if (cached) {
+        const cacheKey = this._getRawCatalogKey(baseUrl, type, id, extra);
+
+        // Try to get from cache first (stale entries without validators are served until they expire)
+        cached = await redisService.getWithSWR(cacheKey);
+        if (cached && (cached.isFresh || !cached.validators)) {
           logger.info(`Raw catalog cache HIT: ${cacheKey}`);
           // Track hot key usage for observability
           redisService.trackHotKey(cacheKey);
-          return cached;
+          return cached.data;
         }
 
-        logger.debug(`Raw catalog cache MISS: ${cacheKey}`);
-      }
-
-      // Build catalog URL with extra parameters
-      let catalogUrl = `${baseUrl}/catalog/${type}/${id}`;
-
-      // Add extra parameters if present
-      const extraParams = Object.entries(extra)
-        .filter(([_, value]) => value !== undefined && value !== null)
-        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
-        .join('&');
-
-      if (extraParams) {
-        catalogUrl += `/${extraParams}`;
+        logger.debug(`Raw catalog cache ${cached ? 'STALE' : 'MISS'}: ${cacheKey}`);
       }
 
-      catalogUrl += '.json';
+      const catalogUrl = this._buildCatalogUrl(baseUrl, type, id, extra);
 
       logger.info(`Fetching catalog: ${catalogUrl}`);
 
-      const catalogResponse = await this._fetchWithRetry(catalogUrl);
-
-      // Log the response structure for debugging
-      logger.debug(`Catalog response keys: ${Object.keys(catalogResponse).join(', ')}`);
-      logger.debug(`Full response: ${JSON.stringify(catalogResponse).substring(0, 500)}`);
-
-      // Normalize catalog response - support both 'metas' and 'metasDetailed' formats
-      if (catalogResponse.metasDetailed && Array.isArray(catalogResponse.metasDetailed)) {
-        logger.debug(`Normalizing metasDetailed to metas format (${catalogResponse.metasDetailed.length} items)`);
-        catalogResponse.metas = catalogResponse.metasDetailed;
-      }
-
-      // Validate response has metas array
-      if (!catalogResponse.metas || !Array.isArray(catalogResponse.metas)) {
-        logger.warn(`Catalog ${type}/${id} returned unexpected format. Keys: ${Object.keys(catalogResponse).join(', ')}. Returning empty catalog.`);
-        catalogResponse.metas = [];
-      }
+      const result = await this._fetchConditional(catalogUrl, 'catalog', cached?.validators);
+      const catalogResponse = result.notModified
+        ? cached.data
+        : this._normalizeCatalogResponse(result.data, type, id);
 
-      logger.debug(`Catalog fetched: ${catalogResponse.metas.length} items`);
-
-      // Cache the raw catalog response if caching is enabled
-      if (cacheEnabled) {
-        const cacheKey = cacheKeys.generateRawCatalogKey({
-          addonUrl: baseUrl,
-          type,
-          catalogId: id,
-          page: extra.skip || '',
-          search: extra.search || '',
-          genre: extra.genre || ''
-        });
-
-        const ttl = cacheKeys.getCatalogTTL(id);
-        await redisService.set(cacheKey, catalogResponse, ttl);
-        logger.debug(`Cached raw catalog: ${cacheKey} (TTL: ${ttl}s)`);
-        // Track hot key after write
-        redisService.trackHotKey(cacheKey);
-      }
+      await this._storeCatalog(baseUrl, type, id, extra, catalogResponse, result.validators);
 
       return catalogResponse;
 
     } catch (error) {
+      const fallback = await this._getLastKnownGood(
+        { resource: 'catalog', addonUrl: this._normalizeAddonUrl(addonUrl), type, id, extra },
+        error
+      );
+      if (fallback) return fallback;
+
       const statusCode = error.response?.status;
       const logLevel = (statusCode === 404 || statusCode === 500) ? 'debug' : 'error';
       logger[logLevel](`Failed to fetch catalog ${type}/${id}: ${error.message}`);
@@ -199,6 +314,147 @@ class AddonProxyService {
     }
   }
 
+  /**
+   * Gets the upstream validators of a cached raw catalog page
+   * Lets the response cache remember which upstream version it was built from.
+   * @param {string} addonUrl - Base URL of the wrapped addon
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra parameters
+   * @returns {Promise<Object|null>} { etag, lastModified } or null
+   */
+  async getCatalogValidators(addonUrl, type, id, extra = {}) {
+    if (!appConfig.redis.enabled || !appConfig.redis.enableRawDataCache) return null;
+
+    const cached = await redisService.getWithSWR(this._getRawCatalogKey(this._normalizeAddonUrl(addonUrl), type, id, extra));
+    return cached ? cached.validators : null;
+  }
+
+  /**
+   * Checks whether a catalog page changed upstream since the given validators
+   * A changed page is stored in the raw catalog cache, so the fetch that follows
+   * doesn't download it again.
+   * @param {string} addonUrl - Base URL of the wrapped addon
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra parameters
+   * @param {Object} validators - Validators the caller's copy was built from
+   * @returns {Promise<boolean>} True if the upstream answered 304 Not Modified
+   */
+  async revalidateCatalog(addonUrl, type, id, extra, validators) {
+    const baseUrl = this._normalizeAddonUrl(addonUrl);
+    const catalogUrl = this._buildCatalogUrl(baseUrl, type, id, extra);
+
+    logger.debug(`Revalidating catalog: ${catalogUrl}`);
+
+    const result = await this._fetchConditional(catalogUrl, 'catalog', validators);
+    if (result.notModified) return true;
+
+    const catalogResponse = this._normalizeCatalogResponse(result.data, type, id);
+    await this._storeCatalog(baseUrl, type, id, extra, catalogResponse, result.validators);
+    return false;
+  }
+
+  /**
+   * Builds the upstream catalog URL with extra parameters
+   * @param {string} baseUrl - Normalized addon URL
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra parameters
+   * @returns {string} Catalog URL
+   * @private
+   */
+  _buildCatalogUrl(baseUrl, type, id, extra = {}) {
+    let catalogUrl = `${baseUrl}/catalog/${type}/${id}`;
+
+    // Add extra parameters if present
+    const extraParams = Object.entries(extra)
+      .filter(([_, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    if (extraParams) {
+      catalogUrl += `/${extraParams}`;
+    }
+
+    return `${catalogUrl}.json`;
+  }
+
+  /**
+   * Generates the raw catalog cache key (format-agnostic)
+   * @param {string} baseUrl - Normalized addon URL
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra parameters
+   * @returns {string} Cache key
+   * @private
+   */
+  _getRawCatalogKey(baseUrl, type, id, extra = {}) {
+    return cacheKeys.generateRawCatalogKey({
+      addonUrl: baseUrl,
+      type,
+      catalogId: id,
+      page: extra.skip || '',
+      search: extra.search || '',
+      genre: extra.genre || ''
+    });
+  }
+
+  /**
+   * Normalizes an upstream catalog response to {metas: [...]}
+   * @param {Object} catalogResponse - Upstream response
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @returns {Object} Catalog response with metas array
+   * @private
+   */
+  _normalizeCatalogResponse(catalogResponse, type, id) {
+    // Log the response structure for debugging
+    logger.debug(`Catalog response keys: ${Object.keys(catalogResponse).join(', ')}`);
+    logger.debug(`Full response: ${JSON.stringify(catalogResponse).substring(0, 500)}`);
+
+    // Normalize catalog response - support both 'metas' and 'metasDetailed' formats
+    if (catalogResponse.metasDetailed && Array.isArray(catalogResponse.metasDetailed)) {
+      logger.debug(`Normalizing metasDetailed to metas format (${catalogResponse.metasDetailed.length} items)`);
+      catalogResponse.metas = catalogResponse.metasDetailed;
+    }
+
+    // Validate response has metas array
+    if (!catalogResponse.metas || !Array.isArray(catalogResponse.metas)) {
+      logger.warn(`Catalog ${type}/${id} returned unexpected format. Keys: ${Object.keys(catalogResponse).join(', ')}. Returning empty catalog.`);
+      catalogResponse.metas = [];
+    }
+
+    logger.debug(`Catalog fetched: ${catalogResponse.metas.length} items`);
+    return catalogResponse;
+  }
+
+  /**
+   * Writes a catalog page to the raw catalog cache (with its validators) and
+   * the last-known-good store
+   * @param {string} baseUrl - Normalized addon URL
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra parameters
+   * @param {Object} catalogResponse - Normalized catalog response
+   * @param {Object|null} validators - Upstream validators
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _storeCatalog(baseUrl, type, id, extra, catalogResponse, validators) {
+    // Cache the raw catalog response if caching is enabled
+    if (appConfig.redis.enabled && appConfig.redis.enableRawDataCache) {
+      const cacheKey = this._getRawCatalogKey(baseUrl, type, id, extra);
+      const ttl = cacheKeys.getCatalogTTL(id);
+      await redisService.set(cacheKey, catalogResponse, ttl, { validators });
+      logger.debug(`Cached raw catalog: ${cacheKey} (TTL: ${ttl}s)`);
+      // Track hot key after write
+      redisService.trackHotKey(cacheKey);
+    }
+
+    await this._saveLastKnownGood({ resource: 'catalog', addonUrl: baseUrl, type, id, extra }, catalogResponse);
+  }
+
   /**
    * Fetch meta object from addon
    * @param {string} addonUrl - Base URL of the addon
@@ -221,9 +477,17 @@ class AddonProxyService {
         throw new Error('Invalid meta response: missing meta object');
       }
 
+      await this._saveLastKnownGood({ resource: 'meta', addonUrl: baseUrl, type, id }, metaResponse);
+
       return metaResponse;
 
     } catch (error) {
+      const fallback = await this._getLastKnownGood(
+        { resource: 'meta', addonUrl: this._normalizeAddonUrl(addonUrl), type, id },
+        error
+      );
+      if (fallback) return fallback;
+
       const statusCode = error.response?.status;
       const isInvalidResponse = error.message.includes('Invalid meta response');
       // Expected failures: 404, 500, or invalid response structure (addon doesn't support ID format)
@@ -233,6 +497,45 @@ class AddonProxyService {
     }
   }
 
+  /**
+   * Fetches a passthrough resource (stream, subtitles, addon_catalog) from the addon
+   * The response is returned as-is and never cached, so upstream cacheMaxAge hints
+   * and per-user stream links reach Stremio untouched.
+   * @param {string} addonUrl - Base URL of the addon
+   * @param {string} resource - Resource name
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @param {Object} extra - Extra parameters (filename, videoHash, ...)
+   * @returns {Promise<Object>} Upstream response
+   */
+  async fetchResource(addonUrl, resource, type, id, extra = {}) {
+    try {
+      const baseUrl = this._normalizeAddonUrl(addonUrl);
+      let resourceUrl = `${baseUrl}/${resource}/${type}/${id}`;
+
+      const extraParams = Object.entries(extra)
+        .filter(([_, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+
+      if (extraParams) {
+        resourceUrl += `/${extraParams}`;
+      }
+
+      resourceUrl += '.json';
+
+      logger.info(`Fetching ${resource}: ${resourceUrl}`);
+
+      return await this._fetchWithRetry(resourceUrl);
+
+    } catch (error) {
+      const statusCode = error.response?.status;
+      const logLevel = (statusCode === 404 || statusCode === 500) ? 'debug' : 'error';
+      logger[logLevel](`Failed to fetch ${resource} ${type}/${id}: ${error.message}`);
+      throw new Error(`Unable to fetch ${resource}: ${error.message}`);
+    }
+  }
+
   /**
    * Fetch meta from Cinemeta (fallback metadata provider)
    * @param {string} type - Content type
@@ -0,0 +1,186 @@
+/**
+ * Catalog Filter Service
+ * Serves catalog pages with low-rated/unrated items removed while keeping
+ * Stremio's skip pagination consistent
+ *
+ * Stremio asks for the next page with skip = number of items it has received so far.
+ * Once items are filtered out, that skip no longer matches the upstream offset, so we
+ * keep cursors that map filtered offsets to upstream positions (page skip + index).
+ */
+
+const logger = require('../utils/logger');
+const addonProxy = require('./addonProxy');
+const metadataEnhancer = require('./metadataEnhancer');
+const redisService = require('./redisService');
+const cacheKeys = require('../utils/cacheKeys');
+const appConfig = require('../config');
+
+class CatalogFilterService {
+  constructor() {
+    // In-memory cursor fallback when Redis is disabled
+    this.cursorCache = new Map();
+    this.cursorCacheMaxSize = 500;
+  }
+
+  /**
+   * Check whether filtering applies to a catalog request
+   * @param {Object} config - User configuration
+   * @param {Object} extra - Extra catalog parameters
+   * @returns {boolean} True if the request should go through the filter
+   */
+  isEnabled(config, extra = {}) {
+    const filter = config.catalogFilter;
+    if (!filter) return false;
+    if (!filter.minRating && !filter.minVotes && !filter.hideUnrated) return false;
+    if (extra.search && !filter.applyToSearch) return false;
+    return true;
+  }
+
+  /**
+   * Fetch a filtered catalog page
+   * Pulls later upstream pages until the page is full, the catalog ends or
+   * the configured page budget is spent.
+   * @param {Object} config - User configuration
+   * @param {string} type - Content type
+   * @param {string} id - Catalog ID
+   * @param {Object} extra - Extra catalog parameters (skip, search, genre)
+   * @returns {Promise<Array<Object>>} Filtered metas for the requested page
+   */
+  async fetchFilteredPage(config, type, id, extra = {}) {
+    const filter = {
+      ...config.catalogFilter,
+      region: config.descriptionFormat?.streamingRegion,
+      weighting: config.consolidatedRating,
+      apiKeys: config.apiKeys
+    };
+    const targetSkip = parseInt(extra.skip, 10) || 0;
+    const baseExtra = { ...extra };
+    delete baseExtra.skip;
+
+    const cursorKey = cacheKeys.generateCatalogCursorKey({
+      addonUrl: config.wrappedAddonUrl,
+      // Consolidated thresholds depend on the weighting profile
+      filter: config.catalogFilter.ratingSource === 'consolidated'
+        ? { ...config.catalogFilter, weighting: config.consolidatedRating }
+        : config.catalogFilter,
+      type,
+      catalogId: id,
+      search: extra.search || '',
+      genre: extra.genre || ''
+    });
+    const cursors = await this._loadCursors(cursorKey);
+
+    // Start from the closest known cursor at or before the requested offset
+    let filteredOffset = 0;
+    let position = { skip: 0, index: 0 };
+    for (const [offset, cursor] of Object.entries(cursors.positions)) {
+      const numericOffset = parseInt(offset, 10);
+      if (numericOffset <= targetSkip && numericOffset >= filteredOffset) {
+        filteredOffset = numericOffset;
+        position = cursor;
+      }
+    }
+
+    const maxPages = config.catalogFilter.maxUpstreamPages;
+    let pageSize = cursors.pageSize || 0;
+    const results = [];
+    let pagesFetched = 0;
+    let exhausted = false;
+
+    while (pagesFetched < maxPages) {
+      const pageExtra = position.skip > 0 ? { ...baseExtra, skip: String(position.skip) } : baseExtra;
+      const response = await addonProxy.fetchCatalog(config.wrappedAddonUrl, type, id, pageExtra);
+      const upstreamMetas = response.metas || [];
+      pagesFetched++;
+
+      if (upstreamMetas.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      // Target page size follows the upstream page size
+      if (!pageSize) pageSize = upstreamMetas.length;
+
+      const remaining = upstreamMetas.slice(position.index);
+      const kept = new Set(await metadataEnhancer.filterCatalogMetas(remaining, filter));
+
+      let consumed = position.index;
+      for (const meta of remaining) {
+        consumed++;
+        if (!kept.has(meta)) continue;
+
+        if (filteredOffset >= targetSkip) {
+          results.push(meta);
+        }
+        filteredOffset++;
+
+        if (results.length >= pageSize) break;
+      }
+
+      // Next position: rest of this page, or the start of the next upstream page
+      position = consumed < upstreamMetas.length
+        ? { skip: position.skip, index: consumed }
+        : { skip: position.skip + upstreamMetas.length, index: 0 };
+
+      if (results.length >= pageSize) break;
+    }
+
+    // Remember where the next filtered page starts (also saves progress on deep skips)
+    if (!exhausted) {
+      cursors.positions[filteredOffset] = position;
+    }
+    cursors.pageSize = pageSize;
+    await this._saveCursors(cursorKey, cursors, id);
+
+    if (filteredOffset < targetSkip) {
+      logger.warn(`Filtered catalog ${type}/${id}: could not reach skip=${targetSkip} within ${maxPages} upstream pages`);
+      return [];
+    }
+
+    logger.info(`Filtered catalog ${type}/${id} skip=${targetSkip}: ${results.length} items from ${pagesFetched} upstream page(s)`);
+    return results;
+  }
+
+  /**
+   * Load pagination cursors for a filtered catalog
+   * @param {string} key - Cursor cache key
+   * @returns {Promise<Object>} Cursor state {pageSize, positions}
+   * @private
+   */
+  async _loadCursors(key) {
+    if (appConfig.redis.enabled) {
+      const cached = await redisService.get(key);
+      if (cached) return cached;
+    } else if (this.cursorCache.has(key)) {
+      return this.cursorCache.get(key);
+    }
+
+    return { pageSize: 0, positions: { 0: { skip: 0, index: 0 } } };
+  }
+
+  /**
+   * Save pagination cursors for a filtered catalog
+   * Cursors live as long as the raw catalog pages they point into.
+   * @param {string} key - Cursor cache key
+   * @param {Object} cursors - Cursor state {pageSize, positions}
+   * @param {string} catalogId - Catalog ID (for TTL selection)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveCursors(key, cursors, catalogId) {
+    if (appConfig.redis.enabled) {
+      await redisService.set(key, cursors, cacheKeys.getCatalogTTL(catalogId));
+      return;
+    }
+
+    // Simple FIFO eviction for the in-memory fallback
+    if (!this.cursorCache.has(key) && this.cursorCache.size >= this.cursorCacheMaxSize) {
+      this.cursorCache.delete(this.cursorCache.keys().next().value);
+    }
+    this.cursorCache.set(key, cursors);
+  }
+}
+
+// Export singleton instance
+const catalogFilterService = new CatalogFilterService();
+module.exports = catalogFilterService;
@@ -0,0 +1,184 @@
+/**
+ * Circuit Breaker Service
+ * Tracks upstream addon availability per host so a dead addon fails fast
+ * instead of making every Stremio request wait through the full retry cycle.
+ *
+ * closed    - requests go through; consecutive failures are counted
+ * open      - requests are rejected until the open period has passed
+ * half-open - a single trial request decides between closed and open
+ *
+ * State is per process (not shared through Redis); each instance learns on its own.
+ */
+
+const logger = require('../utils/logger');
+const appConfig = require('../config');
+const metricsService = require('./metricsService');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Upper bound of tracked hosts (closed circuits are dropped first)
+const MAX_TRACKED_UPSTREAMS = 1000;
+
+class CircuitBreakerService {
+  constructor() {
+    this.failureThreshold = appConfig.proxy.circuitBreaker.failureThreshold;
+    this.openDurationMs = appConfig.proxy.circuitBreaker.openDurationMs;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Gets the breaker key for an upstream URL
+   * Circuits are per host: addon URLs embed per-user config, but they share availability.
+   * @param {string} url - Upstream request URL
+   * @returns {string} Upstream key (host)
+   */
+  getUpstreamKey(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Checks whether a request to the upstream may go out
+   * Moves open circuits to half-open once the open period has passed and lets
+   * exactly one trial request through.
+   * @param {string} upstream - Upstream key
+   * @returns {boolean} True if the request may be sent
+   */
+  canRequest(upstream) {
+    const circuit = this.circuits.get(upstream);
+    if (!circuit || circuit.state === STATES.CLOSED) return true;
+
+    if (circuit.state === STATES.OPEN) {
+      if (Date.now() - circuit.openedAt < this.openDurationMs) {
+        metricsService.recordCircuitRejection(upstream);
+        return false;
+      }
+      this._transition(upstream, circuit, STATES.HALF_OPEN);
+    }
+
+    // Half-open: only one trial at a time
+    if (circuit.trialInFlight) {
+      metricsService.recordCircuitRejection(upstream);
+      return false;
+    }
+    circuit.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Checks whether the circuit is currently letting requests through unrestricted
+   * (used to skip retries while half-open or after the circuit opened mid-request)
+   * @param {string} upstream - Upstream key
+   * @returns {boolean} True if the circuit is closed
+   */
+  isClosed(upstream) {
+    const circuit = this.circuits.get(upstream);
+    return !circuit || circuit.state === STATES.CLOSED;
+  }
+
+  /**
+   * Records a successful upstream request
+   * @param {string} upstream - Upstream key
+   */
+  recordSuccess(upstream) {
+    const circuit = this.circuits.get(upstream);
+    if (!circuit) return;
+
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    if (circuit.state !== STATES.CLOSED) {
+      this._transition(upstream, circuit, STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Records a failed upstream request (after retries)
+   * @param {string} upstream - Upstream key
+   * @param {string} reason - Failure message (for logs and /admin/circuits)
+   */
+  recordFailure(upstream, reason) {
+    let circuit = this.circuits.get(upstream);
+    if (!circuit) {
+      this._evictIfFull();
+      circuit = { state: STATES.CLOSED, failures: 0, openedAt: null, trialInFlight: false, lastError: null };
+      this.circuits.set(upstream, circuit);
+    }
+
+    circuit.failures++;
+    circuit.lastError = reason;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === STATES.HALF_OPEN ||
+        (circuit.state === STATES.CLOSED && circuit.failures >= this.failureThreshold)) {
+      circuit.openedAt = Date.now();
+      this._transition(upstream, circuit, STATES.OPEN);
+    }
+  }
+
+  /**
+   * Gets the state of all tracked circuits (for /admin/circuits)
+   * Includes upstream hosts and error text, so it must not be served publicly.
+   * @returns {Array<Object>} Circuits [{upstream, state, failures, openedAt, lastError}]
+   */
+  getStates() {
+    return Array.from(this.circuits.entries()).map(([upstream, circuit]) => ({
+      upstream,
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      lastError: circuit.lastError
+    }));
+  }
+
+  /**
+   * Counts tracked circuits by state (for /healthz)
+   * @returns {Object} Counts keyed by state { closed, open, 'half-open' }
+   */
+  getStateCounts() {
+    const counts = { [STATES.CLOSED]: 0, [STATES.OPEN]: 0, [STATES.HALF_OPEN]: 0 };
+    for (const circuit of this.circuits.values()) {
+      counts[circuit.state]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Changes circuit state, logging and updating the state gauge
+   * @param {string} upstream - Upstream key
+   * @param {Object} circuit - Circuit record
+   * @param {string} state - New state
+   * @private
+   */
+  _transition(upstream, circuit, state) {
+    const logLevel = state === STATES.OPEN ? 'warn' : 'info';
+    logger[logLevel](`Circuit for ${upstream}: ${circuit.state} -> ${state}${state === STATES.OPEN ? ` (${circuit.lastError})` : ''}`);
+    circuit.state = state;
+    metricsService.setCircuitState(upstream, state);
+  }
+
+  /**
+   * Drops the oldest closed circuit when the tracking limit is reached
+   * @private
+   */
+  _evictIfFull() {
+    if (this.circuits.size < MAX_TRACKED_UPSTREAMS) return;
+
+    for (const [upstream, circuit] of this.circuits) {
+      if (circuit.state === STATES.CLOSED) {
+        this.circuits.delete(upstream);
+        return;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const circuitBreakerService = new CircuitBreakerService();
+module.exports = circuitBreakerService;
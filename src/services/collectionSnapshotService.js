@@ -0,0 +1,229 @@
+/**
+ * Collection Snapshot Service
+ * Keeps the previous states of a user's Stremio addon collection so any change the
+ * wrapper made (replace, batch replace, unwrap, emergency restore, order editor,
+ * health check auto-heal) can be undone.
+ *
+ * Snapshots are keyed by a hash of the auth token (the token itself is never stored)
+ * and kept newest first, up to a per-user limit. Each one holds the full collection,
+ * gzipped, under its own key; the index holds only metadata so listing stays cheap.
+ * Like the config store, keys live outside the versioned cache keys.
+ *
+ * Addons disabled in the order editor are kept here too: Stremio has no disabled
+ * state, so they are taken out of the collection and parked until re-enabled.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { getRedisClient, isRedisAvailable } = require('../config/redis');
+const appConfig = require('../config');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SNAPSHOT_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+class CollectionSnapshotService {
+  /**
+   * Checks whether snapshots can be used (enabled and Redis connected)
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return appConfig.collectionSnapshots.enabled && isRedisAvailable();
+  }
+
+  /**
+   * Stores a snapshot of a collection
+   * @param {string} authToken - User's authentication token
+   * @param {Array} addons - Full addon collection to keep
+   * @param {string} action - Action about to change the collection (e.g. 'replace-addon')
+   * @returns {Promise<Object>} Snapshot metadata { id, createdAt, action, addonCount }
+   */
+  async record(authToken, addons, action) {
+    const client = this._getClient();
+    const { maxPerUser, ttl } = appConfig.collectionSnapshots;
+    const indexKey = this._getIndexKey(authToken);
+
+    const meta = {
+      id: crypto.randomBytes(8).toString('hex'),
+      createdAt: new Date().toISOString(),
+      action: action || 'unknown',
+      addonCount: addons.length
+    };
+    const compressed = await gzip(JSON.stringify(addons));
+
+    // Entries beyond the limit are dropped together with their collections
+    const expired = await client.lrange(indexKey, maxPerUser - 1, -1);
+
+    const pipeline = client.multi()
+      .set(this._getSnapshotKey(authToken, meta.id), compressed, 'EX', ttl)
+      .lpush(indexKey, JSON.stringify(meta))
+      .ltrim(indexKey, 0, maxPerUser - 1)
+      .expire(indexKey, ttl);
+    for (const entry of expired) {
+      pipeline.del(this._getSnapshotKey(authToken, JSON.parse(entry).id));
+    }
+    await pipeline.exec();
+
+    logger.info(`Collection snapshot stored: ${meta.id} (${meta.action}, ${meta.addonCount} addons)`);
+    return meta;
+  }
+
+  /**
+   * Lists a user's snapshots, newest first
+   * Snapshots whose collection has expired are left out.
+   * @param {string} authToken - User's authentication token
+   * @returns {Promise<Array<Object>>} Snapshot metadata [{ id, createdAt, action, addonCount }]
+   */
+  async list(authToken) {
+    const client = this._getClient();
+    const entries = (await client.lrange(this._getIndexKey(authToken), 0, -1)).map(entry => JSON.parse(entry));
+    if (entries.length === 0) return [];
+
+    const exists = await Promise.all(entries.map(meta => client.exists(this._getSnapshotKey(authToken, meta.id))));
+    return entries.filter((meta, index) => exists[index]);
+  }
+
+  /**
+   * Gets a snapshot with its collection
+   * @param {string} authToken - User's authentication token
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} { id, createdAt, action, addonCount, addons } or null if unknown
+   */
+  async get(authToken, snapshotId) {
+    if (typeof snapshotId !== 'string' || !SNAPSHOT_ID_PATTERN.test(snapshotId)) return null;
+
+    const client = this._getClient();
+    const compressed = await client.getBuffer(this._getSnapshotKey(authToken, snapshotId));
+    if (!compressed) return null;
+
+    const entries = await client.lrange(this._getIndexKey(authToken), 0, -1);
+    const meta = entries.map(entry => JSON.parse(entry)).find(entry => entry.id === snapshotId);
+    if (!meta) return null;
+
+    const addons = JSON.parse((await gunzip(compressed)).toString());
+    return { ...meta, addons };
+  }
+
+  /**
+   * Gets the addons a user has disabled
+   * @param {string} authToken - User's authentication token
+   * @returns {Promise<Array>} Disabled collection entries
+   */
+  async getDisabledAddons(authToken) {
+    const json = await this._getClient().get(this._getDisabledKey(authToken));
+    return json ? JSON.parse(json) : [];
+  }
+
+  /**
+   * Replaces the addons a user has disabled
+   * @param {string} authToken - User's authentication token
+   * @param {Array} addons - Disabled collection entries
+   */
+  async setDisabledAddons(authToken, addons) {
+    const client = this._getClient();
+    const key = this._getDisabledKey(authToken);
+
+    if (addons.length === 0) {
+      await client.del(key);
+    } else {
+      await client.set(key, JSON.stringify(addons));
+    }
+  }
+
+  /**
+   * Compares two collections by transport URL
+   * @param {Array} fromAddons - Older collection
+   * @param {Array} toAddons - Newer collection
+   * @returns {Object} { added, removed, moved, unchanged } - added/removed/moved list
+   *   { transportUrl, name } (moved also fromIndex/toIndex); unchanged is a count
+   */
+  diff(fromAddons, toAddons) {
+    const describe = (addon) => ({
+      transportUrl: addon.transportUrl,
+      name: addon.manifest?.name || addon.manifest?.id || addon.transportUrl
+    });
+    const fromUrls = fromAddons.map(addon => addon.transportUrl);
+    const toUrls = toAddons.map(addon => addon.transportUrl);
+
+    const added = toAddons.filter(addon => !fromUrls.includes(addon.transportUrl)).map(describe);
+    const removed = fromAddons.filter(addon => !toUrls.includes(addon.transportUrl)).map(describe);
+
+    // Positions are compared among the addons present in both, so an insertion
+    // at the top doesn't count every addon below it as moved
+    const keptFrom = fromAddons.filter(addon => toUrls.includes(addon.transportUrl));
+    const keptTo = toAddons.filter(addon => fromUrls.includes(addon.transportUrl));
+    const keptToUrls = keptTo.map(addon => addon.transportUrl);
+
+    const moved = [];
+    keptFrom.forEach((addon, fromIndex) => {
+      const toIndex = keptToUrls.indexOf(addon.transportUrl);
+      if (toIndex !== fromIndex) {
+        moved.push({ ...describe(addon), fromIndex: fromUrls.indexOf(addon.transportUrl), toIndex: toUrls.indexOf(addon.transportUrl) });
+      }
+    });
+
+    return { added, removed, moved, unchanged: keptFrom.length - moved.length };
+  }
+
+  /**
+   * Gets the Redis client, failing when snapshots are unavailable
+   * @returns {Redis} Redis client
+   * @private
+   */
+  _getClient() {
+    if (!this.isAvailable()) {
+      const error = new Error('Collection snapshots are not available');
+      error.storeUnavailable = true;
+      throw error;
+    }
+    return getRedisClient();
+  }
+
+  /**
+   * Hashes an auth token for use in keys
+   * @param {string} authToken - User's authentication token
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  _hashToken(authToken) {
+    return crypto.createHash('sha256').update(authToken).digest('hex');
+  }
+
+  /**
+   * Gets the Redis key of a user's snapshot index
+   * @param {string} authToken - User's authentication token
+   * @returns {string} Redis key
+   * @private
+   */
+  _getIndexKey(authToken) {
+    return `snapshots:${this._hashToken(authToken)}`;
+  }
+
+  /**
+   * Gets the Redis key of a snapshot's collection
+   * @param {string} authToken - User's authentication token
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {string} Redis key
+   * @private
+   */
+  _getSnapshotKey(authToken, snapshotId) {
+    return `snapshot:${this._hashToken(authToken)}:${snapshotId}`;
+  }
+
+  /**
+   * Gets the Redis key of a user's disabled addons
+   * @param {string} authToken - User's authentication token
+   * @returns {string} Redis key
+   * @private
+   */
+  _getDisabledKey(authToken) {
+    return `disabledaddons:${this._hashToken(authToken)}`;
+  }
+}
+
+// Export singleton instance
+const collectionSnapshotService = new CollectionSnapshotService();
+module.exports = collectionSnapshotService;
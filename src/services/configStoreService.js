@@ -0,0 +1,297 @@
+/**
+ * Config Store Service
+ * Keeps configs server-side under short IDs so install URLs stay short
+ * ("/{configId}/manifest.json") and settings can be edited behind an existing install.
+ *
+ * Each stored config has an owner secret, returned once on creation and stored
+ * only as a hash; reading or editing the config requires it.
+ *
+ * Records live in Redis without expiry and outside the versioned cache keys, so
+ * bumping CACHE_VERSION doesn't lose them. The raw config is stored and validated
+ * on every resolve, exactly like configs encoded in the URL. Configs with API keys
+ * are only stored sealed (or without the keys when CONFIG_SECRETS isn't set).
+ */
+
+const crypto = require('crypto');
+const { getRedisClient, isRedisAvailable } = require('../config/redis');
+const appConfig = require('../config');
+const logger = require('../utils/logger');
+const { encodeConfig, decodeConfig, validateConfig, canSealConfigs, parseConfigFromPath } = require('../utils/configParser');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 12;
+
+// Short IDs can't be confused with encoded configs (base64url JSON is far longer)
+const CONFIG_ID_PATTERN = /^[A-Za-z0-9]{12}$/;
+
+// Upper bound of a stored config (JSON characters)
+const MAX_CONFIG_SIZE = 32 * 1024;
+
+class ConfigStoreService {
+  /**
+   * Checks whether a config path segment is a short config ID
+   * @param {string} value - Path segment
+   * @returns {boolean} True for config IDs
+   */
+  isConfigId(value) {
+    return typeof value === 'string' && CONFIG_ID_PATTERN.test(value);
+  }
+
+  /**
+   * Checks whether the store can be used (enabled and Redis connected)
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return appConfig.configStore.enabled && isRedisAvailable();
+  }
+
+  /**
+   * Stores a new config
+   * @param {Object} config - Config object (as it would be encoded in the URL)
+   * @returns {Promise<{configId: string, ownerSecret: string}>} New ID and owner secret
+   */
+  async create(config) {
+    this._checkConfig(config);
+
+    const client = this._getClient();
+    const ownerSecret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+    const record = {
+      ownerSecretHash: this._hashSecret(ownerSecret),
+      revision: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    this._setConfig(record, config);
+
+    // Retry on the (unlikely) ID collision
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const configId = this._generateId();
+      const stored = await client.set(this._getKey(configId), JSON.stringify(record), 'NX');
+      if (stored) {
+        logger.info(`Config stored: ${configId}`);
+        return { configId, ownerSecret };
+      }
+    }
+
+    throw new Error('Could not allocate a config ID');
+  }
+
+  /**
+   * Resolves a config ID to the encoded config for the addon routes
+   * Configs with API keys are sealed, since plain configs may not carry them.
+   * @param {string} configId - Config ID
+   * @returns {Promise<string|null>} Encoded config or null if unknown
+   */
+  async resolve(configId) {
+    const record = await this._getRecord(configId);
+    if (!record) return null;
+
+    if (record.sealedConfig) return record.sealedConfig;
+
+    const seal = !!record.config.apiKeys && canSealConfigs();
+    return encodeConfig(record.config, { seal });
+  }
+
+  /**
+   * Parses the config segment of a wrapper install URL
+   * Short config IDs are resolved through the store.
+   * @param {string} segment - Encoded config or config ID
+   * @returns {Promise<Object>} Validated config
+   */
+  async parseInstallConfig(segment) {
+    if (this.isConfigId(segment)) {
+      const encodedConfig = await this.resolve(segment);
+      if (!encodedConfig) {
+        throw new Error('Unknown config ID');
+      }
+      return parseConfigFromPath(encodedConfig);
+    }
+    return parseConfigFromPath(segment);
+  }
+
+  /**
+   * Gets a stored config for its owner
+   * @param {string} configId - Config ID
+   * @param {string} ownerSecret - Owner secret
+   * @returns {Promise<Object|null>} { config, revision, createdAt, updatedAt } or null if unknown
+   */
+  async get(configId, ownerSecret) {
+    const record = await this._getRecord(configId);
+    if (!record) return null;
+
+    this._checkOwner(record, ownerSecret);
+    const { revision, createdAt, updatedAt } = record;
+    return { config: this._getConfig(record), revision, createdAt, updatedAt };
+  }
+
+  /**
+   * Replaces the config behind an existing ID
+   * @param {string} configId - Config ID
+   * @param {string} ownerSecret - Owner secret
+   * @param {Object} config - New config object
+   * @returns {Promise<Object|null>} { revision, updatedAt } or null if unknown
+   */
+  async update(configId, ownerSecret, config) {
+    const record = await this._getRecord(configId);
+    if (!record) return null;
+
+    this._checkOwner(record, ownerSecret);
+    this._checkConfig(config);
+
+    this._setConfig(record, config);
+    record.revision += 1;
+    record.updatedAt = new Date().toISOString();
+
+    await this._getClient().set(this._getKey(configId), JSON.stringify(record), 'XX');
+    logger.info(`Config updated: ${configId} (revision ${record.revision})`);
+
+    return { revision: record.revision, updatedAt: record.updatedAt };
+  }
+
+  /**
+   * Loads a stored record
+   * Records stored before API keys were sealed are sealed on first load.
+   * @param {string} configId - Config ID
+   * @returns {Promise<Object|null>} Record or null if unknown
+   * @private
+   */
+  async _getRecord(configId) {
+    if (!this.isConfigId(configId)) return null;
+
+    const client = this._getClient();
+    const json = await client.get(this._getKey(configId));
+    if (!json) return null;
+
+    const record = JSON.parse(json);
+    if (record.config && record.config.apiKeys) {
+      this._setConfig(record, record.config);
+      await client.set(this._getKey(configId), JSON.stringify(record), 'XX');
+      logger.info(`Config ${configId}: API keys ${record.sealedConfig ? 'sealed' : 'removed'} at rest`);
+    }
+    return record;
+  }
+
+  /**
+   * Puts a config into a record
+   * Configs with API keys are kept sealed. Without CONFIG_SECRETS the keys are dropped,
+   * since plain configs ignore them anyway.
+   * @param {Object} record - Stored record (modified)
+   * @param {Object} config - Config object
+   * @private
+   */
+  _setConfig(record, config) {
+    delete record.config;
+    delete record.sealedConfig;
+
+    if (!config.apiKeys) {
+      record.config = config;
+    } else if (canSealConfigs()) {
+      record.sealedConfig = encodeConfig(config, { seal: true });
+    } else {
+      const { apiKeys, ...rest } = config;
+      logger.warn('CONFIG_SECRETS is not set, API keys are not stored');
+      record.config = rest;
+    }
+  }
+
+  /**
+   * Gets the config of a record
+   * @param {Object} record - Stored record
+   * @returns {Object} Config object
+   * @private
+   */
+  _getConfig(record) {
+    if (!record.sealedConfig) return record.config;
+
+    const config = decodeConfig(record.sealedConfig);
+    if (!config) {
+      throw new Error('Stored config can no longer be decrypted (its CONFIG_SECRETS key was removed)');
+    }
+    return config;
+  }
+
+  /**
+   * Gets the Redis client, failing when the store is unavailable
+   * @returns {Redis} Redis client
+   * @private
+   */
+  _getClient() {
+    if (!this.isAvailable()) {
+      const error = new Error('Config store is not available');
+      error.storeUnavailable = true;
+      throw error;
+    }
+    return getRedisClient();
+  }
+
+  /**
+   * Validates a config before storing it
+   * @param {Object} config - Config object
+   * @private
+   */
+  _checkConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('config must be an object');
+    }
+    if (JSON.stringify(config).length > MAX_CONFIG_SIZE) {
+      throw new Error(`config must be at most ${MAX_CONFIG_SIZE} characters`);
+    }
+    // Same validation as URL configs (throws on invalid settings)
+    validateConfig(config);
+  }
+
+  /**
+   * Verifies the owner secret of a record
+   * @param {Object} record - Stored record
+   * @param {string} ownerSecret - Secret sent by the client
+   * @private
+   */
+  _checkOwner(record, ownerSecret) {
+    const expected = Buffer.from(record.ownerSecretHash, 'hex');
+    const actual = Buffer.from(this._hashSecret(typeof ownerSecret === 'string' ? ownerSecret : ''), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const error = new Error('Invalid owner secret');
+      error.forbidden = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Hashes an owner secret for storage
+   * @param {string} secret - Owner secret
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  _hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Generates a random config ID
+   * @returns {string} Config ID
+   * @private
+   */
+  _generateId() {
+    let id = '';
+    for (let i = 0; i < ID_LENGTH; i++) {
+      id += ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)];
+    }
+    return id;
+  }
+
+  /**
+   * Gets the Redis key of a config ID
+   * @param {string} configId - Config ID
+   * @returns {string} Redis key
+   * @private
+   */
+  _getKey(configId) {
+    return `configstore:${configId}`;
+  }
+}
+
+// Export singleton instance
+const configStoreService = new ConfigStoreService();
+module.exports = configStoreService;
@@ -1,7 +1,7 @@
 /**
  * Consolidated Rating Service
  * Computes weighted averages from multiple rating sources
- * (IMDb, TMDB, Rotten Tomatoes, Metacritic)
+ * (IMDb, TMDB, Rotten Tomatoes, Metacritic, MAL and scraped audience scores)
  */
 
 const logger = require('../utils/logger');
@@ -9,9 +9,14 @@ const redisService = require('./redisService');
 const ratingsService = require('./ratingsService');
 const tmdbService = require('./tmdbService');
 const omdbService = require('./omdbService');
+const malService = require('./malService');
+const kitsuMappingService = require('./kitsuMappingService');
 const cacheKeys = require('../utils/cacheKeys');
 const appConfig = require('../config');
 
+// Sources that can contribute to the consolidated rating
+const WEIGHT_SOURCES = ['imdb', 'tmdb', 'rt', 'mc', 'mal', 'rtAudience', 'mcUser'];
+
 class ConsolidatedRatingService {
   constructor() {
     // Cache for failed lookups to avoid redundant API calls
@@ -33,6 +38,8 @@ class ConsolidatedRatingService {
     this.cleanupInterval = setInterval(() => {
       this._cleanupExpiredNotFoundEntries();
     }, 5 * 60 * 1000);
+    // Don't keep the process alive for this interval
+    this.cleanupInterval.unref();
 
     if (this.cleanupInterval.unref) {
       this.cleanupInterval.unref();
@@ -101,7 +108,7 @@ class ConsolidatedRatingService {
    * Normalize rating to 0-10 scale
    * @private
    * @param {number} value - Rating value
-   * @param {string} type - Rating type ('imdb', 'tmdb', 'rt', 'mc')
+   * @param {string} type - Rating type ('imdb', 'tmdb', 'rt', 'mc', 'mal', 'rtAudience', 'mcUser')
    * @returns {number} Normalized rating (0-10)
    */
   _normalizeRating(value, type) {
@@ -112,11 +119,14 @@ class ConsolidatedRatingService {
     switch (type) {
       case 'imdb':
       case 'tmdb':
+      case 'mal':
+      case 'mcUser':
         // Already 0-10 scale
         return numValue;
 
       case 'rt':
       case 'mc':
+      case 'rtAudience':
         // 0-100 → 0-10
         return numValue / 10;
 
@@ -127,42 +137,85 @@ class ConsolidatedRatingService {
   }
 
   /**
-   * Compute average rating from multiple sources
-   * @private
-   * @param {Object} sources - Object with source ratings
-   * @returns {number|null} Average rating (0-10 scale) or null
+   * Resolve a weighting profile, filling in defaults
+   * The resolved profile is also hashed into the cache key, so equivalent
+   * configs always map to the same cached entries.
+   * @param {Object} weighting - Weighting settings from the user config (optional)
+   * @returns {Object} Profile {weights, voteShrinkage, minVotes}
    */
-  _computeAverageRating(sources) {
-    const normalized = [];
+  getWeightingProfile(weighting = null) {
+    const defaults = appConfig.defaults.consolidatedRating;
+    const weights = {};
 
-    // IMDb: already 0-10
-    if (sources.imdb !== null && sources.imdb !== undefined) {
-      const value = this._normalizeRating(sources.imdb, 'imdb');
-      if (value !== null) normalized.push(value);
+    for (const source of WEIGHT_SOURCES) {
+      const weight = weighting?.weights?.[source];
+      weights[source] = typeof weight === 'number' ? weight : defaults.weights[source];
     }
 
-    // TMDB: already 0-10
-    if (sources.tmdb !== null && sources.tmdb !== undefined) {
-      const value = this._normalizeRating(sources.tmdb, 'tmdb');
-      if (value !== null) normalized.push(value);
+    const voteShrinkage = weighting?.voteShrinkage === true;
+
+    return {
+      weights,
+      voteShrinkage,
+      // Only part of the profile when it affects the result
+      minVotes: voteShrinkage
+        ? (typeof weighting.minVotes === 'number' ? weighting.minVotes : defaults.minVotes)
+        : 0
+    };
+  }
+
+  /**
+   * Compute the effective weight of each source
+   * With vote shrinkage, a source's weight is scaled by votes / (votes + minVotes),
+   * so a score from a handful of votes barely moves the average. Sources without
+   * a vote count (critic scores) keep their configured weight.
+   * @private
+   * @param {Object} sources - Source values keyed by source ({value, votes})
+   * @param {Object} profile - Weighting profile from getWeightingProfile
+   * @returns {Object} Effective weight share per contributing source (sums to 1)
+   */
+  _getEffectiveWeights(sources, profile) {
+    const raw = {};
+    let total = 0;
+
+    for (const [source, { votes }] of Object.entries(sources)) {
+      let weight = profile.weights[source] || 0;
+      if (weight > 0 && profile.voteShrinkage && votes !== null && votes !== undefined) {
+        weight *= votes / ((votes + profile.minVotes) || 1);
+      }
+      if (weight > 0) {
+        raw[source] = weight;
+        total += weight;
+      }
     }
 
-    // Rotten Tomatoes: 0-100 → 0-10
-    if (sources.rottenTomatoes !== null && sources.rottenTomatoes !== undefined) {
-      const value = this._normalizeRating(sources.rottenTomatoes, 'rt');
-      if (value !== null) normalized.push(value);
+    const shares = {};
+    for (const [source, weight] of Object.entries(raw)) {
+      shares[source] = weight / total;
     }
+    return shares;
+  }
 
-    // Metacritic: 0-100 → 0-10
-    if (sources.metacritic !== null && sources.metacritic !== undefined) {
-      const value = this._normalizeRating(sources.metacritic, 'mc');
-      if (value !== null) normalized.push(value);
+  /**
+   * Compute weighted average rating from multiple sources
+   * @private
+   * @param {Object} sources - Source values keyed by source ({value, votes})
+   * @param {Object} weights - Effective weights from _getEffectiveWeights
+   * @returns {number|null} Average rating (0-10 scale) or null
+   */
+  _computeAverageRating(sources, weights) {
+    let sum = 0;
+    let totalWeight = 0;
+
+    for (const [source, weight] of Object.entries(weights)) {
+      const value = this._normalizeRating(sources[source].value, source);
+      if (value === null || isNaN(value)) continue;
+      sum += value * weight;
+      totalWeight += weight;
     }
 
-    // Compute average
-    if (normalized.length === 0) return null;
-    const sum = normalized.reduce((a, b) => a + b, 0);
-    const avg = sum / normalized.length;
+    if (totalWeight === 0) return null;
+    const avg = sum / totalWeight;
 
     // Round to 1 decimal place
     return Math.round(avg * 10) / 10;
@@ -192,6 +245,8 @@ class ConsolidatedRatingService {
    * @param {Object} options - Additional options
    * @param {boolean} options.forceRefresh - Force refresh from APIs
    * @param {string} options.region - TMDB region for streaming data (default: 'US')
+   * @param {Object} options.weighting - Weighting settings (config.consolidatedRating)
+   * @param {Object} options.apiKeys - User's own API keys (config.apiKeys)
    * @returns {Object|null} Consolidated rating data or null
    */
   async getConsolidatedRating(imdbId, type = 'movie', options = {}) {
@@ -207,10 +262,12 @@ class ConsolidatedRatingService {
         return null;
       }
 
+      const profile = this.getWeightingProfile(options.weighting);
+
       // Check Redis cache
       const cacheEnabled = appConfig.redis.enabled && appConfig.redis.enableRawDataCache;
       if (cacheEnabled && !options.forceRefresh) {
-        const cacheKey = cacheKeys.generateConsolidatedRatingKey(imdbId);
+        const cacheKey = cacheKeys.generateConsolidatedRatingKey(imdbId, profile);
         const cached = await redisService.get(cacheKey);
         if (cached) {
           logger.debug(`✓ Consolidated rating cache HIT: ${imdbId} - ${cached.consolidatedRating}`);
@@ -223,31 +280,51 @@ class ConsolidatedRatingService {
       // Fetch from all sources in parallel
       logger.debug(`Fetching consolidated rating from all sources: ${imdbId} (${type})`);
       const region = options.region || 'US';
+      const apiKeys = options.apiKeys || {};
+
+      // MAL is only looked up when it can contribute (IMDb → MAL mapping, anime only)
+      const malId = profile.weights.mal > 0 ? kitsuMappingService.getMalIdFromImdb(imdbId) : null;
 
-      const [imdbData, tmdbData, omdbData] = await Promise.all([
+      const [imdbData, tmdbData, omdbData, malData] = await Promise.all([
         ratingsService.getRating(imdbId, type).catch(err => {
           logger.debug(`Error fetching IMDb rating for ${imdbId}: ${err.message}`);
           return null;
         }),
-        tmdbService.getTmdbDataByImdbId(imdbId, region).catch(err => {
+        tmdbService.getTmdbDataByImdbId(imdbId, region, apiKeys.tmdb).catch(err => {
           logger.debug(`Error fetching TMDB data for ${imdbId}: ${err.message}`);
           return null;
         }),
-        omdbService.getOmdbDataByImdbId(imdbId, type).catch(err => {
+        omdbService.getOmdbDataByImdbId(imdbId, type, null, null, apiKeys.omdb).catch(err => {
           logger.debug(`Error fetching OMDB data for ${imdbId}: ${err.message}`);
           return null;
-        })
+        }),
+        malId
+          ? malService.getMalDataByMalId(malId, apiKeys.mal).catch(err => {
+            logger.debug(`Error fetching MAL data for ${imdbId} (MAL ${malId}): ${err.message}`);
+            return null;
+          })
+          : null
       ]);
 
-      // Extract ratings from each source
+      // Extract ratings from each source as {value, votes}
+      // votes is null where the source has no vote count (not shrunk)
       const sources = {};
+      const toVotes = value => {
+        const votes = parseInt(value, 10);
+        return isNaN(votes) ? null : votes;
+      };
 
       if (imdbData?.rating) {
-        sources.imdb = parseFloat(imdbData.rating);
+        sources.imdb = { value: parseFloat(imdbData.rating), votes: toVotes(imdbData.votes) };
       }
 
       if (tmdbData?.tmdbRating) {
-        sources.tmdb = parseFloat(tmdbData.tmdbRating);
+        // Vote count is only used when the ratings API provides it
+        sources.tmdb = { value: parseFloat(tmdbData.tmdbRating), votes: toVotes(tmdbData.tmdbVotes) };
+      }
+
+      if (malData?.malRating) {
+        sources.mal = { value: parseFloat(malData.malRating), votes: toVotes(malData.malVotes) };
       }
 
       // Debug OMDB data structure
@@ -261,7 +338,7 @@ class ConsolidatedRatingService {
           ? parseInt(omdbData.rottenTomatoes.replace('%', ''))
           : parseInt(omdbData.rottenTomatoes);
         if (!isNaN(rtValue)) {
-          sources.rottenTomatoes = rtValue;
+          sources.rt = { value: rtValue, votes: null };
           logger.debug(`Extracted RT rating: ${rtValue} from ${omdbData.rottenTomatoes}`);
         } else {
           logger.warn(`Failed to parse RT rating from: ${omdbData.rottenTomatoes}`);
@@ -275,7 +352,7 @@ class ConsolidatedRatingService {
           ? parseInt(omdbData.metacritic)
           : parseInt(omdbData.metacritic);
         if (!isNaN(mcValue)) {
-          sources.metacritic = mcValue;
+          sources.mc = { value: mcValue, votes: null };
           logger.debug(`Extracted MC rating: ${mcValue} from ${omdbData.metacritic}`);
         } else {
           logger.warn(`Failed to parse MC rating from: ${omdbData.metacritic}`);
@@ -284,32 +361,63 @@ class ConsolidatedRatingService {
         logger.debug(`No MC rating in OMDB data for ${imdbId}`);
       }
 
-      // Compute consolidated rating
-      const consolidatedRating = this._computeAverageRating(sources);
-      const sourceCount = Object.keys(sources).length;
+      // Audience scores scraped for series (only present when scraping ran)
+      const rtAudience = parseInt(omdbData?.rottenTomatoesAudience, 10);
+      if (!isNaN(rtAudience)) {
+        sources.rtAudience = { value: rtAudience, votes: null };
+      }
+
+      const mcUser = parseFloat(omdbData?.metacriticUser);
+      if (!isNaN(mcUser)) {
+        sources.mcUser = { value: mcUser, votes: null };
+      }
 
       // If no sources found, cache as not-found and return null
-      if (sourceCount === 0 || consolidatedRating === null) {
+      if (Object.keys(sources).length === 0) {
         logger.info(`✗ No ratings found for ${imdbId} from any source`);
         this._addToNotFoundCache(imdbId);
         return null;
       }
 
+      // Compute consolidated rating
+      const weights = this._getEffectiveWeights(sources, profile);
+      const consolidatedRating = this._computeAverageRating(sources, weights);
+      const sourceCount = Object.keys(weights).length;
+
+      // Sources exist but none carries weight in this profile (not cached as not-found)
+      if (sourceCount === 0 || consolidatedRating === null) {
+        logger.info(`✗ No weighted ratings for ${imdbId} (sources: ${Object.keys(sources).join(', ')})`);
+        return null;
+      }
+
       const colorIndicator = this._getColorIndicator(consolidatedRating);
 
+      // Report each source with its effective weight share (0 = not counted)
+      const reportedSources = {};
+      for (const [source, { value, votes }] of Object.entries(sources)) {
+        reportedSources[source] = {
+          value,
+          votes,
+          weight: Math.round((weights[source] || 0) * 1000) / 1000
+        };
+      }
+
       const result = {
         consolidatedRating,
         sourceCount,
-        sources,
+        sources: reportedSources,
         colorIndicator,
         computedAt: new Date().toISOString()
       };
 
-      logger.info(`✓ Consolidated rating computed for ${imdbId}: ${consolidatedRating} (${sourceCount} sources: ${Object.keys(sources).join(', ')})`);
+      const weightSummary = Object.entries(weights)
+        .map(([source, weight]) => `${source} ${Math.round(weight * 100)}%`)
+        .join(', ');
+      logger.info(`✓ Consolidated rating computed for ${imdbId}: ${consolidatedRating} (${sourceCount} sources: ${weightSummary})`);
 
       // Cache the result in Redis
       if (cacheEnabled) {
-        const cacheKey = cacheKeys.generateConsolidatedRatingKey(imdbId);
+        const cacheKey = cacheKeys.generateConsolidatedRatingKey(imdbId, profile);
         const ttl = cacheKeys.getRawDataTTL();
         await redisService.set(cacheKey, result, ttl);
         logger.debug(`Cached consolidated rating: ${imdbId} (TTL: ${Math.floor(ttl / 3600)}h)`);
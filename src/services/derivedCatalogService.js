@@ -0,0 +1,136 @@
+/**
+ * Derived Catalog Service
+ * Builds extra catalogs that don't exist upstream ("Top Rated in Trending",
+ * "Hidden Gems", ...) by pulling several pages of a wrapped catalog, rating the
+ * items with the batch rating services and re-ranking them.
+ *
+ * Definitions live in the encoded config (config.derivedCatalogs). Derived
+ * catalogs are a single page of up to `limit` items, so no skip is declared.
+ */
+
+const logger = require('../utils/logger');
+const addonProxy = require('./addonProxy');
+const metadataEnhancer = require('./metadataEnhancer');
+const upstreamService = require('./upstreamService');
+
+// Prefix of derived catalog IDs (cannot clash with upstream keys, which have no dots)
+const DERIVED_PREFIX = 'derived.';
+
+class DerivedCatalogService {
+  /**
+   * Checks whether a catalog ID belongs to a derived catalog
+   * @param {string} id - Catalog ID
+   * @returns {boolean} True for derived catalogs
+   */
+  isDerivedCatalog(id) {
+    return typeof id === 'string' && id.startsWith(DERIVED_PREFIX);
+  }
+
+  /**
+   * Gets the manifest entries for the configured derived catalogs
+   * @param {Object} config - User configuration
+   * @returns {Array<Object>} Manifest catalogs [{type, id, name}]
+   */
+  getManifestCatalogs(config) {
+    return (config.derivedCatalogs || []).map(definition => ({
+      type: definition.type,
+      id: `${DERIVED_PREFIX}${definition.id}`,
+      name: definition.name
+    }));
+  }
+
+  /**
+   * Builds a derived catalog
+   * @param {Object} config - User configuration
+   * @param {string} type - Content type
+   * @param {string} id - Derived catalog ID (with prefix)
+   * @param {Object} extra - Extra catalog parameters
+   * @returns {Promise<Array<Object>>} Ranked metas (not yet enhanced)
+   */
+  async fetchCatalog(config, type, id, extra = {}) {
+    const definitionId = id.substring(DERIVED_PREFIX.length);
+    const definition = (config.derivedCatalogs || []).find(d => d.id === definitionId && d.type === type);
+    if (!definition) {
+      logger.warn(`Unknown derived catalog ${type}/${id}`);
+      return [];
+    }
+
+    // Single page only
+    if (parseInt(extra.skip, 10) > 0) {
+      return [];
+    }
+
+    const route = upstreamService.resolveCatalog(config, definition.source);
+    if (!route) {
+      logger.warn(`Derived catalog ${definitionId}: no upstream addon for source ${definition.source}`);
+      return [];
+    }
+
+    const metas = await this._fetchSourcePages(route.addonUrl, type, route.catalogId, definition.depth);
+
+    const ratingOptions = {
+      region: config.descriptionFormat?.streamingRegion,
+      weighting: config.consolidatedRating,
+      apiKeys: config.apiKeys
+    };
+    const rated = await metadataEnhancer.filterCatalogMetas(metas, {
+      ...ratingOptions,
+      ratingSource: definition.formula === 'consolidated' ? 'consolidated' : 'imdb',
+      minRating: definition.minRating,
+      minVotes: definition.minVotes,
+      maxVotes: definition.maxVotes,
+      hideUnrated: true
+    });
+    const ranked = await metadataEnhancer.sortCatalogMetas(rated, definition.formula, {
+      ...ratingOptions,
+      minVotes: config.catalogSort?.weightedMinVotes
+    });
+
+    logger.info(`Derived catalog ${definitionId}: ${Math.min(ranked.length, definition.limit)} of ${metas.length} source items`);
+    return ranked.slice(0, definition.limit);
+  }
+
+  /**
+   * Pulls the first pages of the source catalog (through the raw catalog cache)
+   * @param {string} addonUrl - Addon URL
+   * @param {string} type - Content type
+   * @param {string} catalogId - Source catalog ID in the upstream addon
+   * @param {number} depth - Number of pages to pull
+   * @returns {Promise<Array<Object>>} Metas, de-duplicated by ID
+   * @private
+   */
+  async _fetchSourcePages(addonUrl, type, catalogId, depth) {
+    const metas = [];
+    const seen = new Set();
+    let skip = 0;
+
+    for (let page = 0; page < depth; page++) {
+      const extra = skip > 0 ? { skip: String(skip) } : {};
+      let pageMetas;
+      try {
+        const response = await addonProxy.fetchCatalog(addonUrl, type, catalogId, extra);
+        pageMetas = response.metas || [];
+      } catch (error) {
+        // Keep what we have - deeper pages failing shouldn't empty the catalog
+        logger.warn(`Derived catalog source ${type}/${catalogId} page ${page + 1} failed: ${error.message}`);
+        break;
+      }
+
+      if (pageMetas.length === 0) break;
+
+      for (const meta of pageMetas) {
+        if (meta && meta.id && !seen.has(meta.id)) {
+          seen.add(meta.id);
+          metas.push(meta);
+        }
+      }
+      skip += pageMetas.length;
+    }
+
+    return metas;
+  }
+}
+
+// Export singleton instance
+const derivedCatalogService = new DerivedCatalogService();
+module.exports = derivedCatalogService;
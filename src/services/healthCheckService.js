@@ -0,0 +1,420 @@
+/**
+ * Health Check Service
+ * Periodically checks the wrapped addons of users who registered their login
+ * session: each wrapped install's upstream manifest is fetched, and failures or
+ * changed upstream IDs (the wrapper then quietly serves empty catalogs) are recorded
+ * in a per-user status history.
+ *
+ * Auto-heal (chosen at registration) fixes installs whose upstream changed its ID:
+ * off    - report only
+ * unwrap - replace the wrapped install with the upstream addon(s)
+ * rewrap - reinstall the wrapped addon so Stremio picks up its new manifest
+ * Upstreams that fail are only reported; there is nothing to heal them to.
+ *
+ * Registrations end with the login session: each run first checks that the session
+ * is still alive (not logged out, idled out or past its maximum age). The auth key
+ * is kept sealed with a key derived from CONFIG_SECRETS for this purpose only, since
+ * the job runs without the session cookie.
+ * One instance runs the checks at a time (Redis lock).
+ */
+
+const crypto = require('crypto');
+const { getRedisClient, isRedisAvailable } = require('../config/redis');
+const appConfig = require('../config');
+const logger = require('../utils/logger');
+const { canSealConfigs } = require('../utils/configParser');
+const stremioApi = require('./stremioApi');
+const addonProxy = require('./addonProxy');
+const upstreamService = require('./upstreamService');
+const configStoreService = require('./configStoreService');
+const sessionService = require('./sessionService');
+
+const AUTO_HEAL_MODES = ['off', 'unwrap', 'rewrap'];
+const WRAPPED_ID_SUFFIX = '.ratings-wrapper';
+const AGGREGATE_ID_PREFIX = 'ratings-wrapper.aggregate.';
+
+const USERS_KEY = 'healthcheck:users';
+const LOCK_KEY = 'healthcheck:lock';
+
+const SEAL_IV_LENGTH = 12;
+const SEAL_TAG_LENGTH = 16;
+
+class HealthCheckService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Checks whether health checks can be used (enabled, Redis connected, sealing configured)
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return appConfig.healthChecks.enabled && isRedisAvailable() && canSealConfigs();
+  }
+
+  /**
+   * Starts the periodic checks
+   */
+  start() {
+    if (this.timer) return;
+
+    const intervalMs = appConfig.healthChecks.interval * 1000;
+    this.timer = setInterval(() => {
+      this.runAll().catch(error => logger.error('Health check run failed:', error.message));
+    }, intervalMs);
+
+    // Don't keep the process alive for this interval
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    logger.info(`Addon health checks every ${appConfig.healthChecks.interval}s`);
+  }
+
+  /**
+   * Registers a login session for health checks (or changes its auto-heal mode)
+   * @param {string} authKey - Stremio auth key of the session
+   * @param {Object} session - Session ({ userId, ref, expiresAt }) the registration ends with
+   * @param {string} autoHeal - Auto-heal mode (off, unwrap or rewrap)
+   * @returns {Promise<Object>} Registration { autoHeal, registeredAt, expiresAt }
+   */
+  async register(authKey, session, autoHeal = 'off') {
+    if (!AUTO_HEAL_MODES.includes(autoHeal)) {
+      throw new Error(`autoHeal must be one of: ${AUTO_HEAL_MODES.join(', ')}`);
+    }
+
+    const ttl = Math.floor((Date.parse(session.expiresAt) - Date.now()) / 1000);
+    if (ttl <= 0) {
+      throw new Error('Session has expired');
+    }
+
+    const record = {
+      autoHeal,
+      registeredAt: new Date().toISOString(),
+      expiresAt: session.expiresAt,
+      sessionRef: session.ref,
+      authKey: this._sealAuthKey(authKey)
+    };
+
+    const client = this._getClient();
+    await client.set(this._getKey(session.userId), JSON.stringify(record), 'EX', ttl);
+    await client.sadd(USERS_KEY, session.userId);
+
+    logger.info(`Health checks registered for user ${session.userId} (auto-heal: ${autoHeal})`);
+    return this._describeRegistration(record);
+  }
+
+  /**
+   * Ends a user's registration (the status history is kept until it expires)
+   * @param {string} userId - User ID
+   */
+  async unregister(userId) {
+    const client = this._getClient();
+    await client.del(this._getKey(userId));
+    await client.srem(USERS_KEY, userId);
+  }
+
+  /**
+   * Gets a user's registration and status history
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { registration, history } - registration is null if not
+   *   registered; history lists check runs newest first
+   */
+  async getStatus(userId) {
+    const client = this._getClient();
+    const [json, entries] = await Promise.all([
+      client.get(this._getKey(userId)),
+      client.lrange(this._getHistoryKey(userId), 0, -1)
+    ]);
+
+    return {
+      registration: json ? this._describeRegistration(JSON.parse(json)) : null,
+      history: entries.map(entry => JSON.parse(entry))
+    };
+  }
+
+  /**
+   * Checks all registered users (one instance at a time)
+   * @returns {Promise<number>} Number of users checked
+   */
+  async runAll() {
+    if (!this.isAvailable()) return 0;
+
+    const client = getRedisClient();
+    const locked = await client.set(LOCK_KEY, '1', 'EX', appConfig.healthChecks.interval, 'NX');
+    if (!locked) {
+      logger.debug('Health checks already running on another instance');
+      return 0;
+    }
+
+    const userIds = await client.smembers(USERS_KEY);
+    let checked = 0;
+    for (const userId of userIds) {
+      try {
+        if (await this.checkUser(userId)) checked++;
+      } catch (error) {
+        logger.warn(`Health check failed for user ${userId}:`, error.message);
+      }
+    }
+
+    logger.info(`Health checks done: ${checked} user(s)`);
+    return checked;
+  }
+
+  /**
+   * Checks a registered user's wrapped addons and records the result
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Check run (see _checkCollection) or null if not registered
+   */
+  async checkUser(userId) {
+    const client = this._getClient();
+    const json = await client.get(this._getKey(userId));
+    if (!json) {
+      // Registration ended with its session
+      await client.srem(USERS_KEY, userId);
+      return null;
+    }
+
+    const record = JSON.parse(json);
+    if (!(await sessionService.isActive(record.sessionRef))) {
+      // The login session was logged out or idled out before its maximum age
+      logger.info(`Health checks for user ${userId} ended with their session`);
+      await this.unregister(userId);
+      return null;
+    }
+
+    const authKey = this._openAuthKey(record.authKey);
+    if (!authKey) {
+      // Server key was rotated out; the user has to register again
+      await this.unregister(userId);
+      return null;
+    }
+
+    const run = await this._checkCollection(authKey, record.autoHeal);
+
+    const historyKey = this._getHistoryKey(userId);
+    await client.multi()
+      .lpush(historyKey, JSON.stringify(run))
+      .ltrim(historyKey, 0, appConfig.healthChecks.historySize - 1)
+      .expire(historyKey, appConfig.healthChecks.historyTtl)
+      .exec();
+
+    return run;
+  }
+
+  /**
+   * Checks the wrapped addons of a collection, healing them if enabled
+   * @param {string} authKey - Stremio auth key
+   * @param {string} autoHeal - Auto-heal mode
+   * @returns {Promise<Object>} { checkedAt, autoHeal, ok, failed, idChanged, addons } - addons
+   *   lists { name, transportUrl, status, upstreams, action } for each wrapped addon
+   * @private
+   */
+  async _checkCollection(authKey, autoHeal) {
+    const collection = await stremioApi.getAddonCollection(authKey);
+    const wrapped = collection.filter(addon => {
+      const manifestId = addon.manifest?.id || '';
+      return manifestId.endsWith(WRAPPED_ID_SUFFIX) || manifestId.startsWith(AGGREGATE_ID_PREFIX);
+    });
+
+    const addons = [];
+    for (const addon of wrapped) {
+      const result = await this._checkAddon(addon);
+      if (result.status === 'id-changed' && autoHeal !== 'off') {
+        result.action = await this._heal(authKey, addon, result, autoHeal);
+      }
+      addons.push(result);
+    }
+
+    const count = status => addons.filter(addon => addon.status === status).length;
+    return {
+      checkedAt: new Date().toISOString(),
+      autoHeal,
+      ok: count('ok'),
+      failed: count('failed'),
+      idChanged: count('id-changed'),
+      addons
+    };
+  }
+
+  /**
+   * Checks one wrapped addon against its upstream manifest(s)
+   * @param {Object} addon - Wrapped collection entry
+   * @returns {Promise<Object>} { name, transportUrl, status, upstreams, action } - status is
+   *   ok, failed, id-changed or unknown (config can't be read)
+   * @private
+   */
+  async _checkAddon(addon) {
+    const result = {
+      name: addon.manifest?.name || addon.transportUrl,
+      transportUrl: addon.transportUrl,
+      status: 'ok',
+      upstreams: [],
+      action: null
+    };
+
+    let config;
+    try {
+      const match = (addon.transportUrl || '').match(/\/([^/]+)\/manifest\.json$/);
+      config = await configStoreService.parseInstallConfig(match ? match[1] : '');
+    } catch (error) {
+      return { ...result, status: 'unknown', error: `Could not read the wrapper config: ${error.message}` };
+    }
+
+    // Single installs keep the upstream ID in their own (`{id}.ratings-wrapper`);
+    // aggregated installs don't, so only their availability is checked
+    const manifestId = addon.manifest?.id || '';
+    const expectedId = manifestId.endsWith(WRAPPED_ID_SUFFIX) ? manifestId.slice(0, -WRAPPED_ID_SUFFIX.length) : null;
+    for (const url of upstreamService.getAddonUrls(config)) {
+      try {
+        const manifest = await addonProxy.fetchManifest(url);
+        const idChanged = !config.upstreams && expectedId && manifest.id !== expectedId;
+        result.upstreams.push({ url, status: idChanged ? 'id-changed' : 'ok', expectedId, actualId: manifest.id });
+      } catch (error) {
+        result.upstreams.push({ url, status: 'failed', error: error.message });
+      }
+    }
+
+    const statuses = result.upstreams.map(upstream => upstream.status);
+    result.status = statuses.includes('failed') ? 'failed' : statuses.includes('id-changed') ? 'id-changed' : 'ok';
+    return result;
+  }
+
+  /**
+   * Heals an install whose upstream changed its ID
+   * @param {string} authKey - Stremio auth key
+   * @param {Object} addon - Wrapped collection entry
+   * @param {Object} result - Check result of the addon
+   * @param {string} autoHeal - unwrap or rewrap
+   * @returns {Promise<string>} Action taken (for the status history)
+   * @private
+   */
+  async _heal(authKey, addon, result, autoHeal) {
+    // Aggregated installs unwrap to all of their upstreams
+    const newUrls = autoHeal === 'unwrap'
+      ? result.upstreams.map(upstream => this._toManifestUrl(upstream.url))
+      : [addon.transportUrl];
+    const healed = await stremioApi.replaceCollectionEntry(authKey, addon.transportUrl, newUrls, `health-${autoHeal}`);
+
+    if (!healed.success) {
+      logger.warn(`Auto-heal (${autoHeal}) failed for ${result.name}: ${healed.error}`);
+      return `${autoHeal} failed: ${healed.error}`;
+    }
+
+    logger.info(`Auto-heal (${autoHeal}) applied to ${result.name}`);
+    return autoHeal === 'unwrap' ? 'unwrapped' : 'rewrapped';
+  }
+
+  /**
+   * Seals a Stremio auth key with the current (first) server key
+   * @param {string} authKey - Stremio auth key
+   * @returns {string} "{keyId}.{base64url(iv | tag | ciphertext)}"
+   * @private
+   */
+  _sealAuthKey(authKey) {
+    const { id, secret } = appConfig.configEncryption.keys[0];
+    const iv = crypto.randomBytes(SEAL_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveSealKey(secret), iv);
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(authKey, 'utf8'), cipher.final()]);
+    return `${id}.${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url')}`;
+  }
+
+  /**
+   * Opens a sealed auth key with the server key named in it
+   * @param {string} sealed - Sealed auth key from _sealAuthKey
+   * @returns {string|null} Stremio auth key, or null if the key is unknown or the value was changed
+   * @private
+   */
+  _openAuthKey(sealed) {
+    const separatorIndex = typeof sealed === 'string' ? sealed.lastIndexOf('.') : -1;
+    if (separatorIndex === -1) return null;
+
+    const keyId = sealed.substring(0, separatorIndex);
+    const key = appConfig.configEncryption.keys.find(k => k.id === keyId);
+    const payload = Buffer.from(sealed.substring(separatorIndex + 1), 'base64url');
+    if (!key || payload.length <= SEAL_IV_LENGTH + SEAL_TAG_LENGTH) return null;
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveSealKey(key.secret), payload.subarray(0, SEAL_IV_LENGTH));
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(payload.subarray(SEAL_IV_LENGTH, SEAL_IV_LENGTH + SEAL_TAG_LENGTH));
+      return Buffer.concat([
+        decipher.update(payload.subarray(SEAL_IV_LENGTH + SEAL_TAG_LENGTH)),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Derives the auth key sealing key (separate from the config sealing key)
+   * @param {string} secret - Server secret
+   * @returns {Buffer} 32-byte key
+   * @private
+   */
+  _deriveSealKey(secret) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'ratings-wrapper health-check', 32));
+  }
+
+  /**
+   * Gets the manifest URL of an addon URL
+   * @param {string} url - Addon base or manifest URL
+   * @returns {string} Manifest URL
+   * @private
+   */
+  _toManifestUrl(url) {
+    const base = url.replace(/\/+$/, '').replace(/\/manifest\.json$/, '');
+    return `${base}/manifest.json`;
+  }
+
+  /**
+   * Describes a registration without its sealed auth key
+   * @param {Object} record - Stored registration
+   * @returns {Object} { autoHeal, registeredAt, expiresAt }
+   * @private
+   */
+  _describeRegistration(record) {
+    const { autoHeal, registeredAt, expiresAt } = record;
+    return { autoHeal, registeredAt, expiresAt };
+  }
+
+  /**
+   * Gets the Redis client, failing when health checks are unavailable
+   * @returns {Redis} Redis client
+   * @private
+   */
+  _getClient() {
+    if (!this.isAvailable()) {
+      const error = new Error('Health checks are not enabled on this server');
+      error.storeUnavailable = true;
+      throw error;
+    }
+    return getRedisClient();
+  }
+
+  /**
+   * Gets the Redis key of a user's registration
+   * @param {string} userId - User ID
+   * @returns {string} Redis key
+   * @private
+   */
+  _getKey(userId) {
+    return `healthcheck:user:${userId}`;
+  }
+
+  /**
+   * Gets the Redis key of a user's status history
+   * @param {string} userId - User ID
+   * @returns {string} Redis key
+   * @private
+   */
+  _getHistoryKey(userId) {
+    return `healthcheck:history:${userId}`;
+  }
+}
+
+// Export singleton instance
+const healthCheckService = new HealthCheckService();
+module.exports = healthCheckService;
@@ -8,6 +8,7 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const redisService = require('./redisService');
 const cacheKeys = require('../utils/cacheKeys');
+const { getUserKeyHeaders } = require('../utils/userKeys');
 
 class MALService {
   constructor() {
@@ -31,11 +32,12 @@ class MALService {
    * Uses ratings-api database-first caching with 1-week TTL
    *
    * @param {string|number} malId - MAL ID (e.g., "40028" or 40028)
+   * @param {string} clientId - User's own MAL Client ID (optional, used instead of the server one)
    * @returns {Promise<Object|null>} - MAL data object or null
    */
-  async getMalDataByMalId(malId) {
+  async getMalDataByMalId(malId, clientId = null) {
     try {
-      if (!this.isConfigured()) {
+      if (!this.isConfigured() && !clientId) {
         logger.debug('MAL API Client ID not configured, skipping MAL data lookup');
         return null;
       }
@@ -51,7 +53,7 @@ class MALService {
       // Check Redis cache if enabled
       const cacheEnabled = config.redis.enabled && config.redis.enableRawDataCache;
       if (cacheEnabled) {
-        const cacheKey = cacheKeys.generateMalDataKey(normalizedMalId);
+        const cacheKey = cacheKeys.generateMalDataKey(normalizedMalId, clientId);
         const cached = await redisService.get(cacheKey);
         if (cached) {
           logger.debug(`MAL data cache HIT: ${normalizedMalId}`);
@@ -65,6 +67,7 @@ class MALService {
       // Check ratings-api database endpoint (has built-in caching logic)
       const ratingsApiUrl = config.ratingsApiUrl || 'http://localhost:3001';
       const response = await axios.get(`${ratingsApiUrl}/api/mal-data/${normalizedMalId}`, {
+        headers: getUserKeyHeaders('X-MAL-CLIENT-ID', clientId),
         timeout: this.timeout,
         validateStatus: (status) => status < 500 // Accept 404 as valid response
       });
@@ -74,7 +77,7 @@ class MALService {
 
         // Cache the successful result
         if (cacheEnabled) {
-          const cacheKey = cacheKeys.generateMalDataKey(normalizedMalId);
+          const cacheKey = cacheKeys.generateMalDataKey(normalizedMalId, clientId);
           const ttl = cacheKeys.getRawDataTTL();
           await redisService.set(cacheKey, response.data, ttl);
           logger.debug(`Cached MAL data: ${normalizedMalId} (TTL: ${ttl}s)`);
@@ -109,9 +112,10 @@ class MALService {
    *
    * @param {Array<string|number>} malIds - Array of MAL IDs
    * @param {number} concurrency - Number of concurrent requests (default: 3 for MAL API)
+   * @param {string} clientId - User's own MAL Client ID (optional)
    * @returns {Promise<Map<string, Object>>} - Map of MAL ID to MAL data
    */
-  async getMalDataBatch(malIds, concurrency = 3) {
+  async getMalDataBatch(malIds, concurrency = 3, clientId = null) {
     const results = new Map();
 
     if (!malIds || malIds.length === 0) {
@@ -127,7 +131,7 @@ class MALService {
       const batchResults = await Promise.all(
         batch.map(async (malId) => {
           try {
-            const data = await this.getMalDataByMalId(malId);
+            const data = await this.getMalDataByMalId(malId, clientId);
             return { malId: String(malId), data };
           } catch (error) {
             logger.warn(`Error fetching MAL data for ${malId}:`, error.message);
@@ -216,8 +220,11 @@ class MALService {
 const malService = new MALService();
 
 // Periodic cache cleanup (every hour)
-setInterval(() => {
+const cacheCleanupTimer = setInterval(() => {
   malService.clearExpiredCache();
 }, 60 * 60 * 1000);
 
+// Don't keep the process alive for this interval
+cacheCleanupTimer.unref();
+
 module.exports = malService;
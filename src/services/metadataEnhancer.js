@@ -10,29 +10,34 @@ const kitsuMappingService = require('./kitsuMappingService');
 const tmdbService = require('./tmdbService');
 const omdbService = require('./omdbService');
 const malService = require('./malService');
+const posterBadgeService = require('./posterBadgeService');
+const templateEngine = require('../utils/templateEngine');
+const localeFormat = require('../utils/localeFormat');
+
+/**
+ * Template fields that are backed by TMDB data
+ * @type {Array<string>}
+ */
+const TMDB_TEMPLATE_FIELDS = ['tmdb', 'date', 'streaming'];
+
+/**
+ * Sparkline bars for the season trend, lowest to highest
+ * @type {string}
+ */
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
 
 /**
  * Format release date based on format preference
  * @param {string} dateString - Date string in YYYY-MM-DD format
  * @param {string} format - Format type: 'year', 'short', 'full'
+ * @param {string} locale - Locale for month names (default 'en-US')
  * @returns {string} Formatted date string
  */
-function formatReleaseDate(dateString, format = 'year') {
+function formatReleaseDate(dateString, format = 'year', locale = localeFormat.DEFAULT_LOCALE) {
   if (!dateString) return '';
 
   try {
-    const date = new Date(dateString);
-
-    switch(format) {
-      case 'year':
-        return date.getFullYear().toString();
-      case 'full':
-        return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-      case 'short':
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-      default:
-        return date.getFullYear().toString();
-    }
+    return localeFormat.formatDate(dateString, format, locale);
   } catch (error) {
     logger.warn(`Error formatting date ${dateString}:`, error.message);
     return '';
@@ -92,76 +97,173 @@ function getColorEmoji(color, emojiSet = 'circle') {
   return emojiMap[emojiSet]?.[color] || '';
 }
 
+/**
+ * Get the indicator shown next to a consolidated rating
+ * Custom tiers (emojiSet 'custom') are matched against the rating itself,
+ * the built-in sets map the precomputed colour indicator.
+ * @param {Object} consolidated - Consolidated rating data {consolidatedRating, colorIndicator}
+ * @param {Object} formatConfig - Format configuration {emojiSet, colorTiers}
+ * @returns {string} Emoji and/or label, or empty string
+ */
+function getRatingIndicator(consolidated, formatConfig) {
+  if (!consolidated) return '';
+
+  if (formatConfig.emojiSet === 'custom') {
+    const rating = consolidated.consolidatedRating;
+    if (typeof rating !== 'number') return '';
+    // Tiers are sorted from highest to lowest threshold by configParser
+    const tier = (formatConfig.colorTiers || []).find(candidate => rating >= candidate.min);
+    return tier ? [tier.emoji, tier.label].filter(Boolean).join(' ') : '';
+  }
+
+  return getColorEmoji(consolidated.colorIndicator, formatConfig.emojiSet || 'circle');
+}
+
 class MetadataEnhancerService {
   /**
    * Formats vote count to human-readable format
    * @param {number} votes - Vote count
    * @param {string} format - Format type: 'short' (1.2M), 'full' (1,200,000), 'both' (1,200,000 / 1.2M)
+   * @param {string} locale - Locale for digit grouping and abbreviations (default 'en-US')
    * @returns {string} Formatted vote count
    * @private
    */
-  _formatVoteCount(votes, format = 'short') {
+  _formatVoteCount(votes, format = 'short', locale = localeFormat.DEFAULT_LOCALE) {
     if (!votes) return '';
     const count = typeof votes === 'string' ? parseInt(votes) : votes;
 
-    // Format full number with commas
-    const fullNumber = count.toLocaleString('en-US');
+    return localeFormat.formatVotes(count, format, locale);
+  }
 
-    // Format short version
-    let shortVersion = '';
-    if (count >= 1000000) {
-      shortVersion = `${(count / 1000000).toFixed(1)}M`;
-    } else if (count >= 1000) {
-      shortVersion = `${Math.floor(count / 1000)}K`;
-    } else {
-      shortVersion = count.toString();
+  /**
+   * Collects the fields referenced by the active title/description templates
+   * Used to fetch data sources that templates need even when the matching include* flag is off
+   * @param {Object} config - User configuration
+   * @param {string} location - Rating location ('title', 'description', 'both')
+   * @param {boolean} useConsolidatedInTitle - Whether titles use the consolidated template (episodes never do)
+   * @returns {Set<string>} Referenced template field names
+   * @private
+   */
+  _getTemplateFields(config, location, useConsolidatedInTitle = config.useConsolidatedRating === true) {
+    const fields = new Set();
+    const titleFormat = config.titleFormat || config.ratingFormat;
+    const descriptionFormat = config.descriptionFormat || config.ratingFormat;
+    const addFields = template => templateEngine.getTemplateFields(template).forEach(field => fields.add(field));
+
+    if (location === 'title' || location === 'both') {
+      addFields(useConsolidatedInTitle ? titleFormat?.consolidatedTemplate : titleFormat?.template);
+    }
+    if (location === 'description' || location === 'both') {
+      addFields(descriptionFormat?.metadataTemplate);
     }
 
-    // Return based on format preference
-    if (format === 'full') {
-      return fullNumber;
-    } else if (format === 'both') {
-      return `${fullNumber} / ${shortVersion}`;
-    } else {
-      // Default to 'short'
-      return shortVersion;
+    return fields;
+  }
+
+  /**
+   * Collects the rating sources drawn on poster badges
+   * Badge source names match template field names, so they can share the fetch gating.
+   * @param {Object} config - User configuration
+   * @returns {Array<string>} Badge sources (empty when poster badges are disabled)
+   * @private
+   */
+  _getPosterBadgeFields(config) {
+    return config.posterBadge?.enabled ? config.posterBadge.sources : [];
+  }
+
+  /**
+   * Builds the source values available to rating templates
+   * The primary {rating} and {emoji} fields are added by each formatter since they depend on its format config.
+   * @param {Object} meta - Meta object (for year/runtime fallbacks)
+   * @param {Object} ratingData - Rating data object {rating, votes} or consolidated rating object
+   * @param {Object} consolidatedData - Consolidated rating data (optional)
+   * @param {string} mpaaRating - Pre-fetched MPAA rating (optional)
+   * @param {Object} tmdbData - Pre-fetched TMDB data (optional)
+   * @param {Object} omdbData - Pre-fetched OMDB data (optional)
+   * @param {Object} malData - Pre-fetched MAL data (optional)
+   * @returns {Object} Template values keyed by field name
+   * @private
+   */
+  _buildTemplateValues(meta, ratingData, consolidatedData = null, mpaaRating = null, tmdbData = null, omdbData = null, malData = null) {
+    const consolidated = consolidatedData || (ratingData && ratingData.consolidatedRating ? ratingData : null);
+    const date = tmdbData?.releaseDate || tmdbData?.firstAirDate || meta?.released || null;
+
+    // Year: prefer TMDB release date, fall back to what the upstream addon provides
+    let year = date ? new Date(date).getFullYear() : null;
+    if (!year || isNaN(year)) {
+      const metaYear = meta?.year || (meta?.releaseInfo && String(meta.releaseInfo).split(/[-–]/)[0]);
+      year = metaYear ? parseInt(metaYear, 10) || null : null;
     }
+
+    // Runtime: prefer TMDB (minutes), fall back to the upstream meta ("148 min" or a number)
+    const tmdbRuntime = parseInt(tmdbData?.runtime, 10);
+    const runtime = tmdbRuntime > 0
+      ? tmdbRuntime
+      : (meta?.runtime ? parseInt(meta.runtime, 10) || null : null);
+
+    return {
+      imdb: ratingData?.rating || null,
+      votes: ratingData?.votes || null,
+      consolidated: consolidated?.consolidatedRating || null,
+      sources: consolidated?.sourceCount || null,
+      // A 0% / 0 score is a real score
+      rt: omdbData?.rottenTomatoes ?? null,
+      mc: omdbData?.metacritic ?? null,
+      tmdb: tmdbData?.tmdbRating || null,
+      mal: malData?.malRating || null,
+      malVotes: malData?.malVotes || null,
+      mpaa: mpaaRating || null,
+      year,
+      runtime,
+      date,
+      streaming: tmdbData?.streamingProviders || null
+    };
   }
 
   /**
-   * Formats rating for title injection (simple template replacement)
+   * Formats rating for title injection
    * @param {string} title - Original title
    * @param {Object} ratingData - Rating data object {rating, votes} or consolidated rating object
    * @param {Object} formatConfig - Format configuration {position, template, separator}
    * @param {boolean} useConsolidated - Whether to use consolidated rating format
+   * @param {Object} templateValues - Extra template values from _buildTemplateValues (optional)
+   * @param {string} locale - Locale for numbers and dates (default 'en-US')
    * @returns {string} Enhanced title
    * @private
    */
-  _formatTitleRating(title, ratingData, formatConfig, useConsolidated = false) {
+  _formatTitleRating(title, ratingData, formatConfig, useConsolidated = false, templateValues = null, locale = localeFormat.DEFAULT_LOCALE) {
     if (!ratingData) return title;
 
-    let ratingText;
+    let template;
+    let rating;
+    let emoji = '';
 
     if (useConsolidated && ratingData.consolidatedRating) {
       // Use consolidated rating format with optional emoji
-      const { consolidatedRating, colorIndicator } = ratingData;
-      const emoji = formatConfig.useColorEmoji
-        ? getColorEmoji(colorIndicator, formatConfig.emojiSet || 'circle')
+      rating = ratingData.consolidatedRating;
+      emoji = formatConfig.useColorEmoji
+        ? getRatingIndicator(ratingData, formatConfig)
         : '';
-
-      const template = formatConfig.consolidatedTemplate || '{emoji} {rating}';
-      ratingText = template
-        .replace('{emoji}', emoji)
-        .replace('{rating}', consolidatedRating.toFixed(1))
-        .trim(); // Remove any extra whitespace if emoji is empty
+      template = formatConfig.consolidatedTemplate || '{emoji} {rating}';
     } else if (ratingData.rating) {
       // Use traditional IMDb-only format
-      ratingText = formatConfig.template.replace('{rating}', ratingData.rating.toFixed(1));
+      rating = ratingData.rating;
+      template = formatConfig.template;
     } else {
       // No valid rating data
       return title;
     }
 
+    const ratingText = templateEngine.renderTemplate(template, {
+      ...(templateValues || {}),
+      imdb: ratingData.rating || templateValues?.imdb || null,
+      votes: ratingData.votes || templateValues?.votes || null,
+      rating,
+      emoji
+    }, { voteFormat: formatConfig.voteCountFormat, locale });
+
+    if (!ratingText) return title;
+
     // Apply position (prefix or suffix)
     if (formatConfig.position === 'prefix') {
       return `${ratingText}${formatConfig.separator}${title}`;
@@ -174,17 +276,20 @@ class MetadataEnhancerService {
    * Formats rating for description injection (with extended metadata support)
    * @param {string} description - Original description
    * @param {Object} ratingData - Rating data object {rating, votes} or consolidated rating object
-   * @param {Object} formatConfig - Format configuration {position, template, separator, includeVotes, includeMpaa, includeTmdbRating, includeReleaseDate, includeRottenTomatoes, includeMetacritic, includeMalRating, includeMalVotes, includeConsolidatedRating}
+   * @param {Object} formatConfig - Format configuration {position, template, separator, includeVotes, includeMpaa, includeTmdbRating, includeReleaseDate, includeYear, includeRuntime, includeRottenTomatoes, includeMetacritic, includeMalRating, includeMalVotes, includeConsolidatedRating}
    * @param {string} imdbId - IMDb ID for MPAA lookup (optional)
    * @param {string} mpaaRating - Pre-fetched MPAA rating (optional, to avoid individual lookups)
    * @param {Object} tmdbData - Pre-fetched TMDB data (optional)
    * @param {Object} omdbData - Pre-fetched OMDB data (optional)
    * @param {Object} malData - Pre-fetched MAL data (optional)
    * @param {boolean} useConsolidated - Whether to use consolidated rating format
+   * @param {Object} consolidatedData - Consolidated rating data (optional)
+   * @param {Object} templateValues - Template values from _buildTemplateValues, used with metadataTemplate (optional)
+   * @param {string} locale - Locale for numbers, dates and labels (default 'en-US')
    * @returns {Promise<string>} Enhanced description
    * @private
    */
-  async _formatDescriptionRating(description, ratingData, formatConfig, imdbId = null, mpaaRating = null, tmdbData = null, omdbData = null, malData = null, useConsolidated = false, consolidatedData = null) {
+  async _formatDescriptionRating(description, ratingData, formatConfig, imdbId = null, mpaaRating = null, tmdbData = null, omdbData = null, malData = null, useConsolidated = false, consolidatedData = null, templateValues = null, locale = localeFormat.DEFAULT_LOCALE) {
     // Check for either traditional or consolidated rating
     if (!ratingData || (!ratingData.rating && !ratingData.consolidatedRating)) return description;
 
@@ -195,33 +300,63 @@ class MetadataEnhancerService {
       logger.debug(`Format config: includeMalRating=${formatConfig.includeMalRating}, includeMalVotes=${formatConfig.includeMalVotes}`);
     }
 
+    // Custom metadata template replaces the ordered parts list entirely
+    if (formatConfig.metadataTemplate) {
+      const values = templateValues || this._buildTemplateValues(null, ratingData, consolidatedData, mpaaRating, tmdbData, omdbData, malData);
+      if (!values.mpaa && imdbId && templateEngine.getTemplateFields(formatConfig.metadataTemplate).has('mpaa')) {
+        values.mpaa = await ratingsService.getMpaaRating(imdbId);
+      }
+
+      const consolidated = consolidatedData || ratingData;
+      const metadataLine = templateEngine.renderTemplate(formatConfig.metadataTemplate, {
+        ...values,
+        rating: useConsolidated && ratingData.consolidatedRating ? ratingData.consolidatedRating : ratingData.rating,
+        emoji: formatConfig.useColorEmoji
+          ? getRatingIndicator(consolidated, formatConfig)
+          : ''
+      }, {
+        voteFormat: formatConfig.voteCountFormat,
+        dateFormat: formatConfig.releaseDateFormat,
+        locale
+      });
+
+      if (!metadataLine) return description;
+
+      const sep = formatConfig.separator || ' ';
+      return formatConfig.position === 'prefix'
+        ? `${metadataLine}${sep}${description}`
+        : `${description}${sep}${metadataLine}`;
+    }
+
     // Compute each extended metadata text (do not push yet)
     const partTexts = {};
+    const number = value => localeFormat.formatNumber(value, 1, locale);
+    const label = key => localeFormat.getLabel(key, locale);
 
     // Handle consolidated rating if enabled (use consolidatedData if available, fallback to ratingData)
     if (formatConfig.includeConsolidatedRating) {
       const dataToUse = consolidatedData || ratingData;
       if (dataToUse && dataToUse.consolidatedRating) {
-        const { consolidatedRating, colorIndicator, sourceCount } = dataToUse;
+        const { consolidatedRating, sourceCount } = dataToUse;
         const emoji = formatConfig.useColorEmoji
-          ? getColorEmoji(colorIndicator, formatConfig.emojiSet || 'circle')
+          ? getRatingIndicator(dataToUse, formatConfig)
           : '';
 
-        const ratingText = `${emoji} ${consolidatedRating.toFixed(1)} (${sourceCount} ${sourceCount === 1 ? 'source' : 'sources'})`.trim();
+        const ratingText = `${emoji} ${number(consolidatedRating)} (${sourceCount} ${label(sourceCount === 1 ? 'source' : 'sources')})`.trim();
         partTexts.consolidatedRating = ratingText;
       }
     }
 
     // IMDb rating as separate metadata item (can show alongside consolidated)
     if (formatConfig.includeImdbRating && ratingData.rating) {
-      partTexts.imdbRating = `${ratingData.rating.toFixed(1)} IMDb`;
+      partTexts.imdbRating = `${number(ratingData.rating)} ${label('imdb')}`;
     }
 
     // Vote count
     if (formatConfig.includeVotes && ratingData.votes) {
       const voteCountFormat = formatConfig.voteCountFormat || 'short';
-      const formattedVotes = this._formatVoteCount(ratingData.votes, voteCountFormat);
-      partTexts.votes = `${formattedVotes} votes`;
+      const formattedVotes = this._formatVoteCount(ratingData.votes, voteCountFormat, locale);
+      partTexts.votes = `${formattedVotes} ${label('votes')}`;
     }
 
     // MPAA rating (may require fetch)
@@ -234,8 +369,8 @@ class MetadataEnhancerService {
     if (formatConfig.includeTmdbRating && tmdbData && tmdbData.tmdbRating) {
       const tmdbRatingFormat = formatConfig.tmdbRatingFormat || 'decimal';
       partTexts.tmdb = tmdbRatingFormat === 'decimal'
-        ? `${tmdbData.tmdbRating.toFixed(1)} TMDB`
-        : `${tmdbData.tmdbRating.toFixed(1)}/10 TMDB`;
+        ? `${number(tmdbData.tmdbRating)} ${label('tmdb')}`
+        : `${number(tmdbData.tmdbRating)}/10 ${label('tmdb')}`;
     }
 
     // Release date
@@ -243,38 +378,49 @@ class MetadataEnhancerService {
       const dateString = tmdbData.releaseDate || tmdbData.firstAirDate;
       if (dateString) {
         const releaseDateFormat = formatConfig.releaseDateFormat || 'year';
-        const formatted = formatReleaseDate(dateString, releaseDateFormat);
+        const formatted = formatReleaseDate(dateString, releaseDateFormat, locale);
         if (formatted) partTexts.releaseDate = formatted;
       }
     }
 
+    // Year and runtime (TMDB first, upstream meta as fallback - see _buildTemplateValues)
+    if (formatConfig.includeYear || formatConfig.includeRuntime) {
+      const values = templateValues || this._buildTemplateValues(null, ratingData, consolidatedData, mpaaRating, tmdbData, omdbData, malData);
+      if (formatConfig.includeYear && values.year) {
+        partTexts.year = String(values.year);
+      }
+      if (formatConfig.includeRuntime && values.runtime) {
+        partTexts.runtime = localeFormat.formatRuntime(values.runtime, formatConfig.runtimeFormat || 'hm', locale);
+      }
+    }
+
     // Rotten Tomatoes (OMDb)
     if (formatConfig.includeRottenTomatoes && omdbData && omdbData.rottenTomatoes) {
-      partTexts.rottenTomatoes = `${omdbData.rottenTomatoes} RT`;
+      partTexts.rottenTomatoes = `${omdbData.rottenTomatoes} ${label('rt')}`;
     }
 
     // Metacritic (OMDb)
     if (formatConfig.includeMetacritic && omdbData && omdbData.metacritic) {
       const metacriticFormat = formatConfig.metacriticFormat || 'score';
       partTexts.metacritic = metacriticFormat === 'outof100'
-        ? `${omdbData.metacritic}/100 MC`
-        : `${omdbData.metacritic} MC`;
+        ? `${omdbData.metacritic}/100 ${label('mc')}`
+        : `${omdbData.metacritic} ${label('mc')}`;
     }
 
     // MAL (MyAnimeList) rating
     if (formatConfig.includeMalRating && malData && malData.malRating) {
       const malRatingFormat = formatConfig.malRatingFormat || 'decimal';
       partTexts.malRating = malRatingFormat === 'outof10'
-        ? `${malData.malRating.toFixed(1)}/10 MAL`
-        : `${malData.malRating.toFixed(1)} MAL`;
+        ? `${number(malData.malRating)}/10 ${label('mal')}`
+        : `${number(malData.malRating)} ${label('mal')}`;
       logger.debug(`Added MAL rating to partTexts: ${partTexts.malRating}`);
     }
 
     // MAL vote count
     if (formatConfig.includeMalVotes && malData && malData.malVotes) {
       const malVoteFormat = formatConfig.malVoteFormat || 'short';
-      const formattedVotes = this._formatVoteCount(malData.malVotes, malVoteFormat);
-      partTexts.malVotes = `${formattedVotes} MAL votes`;
+      const formattedVotes = this._formatVoteCount(malData.malVotes, malVoteFormat, locale);
+      partTexts.malVotes = `${formattedVotes} ${label('malVotes')}`;
       logger.debug(`Added MAL votes to partTexts: ${partTexts.malVotes}`);
     }
 
@@ -284,8 +430,13 @@ class MetadataEnhancerService {
       partTexts.streamingServices = limitedProviders.join(', ');
     }
 
+    // Season averages (series meta only, built from episode ratings)
+    if (formatConfig.includeSeasonTrend && templateValues?.seasonTrend) {
+      partTexts.seasonTrend = templateValues.seasonTrend;
+    }
+
     // Apply ordering if provided; otherwise keep default order
-    const allowedKeys = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','streamingServices','rottenTomatoes','metacritic','malRating','malVotes'];
+    const allowedKeys = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic','malRating','malVotes','seasonTrend'];
     const metadataParts = [];
     if (Array.isArray(formatConfig.metadataOrder)) {
       const order = formatConfig.metadataOrder;
@@ -323,10 +474,13 @@ class MetadataEnhancerService {
    * @param {Object} omdbData - Pre-fetched OMDB data (optional)
    * @param {Object} malData - Pre-fetched MAL data (optional)
    * @param {string} locationOverride - Override the config location (optional)
+   * @param {boolean} useConsolidated - Whether ratingData is a consolidated rating
+   * @param {Object} consolidatedData - Consolidated rating data (optional)
+   * @param {string} seasonTrend - Pre-built season trend line, series meta only (optional)
    * @returns {Promise<Object>} Enhanced meta object
    * @private
    */
-  async _enhanceMetaWithRating(meta, ratingData, config, imdbId = null, mpaaRating = null, tmdbData = null, omdbData = null, malData = null, locationOverride = null, useConsolidated = false, consolidatedData = null) {
+  async _enhanceMetaWithRating(meta, ratingData, config, imdbId = null, mpaaRating = null, tmdbData = null, omdbData = null, malData = null, locationOverride = null, useConsolidated = false, consolidatedData = null, seasonTrend = null) {
     if (!ratingData || !config) {
       return meta;
     }
@@ -338,10 +492,27 @@ class MetadataEnhancerService {
     // Determine which formats to use (with backwards compatibility)
     const titleFormat = config.titleFormat || config.ratingFormat;
     const descriptionFormat = config.descriptionFormat || config.ratingFormat;
+    const locale = config.locale || localeFormat.DEFAULT_LOCALE;
+
+    // Source values shared by title and description templates
+    const templateValues = this._buildTemplateValues(meta, ratingData, consolidatedData, mpaaRating, tmdbData, omdbData, malData);
+    templateValues.seasonTrend = seasonTrend;
+
+    // Point the poster at the wrapper's badge route
+    if (config.posterBadge?.enabled && meta.poster) {
+      const badge = posterBadgeService.getBadgeContent({
+        ...templateValues,
+        tier: (consolidatedData || ratingData)?.colorIndicator
+      }, config.posterBadge.sources);
+
+      if (badge) {
+        enhancedMeta.poster = posterBadgeService.buildPosterUrl(meta.poster, meta.type, meta.id, badge, config);
+      }
+    }
 
     // Handle title injection (uses ratingData which is based on useConsolidated flag)
     if (location === 'title' || location === 'both') {
-      enhancedMeta.name = this._formatTitleRating(meta.name, ratingData, titleFormat, useConsolidated);
+      enhancedMeta.name = this._formatTitleRating(meta.name, ratingData, titleFormat, useConsolidated, templateValues, locale);
     }
 
     // Handle description injection
@@ -359,13 +530,221 @@ class MetadataEnhancerService {
         omdbData,
         malData,
         useConsolidated,
-        consolidatedData
+        consolidatedData,
+        templateValues,
+        locale
       );
     }
 
     return enhancedMeta;
   }
 
+  /**
+   * Resolves the ID used for rating lookups of a catalog meta
+   * Prefers explicit IMDb ID fields and maps Kitsu/MAL IDs to IMDb when possible.
+   * @param {Object} meta - Catalog meta object
+   * @returns {string} ID to use for rating lookups
+   * @private
+   */
+  _resolveRatingId(meta) {
+    // Prioritize explicit IMDb ID fields over generic ID field
+    let id = meta.imdb_id || meta.imdbId || meta.id;
+
+    // If this is a Kitsu ID, try to map it to IMDb ID
+    if (kitsuMappingService.isKitsuId(id)) {
+      const kitsuId = kitsuMappingService.extractKitsuId(id);
+      const imdbId = kitsuMappingService.getImdbId(kitsuId);
+      if (imdbId) {
+        id = imdbId;
+      }
+    }
+
+    // If this is a MAL ID, try to map it to IMDb ID
+    if (kitsuMappingService.isMalId(id)) {
+      const malId = kitsuMappingService.extractMalId(id);
+      const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
+      if (imdbId) {
+        id = imdbId;
+      }
+    }
+
+    return id;
+  }
+
+  /**
+   * Re-orders catalog metas by rating
+   * Sorting only reorders the items of the page it is given, so upstream skip pagination
+   * keeps the same page membership (no repeated or dropped items across pages).
+   * Items without a value keep their upstream order after the rated ones.
+   * @param {Array<Object>} metas - Array of meta objects from catalog
+   * @param {string} sortBy - 'imdb', 'consolidated', 'votes', 'weighted' or 'none'
+   * @param {Object} options - Sort options
+   * @param {number} [options.minVotes=5000] - Vote threshold for the weighted score
+   * @param {string} [options.region='US'] - Region passed to consolidated rating lookups
+   * @param {Object} [options.weighting] - Consolidated rating weighting (config.consolidatedRating)
+   * @param {Object} [options.apiKeys] - User's own API keys (config.apiKeys)
+   * @returns {Promise<Array<Object>>} Sorted meta objects (original order on error)
+   */
+  async sortCatalogMetas(metas, sortBy, options = {}) {
+    if (!sortBy || sortBy === 'none' || !Array.isArray(metas) || metas.length < 2) {
+      return metas;
+    }
+
+    try {
+      const items = metas
+        .map((meta, index) => ({ meta, index }))
+        .filter(({ meta }) => meta && (meta.imdb_id || meta.imdbId || meta.id))
+        .map(({ meta, index }) => ({
+          id: this._resolveRatingId(meta),
+          type: meta.type,
+          originalIndex: index
+        }));
+
+      if (items.length === 0) {
+        return metas;
+      }
+
+      const dataMap = sortBy === 'consolidated'
+        ? await consolidatedRatingService.getConsolidatedRatingsBatch(items, 10, {
+          region: options.region || 'US',
+          weighting: options.weighting,
+          apiKeys: options.apiKeys
+        })
+        : await ratingsService.getRatingsBatch(items, 10);
+
+      const scores = new Map();
+
+      if (sortBy === 'weighted') {
+        // Bayesian weighted score (same idea as the IMDb Top 250):
+        // WR = (v / (v + m)) * R + (m / (v + m)) * C, with C the mean rating of these items
+        const minVotes = options.minVotes !== undefined ? options.minVotes : 5000;
+        const rated = items
+          .map(item => dataMap.get(item.id))
+          .filter(data => data && data.rating);
+        const meanRating = rated.length > 0
+          ? rated.reduce((sum, data) => sum + data.rating, 0) / rated.length
+          : 0;
+
+        items.forEach(item => {
+          const data = dataMap.get(item.id);
+          if (!data || !data.rating) return;
+          scores.set(item.originalIndex, this._weightedScore(data.rating, data.votes, minVotes, meanRating));
+        });
+      } else {
+        items.forEach(item => {
+          const data = dataMap.get(item.id);
+          if (!data) return;
+          const value = sortBy === 'consolidated' ? data.consolidatedRating
+            : sortBy === 'votes' ? parseInt(data.votes, 10)
+            : data.rating;
+          if (value) scores.set(item.originalIndex, value);
+        });
+      }
+
+      logger.info(`Sorting ${metas.length} catalog items by ${sortBy} (${scores.size} with values)`);
+
+      // Stable sort: highest score first, unrated items keep upstream order at the end
+      return metas
+        .map((meta, index) => ({ meta, index, score: scores.has(index) ? scores.get(index) : null }))
+        .sort((a, b) => {
+          if (a.score === null && b.score === null) return a.index - b.index;
+          if (a.score === null) return 1;
+          if (b.score === null) return -1;
+          return (b.score - a.score) || (a.index - b.index);
+        })
+        .map(entry => entry.meta);
+
+    } catch (error) {
+      logger.error('Error sorting catalog metas:', error.message);
+      return metas;
+    }
+  }
+
+  /**
+   * Bayesian weighted score - pulls ratings with few votes towards the mean
+   * @param {number} rating - Rating (R)
+   * @param {number|string} votes - Vote count (v)
+   * @param {number} minVotes - Vote threshold (m)
+   * @param {number} meanRating - Mean rating of the compared set (C)
+   * @returns {number} Weighted score
+   * @private
+   */
+  _weightedScore(rating, votes, minVotes, meanRating) {
+    const voteCount = parseInt(votes, 10) || 0;
+    if (voteCount + minVotes <= 0) return rating;
+    return (voteCount / (voteCount + minVotes)) * rating + (minVotes / (voteCount + minVotes)) * meanRating;
+  }
+
+  /**
+   * Removes catalog metas that fall below rating/vote thresholds
+   * Unrated items pass the rating and vote thresholds and are only removed by hideUnrated.
+   * @param {Array<Object>} metas - Array of meta objects from catalog
+   * @param {Object} filter - Filter settings
+   * @param {number} [filter.minRating=0] - Minimum rating (0-10)
+   * @param {string} [filter.ratingSource='imdb'] - 'imdb' or 'consolidated'
+   * @param {number} [filter.minVotes=0] - Minimum IMDb vote count
+   * @param {number} [filter.maxVotes=0] - Maximum IMDb vote count (0 = no limit)
+   * @param {boolean} [filter.hideUnrated=false] - Remove items without a rating
+   * @param {string} [filter.region='US'] - Region passed to consolidated rating lookups
+   * @param {Object} [filter.weighting] - Consolidated rating weighting (config.consolidatedRating)
+   * @param {Object} [filter.apiKeys] - User's own API keys (config.apiKeys)
+   * @returns {Promise<Array<Object>>} Metas that pass the filter (original metas on error)
+   */
+  async filterCatalogMetas(metas, filter = {}) {
+    const { minRating = 0, ratingSource = 'imdb', minVotes = 0, maxVotes = 0, hideUnrated = false } = filter;
+
+    if (!Array.isArray(metas) || metas.length === 0 || (!minRating && !minVotes && !maxVotes && !hideUnrated)) {
+      return metas;
+    }
+
+    try {
+      const items = metas
+        .map((meta, index) => ({ meta, index }))
+        .filter(({ meta }) => meta && (meta.imdb_id || meta.imdbId || meta.id))
+        .map(({ meta, index }) => ({
+          id: this._resolveRatingId(meta),
+          type: meta.type,
+          originalIndex: index
+        }));
+      const itemsByIndex = new Map(items.map(item => [item.originalIndex, item]));
+
+      const useConsolidated = ratingSource === 'consolidated';
+      const imdbMap = !useConsolidated || minVotes || maxVotes
+        ? await ratingsService.getRatingsBatch(items, 10)
+        : new Map();
+      const consolidatedMap = useConsolidated
+        ? await consolidatedRatingService.getConsolidatedRatingsBatch(items, 10, {
+          region: filter.region || 'US',
+          weighting: filter.weighting,
+          apiKeys: filter.apiKeys
+        })
+        : new Map();
+
+      const kept = metas.filter((meta, index) => {
+        if (!meta) return false;
+
+        const item = itemsByIndex.get(index);
+        const imdbData = item ? imdbMap.get(item.id) : null;
+        const rating = item
+          ? (useConsolidated ? consolidatedMap.get(item.id)?.consolidatedRating : imdbData?.rating)
+          : null;
+
+        if (!rating) return !hideUnrated;
+        if (minRating && rating < minRating) return false;
+        if (minVotes && imdbData && (parseInt(imdbData.votes, 10) || 0) < minVotes) return false;
+        if (maxVotes && imdbData && (parseInt(imdbData.votes, 10) || 0) > maxVotes) return false;
+        return true;
+      });
+
+      logger.debug(`Catalog filter kept ${kept.length}/${metas.length} items`);
+      return kept;
+
+    } catch (error) {
+      logger.error('Error filtering catalog metas:', error.message);
+      return metas;
+    }
+  }
+
   /**
    * Enhances catalog metas with ratings
    * @param {Array<Object>} metas - Array of meta objects from catalog
@@ -385,8 +764,8 @@ class MetadataEnhancerService {
       const enableCatalogInDescription = (location === 'description' || location === 'both') &&
                                          (descriptionFormat.enableCatalogItems !== false);
 
-      // If catalog items disabled for all locations, return original metas
-      if (!enableCatalogInTitle && !enableCatalogInDescription) {
+      // If catalog items disabled for all locations (and no poster badges), return original metas
+      if (!enableCatalogInTitle && !enableCatalogInDescription && !config.posterBadge?.enabled) {
         logger.debug('Catalog item ratings disabled for all locations, returning original metas');
         return metas;
       }
@@ -398,46 +777,29 @@ class MetadataEnhancerService {
       // We also need to track the original meta index to map results back
       const items = metas
         .map((meta, index) => ({ meta, index }))
-        .filter(({ meta }) => meta.imdb_id || meta.imdbId || meta.id) // Check multiple fields
-        .map(({ meta, index }) => {
-          // Prioritize explicit IMDb ID fields over generic ID field
-          let id = meta.imdb_id || meta.imdbId || meta.id;
-
-          // If this is a Kitsu ID, try to map it to IMDb ID
-          if (kitsuMappingService.isKitsuId(id)) {
-            const kitsuId = kitsuMappingService.extractKitsuId(id);
-            const imdbId = kitsuMappingService.getImdbId(kitsuId);
-            if (imdbId) {
-              id = imdbId;
-            }
-          }
-
-          // If this is a MAL ID, try to map it to IMDb ID
-          if (kitsuMappingService.isMalId(id)) {
-            const malId = kitsuMappingService.extractMalId(id);
-            const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
-            if (imdbId) {
-              id = imdbId;
-            }
-          }
-
-          return {
-            id: id,
-            type: meta.type,
-            originalIndex: index
-          };
-        });
+        .filter(({ meta }) => meta && (meta.imdb_id || meta.imdbId || meta.id)) // Check multiple fields
+        .map(({ meta, index }) => ({
+          id: this._resolveRatingId(meta),
+          type: meta.type,
+          originalIndex: index
+        }));
 
       if (items.length === 0) {
         logger.warn('No valid items with IDs found in catalog');
         return metas;
       }
 
+      // Fields referenced by custom templates or poster badges also decide which sources to fetch
+      const templateFields = this._getTemplateFields(config, location);
+      this._getPosterBadgeFields(config).forEach(field => templateFields.add(field));
+
       // Determine which ratings to fetch based on title and description needs
       const useConsolidatedInTitle = config.useConsolidatedRating === true;
       const useConsolidatedInDescription = descriptionFormat?.includeConsolidatedRating || false;
-      const needsConsolidated = useConsolidatedInTitle || useConsolidatedInDescription;
-      const needsImdb = !useConsolidatedInTitle || descriptionFormat?.includeImdbRating || descriptionFormat?.includeVotes;
+      const needsConsolidated = useConsolidatedInTitle || useConsolidatedInDescription ||
+                                templateFields.has('consolidated') || templateFields.has('sources');
+      const needsImdb = !useConsolidatedInTitle || descriptionFormat?.includeImdbRating || descriptionFormat?.includeVotes ||
+                        templateFields.has('imdb') || templateFields.has('votes');
 
       let ratingsMap;
       let consolidatedMap = new Map();
@@ -446,7 +808,11 @@ class MetadataEnhancerService {
       if (needsConsolidated) {
         logger.info('Fetching consolidated ratings (multi-source averaging)');
         const region = descriptionFormat?.streamingRegion || 'US';
-        consolidatedMap = await consolidatedRatingService.getConsolidatedRatingsBatch(items, 10, { region });
+        consolidatedMap = await consolidatedRatingService.getConsolidatedRatingsBatch(items, 10, {
+          region,
+          weighting: config.consolidatedRating,
+          apiKeys: config.apiKeys
+        });
 
         // If using consolidated for titles, use it as the main ratings map
         if (useConsolidatedInTitle) {
@@ -482,8 +848,9 @@ class MetadataEnhancerService {
       // Batch fetch MPAA ratings if enabled and using description location
       let mpaaMap = new Map();
 
-      if (config.enableRatings && descriptionFormat && descriptionFormat.includeMpaa &&
-          (location === 'description' || location === 'both')) {
+      if (config.enableRatings && descriptionFormat &&
+          ((descriptionFormat.includeMpaa && (location === 'description' || location === 'both')) ||
+           templateFields.has('mpaa'))) {
 
         // Extract unique IMDb IDs from metas that have ratings
         const imdbIds = metas
@@ -512,8 +879,10 @@ class MetadataEnhancerService {
       let tmdbMap = new Map();
 
       if (config.enableRatings && descriptionFormat &&
-          (descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate || descriptionFormat.includeStreamingServices) &&
-          (location === 'description' || location === 'both')) {
+          (((descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate || descriptionFormat.includeStreamingServices ||
+             descriptionFormat.includeYear || descriptionFormat.includeRuntime) &&
+            (location === 'description' || location === 'both')) ||
+           TMDB_TEMPLATE_FIELDS.some(field => templateFields.has(field)))) {
 
         // Extract unique IMDb IDs from metas that have ratings
         const imdbIds = metas
@@ -535,7 +904,7 @@ class MetadataEnhancerService {
         if (uniqueImdbIds.length > 0) {
           const streamingRegion = descriptionFormat.streamingRegion || 'US';
           logger.info(`Batch fetching TMDB data for ${uniqueImdbIds.length} unique titles (region: ${streamingRegion})`);
-          tmdbMap = await tmdbService.getTmdbDataBatch(uniqueImdbIds, 5, streamingRegion);
+          tmdbMap = await tmdbService.getTmdbDataBatch(uniqueImdbIds, 5, streamingRegion, config.apiKeys?.tmdb);
         }
       }
 
@@ -543,8 +912,9 @@ class MetadataEnhancerService {
       let omdbMap = new Map();
 
       if (config.enableRatings && descriptionFormat &&
-          (descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
-          (location === 'description' || location === 'both')) {
+          (((descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
+            (location === 'description' || location === 'both')) ||
+           templateFields.has('rt') || templateFields.has('mc'))) {
 
         // Extract unique IMDb IDs from metas that have ratings
         const imdbIds = metas
@@ -565,7 +935,7 @@ class MetadataEnhancerService {
 
         if (uniqueImdbIds.length > 0) {
           logger.info(`Batch fetching OMDB data for ${uniqueImdbIds.length} unique titles`);
-          omdbMap = await omdbService.getOmdbDataBatch(uniqueImdbIds);
+          omdbMap = await omdbService.getOmdbDataBatch(uniqueImdbIds, 5, config.apiKeys?.omdb);
         }
       }
 
@@ -573,8 +943,9 @@ class MetadataEnhancerService {
       let malMap = new Map();
 
       if (config.enableRatings && descriptionFormat &&
-          (descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
-          (location === 'description' || location === 'both')) {
+          (((descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
+            (location === 'description' || location === 'both')) ||
+           templateFields.has('mal') || templateFields.has('malVotes'))) {
 
         // Extract MAL IDs from metas
         const malIds = metas
@@ -601,7 +972,7 @@ class MetadataEnhancerService {
 
         if (uniqueMalIds.length > 0) {
           logger.info(`Batch fetching MAL data for ${uniqueMalIds.length} unique titles: ${uniqueMalIds.join(', ')}`);
-          malMap = await malService.getMalDataBatch(uniqueMalIds);
+          malMap = await malService.getMalDataBatch(uniqueMalIds, 3, config.apiKeys?.mal);
         }
       }
 
@@ -611,6 +982,8 @@ class MetadataEnhancerService {
         catalogLocation = 'both';
       } else if (enableCatalogInDescription) {
         catalogLocation = 'description';
+      } else if (!enableCatalogInTitle) {
+        catalogLocation = 'none'; // Poster badges only
       }
 
       // Enhance each meta with its rating (now using async)
@@ -653,7 +1026,7 @@ class MetadataEnhancerService {
       }));
 
       const enhancedCount = enhancedMetas.filter((meta, idx) =>
-        meta && metas[idx] && meta.name !== metas[idx].name
+        meta && metas[idx] && (meta.name !== metas[idx].name || meta.poster !== metas[idx].poster)
       ).length;
 
       logger.info(`✓ Enhanced ${enhancedCount}/${metas.length} catalog items with ratings`);
@@ -667,6 +1040,286 @@ class MetadataEnhancerService {
     }
   }
 
+  /**
+   * Fetches IMDb ratings for every episode of a series
+   * @param {Object} meta - Full series meta with videos
+   * @returns {Promise<Object>} {episodeItems, episodeRatingsMap} - one item per video with an ID, in video order
+   * @private
+   */
+  async _fetchEpisodeRatings(meta) {
+    // For episodes, we need to extract individual episode IMDb IDs
+    // Different providers use different formats:
+    // - Cinemeta: tt12345:1:1 (series:season:episode)
+    // - Kitsu: kitsu:11469:1 but provides imdb_id field
+    // - TMDB: tmdb:12345:1:1 but provides imdb_id field
+    // Detect if the parent meta originated from Kitsu to allow season inference
+    const kitsuContextId = (meta && meta.id && kitsuMappingService.isKitsuId(meta.id))
+      ? kitsuMappingService.extractKitsuId(meta.id)
+      : null;
+
+    if (kitsuContextId) {
+      const rec = kitsuMappingService.getRecord(kitsuContextId);
+      const inferred = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
+      logger.info(`Kitsu context: meta.id=${meta.id}, kitsuId=${kitsuContextId}, inferredSeason=${inferred}, slug="${rec && rec.animePlanetId ? rec.animePlanetId : ''}", type=${rec && rec.type ? rec.type : ''}`);
+    }
+
+    const episodeItems = meta.videos
+      .filter(video => video.id) // Only videos with IDs
+      .map(video => {
+        // Try to get individual episode IMDb ID from dedicated field first
+        const episodeImdbId = video.imdb_id || video.imdbId;
+        const season = video.season || video.imdbSeason;
+        const episode = video.episode || video.imdbEpisode;
+
+        // If we have IMDb ID + season + episode, format as series:season:episode
+        if (episodeImdbId && episodeImdbId.startsWith('tt') && season && episode) {
+          let seasonUsed = season;
+          let episodeUsed = episode;
+
+          if (kitsuContextId) {
+            // Check for split-cour data first
+            const splitCourKey = `kitsu:${kitsuContextId}`;
+            const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
+
+            if (splitCourData) {
+              // Use season from split-cour data if available
+              seasonUsed = splitCourData.imdb_season || season;
+              if (splitCourData.episode_offset) {
+                episodeUsed = parseInt(String(episode), 10) + splitCourData.episode_offset;
+                logger.info(`Split-cour offset applied (batch-existing): ${splitCourKey} ep ${episode} + offset ${splitCourData.episode_offset} = ${episodeUsed}, season=${seasonUsed}`);
+              }
+            } else {
+              // Fallback to season inference from slug
+              const inferred = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
+              const seasonNum = parseInt(String(season), 10);
+              if (inferred && Number.isFinite(seasonNum) && inferred !== seasonNum) {
+                logger.info(`Kitsu season override (batch-existing): kitsuId=${kitsuContextId} providedSeason=${seasonNum} inferredSeason=${inferred}`);
+                seasonUsed = inferred;
+              }
+            }
+          }
+
+          const id = `${episodeImdbId}:${seasonUsed}:${episodeUsed}`;
+          if (kitsuContextId) {
+            logger.info(`Kitsu episode ID map (batch-existing): kitsuId=${kitsuContextId} imdb=${episodeImdbId} season=${seasonUsed} ep=${episodeUsed} -> ${id}`);
+          }
+          return { id: id, type: 'series' };
+        }
+
+        // If just IMDb ID, try to infer season if coming from Kitsu and episode exists
+        if (episodeImdbId && episodeImdbId.startsWith('tt')) {
+          if (kitsuContextId && episode && !season) {
+            let seasonNum;
+            let episodeUsed = episode;
+
+            // Check for split-cour data first
+            const splitCourKey = `kitsu:${kitsuContextId}`;
+            const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
+
+            if (splitCourData) {
+              // Use season from split-cour data if available
+              seasonNum = splitCourData.imdb_season || kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
+              if (splitCourData.episode_offset) {
+                episodeUsed = parseInt(String(episode), 10) + splitCourData.episode_offset;
+                logger.info(`Split-cour offset applied (batch-direct): ${splitCourKey} ep ${episode} + offset ${splitCourData.episode_offset} = ${episodeUsed}, season=${seasonNum}`);
+              }
+            } else {
+              // Fallback to season inference from slug
+              seasonNum = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
+            }
+
+            const id = `${episodeImdbId}:${seasonNum}:${episodeUsed}`;
+            logger.info(`Kitsu episode ID map (batch-direct): kitsuId=${kitsuContextId} imdb=${episodeImdbId} season=${seasonNum} ep=${episodeUsed} -> ${id}`);
+            return { id: id, type: 'series' };
+          }
+          // No season/episode info; fall back to series-level
+          return { id: episodeImdbId, type: 'series' };
+        }
+
+        // If video ID is Kitsu format, try to map the series and preserve season/episode
+        if (video.id && kitsuMappingService.isKitsuId(video.id)) {
+          // Check if video.id is in format kitsu:12345:1 (with episode number)
+          const parts = video.id.split(':');
+          if (parts.length >= 3 && parts[0] === 'kitsu') {
+            const kitsuId = parts[1];
+            let episodeNum = parseInt(parts[2], 10);
+            const imdbId = kitsuMappingService.getImdbId(kitsuId);
+            if (imdbId) {
+              // Check for split-cour episode offset
+              const splitCourKey = `kitsu:${kitsuId}`;
+              const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
+
+              let seasonNum;
+              if (splitCourData) {
+                // Use season from split-cour data if available
+                seasonNum = splitCourData.imdb_season || kitsuMappingService.getSeasonForKitsu(kitsuId, meta.name);
+                if (splitCourData.episode_offset) {
+                  episodeNum += splitCourData.episode_offset;
+                  logger.info(`Split-cour offset applied (batch): ${splitCourKey} ep ${parts[2]} + offset ${splitCourData.episode_offset} = ${episodeNum}, season=${seasonNum}`);
+                }
+              } else {
+                // Infer season number from mapping metadata (anime-planet slug), fallback to 1
+                seasonNum = kitsuMappingService.getSeasonForKitsu(kitsuId, meta.name);
+              }
+
+              const formattedId = `${imdbId}:${seasonNum}:${episodeNum}`;
+              logger.info(`Kitsu episode ID map (batch): kitsuId=${kitsuId} imdb=${imdbId} season=${seasonNum} ep=${episodeNum} -> ${formattedId}`);
+              return { id: formattedId, type: 'series' };
+            } else {
+              logger.info(`Kitsu episode ID map (batch): kitsuId=${kitsuId} has no imdb mapping`);
+            }
+          } else {
+            // Just kitsu:12345 format
+            const kitsuId = kitsuMappingService.extractKitsuId(video.id);
+            const imdbId = kitsuMappingService.getImdbId(kitsuId);
+            if (imdbId) {
+              return { id: imdbId, type: 'series' };
+            }
+          }
+        }
+
+        // If video ID is MAL format, try to map the series and preserve season/episode
+        if (video.id && kitsuMappingService.isMalId(video.id)) {
+          // Check if video.id is in format mal:12345:1:1 (with season:episode)
+          const parts = video.id.split(':');
+          if (parts.length >= 4 && parts[0] === 'mal') {
+            const malId = parts[1];
+            const season = parts[2];
+            const episodeNum = parts[3];
+            const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
+            if (imdbId) {
+              // Format as IMDb series:season:episode
+              const formattedId = `${imdbId}:${season}:${episodeNum}`;
+              return { id: formattedId, type: 'series' };
+            }
+          } else {
+            // Just mal:12345 format
+            const malId = kitsuMappingService.extractMalId(video.id);
+            const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
+            if (imdbId) {
+              return { id: imdbId, type: 'series' };
+            }
+          }
+        }
+
+        // Otherwise use the video ID as-is (might be series:season:episode format)
+        return { id: video.id, type: 'series' };
+      });
+
+    // Fetch all episode ratings in batch
+
+    // Fetch all episode ratings in batch
+    const episodeRatingsMap = await ratingsService.getRatingsBatch(episodeItems, 10);
+
+    return { episodeItems, episodeRatingsMap };
+  }
+
+  /**
+   * Pairs regular-season episodes with their own IMDb ratings
+   * Specials (season 0) and series-level fallback ratings are left out.
+   * @param {Array<Object>} videos - Series videos
+   * @param {Object} episodeRatings - Result of _fetchEpisodeRatings
+   * @returns {Array<Object>} Rated episodes {video, season, rating, votes}
+   * @private
+   */
+  _collectEpisodeRatings(videos, episodeRatings) {
+    if (!episodeRatings) return [];
+
+    const { episodeItems, episodeRatingsMap } = episodeRatings;
+    const rated = [];
+
+    // episodeItems line up with the videos that have an ID
+    videos.filter(video => video.id).forEach((video, index) => {
+      const season = parseInt(video.season, 10);
+      const item = episodeItems[index];
+
+      // Only episode-level IDs (tt123:season:episode) carry episode ratings
+      if (!season || !item || !/^tt\d+:\d+:\d+$/.test(item.id)) return;
+
+      const data = episodeRatingsMap.get(item.id);
+      if (!data || !data.rating) return;
+
+      rated.push({ video, season, rating: data.rating, votes: data.votes });
+    });
+
+    return rated;
+  }
+
+  /**
+   * Builds a per-season rating trend from episode ratings, e.g. "S1 8.1 ▅ S2 8.6 ▆ S3 7.2 ▃"
+   * Seasons with fewer rated episodes than minEpisodes are marked with "–" instead of an average.
+   * Bars use a fixed 5-10 scale so trends are comparable between series.
+   * @param {Array<Object>} videos - Series videos
+   * @param {Object} episodeRatings - Result of _fetchEpisodeRatings
+   * @param {number} minEpisodes - Rated episodes needed before a season average is shown
+   * @param {string} locale - Locale for the averages (default 'en-US')
+   * @returns {string|null} Trend line or null if no season has enough ratings
+   * @private
+   */
+  _buildSeasonTrend(videos, episodeRatings, minEpisodes = 3, locale = localeFormat.DEFAULT_LOCALE) {
+    const seasonRatings = new Map();
+    this._collectEpisodeRatings(videos, episodeRatings).forEach(({ season, rating }) => {
+      if (!seasonRatings.has(season)) seasonRatings.set(season, []);
+      seasonRatings.get(season).push(rating);
+    });
+
+    let averagedSeasons = 0;
+    const parts = [...seasonRatings.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([season, ratings]) => {
+        if (ratings.length < minEpisodes) return `S${season} –`;
+
+        averagedSeasons++;
+        const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+        const level = Math.round((Math.min(Math.max(average, 5), 10) - 5) / 5 * (SPARKLINE_BARS.length - 1));
+        return `S${season} ${localeFormat.formatNumber(average, 1, locale)} ${SPARKLINE_BARS[level]}`;
+      });
+
+    return averagedSeasons > 0 ? parts.join(' ') : null;
+  }
+
+  /**
+   * Picks the best and worst rated episodes and builds their title markers
+   * Episodes are ranked by a weighted score so an episode with a handful of votes
+   * can't outrank well-established ones.
+   * @param {Array<Object>} videos - Series videos
+   * @param {Object} episodeRatings - Result of _fetchEpisodeRatings
+   * @param {Object} highlights - titleFormat.episodeHighlights settings
+   * @returns {Map<Object, string>} Marker text keyed by video object
+   * @private
+   */
+  _rankEpisodes(videos, episodeRatings, highlights) {
+    const markers = new Map();
+    const { scope, topCount, bottomCount, minVotes, topMarker, bottomMarker } = highlights;
+
+    // Group episodes per season, or all together for series-wide ranking
+    const groups = new Map();
+    this._collectEpisodeRatings(videos, episodeRatings).forEach(episode => {
+      const key = scope === 'series' ? 0 : episode.season;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(episode);
+    });
+
+    for (const episodes of groups.values()) {
+      // Too few episodes to single any out
+      if (episodes.length <= topCount + bottomCount) continue;
+
+      const meanRating = episodes.reduce((sum, episode) => sum + episode.rating, 0) / episodes.length;
+      const ranked = episodes
+        .map(episode => ({ ...episode, score: this._weightedScore(episode.rating, episode.votes, minVotes, meanRating) }))
+        .sort((a, b) => b.score - a.score);
+
+      ranked.slice(0, topCount).forEach((episode, index) => {
+        markers.set(episode.video, topMarker.replace(/\{rank\}/g, index + 1));
+      });
+      ranked.slice(ranked.length - bottomCount).reverse().forEach((episode, index) => {
+        markers.set(episode.video, bottomMarker.replace(/\{rank\}/g, index + 1));
+      });
+    }
+
+    return markers;
+  }
+
   /**
    * Enhance full meta object (for meta endpoint)
    * Adds ratings to the title and all episode titles
@@ -695,7 +1348,25 @@ class MetadataEnhancerService {
       const enableCatalogInDescription = (location === 'description' || location === 'both') &&
                                          (descriptionFormat.enableCatalogItems !== false);
 
-      if (enableCatalogInTitle || enableCatalogInDescription) {
+      // Check if episodes should get ratings for any location
+      const enableEpisodesInTitle = (location === 'title' || location === 'both') &&
+                                     (titleFormat.enableEpisodes !== false);
+      const enableEpisodesInDescription = (location === 'description' || location === 'both') &&
+                                          (descriptionFormat.enableEpisodes !== false);
+      const hasVideos = Array.isArray(meta.videos) && meta.videos.length > 0;
+
+      // Episode ratings are fetched once and shared by episode titles and the season trend
+      const needsSeasonTrend = hasVideos && enableCatalogInDescription &&
+                               (descriptionFormat.includeSeasonTrend || this._getTemplateFields(config, 'description').has('seasonTrend'));
+      let episodeRatings = null;
+      if (hasVideos && (enableEpisodesInTitle || enableEpisodesInDescription || needsSeasonTrend)) {
+        episodeRatings = await this._fetchEpisodeRatings(meta);
+      }
+      const seasonTrend = needsSeasonTrend
+        ? this._buildSeasonTrend(meta.videos, episodeRatings, descriptionFormat.seasonTrendMinEpisodes, config.locale)
+        : null;
+
+      if (enableCatalogInTitle || enableCatalogInDescription || config.posterBadge?.enabled) {
         // Prefer imdb_id field if available, fall back to id
         const contentId = meta.imdb_id || meta.imdbId || meta.id;
         logger.debug(`Fetching rating for ${meta.type} "${meta.name}" using ID: ${contentId}`);
@@ -725,18 +1396,28 @@ class MetadataEnhancerService {
         // Prefer using the resolved IMDb ID for ratings if available
         const lookupId = imdbId || contentId;
 
+        // Fields referenced by custom templates or poster badges also decide which sources to fetch
+        const templateFields = this._getTemplateFields(config, location);
+        this._getPosterBadgeFields(config).forEach(field => templateFields.add(field));
+
         // Determine which ratings to fetch based on title and description needs
         const useConsolidatedInTitle = config.useConsolidatedRating === true;
         const useConsolidatedInDescription = descriptionFormat?.includeConsolidatedRating || false;
-        const needsConsolidated = useConsolidatedInTitle || useConsolidatedInDescription;
-        const needsImdb = !useConsolidatedInTitle || descriptionFormat?.includeImdbRating || descriptionFormat?.includeVotes;
+        const needsConsolidated = useConsolidatedInTitle || useConsolidatedInDescription ||
+                                  templateFields.has('consolidated') || templateFields.has('sources');
+        const needsImdb = !useConsolidatedInTitle || descriptionFormat?.includeImdbRating || descriptionFormat?.includeVotes ||
+                          templateFields.has('imdb') || templateFields.has('votes');
 
         let mainRatingData = null;
         let consolidatedData = null;
 
         // Fetch consolidated rating if needed for title or description
         if (needsConsolidated) {
-          consolidatedData = await consolidatedRatingService.getConsolidatedRating(lookupId, meta.type, { region: descriptionFormat?.streamingRegion || 'US' });
+          consolidatedData = await consolidatedRatingService.getConsolidatedRating(lookupId, meta.type, {
+            region: descriptionFormat?.streamingRegion || 'US',
+            weighting: config.consolidatedRating,
+            apiKeys: config.apiKeys
+          });
 
           // If using consolidated for titles, use it as main rating data
           if (useConsolidatedInTitle) {
@@ -775,10 +1456,13 @@ class MetadataEnhancerService {
 
           // Fetch TMDB data if needed for description location
           let tmdbData = null;
-          if (descriptionFormat && (descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate || descriptionFormat.includeStreamingServices) &&
-              (location === 'description' || location === 'both') && imdbId) {
+          if (descriptionFormat && imdbId &&
+              (((descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate || descriptionFormat.includeStreamingServices ||
+                 descriptionFormat.includeYear || descriptionFormat.includeRuntime) &&
+                (location === 'description' || location === 'both')) ||
+               TMDB_TEMPLATE_FIELDS.some(field => templateFields.has(field)))) {
             const streamingRegion = descriptionFormat.streamingRegion || 'US';
-            tmdbData = await tmdbService.getTmdbDataByImdbId(imdbId, streamingRegion);
+            tmdbData = await tmdbService.getTmdbDataByImdbId(imdbId, streamingRegion, config.apiKeys?.tmdb);
           }
 
           // Fetch OMDB data if needed for description location
@@ -786,14 +1470,16 @@ class MetadataEnhancerService {
           logger.debug(`[OMDB-DIAG] Checking OMDB fetch conditions for ${meta.type} "${meta.name}": imdbId=${imdbId}, contentId=${contentId}`);
           logger.debug(`[OMDB-DIAG] Conditions: descriptionFormat=${!!descriptionFormat}, includeRT=${descriptionFormat?.includeRottenTomatoes}, includeMC=${descriptionFormat?.includeMetacritic}, location=${location}`);
 
-          if (descriptionFormat && (descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
-              (location === 'description' || location === 'both') && imdbId) {
+          if (descriptionFormat && imdbId &&
+              (((descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
+                (location === 'description' || location === 'both')) ||
+               templateFields.has('rt') || templateFields.has('mc'))) {
             logger.info(`[OMDB-DIAG] ✓ Fetching OMDB data for ${meta.type} "${meta.name}" with IMDb ID: ${imdbId}`);
 
             // Extract year from meta for better scraping accuracy
             const year = meta.year || (meta.releaseInfo && meta.releaseInfo.split('-')[0]) || null;
 
-            omdbData = await omdbService.getOmdbDataByImdbId(imdbId, meta.type, meta.name, year);
+            omdbData = await omdbService.getOmdbDataByImdbId(imdbId, meta.type, meta.name, year, config.apiKeys?.omdb);
             logger.info(`[OMDB-DIAG] OMDB fetch result for ${imdbId}: RT=${omdbData?.rottenTomatoes || 'null'}, MC=${omdbData?.metacritic || 'null'}`);
           } else {
             logger.info(`[OMDB-DIAG] ✗ OMDB fetch SKIPPED for ${meta.type} "${meta.name}": ${!descriptionFormat ? 'no descriptionFormat' : !imdbId ? 'no imdbId' : !(location === 'description' || location === 'both') ? 'wrong location' : 'RT/MC not enabled'}`);
@@ -802,8 +1488,10 @@ class MetadataEnhancerService {
           // Fetch MAL data if needed for description location
           // Prefer extracting from original meta.id (mal:/kitsu:) rather than contentId which may be imdb_id
           let malData = null;
-          if (descriptionFormat && (descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
-              (location === 'description' || location === 'both')) {
+          if (descriptionFormat &&
+              (((descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
+                (location === 'description' || location === 'both')) ||
+               templateFields.has('mal') || templateFields.has('malVotes'))) {
             const malSourceId = meta.id || contentId;
             let malId = kitsuMappingService.extractMalId(malSourceId);
             logger.debug(`Extracting MAL ID for main meta from: ${malSourceId} -> ${malId}`);
@@ -816,7 +1504,7 @@ class MetadataEnhancerService {
               }
             }
             if (malId) {
-              malData = await malService.getMalDataByMalId(malId);
+              malData = await malService.getMalDataByMalId(malId, config.apiKeys?.mal);
               if (malData) {
                 logger.info(`✓ MAL data retrieved for main meta: ${malData.title} - ${malData.malRating}/10 (${malData.malVotes} votes)`);
               } else {
@@ -832,7 +1520,13 @@ class MetadataEnhancerService {
 
           // Add rating to main title or description (or both)
           // Use regular location setting (not catalog-specific flags) for main meta
-          const enhancedWithRating = await this._enhanceMetaWithRating(meta, mainRatingData, config, imdbId, null, tmdbData, omdbData, malData, null, useConsolidatedInTitle, consolidatedData);
+          // MPAA is otherwise looked up lazily by the description formatter; templates need it up front
+          const mpaaRating = templateFields.has('mpaa') && imdbId ? await ratingsService.getMpaaRating(imdbId) : null;
+
+          // Text ratings are skipped when only poster badges are enabled
+          const mainLocation = (enableCatalogInTitle || enableCatalogInDescription) ? null : 'none';
+          const enhancedWithRating = await this._enhanceMetaWithRating(meta, mainRatingData, config, imdbId, mpaaRating, tmdbData, omdbData, malData, mainLocation, useConsolidatedInTitle, consolidatedData, seasonTrend);
+          enhancedMeta.poster = enhancedWithRating.poster;
 
           if (location === 'description') {
             enhancedMeta.description = enhancedWithRating.description;
@@ -849,177 +1543,16 @@ class MetadataEnhancerService {
       }
 
       // Episode ratings
-      // Check if episodes should get ratings for any location
-      const enableEpisodesInTitle = (location === 'title' || location === 'both') &&
-                                     (titleFormat.enableEpisodes !== false);
-      const enableEpisodesInDescription = (location === 'description' || location === 'both') &&
-                                          (descriptionFormat.enableEpisodes !== false);
-
-      if ((enableEpisodesInTitle || enableEpisodesInDescription) &&
-          meta.videos && Array.isArray(meta.videos) && meta.videos.length > 0) {
+      if ((enableEpisodesInTitle || enableEpisodesInDescription) && hasVideos) {
         logger.info(`Enhancing ${meta.videos.length} episode titles with ratings`);
 
-        // For episodes, we need to extract individual episode IMDb IDs
-        // Different providers use different formats:
-        // - Cinemeta: tt12345:1:1 (series:season:episode)
-        // - Kitsu: kitsu:11469:1 but provides imdb_id field
-        // - TMDB: tmdb:12345:1:1 but provides imdb_id field
-        // Detect if the parent meta originated from Kitsu to allow season inference
-        const kitsuContextId = (meta && meta.id && kitsuMappingService.isKitsuId(meta.id))
-          ? kitsuMappingService.extractKitsuId(meta.id)
-          : null;
-
-        if (kitsuContextId) {
-          const rec = kitsuMappingService.getRecord(kitsuContextId);
-          const inferred = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
-          logger.info(`Kitsu context: meta.id=${meta.id}, kitsuId=${kitsuContextId}, inferredSeason=${inferred}, slug="${rec && rec.animePlanetId ? rec.animePlanetId : ''}", type=${rec && rec.type ? rec.type : ''}`);
-        }
-
-        const episodeItems = meta.videos
-          .filter(video => video.id) // Only videos with IDs
-          .map(video => {
-            // Try to get individual episode IMDb ID from dedicated field first
-            const episodeImdbId = video.imdb_id || video.imdbId;
-            const season = video.season || video.imdbSeason;
-            const episode = video.episode || video.imdbEpisode;
-
-            // If we have IMDb ID + season + episode, format as series:season:episode
-            if (episodeImdbId && episodeImdbId.startsWith('tt') && season && episode) {
-              let seasonUsed = season;
-              let episodeUsed = episode;
-
-              if (kitsuContextId) {
-                // Check for split-cour data first
-                const splitCourKey = `kitsu:${kitsuContextId}`;
-                const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
-
-                if (splitCourData) {
-                  // Use season from split-cour data if available
-                  seasonUsed = splitCourData.imdb_season || season;
-                  if (splitCourData.episode_offset) {
-                    episodeUsed = parseInt(String(episode), 10) + splitCourData.episode_offset;
-                    logger.info(`Split-cour offset applied (batch-existing): ${splitCourKey} ep ${episode} + offset ${splitCourData.episode_offset} = ${episodeUsed}, season=${seasonUsed}`);
-                  }
-                } else {
-                  // Fallback to season inference from slug
-                  const inferred = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
-                  const seasonNum = parseInt(String(season), 10);
-                  if (inferred && Number.isFinite(seasonNum) && inferred !== seasonNum) {
-                    logger.info(`Kitsu season override (batch-existing): kitsuId=${kitsuContextId} providedSeason=${seasonNum} inferredSeason=${inferred}`);
-                    seasonUsed = inferred;
-                  }
-                }
-              }
-
-              const id = `${episodeImdbId}:${seasonUsed}:${episodeUsed}`;
-              if (kitsuContextId) {
-                logger.info(`Kitsu episode ID map (batch-existing): kitsuId=${kitsuContextId} imdb=${episodeImdbId} season=${seasonUsed} ep=${episodeUsed} -> ${id}`);
-              }
-              return { id: id, type: 'series' };
-            }
-
-            // If just IMDb ID, try to infer season if coming from Kitsu and episode exists
-            if (episodeImdbId && episodeImdbId.startsWith('tt')) {
-              if (kitsuContextId && episode && !season) {
-                let seasonNum;
-                let episodeUsed = episode;
-
-                // Check for split-cour data first
-                const splitCourKey = `kitsu:${kitsuContextId}`;
-                const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
-
-                if (splitCourData) {
-                  // Use season from split-cour data if available
-                  seasonNum = splitCourData.imdb_season || kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
-                  if (splitCourData.episode_offset) {
-                    episodeUsed = parseInt(String(episode), 10) + splitCourData.episode_offset;
-                    logger.info(`Split-cour offset applied (batch-direct): ${splitCourKey} ep ${episode} + offset ${splitCourData.episode_offset} = ${episodeUsed}, season=${seasonNum}`);
-                  }
-                } else {
-                  // Fallback to season inference from slug
-                  seasonNum = kitsuMappingService.getSeasonForKitsu(kitsuContextId, meta.name);
-                }
-
-                const id = `${episodeImdbId}:${seasonNum}:${episodeUsed}`;
-                logger.info(`Kitsu episode ID map (batch-direct): kitsuId=${kitsuContextId} imdb=${episodeImdbId} season=${seasonNum} ep=${episodeUsed} -> ${id}`);
-                return { id: id, type: 'series' };
-              }
-              // No season/episode info; fall back to series-level
-              return { id: episodeImdbId, type: 'series' };
-            }
-
-            // If video ID is Kitsu format, try to map the series and preserve season/episode
-            if (video.id && kitsuMappingService.isKitsuId(video.id)) {
-              // Check if video.id is in format kitsu:12345:1 (with episode number)
-              const parts = video.id.split(':');
-              if (parts.length >= 3 && parts[0] === 'kitsu') {
-                const kitsuId = parts[1];
-                let episodeNum = parseInt(parts[2], 10);
-                const imdbId = kitsuMappingService.getImdbId(kitsuId);
-                if (imdbId) {
-                  // Check for split-cour episode offset
-                  const splitCourKey = `kitsu:${kitsuId}`;
-                  const splitCourData = kitsuMappingService.getSplitCourOffset(splitCourKey);
-
-                  let seasonNum;
-                  if (splitCourData) {
-                    // Use season from split-cour data if available
-                    seasonNum = splitCourData.imdb_season || kitsuMappingService.getSeasonForKitsu(kitsuId, meta.name);
-                    if (splitCourData.episode_offset) {
-                      episodeNum += splitCourData.episode_offset;
-                      logger.info(`Split-cour offset applied (batch): ${splitCourKey} ep ${parts[2]} + offset ${splitCourData.episode_offset} = ${episodeNum}, season=${seasonNum}`);
-                    }
-                  } else {
-                    // Infer season number from mapping metadata (anime-planet slug), fallback to 1
-                    seasonNum = kitsuMappingService.getSeasonForKitsu(kitsuId, meta.name);
-                  }
+        const { episodeRatingsMap } = episodeRatings;
 
-                  const formattedId = `${imdbId}:${seasonNum}:${episodeNum}`;
-                  logger.info(`Kitsu episode ID map (batch): kitsuId=${kitsuId} imdb=${imdbId} season=${seasonNum} ep=${episodeNum} -> ${formattedId}`);
-                  return { id: formattedId, type: 'series' };
-                } else {
-                  logger.info(`Kitsu episode ID map (batch): kitsuId=${kitsuId} has no imdb mapping`);
-                }
-              } else {
-                // Just kitsu:12345 format
-                const kitsuId = kitsuMappingService.extractKitsuId(video.id);
-                const imdbId = kitsuMappingService.getImdbId(kitsuId);
-                if (imdbId) {
-                  return { id: imdbId, type: 'series' };
-                }
-              }
-            }
-
-            // If video ID is MAL format, try to map the series and preserve season/episode
-            if (video.id && kitsuMappingService.isMalId(video.id)) {
-              // Check if video.id is in format mal:12345:1:1 (with season:episode)
-              const parts = video.id.split(':');
-              if (parts.length >= 4 && parts[0] === 'mal') {
-                const malId = parts[1];
-                const season = parts[2];
-                const episodeNum = parts[3];
-                const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
-                if (imdbId) {
-                  // Format as IMDb series:season:episode
-                  const formattedId = `${imdbId}:${season}:${episodeNum}`;
-                  return { id: formattedId, type: 'series' };
-                }
-              } else {
-                // Just mal:12345 format
-                const malId = kitsuMappingService.extractMalId(video.id);
-                const imdbId = kitsuMappingService.getImdbIdFromMal(malId);
-                if (imdbId) {
-                  return { id: imdbId, type: 'series' };
-                }
-              }
-            }
-
-            // Otherwise use the video ID as-is (might be series:season:episode format)
-            return { id: video.id, type: 'series' };
-          });
-
-        // Fetch all episode ratings in batch
-        const episodeRatingsMap = await ratingsService.getRatingsBatch(episodeItems, 10);
+        // Best/worst episode markers, appended to episode titles
+        const highlights = titleFormat.episodeHighlights;
+        const episodeMarkers = highlights?.enabled
+          ? this._rankEpisodes(meta.videos, episodeRatings, highlights)
+          : new Map();
 
         // Build location string for episodes
         let episodeLocation = 'title';
@@ -1053,13 +1586,18 @@ class MetadataEnhancerService {
           }
         }
 
+        // Episode titles always use the IMDb template
+        const episodeTemplateFields = this._getTemplateFields(config, episodeLocation, false);
+
         // Fetch OMDB data (RT/MC) once
         let seriesOmdbData = null;
-        if (descriptionFormat && (descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
-            (episodeLocation === 'description' || episodeLocation === 'both')) {
+        if (descriptionFormat &&
+            (((descriptionFormat.includeRottenTomatoes || descriptionFormat.includeMetacritic) &&
+              (episodeLocation === 'description' || episodeLocation === 'both')) ||
+             episodeTemplateFields.has('rt') || episodeTemplateFields.has('mc'))) {
           if (seriesImdbId) {
             const seriesYear = meta.year || null;
-            seriesOmdbData = await omdbService.getOmdbDataByImdbId(seriesImdbId, 'series', meta.name, seriesYear);
+            seriesOmdbData = await omdbService.getOmdbDataByImdbId(seriesImdbId, 'series', meta.name, seriesYear, config.apiKeys?.omdb);
             if (seriesOmdbData) {
               logger.debug(`[ENHANCE] Fetched series OMDB data once for all episodes: ${seriesImdbId}`);
             }
@@ -1068,11 +1606,13 @@ class MetadataEnhancerService {
 
         // Fetch TMDB data once
         let seriesTmdbData = null;
-        if (descriptionFormat && (descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate) &&
-            (episodeLocation === 'description' || episodeLocation === 'both')) {
+        if (descriptionFormat &&
+            (((descriptionFormat.includeTmdbRating || descriptionFormat.includeReleaseDate) &&
+              (episodeLocation === 'description' || episodeLocation === 'both')) ||
+             TMDB_TEMPLATE_FIELDS.some(field => episodeTemplateFields.has(field)))) {
           if (seriesImdbId) {
             const streamingRegion = descriptionFormat.streamingRegion || 'US';
-            seriesTmdbData = await tmdbService.getTmdbDataByImdbId(seriesImdbId, streamingRegion);
+            seriesTmdbData = await tmdbService.getTmdbDataByImdbId(seriesImdbId, streamingRegion, config.apiKeys?.tmdb);
             if (seriesTmdbData) {
               logger.debug(`[ENHANCE] Fetched series TMDB data once for all episodes: ${seriesImdbId}`);
             }
@@ -1081,12 +1621,14 @@ class MetadataEnhancerService {
 
         // Fetch MAL data once (for anime)
         let seriesMalData = null;
-        if (descriptionFormat && (descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
-            (episodeLocation === 'description' || episodeLocation === 'both')) {
+        if (descriptionFormat &&
+            (((descriptionFormat.includeMalRating || descriptionFormat.includeMalVotes) &&
+              (episodeLocation === 'description' || episodeLocation === 'both')) ||
+             episodeTemplateFields.has('mal') || episodeTemplateFields.has('malVotes'))) {
           // Extract MAL ID from the series meta ID
           const seriesMalId = kitsuMappingService.extractMalId(meta.id);
           if (seriesMalId) {
-            seriesMalData = await malService.getMalDataByMalId(seriesMalId);
+            seriesMalData = await malService.getMalDataByMalId(seriesMalId, config.apiKeys?.mal);
             if (seriesMalData) {
               logger.debug(`[ENHANCE] Fetched series MAL data once for all episodes: ${seriesMalId}`);
             }
@@ -1217,7 +1759,7 @@ class MetadataEnhancerService {
           // Different addons use different fields: Cinemeta uses 'name', others may use 'title'
           const episodeName = video.name || video.title;
           const episodeDescription = video.description || video.overview || '';
-          const tempMeta = { name: episodeName, description: episodeDescription };
+          const tempMeta = { name: episodeName, description: episodeDescription, released: video.released };
           // Episodes always use IMDb ratings for titles (only IMDb has episode-level data)
           // But series-level consolidated rating can appear in description metadata
           const enhanced = await this._enhanceMetaWithRating(tempMeta, episodeRatingData, config, mpaaLookupId, null, episodeTmdbData, episodeOmdbData, episodeMalData, episodeLocation, false);
@@ -1260,6 +1802,12 @@ class MetadataEnhancerService {
             }
           }
 
+          const marker = episodeMarkers.get(video);
+          if (marker) {
+            if (enhancedVideo.name) enhancedVideo.name = `${enhancedVideo.name} ${marker}`;
+            if (enhancedVideo.title) enhancedVideo.title = `${enhancedVideo.title} ${marker}`;
+          }
+
           return enhancedVideo;
         }));
 
@@ -77,6 +77,53 @@ const redisEvictionsTotal = new promClient.Counter({
   registers: [register]
 });
 
+/**
+ * Gauge: Upstream circuit breaker state
+ * Labels: upstream (addon host)
+ * Values: 0 = closed, 1 = half-open, 2 = open
+ */
+const upstreamCircuitState = new promClient.Gauge({
+  name: 'upstream_circuit_state',
+  help: 'Circuit breaker state per upstream addon host (0 closed, 1 half-open, 2 open)',
+  labelNames: ['upstream'],
+  registers: [register]
+});
+
+/**
+ * Counter: Upstream requests rejected by an open circuit
+ * Labels: upstream (addon host)
+ */
+const upstreamCircuitRejectionsTotal = new promClient.Counter({
+  name: 'upstream_circuit_rejections_total',
+  help: 'Total number of upstream requests rejected by an open circuit',
+  labelNames: ['upstream'],
+  registers: [register]
+});
+
+/**
+ * Counter: Last-known-good fallbacks for failed upstream requests
+ * Labels: resource (catalog/meta), result (served/missing)
+ */
+const upstreamFallbackTotal = new promClient.Counter({
+  name: 'upstream_fallback_total',
+  help: 'Total number of last-known-good fallbacks for failed upstream requests',
+  labelNames: ['resource', 'result'],
+  registers: [register]
+});
+
+/**
+ * Counter: Conditional revalidations of upstream responses
+ * Labels: resource (catalog/manifest), result (not_modified/modified)
+ */
+const upstreamRevalidationTotal = new promClient.Counter({
+  name: 'upstream_revalidation_total',
+  help: 'Total number of conditional upstream requests by result',
+  labelNames: ['resource', 'result'],
+  registers: [register]
+});
+
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
 /**
  * Record a request with latency
  * @param {string} route - catalog, meta, or manifest
@@ -97,6 +144,41 @@ function recordRateLimit(route, tier) {
   rateLimitedTotal.inc({ route, tier });
 }
 
+/**
+ * Record an upstream circuit state change
+ * @param {string} upstream - Addon host
+ * @param {string} state - closed, half-open, or open
+ */
+function setCircuitState(upstream, state) {
+  upstreamCircuitState.set({ upstream }, CIRCUIT_STATE_VALUES[state]);
+}
+
+/**
+ * Record an upstream request rejected by an open circuit
+ * @param {string} upstream - Addon host
+ */
+function recordCircuitRejection(upstream) {
+  upstreamCircuitRejectionsTotal.inc({ upstream });
+}
+
+/**
+ * Record a last-known-good fallback
+ * @param {string} resource - catalog or meta
+ * @param {string} result - served or missing
+ */
+function recordFallback(resource, result) {
+  upstreamFallbackTotal.inc({ resource, result });
+}
+
+/**
+ * Record a conditional upstream request
+ * @param {string} resource - catalog or manifest
+ * @param {string} result - not_modified or modified
+ */
+function recordRevalidation(resource, result) {
+  upstreamRevalidationTotal.inc({ resource, result });
+}
+
 /**
  * Update Redis metrics from INFO command
  * @param {object} redisClient - ioredis client instance
@@ -161,6 +243,10 @@ function getRegistry() {
 module.exports = {
   recordRequest,
   recordRateLimit,
+  setCircuitState,
+  recordCircuitRejection,
+  recordFallback,
+  recordRevalidation,
   updateRedisMetrics,
   getMetrics,
   getRegistry
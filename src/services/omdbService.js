@@ -8,6 +8,7 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const redisService = require('./redisService');
 const cacheKeys = require('../utils/cacheKeys');
+const { getUserKeyHeaders } = require('../utils/userKeys');
 
 class OMDBService {
   constructor() {
@@ -34,9 +35,10 @@ class OMDBService {
    * @param {string} type - Content type ('movie' or 'series')
    * @param {string} title - Content title (required for series scraping)
    * @param {string} year - Release year (optional, improves scraping accuracy)
+   * @param {string} apiKey - User's own OMDB API key (optional, used instead of the server key)
    * @returns {Promise<Object|null>} - OMDB data object or null
    */
-  async getOmdbDataByImdbId(imdbId, type = 'movie', title = null, year = null) {
+  async getOmdbDataByImdbId(imdbId, type = 'movie', title = null, year = null, apiKey = null) {
     logger.info(`[OMDB-DIAG] getOmdbDataByImdbId called with: ${imdbId}, type=${type}, title="${title}"`);
 
     try {
@@ -47,7 +49,7 @@ class OMDBService {
       }
 
       // Movies use OMDB API as before
-      if (!this.isConfigured()) {
+      if (!this.isConfigured() && !apiKey) {
         logger.info('[OMDB-DIAG] OMDB API key not configured, skipping OMDB data lookup');
         return null;
       }
@@ -62,7 +64,7 @@ class OMDBService {
       logger.debug(`[OMDB-DIAG] Cache enabled: ${cacheEnabled}`);
 
       if (cacheEnabled) {
-        const cacheKey = cacheKeys.generateOmdbDataKey(imdbId);
+        const cacheKey = cacheKeys.generateOmdbDataKey(imdbId, apiKey);
         const cached = await redisService.get(cacheKey);
         if (cached) {
           // Only use cached data if it has actual RT/MC values (not null)
@@ -84,6 +86,7 @@ class OMDBService {
       logger.debug(`[OMDB-DIAG] Fetching from ratings API: ${ratingsApiUrl}/api/omdb-data/${imdbId}`);
 
       const response = await axios.get(`${ratingsApiUrl}/api/omdb-data/${imdbId}`, {
+        headers: getUserKeyHeaders('X-OMDB-API-KEY', apiKey),
         timeout: this.timeout,
         validateStatus: (status) => status < 500 // Accept 404 as valid response
       });
@@ -95,7 +98,7 @@ class OMDBService {
 
         // Cache the successful result
         if (cacheEnabled) {
-          const cacheKey = cacheKeys.generateOmdbDataKey(imdbId);
+          const cacheKey = cacheKeys.generateOmdbDataKey(imdbId, apiKey);
           const ttl = cacheKeys.getRawDataTTL();
           await redisService.set(cacheKey, response.data, ttl);
           logger.debug(`[OMDB-DIAG] Cached OMDB data: ${imdbId} (TTL: ${ttl}s)`);
@@ -189,9 +192,10 @@ class OMDBService {
    *
    * @param {string[]} imdbIds - Array of IMDb IDs
    * @param {number} concurrency - Number of concurrent requests (default: 5)
+   * @param {string} apiKey - User's own OMDB API key (optional)
    * @returns {Promise<Map<string, Object>>} - Map of IMDb ID to OMDB data
    */
-  async getOmdbDataBatch(imdbIds, concurrency = 5) {
+  async getOmdbDataBatch(imdbIds, concurrency = 5, apiKey = null) {
     const results = new Map();
 
     if (!imdbIds || imdbIds.length === 0) {
@@ -207,7 +211,7 @@ class OMDBService {
       const batchResults = await Promise.all(
         batch.map(async (imdbId) => {
           try {
-            const data = await this.getOmdbDataByImdbId(imdbId);
+            const data = await this.getOmdbDataByImdbId(imdbId, 'movie', null, null, apiKey);
             return { imdbId, data };
           } catch (error) {
             logger.warn(`Error fetching OMDB data for ${imdbId}:`, error.message);
@@ -291,8 +295,11 @@ class OMDBService {
 const omdbService = new OMDBService();
 
 // Periodic cache cleanup (every hour)
-setInterval(() => {
+const cacheCleanupTimer = setInterval(() => {
   omdbService.clearExpiredCache();
 }, 60 * 60 * 1000);
 
+// Don't keep the process alive for this interval
+cacheCleanupTimer.unref();
+
 module.exports = omdbService;
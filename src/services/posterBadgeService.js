@@ -0,0 +1,415 @@
+/**
+ * Poster Badge Service
+ * Renders catalog posters with rating badges drawn on top of the original artwork
+ *
+ * Posters are drawn as SVG with the original image embedded as a data URI, and
+ * rasterized to PNG for clients that don't render SVG (Android and TV apps).
+ * Rendered posters are cached per poster URL, badge content and format.
+ *
+ * Poster links are signed (HMAC over the poster URL and badge), so the route only
+ * fetches posters the wrapper linked to itself, and never from private addresses.
+ * Badges can only be enabled when a signing secret is configured.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { Resvg } = require('@resvg/resvg-js');
+const logger = require('../utils/logger');
+const redisService = require('./redisService');
+const cacheKeys = require('../utils/cacheKeys');
+const { encodeConfig } = require('../utils/configParser');
+const appConfig = require('../config');
+
+// Badge sources in display order
+const BADGE_SOURCES = ['consolidated', 'imdb', 'rt', 'mc'];
+
+// Poster canvas (Stremio posters are 2:3)
+const POSTER_WIDTH = 300;
+const POSTER_HEIGHT = 450;
+
+const SIZE_SCALE = {
+  small: 0.8,
+  medium: 1,
+  large: 1.3
+};
+
+// Label and accent colour per source
+const SOURCE_STYLES = {
+  imdb: { label: 'IMDb', color: '#f5c518' },
+  rt: { label: 'RT', color: '#fa320a' },
+  mc: { label: 'MC', color: '#66cc33' },
+  consolidated: { label: null, color: '#cccccc' }
+};
+
+// Consolidated colour indicator tiers (see consolidatedRatingService._getColorIndicator)
+const TIER_COLORS = {
+  excellent: '#1b8a3a',
+  great: '#5cb85c',
+  good: '#e6b800',
+  okay: '#f0883e',
+  mediocre: '#e5534b',
+  poor: '#a40e26'
+};
+
+// Largest upstream poster we are willing to embed
+const MAX_POSTER_BYTES = 5 * 1024 * 1024;
+
+// Image types that may be embedded (SVG is excluded: it could carry script)
+const ALLOWED_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/gif']);
+
+// Poster signature length (bytes of the HMAC kept)
+const SIGNATURE_BYTES = 16;
+
+// Font for rasterized badges (the SVG font stack isn't installed on most servers)
+const RASTER_FONT = 'DejaVu Sans';
+
+// Addresses posters are never fetched from (loopback, private, link-local, etc.)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+class PosterBadgeService {
+  constructor() {
+    this.signingKey = null;
+  }
+
+  /**
+   * Normalizes badge values for the enabled sources
+   * Used both when building poster links and when reading them back from the query
+   * string, so only well-formed numbers ever reach the renderer.
+   * @param {Object} values - Raw values {imdb, rt, mc, consolidated, tier}
+   * @param {Array<string>} sources - Enabled badge sources
+   * @returns {Object|null} Badge content (display strings) or null if nothing to draw
+   */
+  getBadgeContent(values, sources) {
+    if (!values || !Array.isArray(sources)) return null;
+
+    const badge = {};
+    const decimal = value => {
+      const number = parseFloat(value);
+      return !isNaN(number) && number > 0 && number <= 10 ? number.toFixed(1) : null;
+    };
+    const percent = value => {
+      const number = parseInt(value, 10);
+      return !isNaN(number) && number >= 0 && number <= 100 ? String(number) : null;
+    };
+
+    if (sources.includes('imdb') && decimal(values.imdb)) {
+      badge.imdb = decimal(values.imdb);
+    }
+    if (sources.includes('rt') && percent(values.rt)) {
+      badge.rt = percent(values.rt);
+    }
+    if (sources.includes('mc') && percent(values.mc)) {
+      badge.mc = percent(values.mc);
+    }
+    if (sources.includes('consolidated') && decimal(values.consolidated)) {
+      badge.consolidated = decimal(values.consolidated);
+      if (TIER_COLORS[values.tier]) {
+        badge.tier = values.tier;
+      }
+    }
+
+    return Object.keys(badge).length > 0 ? badge : null;
+  }
+
+  /**
+   * Builds the wrapper URL that serves a badge poster
+   * Only the badge settings are encoded in the path, which keeps poster links short.
+   * @param {string} posterUrl - Original poster URL
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @param {Object} badge - Badge content from getBadgeContent
+   * @param {Object} config - User configuration
+   * @returns {string} Badge poster URL
+   */
+  buildPosterUrl(posterUrl, type, id, badge, config) {
+    const baseUrl = config.posterBadge.baseUrl.replace(/\/+$/, '');
+    const layoutConfig = encodeConfig({
+      wrappedAddonUrl: config.wrappedAddonUrl,
+      posterBadge: config.posterBadge
+    });
+    const sig = this.signPoster(posterUrl, badge);
+    const query = new URLSearchParams({ url: posterUrl, ...badge, sig });
+
+    return `${baseUrl}/${layoutConfig}/poster/${encodeURIComponent(type)}/${encodeURIComponent(id)}.png?${query}`;
+  }
+
+
+  /**
+   * Signs a poster URL together with its badge content
+   * @param {string} posterUrl - Original poster URL
+   * @param {Object} badge - Badge content from getBadgeContent
+   * @returns {string} Signature (base64url)
+   */
+  signPoster(posterUrl, badge) {
+    return crypto.createHmac('sha256', this._getSigningKey())
+      .update(JSON.stringify([posterUrl, badge]))
+      .digest()
+      .subarray(0, SIGNATURE_BYTES)
+      .toString('base64url');
+  }
+
+  /**
+   * Checks the signature of a poster request
+   * @param {string} posterUrl - Original poster URL
+   * @param {Object} badge - Badge content read back with getBadgeContent
+   * @param {string} signature - Signature from the query string
+   * @returns {boolean} True if the wrapper signed this poster URL and badge
+   */
+  verifyPoster(posterUrl, badge, signature) {
+    if (typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.signPoster(posterUrl, badge));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Gets a rendered badge poster (cached)
+   * @param {string} posterUrl - Original poster URL
+   * @param {Object} badge - Badge content from getBadgeContent
+   * @param {Object} layout - Badge layout {corner, size}
+   * @param {string} [format] - 'png' or 'svg' (default: 'png')
+   * @returns {Promise<{body: Buffer|string, contentType: string, fallback: boolean}>} Poster image;
+   *   fallback is true when the original poster could not be fetched and a plain background was drawn
+   */
+  async getPoster(posterUrl, badge, layout, format = 'png') {
+    const contentType = format === 'svg' ? 'image/svg+xml' : 'image/png';
+    const cacheEnabled = appConfig.redis.enabled;
+    const cacheKey = cacheKeys.generatePosterKey({
+      posterUrl,
+      badge,
+      layout: { corner: layout.corner, size: layout.size },
+      format
+    });
+
+    if (cacheEnabled) {
+      const cached = await redisService.get(cacheKey);
+      if (cached) {
+        logger.debug(`Poster cache hit: ${cacheKey}`);
+        // PNGs are cached as base64 (the cache stores JSON)
+        const body = format === 'svg' ? cached : Buffer.from(cached, 'base64');
+        return { body, contentType, fallback: false };
+      }
+    }
+
+    const image = await this._fetchPosterImage(posterUrl);
+    const svg = this._renderSvg(image, badge, layout);
+    const body = format === 'svg' ? svg : this._rasterize(svg);
+
+    // Don't cache fallbacks - the poster host may only be briefly unavailable
+    if (cacheEnabled && image) {
+      const value = format === 'svg' ? body : body.toString('base64');
+      await redisService.set(cacheKey, value, cacheKeys.getPosterTTL());
+    }
+
+    return { body, contentType, fallback: !image };
+  }
+
+  /**
+   * Downloads the original poster as a data URI
+   * @param {string} posterUrl - Original poster URL
+   * @returns {Promise<string|null>} Data URI or null if the poster could not be fetched
+   * @private
+   */
+  async _fetchPosterImage(posterUrl) {
+    try {
+      const { protocol, hostname } = new URL(posterUrl);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        logger.warn(`Refusing to fetch poster with protocol ${protocol}`);
+        return null;
+      }
+      checkPosterHost(hostname);
+
+      const response = await axios.get(posterUrl, {
+        responseType: 'arraybuffer',
+        timeout: 10000,
+        maxContentLength: MAX_POSTER_BYTES,
+        maxRedirects: 3,
+        // Host names are checked on every connection (so DNS changes can't reach private
+        // hosts); IP literals skip the lookup and are checked here and on redirects
+        lookup: lookupPublicAddress,
+        beforeRedirect: options => checkPosterHost(options.hostname),
+        headers: {
+          'User-Agent': 'Stremio-Ratings-Wrapper/1.0'
+        }
+      });
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!ALLOWED_IMAGE_TYPES.has(contentType)) {
+        logger.warn(`Poster is not an image (${contentType || 'unknown type'}): ${posterUrl}`);
+        return null;
+      }
+
+      return `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`;
+    } catch (error) {
+      logger.warn(`Failed to fetch poster ${posterUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the key poster links are signed with
+   * Derived from POSTER_SIGNING_SECRET, else from the current CONFIG_SECRETS key.
+   * Configs can't enable badges without either (see configParser.validateConfig).
+   * @returns {Buffer} HMAC key
+   * @throws {Error} If no signing secret is configured
+   * @private
+   */
+  _getSigningKey() {
+    if (!this.signingKey) {
+      const secret = appConfig.posterBadge.signingSecret || appConfig.configEncryption.keys[0]?.secret;
+      if (!secret) {
+        throw new Error('Poster badges need a signing secret (set POSTER_SIGNING_SECRET or CONFIG_SECRETS)');
+      }
+      this.signingKey = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'ratings-wrapper poster', 32));
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * Rasterizes a poster SVG to PNG
+   * @param {string} svg - SVG document from _renderSvg
+   * @returns {Buffer} PNG image
+   * @private
+   */
+  _rasterize(svg) {
+    const resvg = new Resvg(svg, {
+      font: { loadSystemFonts: true, defaultFontFamily: RASTER_FONT, sansSerifFamily: RASTER_FONT }
+    });
+    return resvg.render().asPng();
+  }
+
+  /**
+   * Renders the poster SVG with badges stacked in the configured corner
+   * @param {string|null} image - Poster data URI (null draws a plain background)
+   * @param {Object} badge - Badge content
+   * @param {Object} layout - Badge layout {corner, size}
+   * @returns {string} SVG document
+   * @private
+   */
+  _renderSvg(image, badge, layout) {
+    const scale = SIZE_SCALE[layout.size] || 1;
+    const fontSize = Math.round(15 * scale);
+    const height = Math.round(26 * scale);
+    const padding = Math.round(8 * scale);
+    const gap = Math.round(5 * scale);
+    const margin = Math.round(10 * scale);
+    const charWidth = fontSize * 0.62;
+
+    const [vertical, horizontal] = (layout.corner || 'top-left').split('-');
+    const sources = BADGE_SOURCES.filter(source => badge && badge[source]);
+
+    const pills = sources.map((source, index) => {
+      const style = SOURCE_STYLES[source];
+      const value = source === 'rt' ? `${badge[source]}%` : badge[source];
+      const dotSize = source === 'consolidated' ? Math.round(fontSize * 0.8) : 0;
+      const labelWidth = style.label ? (style.label.length + 1) * charWidth : dotSize + padding / 2;
+      const width = Math.round(padding * 2 + labelWidth + value.length * charWidth);
+
+      const x = horizontal === 'right' ? POSTER_WIDTH - margin - width : margin;
+      const offset = margin + index * (height + gap);
+      const y = vertical === 'bottom' ? POSTER_HEIGHT - offset - height : offset;
+      const textY = y + height / 2 + fontSize * 0.35;
+
+      const parts = [
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${Math.round(height / 4)}" fill="#000000" fill-opacity="0.78"/>`
+      ];
+
+      if (style.label) {
+        parts.push(`<text x="${x + padding}" y="${textY}" fill="${escapeXml(style.color)}" font-weight="bold">${escapeXml(style.label)}</text>`);
+      } else {
+        const color = TIER_COLORS[badge.tier] || style.color;
+        parts.push(`<circle cx="${x + padding + dotSize / 2}" cy="${y + height / 2}" r="${dotSize / 2}" fill="${escapeXml(color)}"/>`);
+      }
+      parts.push(`<text x="${x + padding + labelWidth}" y="${textY}" fill="#ffffff">${escapeXml(value)}</text>`);
+
+      return parts.join('');
+    });
+
+    const background = image
+      ? `<image href="${escapeXml(image)}" xlink:href="${escapeXml(image)}" x="0" y="0" width="${POSTER_WIDTH}" height="${POSTER_HEIGHT}" preserveAspectRatio="xMidYMid slice"/>`
+      : `<rect width="${POSTER_WIDTH}" height="${POSTER_HEIGHT}" fill="#1c1c1c"/>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${POSTER_WIDTH}" height="${POSTER_HEIGHT}" viewBox="0 0 ${POSTER_WIDTH} ${POSTER_HEIGHT}">` +
+      background +
+      `<g font-family="Arial, Helvetica, sans-serif" font-size="${fontSize}">${pills.join('')}</g>` +
+      '</svg>';
+  }
+}
+
+/**
+ * Escapes text for use inside SVG markup and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if posters must not be fetched from it
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Rejects poster hosts that are private IP literals (host names are checked on lookup)
+ * @param {string} hostname - URL host name (IPv6 may be in brackets)
+ * @throws {Error} If the host is a private address
+ */
+function checkPosterHost(hostname) {
+  const address = String(hostname).replace(/^\[|\]$/g, '');
+  if (net.isIP(address) && isPrivateAddress(address)) {
+    throw new Error(`Refusing to fetch poster from private address ${address}`);
+  }
+}
+
+/**
+ * DNS lookup for poster requests that fails for private addresses
+ * Same signature as dns.lookup.
+ * @param {string} hostname - Host name
+ * @param {Object} options - Lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Refusing to fetch poster from private address ${blocked ? blocked.address : hostname}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Export singleton instance
+const posterBadgeService = new PosterBadgeService();
+module.exports = posterBadgeService;
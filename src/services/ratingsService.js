@@ -82,6 +82,8 @@ class RatingsService {
     this.cleanupInterval = setInterval(() => {
       this._cleanupExpiredNotFoundEntries();
     }, 5 * 60 * 1000);
+    // Don't keep the process alive for this interval
+    this.cleanupInterval.unref();
 
     // Don't keep the process alive for this interval
     if (this.cleanupInterval.unref) {
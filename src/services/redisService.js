@@ -64,7 +64,7 @@ async function get(key) {
  * Returns data and staleness status
  *
  * @param {string} key - Cache key
- * @returns {Promise<Object|null>} - { data, isStale, isFresh } or null if not found
+ * @returns {Promise<Object|null>} - { data, isStale, isFresh, validators } or null if not found
  */
 async function getWithSWR(key) {
   // Fail-open: If Redis is not available, return null
@@ -93,7 +93,8 @@ async function getWithSWR(key) {
       return {
         data: cacheEntry,
         isStale: false,
-        isFresh: true
+        isFresh: true,
+        validators: null
       };
     }
 
@@ -109,7 +110,8 @@ async function getWithSWR(key) {
     return {
       data: cacheEntry.data,
       isStale,
-      isFresh
+      isFresh,
+      validators: cacheEntry.validators || null
     };
   } catch (error) {
     // Fail-open: Log error but don't throw
@@ -124,7 +126,8 @@ async function getWithSWR(key) {
  * @param {string} key - Cache key
  * @param {Object} value - Value to cache (will be JSON stringified)
  * @param {number} ttl - Time to live in seconds
- * @param {Object} options - Optional settings { staleTtl: number }
+ * @param {Object} options - Optional settings { staleTtl: number, validators: Object }
+ *   validators holds upstream HTTP validators ({ etag, lastModified }) used for revalidation
  * @returns {Promise<boolean>} - True if successful, false otherwise
  */
 async function set(key, value, ttl, options = {}) {
@@ -143,6 +146,9 @@ async function set(key, value, ttl, options = {}) {
       timestamp: Date.now(),
       freshTtl: ttl
     };
+    if (options.validators) {
+      cacheEntry.validators = options.validators;
+    }
 
     // JSON stringify and compress
     const json = JSON.stringify(cacheEntry);
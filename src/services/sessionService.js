@@ -0,0 +1,213 @@
+/**
+ * Session Service
+ * Login sessions for the configure page, so the browser holds an opaque session ID
+ * (in an HTTP-only cookie) instead of the user's Stremio auth key.
+ *
+ * Sessions live in Redis under a hash of the session ID. The auth key is encrypted
+ * with a key derived from the session ID itself, so stored sessions can't be read
+ * without the cookie. Each use extends the idle timeout, up to the maximum age.
+ */
+
+const crypto = require('crypto');
+const { getRedisClient, isRedisAvailable } = require('../config/redis');
+const appConfig = require('../config');
+const logger = require('../utils/logger');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const SESSION_REF_PATTERN = /^[0-9a-f]{64}$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+class SessionService {
+  /**
+   * Checks whether sessions can be used (enabled and Redis connected)
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return appConfig.sessions.enabled && isRedisAvailable();
+  }
+
+  /**
+   * Starts a session for a verified Stremio auth key
+   * @param {string} authKey - Stremio auth key
+   * @returns {Promise<{sessionId: string, auditId: string, expiresAt: string}>} New session
+   */
+  async create(authKey) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const record = {
+      authKey: this._encrypt(sessionId, authKey),
+      userId: this.getUserId(authKey),
+      createdAt: new Date(now).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + appConfig.sessions.maxAge * 1000).toISOString()
+    };
+
+    await this._getClient().set(this._getKey(sessionId), JSON.stringify(record), 'EX', appConfig.sessions.idleTimeout);
+
+    const auditId = this.getAuditId(sessionId);
+    logger.info(`Session ${auditId} started (user ${record.userId})`);
+    return { sessionId, auditId, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Resolves a session ID, extending its idle timeout
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {Promise<Object|null>} { authKey, userId, auditId, ref, createdAt, expiresAt } or null
+   *   if unknown, idle for too long or past its maximum age (ref identifies the session for isActive)
+   */
+  async resolve(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    const client = this._getClient();
+    const key = this._getKey(sessionId);
+    const json = await client.get(key);
+    if (!json) return null;
+
+    const record = JSON.parse(json);
+    const remaining = Math.floor((Date.parse(record.expiresAt) - Date.now()) / 1000);
+    if (remaining <= 0) {
+      await client.del(key);
+      return null;
+    }
+
+    let authKey;
+    try {
+      authKey = this._decrypt(sessionId, record.authKey);
+    } catch (error) {
+      logger.warn(`Session ${this.getAuditId(sessionId)} could not be decrypted`);
+      return null;
+    }
+
+    record.lastSeenAt = new Date().toISOString();
+    await client.set(key, JSON.stringify(record), 'EX', Math.min(appConfig.sessions.idleTimeout, remaining));
+
+    return {
+      authKey,
+      userId: record.userId,
+      auditId: this.getAuditId(sessionId),
+      ref: this._hash(sessionId),
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    };
+  }
+
+  /**
+   * Checks whether a session is still alive, without extending it
+   * @param {string} ref - Session reference from resolve
+   * @returns {Promise<boolean>} True unless the session ended, idled out or passed its maximum age
+   */
+  async isActive(ref) {
+    if (typeof ref !== 'string' || !SESSION_REF_PATTERN.test(ref)) return false;
+    return (await this._getClient().exists(`session:${ref}`)) === 1;
+  }
+
+  /**
+   * Ends a session
+   * @param {string} sessionId - Session ID from the cookie
+   * @returns {Promise<boolean>} True if a session was ended
+   */
+  async destroy(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return false;
+
+    const deleted = await this._getClient().del(this._getKey(sessionId));
+    if (deleted) {
+      logger.info(`Session ${this.getAuditId(sessionId)} ended`);
+    }
+    return deleted > 0;
+  }
+
+  /**
+   * Gets the ID identifying a session in logs (safe to log; not usable as a session)
+   * @param {string} sessionId - Session ID
+   * @returns {string} Audit ID
+   */
+  getAuditId(sessionId) {
+    return this._hash(sessionId).substring(0, 12);
+  }
+
+  /**
+   * Gets the user ID of an auth key (same as the configure page's generateUserId)
+   * @param {string} authKey - Stremio auth key
+   * @returns {string} User ID
+   */
+  getUserId(authKey) {
+    return this._hash(authKey).substring(0, 16);
+  }
+
+  /**
+   * Encrypts the auth key for storage
+   * @param {string} sessionId - Session ID (key material)
+   * @param {string} authKey - Stremio auth key
+   * @returns {string} base64url(iv | tag | ciphertext)
+   * @private
+   */
+  _encrypt(sessionId, authKey) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(sessionId), iv);
+    const ciphertext = Buffer.concat([cipher.update(authKey, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  }
+
+  /**
+   * Decrypts a stored auth key (throws if it was changed)
+   * @param {string} sessionId - Session ID (key material)
+   * @param {string} payload - Encrypted auth key
+   * @returns {string} Stremio auth key
+   * @private
+   */
+  _decrypt(sessionId, payload) {
+    const data = Buffer.from(payload, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveKey(sessionId), data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Derives the encryption key of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Buffer} 32-byte key
+   * @private
+   */
+  _deriveKey(sessionId) {
+    return Buffer.from(crypto.hkdfSync('sha256', sessionId, '', 'ratings-wrapper session', 32));
+  }
+
+  /**
+   * Gets the Redis client, failing when sessions are unavailable
+   * @returns {Redis} Redis client
+   * @private
+   */
+  _getClient() {
+    if (!this.isAvailable()) {
+      const error = new Error('Sessions are not available');
+      error.storeUnavailable = true;
+      throw error;
+    }
+    return getRedisClient();
+  }
+
+  /**
+   * Hashes a value (SHA-256 hex)
+   * @param {string} value - Value
+   * @returns {string} Hex digest
+   * @private
+   */
+  _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Gets the Redis key of a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} Redis key
+   * @private
+   */
+  _getKey(sessionId) {
+    return `session:${this._hash(sessionId)}`;
+  }
+}
+
+// Export singleton instance
+const sessionService = new SessionService();
+module.exports = sessionService;
@@ -4,7 +4,12 @@
  */
 
 const https = require('https');
+const http = require('http');
 const logger = require('../utils/logger');
+const collectionSnapshotService = require('./collectionSnapshotService');
+
+// Addon manifests fetched before changing the collection (ms)
+const MANIFEST_TIMEOUT = 8000;
 
 /**
  * Makes a request to the Stremio API
@@ -123,14 +128,40 @@ async function getAddonCollection(authToken) {
   }
 }
 
+/**
+ * Stores a snapshot of the current collection before it is changed
+ * Best effort: without Redis, or if the snapshot fails, the change still goes through.
+ * @param {string} authToken - User's authentication token
+ * @param {string} action - Action about to change the collection
+ * @param {Array|null} currentAddons - Collection the caller already fetched (fetched here if null)
+ * @returns {Promise<Object|null>} Snapshot metadata or null if none was stored
+ */
+async function snapshotCollection(authToken, action, currentAddons) {
+  if (!collectionSnapshotService.isAvailable()) return null;
+
+  try {
+    const addons = currentAddons || await getAddonCollection(authToken);
+    return await collectionSnapshotService.record(authToken, addons, action);
+  } catch (error) {
+    logger.warn(`Could not snapshot addon collection before ${action}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Sets the user's addon collection
+ * The collection it replaces is snapshotted first so the change can be undone.
  * @param {string} authToken - User's authentication token
  * @param {Array} addons - Array of addons to set
+ * @param {string} action - Action making the change (stored with the snapshot)
+ * @param {Array} [currentAddons] - Collection being replaced, if the caller already fetched it
+ *   (saves fetching it again for the snapshot)
  * @returns {Promise<Object>} API response
  */
-async function setAddonCollection(authToken, addons) {
+async function setAddonCollection(authToken, addons, action = 'unknown', currentAddons = null) {
   try {
+    await snapshotCollection(authToken, action, currentAddons);
+
     logger.info(`Setting addon collection (${addons.length} addons)...`);
 
     const response = await stremioApiRequest('/api/addonCollectionSet', authToken, 'POST', {
@@ -158,6 +189,89 @@ async function setAddonCollection(authToken, addons) {
   }
 }
 
+/**
+ * Checks whether an addon is Cinemeta (original or wrapped)
+ * @param {Object} addon - Collection entry
+ * @returns {boolean} True for Cinemeta
+ */
+function isCinemetaAddon(addon) {
+  const manifestId = addon.manifest?.id || '';
+  const url = addon.transportUrl || '';
+  return manifestId.includes('cinemeta') || url.includes('cinemeta');
+}
+
+/**
+ * Checks whether an addon provides metadata (the meta resource)
+ * @param {Object} addon - Collection entry
+ * @returns {boolean} True for metadata addons
+ */
+function providesMeta(addon) {
+  const resources = addon?.manifest?.resources || [];
+  return resources.some(resource => (typeof resource === 'string' ? resource : resource?.name) === 'meta');
+}
+
+/**
+ * Gets warnings about a collection change that can break Stremio
+ * @param {Array} currentAddons - Collection before the change
+ * @param {Array} newAddons - Collection after the change
+ * @returns {Array<string>} Warnings
+ */
+function getCollectionWarnings(currentAddons, newAddons) {
+  const warnings = [];
+  const nameOf = addon => addon.manifest?.name || addon.transportUrl;
+
+  if (newAddons.length === 0) {
+    warnings.push('The addon collection will be empty');
+  }
+
+  if (currentAddons.some(isCinemetaAddon) && !newAddons.some(isCinemetaAddon)) {
+    warnings.push('Cinemeta will be removed');
+  }
+
+  // Cinemeta is covered above
+  const newUrls = new Set(newAddons.map(addon => addon.transportUrl));
+  for (const addon of currentAddons) {
+    if (addon.flags?.protected && !isCinemetaAddon(addon) && !newUrls.has(addon.transportUrl)) {
+      warnings.push(`${nameOf(addon)} is a protected official addon and will be removed`);
+    }
+  }
+
+  // Stremio asks the first metadata addon for details, so it belongs at the top
+  if (providesMeta(currentAddons[0]) && newAddons.length > 0 && !providesMeta(newAddons[0])) {
+    warnings.push(`Metadata addon no longer at position 0 (${nameOf(newAddons[0])} will be first)`);
+  }
+
+  const seen = new Set();
+  for (const addon of newAddons) {
+    if (seen.has(addon.transportUrl)) {
+      warnings.push(`${nameOf(addon)} will be installed more than once`);
+    }
+    seen.add(addon.transportUrl);
+  }
+
+  return warnings;
+}
+
+/**
+ * Builds the result of a dry run: what a collection change would do, without making it
+ * @param {Array} currentAddons - Collection before the change
+ * @param {Array} newAddons - Collection after the change
+ * @returns {Object} { success, dryRun, diff, finalOrder, warnings } - diff as in
+ *   collectionSnapshotService.diff, finalOrder lists { transportUrl, name }
+ */
+function previewCollectionChange(currentAddons, newAddons) {
+  return {
+    success: true,
+    dryRun: true,
+    diff: collectionSnapshotService.diff(currentAddons, newAddons),
+    finalOrder: newAddons.map(addon => ({
+      transportUrl: addon.transportUrl,
+      name: addon.manifest?.name || addon.transportUrl
+    })),
+    warnings: getCollectionWarnings(currentAddons, newAddons)
+  };
+}
+
 /**
  * Replaces an addon in the collection
  * @param {string} authToken - User's authentication token
@@ -166,14 +280,16 @@ async function setAddonCollection(authToken, addons) {
  * @param {string} options.newAddonUrl - URL of the new addon to install
  * @param {string} options.newAddonName - Name of the new addon
  * @param {string} options.newAddonId - ID of the new addon
+ * @param {boolean} [options.dryRun] - Only return the resulting changes (see previewCollectionChange)
  * @returns {Promise<Object>} Result of the operation
  */
 async function replaceAddon(authToken, options) {
   try {
-    const { removePattern, newAddonUrl, newAddonName, newAddonId } = options;
+    const { removePattern, newAddonUrl, newAddonName, newAddonId, dryRun } = options;
 
     // Get current addons
-    let addons = await getAddonCollection(authToken);
+    const currentAddons = await getAddonCollection(authToken);
+    let addons = currentAddons;
     const originalCount = addons.length;
     logger.info(`Current addon count: ${originalCount}`);
 
@@ -221,23 +337,7 @@ async function replaceAddon(authToken, options) {
 
     // Fetch the full manifest from the wrapped addon URL
     logger.info(`Fetching manifest from: ${newAddonUrl}`);
-    const https = require('https');
-    const http = require('http');
-
-    const manifestData = await new Promise((resolve, reject) => {
-      const protocol = newAddonUrl.startsWith('https') ? https : http;
-      protocol.get(newAddonUrl, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error(`Failed to parse manifest: ${e.message}`));
-          }
-        });
-      }).on('error', reject);
-    });
+    const manifestData = await fetchAddonManifest(newAddonUrl);
 
     logger.info(`Fetched manifest: ${manifestData.id} - ${manifestData.name}`);
 
@@ -250,8 +350,12 @@ async function replaceAddon(authToken, options) {
       manifest: manifestData
     });
 
+    if (dryRun) {
+      return previewCollectionChange(currentAddons, addons);
+    }
+
     // Set the new collection
-    await setAddonCollection(authToken, addons);
+    await setAddonCollection(authToken, addons, 'replace-addon', currentAddons);
 
     return {
       success: true,
@@ -269,16 +373,213 @@ async function replaceAddon(authToken, options) {
   }
 }
 
+/**
+ * Fetches an addon manifest
+ * Used for every manifest the collection routes install; the request is aborted
+ * after MANIFEST_TIMEOUT so a hanging addon can't stall them.
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} Manifest
+ */
+function fetchAddonManifest(url) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+
+    const req = protocol.get(url, (resp) => {
+      let data = '';
+      resp.on('data', chunk => data += chunk);
+      resp.on('end', () => {
+        if (resp.statusCode >= 400) {
+          reject(new Error(`Manifest request failed with status ${resp.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Invalid JSON from manifest ${url}`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(MANIFEST_TIMEOUT, () => req.destroy(new Error(`Timeout fetching manifest ${url}`)));
+  });
+}
+
+/**
+ * Replaces one addon in the collection, keeping its position
+ * Used to unwrap an addon (new URL = original addon, or all upstreams of an
+ * aggregated install) and to refresh the manifest Stremio keeps for an install
+ * (new URL = same URL).
+ * @param {string} authToken - User's authentication token
+ * @param {string} currentUrl - Transport URL of the addon to replace
+ * @param {string|Array<string>} newUrls - Manifest URL(s) of the addon(s) to put in its place
+ * @param {string} action - Action making the change (stored with the snapshot)
+ * @returns {Promise<Object>} { success, previousName, manifest, manifests, totalAddons } or { success: false, error }
+ */
+async function replaceCollectionEntry(authToken, currentUrl, newUrls, action) {
+  try {
+    const urls = Array.isArray(newUrls) ? newUrls : [newUrls];
+    const currentAddons = await getAddonCollection(authToken);
+    const addons = [...currentAddons];
+
+    const index = addons.findIndex(addon => (addon.transportUrl || '') === currentUrl);
+    if (index === -1) {
+      return { success: false, error: 'Wrapped addon not found in your addon collection' };
+    }
+
+    const previousName = addons[index].manifest?.name;
+    logger.info(`Found addon at index ${index}: ${previousName}`);
+
+    const manifests = [];
+    for (const url of urls) {
+      try {
+        manifests.push(await fetchAddonManifest(url));
+      } catch (error) {
+        logger.error(`Failed to fetch manifest from ${url}:`, error.message);
+        return { success: false, error: `Failed to fetch manifest: ${error.message}` };
+      }
+    }
+
+    // Addons already elsewhere in the collection aren't added twice
+    const entries = urls
+      .map((url, i) => ({ transportUrl: url, transportName: 'http', manifest: manifests[i] }))
+      .filter(entry => !addons.some((addon, i) => i !== index && addon.transportUrl === entry.transportUrl));
+    addons.splice(index, 1, ...entries);
+    await setAddonCollection(authToken, addons, action, currentAddons);
+    logger.info(`Replaced addon at index ${index} with ${entries.map(entry => entry.manifest.name || entry.transportUrl).join(', ') || 'nothing (already installed)'}`);
+
+    return { success: true, previousName, manifest: manifests[0], manifests, totalAddons: addons.length };
+  } catch (error) {
+    logger.error('Failed to replace collection entry:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Describes a collection entry for the order editor
+ * @param {Object} addon - Collection entry
+ * @param {boolean} enabled - False for disabled (parked) addons
+ * @returns {Object} { transportUrl, id, name, logo, enabled, official, protected, providesMeta }
+ */
+function describeEditableAddon(addon, enabled) {
+  return {
+    transportUrl: addon.transportUrl,
+    id: addon.manifest?.id || null,
+    name: addon.manifest?.name || addon.transportUrl,
+    logo: addon.manifest?.logo || null,
+    enabled,
+    official: !!addon.flags?.official,
+    protected: !!addon.flags?.protected,
+    providesMeta: providesMeta(addon)
+  };
+}
+
+/**
+ * Gets the collection for the order editor: installed addons in order, then disabled ones
+ * @param {string} authToken - User's authentication token
+ * @returns {Promise<Array<Object>>} Addons as described by describeEditableAddon
+ */
+async function getEditableCollection(authToken) {
+  const addons = await getAddonCollection(authToken);
+  const disabledAddons = collectionSnapshotService.isAvailable()
+    ? await collectionSnapshotService.getDisabledAddons(authToken)
+    : [];
+
+  const installedUrls = new Set(addons.map(addon => addon.transportUrl));
+  return [
+    ...addons.map(addon => describeEditableAddon(addon, true)),
+    // Addons installed again through Stremio are no longer disabled
+    ...disabledAddons
+      .filter(addon => !installedUrls.has(addon.transportUrl))
+      .map(addon => describeEditableAddon(addon, false))
+  ];
+}
+
+/**
+ * Saves the collection edited in the order editor
+ * Enabled entries make up the new collection in the given order, disabled ones are
+ * parked (see collectionSnapshotService) and addons left out are removed.
+ * @param {string} authToken - User's authentication token
+ * @param {Array<{transportUrl: string, enabled: boolean}>} entries - Addons to keep, in order
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only return the resulting changes (see previewCollectionChange)
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function saveCollectionOrder(authToken, entries, options = {}) {
+  try {
+    if (!Array.isArray(entries)) {
+      throw new Error('addons must be an array');
+    }
+
+    const currentAddons = await getAddonCollection(authToken);
+    const canPark = collectionSnapshotService.isAvailable();
+    const disabledAddons = canPark ? await collectionSnapshotService.getDisabledAddons(authToken) : [];
+
+    // Installed entries win over parked copies of the same addon
+    const knownAddons = new Map();
+    for (const addon of [...disabledAddons, ...currentAddons]) {
+      knownAddons.set(addon.transportUrl, addon);
+    }
+
+    const newAddons = [];
+    const newDisabled = [];
+    const seen = new Set();
+    entries.forEach((entry, index) => {
+      const addon = knownAddons.get(entry?.transportUrl);
+      if (!addon) {
+        throw new Error(`addons[${index}] is not in the addon collection (reload and try again)`);
+      }
+      if (seen.has(entry.transportUrl)) {
+        throw new Error(`addons[${index}] is listed more than once`);
+      }
+      if (typeof entry.enabled !== 'boolean') {
+        throw new Error(`addons[${index}].enabled must be a boolean`);
+      }
+      seen.add(entry.transportUrl);
+      (entry.enabled ? newAddons : newDisabled).push(addon);
+    });
+
+    if (newDisabled.length > 0 && !canPark) {
+      throw new Error('Disabling addons is not available on this server (remove them instead)');
+    }
+
+    if (options.dryRun) {
+      return {
+        ...previewCollectionChange(currentAddons, newAddons),
+        disabled: newDisabled.map(addon => describeEditableAddon(addon, false))
+      };
+    }
+
+    await setAddonCollection(authToken, newAddons, 'reorder-collection', currentAddons);
+    if (canPark) {
+      await collectionSnapshotService.setDisabledAddons(authToken, newDisabled);
+    }
+
+    return {
+      success: true,
+      message: `Saved ${newAddons.length} addon(s)${newDisabled.length ? `, ${newDisabled.length} disabled` : ''}. Restart Stremio to see the new order.`,
+      totalAddons: newAddons.length,
+      disabledAddons: newDisabled.length
+    };
+  } catch (error) {
+    logger.error('Failed to save addon order:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Replaces multiple addons in one operation, preserving positions.
  * - Cinemeta (if provided) is forced to index 0.
  * - For each provided item, if a matching addon exists, it gets replaced in-place.
  * - If a provided addon does not exist, it is appended to the end.
+ * - Items sharing one wrapped URL (an aggregated install) replace all their originals
+ *   with a single entry at the first original's position.
  * @param {string} authToken
  * @param {Array<{removePattern:string, wrappedAddonUrl:string, name?:string}>} items
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only return the resulting changes (see previewCollectionChange)
  * @returns {Promise<Object>} result summary
  */
-async function replaceAddonsBatch(authToken, items) {
+async function replaceAddonsBatch(authToken, items, options = {}) {
   try {
     if (!Array.isArray(items) || items.length === 0) {
       throw new Error('No items provided for replacement');
@@ -298,28 +599,13 @@ async function replaceAddonsBatch(authToken, items) {
     }
 
     // Fetch manifests for all wrapped addon URLs
-    const https = require('https');
-    const http = require('http');
-    async function fetchManifest(url) {
-      return new Promise((resolve, reject) => {
-        const p = url.startsWith('https') ? https : http;
-        p.get(url, (res) => {
-          let data = '';
-          res.on('data', c => data += c);
-          res.on('end', () => {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error(`Failed to parse manifest from ${url}: ${e.message}`));
-            }
-          });
-        }).on('error', reject);
-      });
-    }
-
     const manifests = {};
+    const urlCounts = {};
     for (const it of items) {
-      manifests[it.wrappedAddonUrl] = await fetchManifest(it.wrappedAddonUrl);
+      if (!manifests[it.wrappedAddonUrl]) {
+        manifests[it.wrappedAddonUrl] = await fetchAddonManifest(it.wrappedAddonUrl);
+      }
+      urlCounts[it.wrappedAddonUrl] = (urlCounts[it.wrappedAddonUrl] || 0) + 1;
     }
 
     // Identify if we have a Cinemeta item
@@ -367,6 +653,9 @@ async function replaceAddonsBatch(authToken, items) {
         if (!used.has(url)) {
           newAddons.push({ transportUrl: url, transportName: 'http', manifest: manifests[url] });
           used.add(url);
+        } else if (urlCounts[url] > 1) {
+          // Original is now served by an aggregated install that is already injected
+          logger.info(`Removed ${addon.manifest?.name || addon.transportUrl} (merged into aggregated addon)`);
         } else {
           // Already injected (avoid duplicates); fall back to keeping original
           newAddons.push(addon);
@@ -407,12 +696,16 @@ async function replaceAddonsBatch(authToken, items) {
       }
     }
 
+    if (options.dryRun) {
+      return previewCollectionChange(originalAddons, newAddons);
+    }
+
     // Sync back
-    await setAddonCollection(authToken, newAddons);
+    await setAddonCollection(authToken, newAddons, 'replace-addons', originalAddons);
 
     return {
       success: true,
-      message: `Batch replace complete. Installed ${items.length} wrapped addon(s). Cinemeta ${cinemetaItem ? 'enforced first' : 'not provided'}.`,
+      message: `Batch replace complete. Installed ${Object.keys(manifests).length} wrapped addon(s). Cinemeta ${cinemetaItem ? 'enforced first' : 'not provided'}.`,
       totalAddons: newAddons.length
     };
   } catch (error) {
@@ -427,5 +720,11 @@ module.exports = {
   getAddonCollection,
   setAddonCollection,
   replaceAddon,
-  replaceAddonsBatch
+  replaceAddonsBatch,
+  replaceCollectionEntry,
+  fetchAddonManifest,
+  getEditableCollection,
+  saveCollectionOrder,
+  getCollectionWarnings,
+  previewCollectionChange
 };
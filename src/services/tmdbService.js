@@ -8,6 +8,7 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const redisService = require('./redisService');
 const cacheKeys = require('../utils/cacheKeys');
+const { getUserKeyHeaders } = require('../utils/userKeys');
 
 class TMDBService {
   constructor() {
@@ -242,11 +243,12 @@ class TMDBService {
    *
    * @param {string} imdbId - IMDb ID (e.g., "tt0111161")
    * @param {string} region - ISO 3166-1 country code for streaming providers (default: 'US')
+   * @param {string} apiKey - User's own TMDB API key (optional, used instead of the server key)
    * @returns {Promise<Object|null>} - TMDB data object or null
    */
-  async getTmdbDataByImdbId(imdbId, region = 'US') {
+  async getTmdbDataByImdbId(imdbId, region = 'US', apiKey = null) {
     try {
-      if (!this.isConfigured()) {
+      if (!this.isConfigured() && !apiKey) {
         logger.debug('TMDB API key not configured, skipping TMDB data lookup');
         return null;
       }
@@ -259,7 +261,7 @@ class TMDBService {
       // Check Redis cache if enabled
       const cacheEnabled = config.redis.enabled && config.redis.enableRawDataCache;
       if (cacheEnabled) {
-        const cacheKey = cacheKeys.generateTmdbDataKey(imdbId, region);
+        const cacheKey = cacheKeys.generateTmdbDataKey(imdbId, region, apiKey);
         const cached = await redisService.get(cacheKey);
         if (cached) {
           logger.debug(`TMDB data cache HIT: ${imdbId} (region: ${region})`);
@@ -274,6 +276,7 @@ class TMDBService {
       const ratingsApiUrl = config.ratingsApiUrl || 'http://localhost:3001';
       const response = await axios.get(`${ratingsApiUrl}/api/tmdb-data/${imdbId}`, {
         params: { region }, // Pass region as query parameter
+        headers: getUserKeyHeaders('X-TMDB-API-KEY', apiKey),
         timeout: this.timeout,
         validateStatus: (status) => status < 500 // Accept 404 as valid response
       });
@@ -283,7 +286,7 @@ class TMDBService {
 
         // Cache the successful result
         if (cacheEnabled) {
-          const cacheKey = cacheKeys.generateTmdbDataKey(imdbId, region);
+          const cacheKey = cacheKeys.generateTmdbDataKey(imdbId, region, apiKey);
           const ttl = cacheKeys.getRawDataTTL();
           await redisService.set(cacheKey, response.data, ttl);
           logger.debug(`Cached TMDB data: ${imdbId} (TTL: ${ttl}s, region: ${region})`);
@@ -319,9 +322,10 @@ class TMDBService {
    * @param {string[]} imdbIds - Array of IMDb IDs
    * @param {number} concurrency - Number of concurrent requests (default: 5)
    * @param {string} region - ISO 3166-1 country code for streaming providers (default: 'US')
+   * @param {string} apiKey - User's own TMDB API key (optional)
    * @returns {Promise<Map<string, Object>>} - Map of IMDb ID to TMDB data
    */
-  async getTmdbDataBatch(imdbIds, concurrency = 5, region = 'US') {
+  async getTmdbDataBatch(imdbIds, concurrency = 5, region = 'US', apiKey = null) {
     const results = new Map();
 
     if (!imdbIds || imdbIds.length === 0) {
@@ -337,7 +341,7 @@ class TMDBService {
       const batchResults = await Promise.all(
         batch.map(async (imdbId) => {
           try {
-            const data = await this.getTmdbDataByImdbId(imdbId, region);
+            const data = await this.getTmdbDataByImdbId(imdbId, region, apiKey);
             return { imdbId, data };
           } catch (error) {
             logger.warn(`Error fetching TMDB data for ${imdbId}:`, error.message);
@@ -363,8 +367,11 @@ class TMDBService {
 const tmdbService = new TMDBService();
 
 // Periodic cache cleanup (every hour)
-setInterval(() => {
+const cacheCleanupTimer = setInterval(() => {
   tmdbService.clearExpiredCache();
 }, 60 * 60 * 1000);
 
+// Don't keep the process alive for this interval
+cacheCleanupTimer.unref();
+
 module.exports = tmdbService;
@@ -0,0 +1,211 @@
+/**
+ * Upstream Service
+ * Resolves which wrapped addon(s) serve a request
+ *
+ * A config either wraps a single addon (wrappedAddonUrl) or aggregates several
+ * (upstreams). Aggregated catalogs are exposed under namespaced IDs
+ * ("{key}:{catalogId}") so catalog requests can be routed back to their addon,
+ * and meta lookups walk the upstreams in metaPriority order, skipping upstreams
+ * whose manifest doesn't declare meta for the requested type and ID.
+ * Passthrough resources (streams, subtitles, addon catalogs) fan out to every
+ * upstream that declares them and the lists are merged.
+ */
+
+const logger = require('../utils/logger');
+const addonProxy = require('./addonProxy');
+
+// Separator between upstream key and original catalog ID
+const NAMESPACE_SEPARATOR = ':';
+
+// List field of each passthrough resource response
+const RESOURCE_LIST_FIELDS = {
+  stream: 'streams',
+  subtitles: 'subtitles',
+  addon_catalog: 'addons'
+};
+
+// Upstream manifests are kept briefly in memory so each request doesn't refetch them
+const MANIFEST_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+class UpstreamService {
+  constructor() {
+    this.manifestCache = new Map();
+    this.manifestCacheMaxSize = 200;
+  }
+
+  /**
+   * Checks whether a config aggregates several upstream addons
+   * @param {Object} config - User configuration
+   * @returns {boolean} True if the config lists upstreams
+   */
+  isAggregated(config) {
+    return Array.isArray(config.upstreams) && config.upstreams.length > 0;
+  }
+
+  /**
+   * Builds the namespaced catalog ID exposed in the aggregated manifest
+   * @param {string} key - Upstream key
+   * @param {string} catalogId - Catalog ID in the upstream manifest
+   * @returns {string} Namespaced catalog ID
+   */
+  namespaceCatalogId(key, catalogId) {
+    return `${key}${NAMESPACE_SEPARATOR}${catalogId}`;
+  }
+
+  /**
+   * Resolves the addon URL and upstream catalog ID for a catalog request
+   * @param {Object} config - User configuration
+   * @param {string} id - Catalog ID as requested by Stremio
+   * @returns {{addonUrl: string, catalogId: string}|null} Route or null if no upstream matches
+   */
+  resolveCatalog(config, id) {
+    if (!this.isAggregated(config)) {
+      return { addonUrl: config.wrappedAddonUrl, catalogId: id };
+    }
+
+    const separatorIndex = id.indexOf(NAMESPACE_SEPARATOR);
+    if (separatorIndex === -1) return null;
+
+    const key = id.substring(0, separatorIndex);
+    const upstream = config.upstreams.find(u => u.key === key);
+    if (!upstream) return null;
+
+    return { addonUrl: upstream.url, catalogId: id.substring(separatorIndex + 1) };
+  }
+
+  /**
+   * Gets the URLs of all wrapped addons of a config
+   * @param {Object} config - User configuration
+   * @returns {Array<string>} Addon URLs (upstreams in catalog order, or the wrapped addon)
+   */
+  getAddonUrls(config) {
+    if (!this.isAggregated(config)) {
+      return [config.wrappedAddonUrl];
+    }
+    return config.upstreams.map(u => u.url);
+  }
+
+  /**
+   * Gets the addon URLs to try for meta lookups, in priority order
+   * Aggregated upstreams are only asked if their manifest declares meta for the type and ID.
+   * @param {Object} config - User configuration
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @returns {Promise<Array<string>>} Addon URLs
+   */
+  async getMetaAddonUrls(config, type, id) {
+    if (!this.isAggregated(config)) {
+      return [config.wrappedAddonUrl];
+    }
+
+    const priority = Array.isArray(config.metaPriority) ? config.metaPriority : [];
+    const urls = priority
+      .map(key => config.upstreams.find(u => u.key === key))
+      .filter(Boolean)
+      .map(u => u.url);
+    return this._filterByDeclaration(urls, 'meta', type, id);
+  }
+
+  /**
+   * Fetches a passthrough resource (stream, subtitles, addon_catalog)
+   * Aggregated configs ask every upstream that declares the resource and merge
+   * the lists in catalog order; upstreams that fail are left out.
+   * @param {Object} config - User configuration
+   * @param {string} resource - Resource name
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @param {Object} extra - Extra parameters
+   * @returns {Promise<Object>} Resource response
+   */
+  async fetchResource(config, resource, type, id, extra = {}) {
+    if (!this.isAggregated(config)) {
+      return addonProxy.fetchResource(config.wrappedAddonUrl, resource, type, id, extra);
+    }
+
+    const field = RESOURCE_LIST_FIELDS[resource];
+    const urls = await this._filterByDeclaration(this.getAddonUrls(config), resource, type, id);
+    const results = await Promise.allSettled(
+      urls.map(url => addonProxy.fetchResource(url, resource, type, id, extra))
+    );
+
+    const merged = { [field]: [] };
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        merged[field].push(...(Array.isArray(result.value[field]) ? result.value[field] : []));
+      } else {
+        logger.debug(`Upstream ${urls[index]} failed for ${resource} ${type}/${id}: ${result.reason.message}`);
+      }
+    });
+
+    if (urls.length > 0 && results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+    return merged;
+  }
+
+  /**
+   * Checks whether a manifest declares a resource for a type and ID
+   * Plain resource names use the manifest's types and idPrefixes; object
+   * declarations may narrow them ({name, types, idPrefixes}).
+   * @param {Object} manifest - Addon manifest
+   * @param {string} resource - Resource name
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @returns {boolean} True if the addon serves the request
+   */
+  declaresResource(manifest, resource, type, id) {
+    const declaration = (manifest.resources || []).find(r => addonProxy.getResourceName(r) === resource);
+    if (!declaration) return false;
+
+    const types = (typeof declaration === 'object' && declaration.types) || manifest.types;
+    const idPrefixes = (typeof declaration === 'object' && declaration.idPrefixes) || manifest.idPrefixes;
+
+    if (Array.isArray(types) && !types.includes(type)) return false;
+    if (Array.isArray(idPrefixes) && !idPrefixes.some(prefix => id.startsWith(prefix))) return false;
+    return true;
+  }
+
+  /**
+   * Keeps the addons whose manifest declares a resource for a type and ID
+   * Addons whose manifest can't be fetched are left out (they are down).
+   * @param {Array<string>} urls - Addon URLs
+   * @param {string} resource - Resource name
+   * @param {string} type - Content type
+   * @param {string} id - Content ID
+   * @returns {Promise<Array<string>>} Matching addon URLs, in the given order
+   * @private
+   */
+  async _filterByDeclaration(urls, resource, type, id) {
+    const manifests = await Promise.all(urls.map(url => this._getManifest(url)));
+    return urls.filter((url, index) => manifests[index] && this.declaresResource(manifests[index], resource, type, id));
+  }
+
+  /**
+   * Gets an upstream manifest, cached in memory for a few minutes
+   * @param {string} url - Addon URL
+   * @returns {Promise<Object|null>} Manifest or null if it can't be fetched
+   * @private
+   */
+  async _getManifest(url) {
+    const cached = this.manifestCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.manifest;
+    }
+
+    try {
+      const manifest = await addonProxy.fetchManifest(url);
+      if (!this.manifestCache.has(url) && this.manifestCache.size >= this.manifestCacheMaxSize) {
+        this.manifestCache.delete(this.manifestCache.keys().next().value);
+      }
+      this.manifestCache.set(url, { manifest, expiresAt: Date.now() + MANIFEST_CACHE_TTL });
+      return manifest;
+    } catch (error) {
+      logger.warn(`Skipping upstream ${url}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const upstreamService = new UpstreamService();
+module.exports = upstreamService;
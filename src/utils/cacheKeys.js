@@ -5,6 +5,7 @@
 
 const crypto = require('crypto');
 const config = require('../config');
+const { getUserKeyScope } = require('./userKeys');
 
 /**
  * Recursively sorts object keys to ensure deterministic JSON stringification
@@ -43,9 +44,15 @@ function generateConfigHash(addonConfig) {
     return 'default';
   }
 
+  // Per-user API keys only change which key fetches the ratings, not the ratings
+  // themselves - hash whether they are set, not their values
+  const hashedConfig = addonConfig.apiKeys
+    ? { ...addonConfig, apiKeys: Object.fromEntries(Object.keys(addonConfig.apiKeys).map(k => [k, true])) }
+    : addonConfig;
+
   // Recursively sort all keys to ensure identical configs always produce the same hash
   // This prevents cache collisions/misses due to key ordering differences
-  const sortedConfig = sortObjectKeys(addonConfig);
+  const sortedConfig = sortObjectKeys(hashedConfig);
 
   // Create a stable string representation
   const configString = JSON.stringify(sortedConfig);
@@ -128,19 +135,21 @@ function generateMetaKey(params) {
 
 /**
  * Generate cache key for manifest endpoint
- * Format: v{CACHE_VERSION}:manifest:{configHash}
+ * Format: v{CACHE_VERSION}:manifest:{configHash}[:{configId}]
+ * (aggregated manifest IDs derive from the config ID of stored configs)
  *
  * @param {Object} params - Cache key parameters
  * @param {Object} params.addonConfig - Addon configuration object
+ * @param {string} [params.configId] - Config store ID
  * @returns {string} - Cache key
  */
 function generateManifestKey(params) {
-  const { addonConfig } = params;
+  const { addonConfig, configId } = params;
 
   const configHash = generateConfigHash(addonConfig);
   const version = config.redis.cacheVersion;
 
-  return `v${version}:manifest:${configHash}`;
+  return `v${version}:manifest:${configHash}${configId ? `:${configId}` : ''}`;
 }
 
 /**
@@ -153,7 +162,11 @@ function generateManifestKey(params) {
  */
 function isUserSpecificAddon(addonConfig, manifest = null) {
   // Check if addon URL contains common patterns for user-specific addons
-  const wrappedUrl = addonConfig?.wrappedAddonUrl || '';
+  // Aggregated configs are user-specific if any upstream is
+  const wrappedUrl = [
+    addonConfig?.wrappedAddonUrl || '',
+    ...(addonConfig?.upstreams || []).map(upstream => upstream.url)
+  ].join(' ');
   const userSpecificPatterns = [
     'mdblist',
     'trakt',
@@ -190,6 +203,11 @@ function getCatalogTTL(catalogId, isUserSpecific = false) {
   // Determine TTL based on catalog type
   const catalogLower = catalogId.toLowerCase();
 
+  // Derived catalogs (see derivedCatalogService) are costly to rebuild
+  if (catalogLower.startsWith('derived.')) {
+    return ttlConfig.derived;
+  }
+
   if (catalogLower.includes('search')) {
     return ttlConfig.search;
   }
@@ -271,6 +289,95 @@ function generateRawCatalogKey(params) {
   return parts.filter(part => part !== '').join(':');
 }
 
+/**
+ * Generate cache key for raw upstream manifests
+ * Only stored when the upstream sends ETag/Last-Modified, so manifest refreshes
+ * can be revalidated with a conditional request.
+ *
+ * Format: v{CACHE_VERSION}:raw:manifest:{urlHash}
+ *
+ * @param {Object} params - Cache key parameters
+ * @param {string} params.addonUrl - Base URL of the wrapped addon
+ * @returns {string} - Cache key
+ */
+function generateRawManifestKey(params) {
+  const version = config.redis.cacheVersion;
+  const urlHash = crypto
+    .createHash('sha256')
+    .update(params.addonUrl)
+    .digest('hex')
+    .substring(0, 12);
+
+  return `v${version}:raw:manifest:${urlHash}`;
+}
+
+/**
+ * Generate cache key for filtered catalog pagination cursors
+ * Cursors map filtered skip offsets to upstream page positions. They only depend on the
+ * wrapped addon and the filter settings, so format-only config changes share them.
+ *
+ * Format: v{CACHE_VERSION}:cursor:catalog:{filterHash}:{type}:{catalogId}:{search?}:{genre?}
+ *
+ * @param {Object} params - Cache key parameters
+ * @param {string} params.addonUrl - Base URL of the wrapped addon
+ * @param {Object} params.filter - Catalog filter settings
+ * @param {string} params.type - Content type (movie, series, etc.)
+ * @param {string} params.catalogId - Catalog ID (top, popular, etc.)
+ * @param {string} [params.search] - Search query
+ * @param {string} [params.genre] - Genre filter
+ * @returns {string} - Cache key
+ */
+function generateCatalogCursorKey(params) {
+  const {
+    addonUrl,
+    filter,
+    type,
+    catalogId,
+    search = '',
+    genre = ''
+  } = params;
+
+  const version = config.redis.cacheVersion;
+  const filterHash = generateConfigHash({ addonUrl, filter });
+
+  const parts = [
+    `v${version}`,
+    'cursor',
+    'catalog',
+    filterHash,
+    type,
+    catalogId,
+    search,
+    genre
+  ];
+
+  return parts.filter(part => part !== '').join(':');
+}
+
+/**
+ * Generate cache key for a rendered badge poster
+ * Keyed by the original poster URL and the badge content/layout, so a rating change
+ * produces a new entry instead of serving an outdated badge.
+ *
+ * Format: v{CACHE_VERSION}:poster:{posterHash}:{badgeHash}:{format}
+ *
+ * @param {Object} params - Cache key parameters
+ * @param {string} params.posterUrl - Original poster URL
+ * @param {Object} params.badge - Badge values (e.g. { imdb: '8.5', rt: '83' })
+ * @param {Object} params.layout - Badge layout { corner, size }
+ * @param {string} params.format - Image format ('png' or 'svg')
+ * @returns {string} - Cache key
+ */
+function generatePosterKey(params) {
+  const { posterUrl, badge, layout, format } = params;
+
+  const version = config.redis.cacheVersion;
+  const posterHash = generateConfigHash({ posterUrl });
+  const badgeHash = generateConfigHash({ badge, layout });
+
+  return `v${version}:poster:${posterHash}:${badgeHash}:${format}`;
+}
+
 /**
  * Generate cache key for IMDb rating data
  * Format: v{CACHE_VERSION}:rating:imdb:{imdbId}
@@ -297,51 +404,77 @@ function generateMpaaRatingKey(imdbId) {
 
 /**
  * Generate cache key for TMDB data
- * Format: v{CACHE_VERSION}:data:tmdb:{imdbId}:{region}
+ * Format: v{CACHE_VERSION}:data:tmdb:{imdbId}:{region}[:u{keyHash}]
  *
  * @param {string} imdbId - IMDb ID (e.g., "tt1234567")
  * @param {string} [region] - Region code for streaming services (default: 'US')
+ * @param {string} [apiKey] - User's own TMDB key (data fetched with it is cached separately)
  * @returns {string} - Cache key
  */
-function generateTmdbDataKey(imdbId, region = 'US') {
+function generateTmdbDataKey(imdbId, region = 'US', apiKey = null) {
   const version = config.redis.cacheVersion;
-  return `v${version}:data:tmdb:${imdbId}:${region}`;
+  return `v${version}:data:tmdb:${imdbId}:${region}${getUserKeyScope(apiKey)}`;
 }
 
 /**
  * Generate cache key for OMDB data
- * Format: v{CACHE_VERSION}:data:omdb:{imdbId}
+ * Format: v{CACHE_VERSION}:data:omdb:{imdbId}[:u{keyHash}]
  *
  * @param {string} imdbId - IMDb ID (e.g., "tt1234567")
+ * @param {string} [apiKey] - User's own OMDb key (data fetched with it is cached separately)
  * @returns {string} - Cache key
  */
-function generateOmdbDataKey(imdbId) {
+function generateOmdbDataKey(imdbId, apiKey = null) {
   const version = config.redis.cacheVersion;
-  return `v${version}:data:omdb:${imdbId}`;
+  return `v${version}:data:omdb:${imdbId}${getUserKeyScope(apiKey)}`;
 }
 
 /**
  * Generate cache key for MAL (MyAnimeList) data
- * Format: v{CACHE_VERSION}:data:mal:{malId}
+ * Format: v{CACHE_VERSION}:data:mal:{malId}[:u{keyHash}]
  *
  * @param {string|number} malId - MyAnimeList ID
+ * @param {string} [clientId] - User's own MAL client ID (data fetched with it is cached separately)
  * @returns {string} - Cache key
  */
-function generateMalDataKey(malId) {
+function generateMalDataKey(malId, clientId = null) {
   const version = config.redis.cacheVersion;
-  return `v${version}:data:mal:${malId}`;
+  return `v${version}:data:mal:${malId}${getUserKeyScope(clientId)}`;
 }
 
 /**
  * Generate cache key for consolidated rating data
- * Format: v{CACHE_VERSION}:rating:consolidated:{imdbId}
+ * Format: v{CACHE_VERSION}:rating:consolidated:{profileHash}:{imdbId}
+ * The weighting profile is hashed in so different source weights don't collide.
  *
  * @param {string} imdbId - IMDb ID (e.g., "tt1234567")
+ * @param {Object} profile - Resolved weighting profile {weights, voteShrinkage, minVotes}
+ * @returns {string} - Cache key
+ */
+function generateConsolidatedRatingKey(imdbId, profile) {
+  const version = config.redis.cacheVersion;
+  const profileHash = generateConfigHash(profile);
+  return `v${version}:rating:consolidated:${profileHash}:${imdbId}`;
+}
+
+/**
+ * Generate cache key for last-known-good upstream responses
+ * Served when an upstream is unavailable, so they outlive the raw caches.
+ * Format: v{CACHE_VERSION}:lkg:{resource}:{requestHash}:{type}:{id}
+ *
+ * @param {Object} params - Request parameters
+ * @param {string} params.resource - catalog or meta
+ * @param {string} params.addonUrl - Base URL of the wrapped addon
+ * @param {string} params.type - Content type
+ * @param {string} params.id - Catalog or content ID
+ * @param {Object} [params.extra] - Extra catalog parameters
  * @returns {string} - Cache key
  */
-function generateConsolidatedRatingKey(imdbId) {
+function generateLastKnownGoodKey(params) {
+  const { resource, addonUrl, type, id, extra = {} } = params;
   const version = config.redis.cacheVersion;
-  return `v${version}:rating:consolidated:${imdbId}`;
+  const requestHash = generateConfigHash({ addonUrl, extra });
+  return `v${version}:lkg:${resource}:${requestHash}:${type}:${id}`;
 }
 
 /**
@@ -354,21 +487,34 @@ function getRawDataTTL() {
   return config.redis.ttl.rawData || 86400;
 }
 
+/**
+ * Get TTL for rendered badge posters
+ * @returns {number} - TTL in seconds (24 hours)
+ */
+function getPosterTTL() {
+  return config.redis.ttl.poster || 86400;
+}
+
 module.exports = {
   generateConfigHash,
   generateCatalogKey,
   generateMetaKey,
   generateManifestKey,
   generateRawCatalogKey,
+  generateRawManifestKey,
+  generateCatalogCursorKey,
+  generatePosterKey,
   generateImdbRatingKey,
   generateMpaaRatingKey,
   generateTmdbDataKey,
   generateOmdbDataKey,
   generateMalDataKey,
   generateConsolidatedRatingKey,
+  generateLastKnownGoodKey,
   isUserSpecificAddon,
   getCatalogTTL,
   getMetaTTL,
   getManifestTTL,
-  getRawDataTTL
+  getRawDataTTL,
+  getPosterTTL
 };
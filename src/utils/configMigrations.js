@@ -0,0 +1,134 @@
+/**
+ * Config schema migrations
+ * Configs carry a `schemaVersion` (configs without one are version 1). Before
+ * validation, every config is upgraded to the current shape by running the
+ * migrations above its version in order, so validateConfig only has to know
+ * the current schema.
+ *
+ * To change the config shape, add a migration to MIGRATIONS and bump
+ * CURRENT_SCHEMA_VERSION. Migrations must not modify their input.
+ *
+ * This file has no dependencies so it can also be served to the configure page
+ * (exposed there as window.ConfigMigrations).
+ */
+
+(function (root) {
+  const CURRENT_SCHEMA_VERSION = 2;
+
+  /**
+   * Version 1 -> 2: moves the legacy settings into titleFormat/descriptionFormat
+   * - a single `ratingFormat` was used for both title and description, and filled
+   *   in position/template/separator missing from the separate formats
+   * - the per-format enableCatalogItems/enableEpisodes flags fell back to the
+   *   global enableTitleRatings/enableEpisodeRatings flags, which in turn fell
+   *   back to enableRatings
+   * - the global flags were used as given, so any falsy value (null, 0, "")
+   *   turned ratings off; version 2 only treats `false` as off, so they are
+   *   stored as booleans here
+   * @param {Object} config - Version 1 config
+   * @returns {Object} Version 2 config
+   */
+  function moveLegacyFormatSettings(config) {
+    const migrated = { ...config };
+    const legacyFormat = config.ratingFormat || {};
+    const hasSeparateFormats = !!(config.titleFormat || config.descriptionFormat);
+
+    for (const formatName of ['titleFormat', 'descriptionFormat']) {
+      const format = { ...(hasSeparateFormats ? config[formatName] : config.ratingFormat) };
+
+      for (const field of ['position', 'template', 'separator']) {
+        if (!format[field] && legacyFormat[field]) {
+          format[field] = legacyFormat[field];
+        }
+      }
+      if (format.enableCatalogItems === undefined) {
+        format.enableCatalogItems = config.enableTitleRatings !== false;
+      }
+      if (format.enableEpisodes === undefined) {
+        format.enableEpisodes = config.enableEpisodeRatings !== false;
+      }
+
+      migrated[formatName] = format;
+    }
+
+    for (const flag of ['enableTitleRatings', 'enableEpisodeRatings']) {
+      migrated[flag] = config[flag] !== undefined
+        ? !!config[flag]
+        : config.enableRatings !== false;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Ordered migrations; each upgrades a config from `version - 1` to `version`
+   * @type {Array<{version: number, description: string, migrate: Function}>}
+   */
+  const MIGRATIONS = [
+    {
+      version: 2,
+      description: 'Legacy rating format and global rating flags moved into the title and description formats',
+      migrate: moveLegacyFormatSettings
+    }
+  ];
+
+  /**
+   * Gets the schema version of a config
+   * @param {Object} config - Config object
+   * @returns {*} Schema version (1 when missing; not checked here)
+   */
+  function getSchemaVersion(config) {
+    return config.schemaVersion === undefined ? 1 : config.schemaVersion;
+  }
+
+  /**
+   * Checks whether a schema version can be migrated by this build
+   * @param {*} version - Schema version
+   * @returns {boolean} True for integers from 1 to CURRENT_SCHEMA_VERSION
+   */
+  function isSupportedSchemaVersion(version) {
+    return Number.isInteger(version) && version >= 1 && version <= CURRENT_SCHEMA_VERSION;
+  }
+
+  /**
+   * Upgrades a config to the current schema version
+   * @param {Object} config - Config object (any supported version)
+   * @returns {{config: Object, fromVersion: number, applied: Array<string>}} Upgraded
+   *   config and the descriptions of the migrations that ran
+   */
+  function migrateConfig(config) {
+    const fromVersion = getSchemaVersion(config);
+    if (!isSupportedSchemaVersion(fromVersion)) {
+      throw new Error(`schemaVersion must be an integer between 1 and ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    let migrated = config;
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+      if (migration.version > fromVersion) {
+        migrated = migration.migrate(migrated);
+        applied.push(migration.description);
+      }
+    }
+
+    return {
+      config: { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION },
+      fromVersion,
+      applied
+    };
+  }
+
+  const api = {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    getSchemaVersion,
+    isSupportedSchemaVersion,
+    migrateConfig
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ConfigMigrations = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -1,28 +1,70 @@
 /**
  * Configuration parser utility
  * Parses and validates URL-encoded configuration from request paths
+ *
+ * Configs are either plain base64url JSON or sealed: encrypted and authenticated
+ * (AES-256-GCM) with a server secret from CONFIG_SECRETS, formatted as
+ * "enc_{keyId}_{base64url(iv | tag | ciphertext)}". Only sealed configs may carry
+ * per-user API keys, since anyone can read a plain config.
  */
 
+const crypto = require('crypto');
 const logger = require('./logger');
 const appConfig = require('../config');
+const templateEngine = require('./templateEngine');
+const localeFormat = require('./localeFormat');
+const configMigrations = require('./configMigrations');
+
+/**
+ * Error for an invalid config setting
+ * `path` names the offending field (e.g. "titleFormat.episodeHighlights.topCount")
+ * so API clients and the configure page can point at it.
+ */
+class ConfigValidationError extends Error {
+  /**
+   * @param {string} path - Field path
+   * @param {string} reason - What is wrong with it (e.g. "must be a boolean")
+   */
+  constructor(path, reason) {
+    super(`${path} ${reason}`);
+    this.name = 'ConfigValidationError';
+    this.path = path;
+    this.reason = reason;
+  }
+}
+
+// Prefix of sealed configs (plain configs are base64url JSON and start with "ey")
+const SEALED_PREFIX = 'enc_';
+const SEAL_IV_LENGTH = 12;
+const SEAL_TAG_LENGTH = 16;
 
 /**
  * Encodes configuration object to URL-safe base64 string
  * @param {Object} config - Configuration object
+ * @param {Object} options - Optional settings { seal: boolean } (encrypt with the current server key)
  * @returns {string} Encoded configuration string
  */
-function encodeConfig(config) {
+function encodeConfig(config, options = {}) {
   const jsonString = JSON.stringify(config);
+  if (options.seal) {
+    return sealConfig(jsonString);
+  }
   return Buffer.from(jsonString).toString('base64url');
 }
 
 /**
- * Decodes configuration from URL-safe base64 string
+ * Decodes configuration from URL-safe base64 string or a sealed config
+ * Sealed configs that were tampered with, or whose key is unknown, are rejected.
  * @param {string} encodedConfig - Encoded configuration string
  * @returns {Object|null} Decoded configuration object or null if invalid
  */
 function decodeConfig(encodedConfig) {
   try {
+    if (isSealedConfig(encodedConfig)) {
+      // Not logged: sealed configs can contain API keys
+      return JSON.parse(openSealedConfig(encodedConfig));
+    }
+
     const jsonString = Buffer.from(encodedConfig, 'base64url').toString('utf-8');
     const config = JSON.parse(jsonString);
 
@@ -34,6 +76,87 @@ function decodeConfig(encodedConfig) {
   }
 }
 
+/**
+ * Checks whether an encoded config is sealed (encrypted)
+ * @param {string} encodedConfig - Encoded configuration string
+ * @returns {boolean} True for sealed configs
+ */
+function isSealedConfig(encodedConfig) {
+  return typeof encodedConfig === 'string' && encodedConfig.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * Checks whether configs can be sealed (CONFIG_SECRETS is set)
+ * @returns {boolean} True if a sealing key is configured
+ */
+function canSealConfigs() {
+  return appConfig.configEncryption.keys.length > 0;
+}
+
+/**
+ * Derives the AES key for a config secret
+ * @param {string} secret - Server secret
+ * @returns {Buffer} 32-byte key
+ */
+function deriveSealKey(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'ratings-wrapper config', 32));
+}
+
+/**
+ * Encrypts a config with the current (first) server key
+ * @param {string} jsonString - Config JSON
+ * @returns {string} Sealed config
+ */
+function sealConfig(jsonString) {
+  if (!canSealConfigs()) {
+    throw new Error('Config encryption is not configured (set CONFIG_SECRETS)');
+  }
+
+  const { id, secret } = appConfig.configEncryption.keys[0];
+  const header = `${SEALED_PREFIX}${id}_`;
+  const iv = crypto.randomBytes(SEAL_IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveSealKey(secret), iv);
+  // The key ID is authenticated too, so it can't be swapped
+  cipher.setAAD(Buffer.from(header));
+
+  const ciphertext = Buffer.concat([cipher.update(jsonString, 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  return header + payload.toString('base64url');
+}
+
+/**
+ * Decrypts a sealed config with the key named in its header
+ * @param {string} sealed - Sealed config
+ * @returns {string} Config JSON
+ */
+function openSealedConfig(sealed) {
+  const separatorIndex = sealed.indexOf('_', SEALED_PREFIX.length);
+  if (separatorIndex === -1) {
+    throw new Error('Malformed sealed config');
+  }
+
+  const keyId = sealed.substring(SEALED_PREFIX.length, separatorIndex);
+  const key = appConfig.configEncryption.keys.find(k => k.id === keyId);
+  if (!key) {
+    throw new Error(`Unknown config key "${keyId}"`);
+  }
+
+  const payload = Buffer.from(sealed.substring(separatorIndex + 1), 'base64url');
+  if (payload.length <= SEAL_IV_LENGTH + SEAL_TAG_LENGTH) {
+    throw new Error('Malformed sealed config');
+  }
+
+  const iv = payload.subarray(0, SEAL_IV_LENGTH);
+  const tag = payload.subarray(SEAL_IV_LENGTH, SEAL_IV_LENGTH + SEAL_TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveSealKey(key.secret), iv);
+  decipher.setAAD(Buffer.from(sealed.substring(0, separatorIndex + 1)));
+  decipher.setAuthTag(tag);
+
+  // final() throws when the config was tampered with
+  const ciphertext = payload.subarray(SEAL_IV_LENGTH + SEAL_TAG_LENGTH);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
 /**
  * Sanitizes addon URL by converting stremio:// protocol to https://
  * @param {string} url - Addon URL
@@ -48,14 +171,226 @@ function sanitizeAddonUrl(url) {
   return url;
 }
 
+/**
+ * Validates custom colour tiers and sorts them from highest to lowest threshold
+ * @param {Array<Object>} tiers - Tiers [{min, emoji, label}]
+ * @param {string} field - Config path used in error messages
+ * @returns {Array<Object>} Sorted tiers
+ */
+function validateColorTiers(tiers, field) {
+  if (!Array.isArray(tiers) || tiers.length > 10) {
+    throw new ConfigValidationError(field, 'must be an array of at most 10 tiers');
+  }
+
+  const seen = new Set();
+  const sorted = tiers.map((tier, index) => {
+    if (!tier || typeof tier !== 'object') {
+      throw new ConfigValidationError(`${field}[${index}]`, 'must be an object');
+    }
+    if (typeof tier.min !== 'number' || !isFinite(tier.min) || tier.min < 0 || tier.min > 10) {
+      throw new ConfigValidationError(`${field}[${index}].min`, 'must be a number between 0 and 10');
+    }
+    if (seen.has(tier.min)) {
+      throw new ConfigValidationError(field, `has more than one tier starting at ${tier.min}`);
+    }
+    seen.add(tier.min);
+
+    const emoji = tier.emoji === undefined ? '' : tier.emoji;
+    const label = tier.label === undefined ? '' : tier.label;
+    for (const [name, value] of [['emoji', emoji], ['label', label]]) {
+      if (typeof value !== 'string' || value.length > 40) {
+        throw new ConfigValidationError(`${field}[${index}].${name}`, 'must be a string of at most 40 characters');
+      }
+    }
+    if (!emoji && !label) {
+      throw new ConfigValidationError(`${field}[${index}]`, 'needs an emoji or a label');
+    }
+
+    return { min: tier.min, emoji, label };
+  });
+
+  return sorted.sort((a, b) => b.min - a.min);
+}
+
+/**
+ * Validates the upstream addons of an aggregated config
+ * @param {Array<Object>} upstreams - Upstreams [{url, key?}] in catalog order
+ * @returns {Array<Object>} Normalized upstreams [{key, url}] (keys default to u1, u2, ...)
+ */
+function validateUpstreams(upstreams) {
+  if (!Array.isArray(upstreams) || upstreams.length === 0 || upstreams.length > 20) {
+    throw new ConfigValidationError('upstreams', 'must be an array of 1 to 20 addons');
+  }
+
+  const seen = new Set();
+  return upstreams.map((upstream, index) => {
+    if (!upstream || typeof upstream !== 'object') {
+      throw new ConfigValidationError(`upstreams[${index}]`, 'must be an object');
+    }
+
+    const url = sanitizeAddonUrl(upstream.url);
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new ConfigValidationError(`upstreams[${index}].url`, 'must be a valid URL');
+    }
+
+    // Keys prefix the catalog IDs, so keep them short and separator-free
+    const key = upstream.key === undefined ? `u${index + 1}` : upstream.key;
+    if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{1,20}$/.test(key)) {
+      throw new ConfigValidationError(`upstreams[${index}].key`, 'must be 1-20 letters, digits, "-" or "_"');
+    }
+    if (seen.has(key)) {
+      throw new ConfigValidationError('upstreams', `has more than one addon with key "${key}"`);
+    }
+    seen.add(key);
+
+    return { key, url };
+  });
+}
+
+/**
+ * Validates per-user API keys (used instead of the server keys when present)
+ * @param {Object} apiKeys - Keys {tmdb?, omdb?, mal?}
+ * @returns {Object|null} Keys that are set, or null if none
+ */
+function validateApiKeys(apiKeys) {
+  if (!apiKeys || typeof apiKeys !== 'object' || Array.isArray(apiKeys)) {
+    throw new ConfigValidationError('apiKeys', 'must be an object');
+  }
+
+  const keys = {};
+  for (const service of ['tmdb', 'omdb', 'mal']) {
+    const value = apiKeys[service];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string' || !/^[A-Za-z0-9._-]{1,256}$/.test(value)) {
+      throw new ConfigValidationError(`apiKeys.${service}`, 'must be 1-256 letters, digits, ".", "-" or "_"');
+    }
+    keys[service] = value;
+  }
+
+  return Object.keys(keys).length > 0 ? keys : null;
+}
+
+/**
+ * Validates the meta lookup order of an aggregated config
+ * @param {Array<string>|undefined} priority - Upstream keys, highest priority first
+ * @param {Array<Object>} upstreams - Normalized upstreams
+ * @returns {Array<string>} Full priority list (unlisted upstreams follow in catalog order)
+ */
+function validateMetaPriority(priority, upstreams) {
+  const keys = upstreams.map(u => u.key);
+  if (priority === undefined) return keys;
+
+  if (!Array.isArray(priority)) {
+    throw new ConfigValidationError('metaPriority', 'must be an array of upstream keys');
+  }
+  const seen = new Set();
+  for (const key of priority) {
+    if (!keys.includes(key)) {
+      throw new ConfigValidationError('metaPriority', `has unknown upstream key "${key}" (known: ${keys.join(', ')})`);
+    }
+    if (seen.has(key)) {
+      throw new ConfigValidationError('metaPriority', `lists "${key}" more than once`);
+    }
+    seen.add(key);
+  }
+
+  return [...priority, ...keys.filter(key => !seen.has(key))];
+}
+
+/**
+ * Validates derived catalog definitions and fills in defaults
+ * @param {Array<Object>} definitions - Definitions [{name, type, source, ...}]
+ * @param {Array<Object>|null} upstreams - Normalized upstreams of an aggregated config
+ * @returns {Array<Object>} Normalized definitions
+ */
+function validateDerivedCatalogs(definitions, upstreams) {
+  if (!Array.isArray(definitions) || definitions.length > 10) {
+    throw new ConfigValidationError('derivedCatalogs', 'must be an array of at most 10 catalogs');
+  }
+
+  const formulas = ['imdb', 'consolidated', 'votes', 'weighted'];
+  const seen = new Set();
+  return definitions.map((definition, index) => {
+    const field = `derivedCatalogs[${index}]`;
+    if (!definition || typeof definition !== 'object') {
+      throw new ConfigValidationError(field, 'must be an object');
+    }
+
+    const normalized = {
+      id: definition.id === undefined ? `d${index + 1}` : definition.id,
+      name: definition.name,
+      type: definition.type,
+      source: definition.source,
+      // Upstream pages pulled before ranking
+      depth: definition.depth !== undefined ? definition.depth : 3,
+      // Ranking: same modes as catalogSort
+      formula: definition.formula || 'weighted',
+      // Thresholds (0 = disabled); e.g. "Hidden Gems" = minRating 7.5, maxVotes 25000
+      minRating: definition.minRating || 0,
+      minVotes: definition.minVotes || 0,
+      maxVotes: definition.maxVotes || 0,
+      // Items in the published catalog
+      limit: definition.limit !== undefined ? definition.limit : 50
+    };
+
+    if (typeof normalized.id !== 'string' || !/^[A-Za-z0-9_-]{1,40}$/.test(normalized.id)) {
+      throw new ConfigValidationError(`${field}.id`, 'must be 1-40 letters, digits, "-" or "_"');
+    }
+    if (seen.has(normalized.id)) {
+      throw new ConfigValidationError('derivedCatalogs', `has more than one catalog with id "${normalized.id}"`);
+    }
+    seen.add(normalized.id);
+    for (const name of ['name', 'type', 'source']) {
+      if (typeof normalized[name] !== 'string' || !normalized[name] || normalized[name].length > 100) {
+        throw new ConfigValidationError(`${field}.${name}`, 'must be a non-empty string of at most 100 characters');
+      }
+    }
+    // Aggregated configs expose namespaced source IDs ("{key}:{catalogId}")
+    if (upstreams && !upstreams.some(u => normalized.source.startsWith(`${u.key}:`))) {
+      throw new ConfigValidationError(`${field}.source`, 'must be a namespaced catalog ID ("{upstream key}:{catalog id}")');
+    }
+    if (!Number.isInteger(normalized.depth) || normalized.depth < 1 || normalized.depth > 10) {
+      throw new ConfigValidationError(`${field}.depth`, 'must be an integer between 1 and 10');
+    }
+    if (!formulas.includes(normalized.formula)) {
+      throw new ConfigValidationError(`${field}.formula`, `must be one of: ${formulas.join(', ')}`);
+    }
+    if (typeof normalized.minRating !== 'number' || normalized.minRating < 0 || normalized.minRating > 10) {
+      throw new ConfigValidationError(`${field}.minRating`, 'must be a number between 0 and 10');
+    }
+    for (const name of ['minVotes', 'maxVotes']) {
+      if (!Number.isInteger(normalized[name]) || normalized[name] < 0) {
+        throw new ConfigValidationError(`${field}.${name}`, 'must be a non-negative integer');
+      }
+    }
+    if (!Number.isInteger(normalized.limit) || normalized.limit < 1 || normalized.limit > 100) {
+      throw new ConfigValidationError(`${field}.limit`, 'must be an integer between 1 and 100');
+    }
+
+    return normalized;
+  });
+}
+
 /**
  * Validates and merges user config with defaults
- * @param {Object} userConfig - User-provided configuration
+ * Older configs are first upgraded to the current schema (see configMigrations).
+ * @param {Object} inputConfig - User-provided configuration (any supported schema version)
  * @returns {Object} Validated configuration with defaults
+ * @throws {ConfigValidationError} If a setting is invalid
  */
-function validateConfig(userConfig) {
+function validateConfig(inputConfig) {
+  if (!configMigrations.isSupportedSchemaVersion(configMigrations.getSchemaVersion(inputConfig))) {
+    throw new ConfigValidationError('schemaVersion', `must be an integer between 1 and ${configMigrations.CURRENT_SCHEMA_VERSION}`);
+  }
+  const { config: userConfig, fromVersion, applied } = configMigrations.migrateConfig(inputConfig);
+  if (applied.length > 0) {
+    logger.debug(`Config upgraded from schema version ${fromVersion}: ${applied.join('; ')}`);
+  }
+
   // Supported order keys and defaults for extended metadata
-  const DEFAULT_METADATA_ORDER = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','streamingServices','rottenTomatoes','metacritic','malRating','malVotes'];
+  const DEFAULT_METADATA_ORDER = ['consolidatedRating','imdbRating','votes','mpaa','tmdb','releaseDate','year','runtime','streamingServices','rottenTomatoes','metacritic','malRating','malVotes','seasonTrend'];
   const ALLOWED_ORDER_KEYS = new Set(DEFAULT_METADATA_ORDER);
   function sanitizeOrder(order) {
     if (!Array.isArray(order)) return DEFAULT_METADATA_ORDER;
@@ -73,23 +408,40 @@ function validateConfig(userConfig) {
     }
     return out;
   }
-  // Backwards compatibility: migrate old single ratingFormat to separate formats
-  let titleFormat = userConfig.titleFormat;
-  let descriptionFormat = userConfig.descriptionFormat;
+  const { titleFormat, descriptionFormat } = userConfig;
 
-  // If old config with single ratingFormat and no separate formats, use it for both
-  if (userConfig.ratingFormat && !titleFormat && !descriptionFormat) {
-    titleFormat = userConfig.ratingFormat;
-    descriptionFormat = userConfig.ratingFormat;
-  }
+  // Aggregated configs list several upstream addons served as one manifest
+  const upstreams = userConfig.upstreams !== undefined ? validateUpstreams(userConfig.upstreams) : null;
 
   // Sanitize the wrapped addon URL - convert stremio:// to https://
-  const sanitizedUrl = sanitizeAddonUrl(userConfig.wrappedAddonUrl);
+  // Aggregated configs default to the first upstream (used for passthrough resources)
+  const sanitizedUrl = sanitizeAddonUrl(userConfig.wrappedAddonUrl) || (upstreams && upstreams[0].url);
 
   const config = {
+    // Schema the config was upgraded to
+    schemaVersion: configMigrations.CURRENT_SCHEMA_VERSION,
+
     // Required: wrapped addon URL (sanitized)
     wrappedAddonUrl: sanitizedUrl || null,
 
+    // Optional: upstream addons [{key, url}] merged into one manifest, and the
+    // order (upstream keys) in which they are asked for meta
+    ...(upstreams && {
+      upstreams,
+      metaPriority: validateMetaPriority(userConfig.metaPriority, upstreams)
+    }),
+
+    // Optional: the user's own TMDB/OMDb/MAL keys (sealed configs only, see parseConfigFromPath)
+    apiKeys: userConfig.apiKeys !== undefined ? validateApiKeys(userConfig.apiKeys) : null,
+
+    // Optional: extra catalogs ranked from pages of a wrapped catalog
+    derivedCatalogs: userConfig.derivedCatalogs !== undefined
+      ? validateDerivedCatalogs(userConfig.derivedCatalogs, upstreams)
+      : [],
+
+    // Optional: BCP 47 locale for numbers, vote counts, dates and labels (e.g. 'de-DE')
+    locale: userConfig.locale || localeFormat.DEFAULT_LOCALE,
+
     // Optional: rating format settings (legacy single format - kept for backwards compatibility)
     ratingFormat: {
       position: userConfig.ratingFormat?.position || appConfig.defaults.ratingFormat.position,
@@ -99,35 +451,47 @@ function validateConfig(userConfig) {
 
     // New: separate formats for title and description
     titleFormat: {
-      position: titleFormat?.position || userConfig.ratingFormat?.position || appConfig.defaults.ratingFormat.position,
-      template: titleFormat?.template || userConfig.ratingFormat?.template || appConfig.defaults.ratingFormat.template,
-      separator: titleFormat?.separator || userConfig.ratingFormat?.separator || appConfig.defaults.ratingFormat.separator,
+      position: titleFormat?.position || appConfig.defaults.ratingFormat.position,
+      template: titleFormat?.template || appConfig.defaults.ratingFormat.template,
+      separator: titleFormat?.separator || appConfig.defaults.ratingFormat.separator,
       // Consolidated rating template (used when useConsolidatedRating is true)
       consolidatedTemplate: titleFormat?.consolidatedTemplate || '{emoji} {rating}',
       // Enable color emoji indicator for consolidated ratings
       useColorEmoji: titleFormat?.useColorEmoji || false,
-      // Emoji set for color indicators: 'circle', 'square', 'star', 'heart', 'diamond'
+      // Emoji set for color indicators: 'circle', 'square', 'star', 'heart', 'diamond' or 'custom'
       emojiSet: titleFormat?.emojiSet || 'circle',
+      // Custom tiers for emojiSet 'custom' ({min, emoji, label}, first tier the rating reaches wins)
+      colorTiers: titleFormat?.colorTiers || [],
       // Granular control: enable ratings for catalog items in title
-      enableCatalogItems: titleFormat?.enableCatalogItems !== undefined
-        ? titleFormat.enableCatalogItems
-        : (userConfig.enableTitleRatings !== false), // Fallback to global flag
+      enableCatalogItems: titleFormat?.enableCatalogItems !== undefined ? titleFormat.enableCatalogItems : true,
       // Granular control: enable ratings for episodes in title
-      enableEpisodes: titleFormat?.enableEpisodes !== undefined
-        ? titleFormat.enableEpisodes
-        : (userConfig.enableEpisodeRatings !== false) // Fallback to global flag
+      enableEpisodes: titleFormat?.enableEpisodes !== undefined ? titleFormat.enableEpisodes : true,
+      // Markers on the best/worst rated episodes ({rank} is replaced with 1, 2, ...)
+      episodeHighlights: {
+        enabled: titleFormat?.episodeHighlights?.enabled || false,
+        // 'season' ranks within each season, 'series' across all episodes
+        scope: titleFormat?.episodeHighlights?.scope || 'season',
+        topCount: titleFormat?.episodeHighlights?.topCount !== undefined ? titleFormat.episodeHighlights.topCount : 1,
+        bottomCount: titleFormat?.episodeHighlights?.bottomCount || 0,
+        topMarker: titleFormat?.episodeHighlights?.topMarker || '🏆',
+        bottomMarker: titleFormat?.episodeHighlights?.bottomMarker || '👎',
+        // Vote threshold for the weighted ranking (low-vote episodes are pulled towards the mean)
+        minVotes: titleFormat?.episodeHighlights?.minVotes !== undefined ? titleFormat.episodeHighlights.minVotes : 100
+      }
     },
 
     descriptionFormat: {
-      position: descriptionFormat?.position || userConfig.ratingFormat?.position || appConfig.defaults.ratingFormat.position,
-      template: descriptionFormat?.template || userConfig.ratingFormat?.template || appConfig.defaults.ratingFormat.template,
-      separator: descriptionFormat?.separator || userConfig.ratingFormat?.separator || appConfig.defaults.ratingFormat.separator,
+      position: descriptionFormat?.position || appConfig.defaults.ratingFormat.position,
+      template: descriptionFormat?.template || appConfig.defaults.ratingFormat.template,
+      separator: descriptionFormat?.separator || appConfig.defaults.ratingFormat.separator,
       // Extended metadata options (only for description)
       includeImdbRating: descriptionFormat?.includeImdbRating || false,
       includeVotes: descriptionFormat?.includeVotes || false,
       includeMpaa: descriptionFormat?.includeMpaa || false,
       includeYear: descriptionFormat?.includeYear || false,
       includeRuntime: descriptionFormat?.includeRuntime || false,
+      // Runtime format: 'hm' (2h 14m), 'min' (134 min)
+      runtimeFormat: descriptionFormat?.runtimeFormat || 'hm',
       // TMDB metadata options
       includeTmdbRating: descriptionFormat?.includeTmdbRating || false,
       includeReleaseDate: descriptionFormat?.includeReleaseDate || false,
@@ -152,22 +516,25 @@ function validateConfig(userConfig) {
       // Streaming services metadata options
       includeStreamingServices: descriptionFormat?.includeStreamingServices || false,
       streamingRegion: descriptionFormat?.streamingRegion || 'US',
+      // Season averages with sparkline (series only), e.g. "S1 8.1 ▅ S2 8.6 ▆"
+      includeSeasonTrend: descriptionFormat?.includeSeasonTrend || false,
+      // Rated episodes needed before a season average is shown (fewer are marked "–")
+      seasonTrendMinEpisodes: descriptionFormat?.seasonTrendMinEpisodes || 3,
       // Consolidated rating options
       includeConsolidatedRating: descriptionFormat?.includeConsolidatedRating || false,
       useColorEmoji: descriptionFormat?.useColorEmoji || titleFormat?.useColorEmoji || false,
       emojiSet: descriptionFormat?.emojiSet || titleFormat?.emojiSet || 'circle',
+      colorTiers: descriptionFormat?.colorTiers || titleFormat?.colorTiers || [],
       // Order of extended metadata parts (after rating)
       metadataOrder: sanitizeOrder(descriptionFormat?.metadataOrder),
       // Separator between metadata parts (rating, votes, MPAA, TMDB rating, release date, streaming)
       metadataSeparator: descriptionFormat?.metadataSeparator || ' • ',
+      // Custom metadata line template (replaces metadataOrder/metadataSeparator when set)
+      metadataTemplate: descriptionFormat?.metadataTemplate || '',
       // Granular control: enable ratings for catalog items in description
-      enableCatalogItems: descriptionFormat?.enableCatalogItems !== undefined
-        ? descriptionFormat.enableCatalogItems
-        : (userConfig.enableTitleRatings !== false), // Fallback to global flag
+      enableCatalogItems: descriptionFormat?.enableCatalogItems !== undefined ? descriptionFormat.enableCatalogItems : true,
       // Granular control: enable ratings for episodes in description
-      enableEpisodes: descriptionFormat?.enableEpisodes !== undefined
-        ? descriptionFormat.enableEpisodes
-        : (userConfig.enableEpisodeRatings !== false) // Fallback to global flag
+      enableEpisodes: descriptionFormat?.enableEpisodes !== undefined ? descriptionFormat.enableEpisodes : true
     },
 
     // Optional: custom addon name
@@ -176,84 +543,293 @@ function validateConfig(userConfig) {
     // Optional: use consolidated ratings (average from multiple sources)
     useConsolidatedRating: userConfig.useConsolidatedRating || false,
 
+    // Optional: how sources are weighted in the consolidated rating
+    consolidatedRating: {
+      // Relative weight per source (0 = ignored): imdb, tmdb, rt, mc, mal, rtAudience, mcUser
+      weights: {
+        ...appConfig.defaults.consolidatedRating.weights,
+        ...userConfig.consolidatedRating?.weights
+      },
+      // Scale each weight by votes / (votes + minVotes) so low-vote scores count less
+      voteShrinkage: userConfig.consolidatedRating?.voteShrinkage || false,
+      minVotes: userConfig.consolidatedRating?.minVotes !== undefined
+        ? userConfig.consolidatedRating.minVotes
+        : appConfig.defaults.consolidatedRating.minVotes
+    },
+
     // Optional: enable/disable rating injection (global)
     enableRatings: userConfig.enableRatings !== false, // default true
 
-    // Optional: enable/disable title ratings (backward compatible)
-    enableTitleRatings: userConfig.enableTitleRatings !== undefined
-      ? userConfig.enableTitleRatings
-      : (userConfig.enableRatings !== false), // fallback to enableRatings for old configs
+    // Optional: enable/disable title ratings
+    enableTitleRatings: userConfig.enableTitleRatings !== false,
 
-    // Optional: enable/disable episode ratings (backward compatible)
-    enableEpisodeRatings: userConfig.enableEpisodeRatings !== undefined
-      ? userConfig.enableEpisodeRatings
-      : (userConfig.enableRatings !== false), // fallback to enableRatings for old configs
+    // Optional: enable/disable episode ratings
+    enableEpisodeRatings: userConfig.enableEpisodeRatings !== false,
 
     // Optional: rating injection location - now supports "both"
     ratingLocation: userConfig.ratingLocation || appConfig.defaults.ratingLocation || 'title',
 
     // Optional: metadata provider for episodes
-    metadataProvider: userConfig.metadataProvider || appConfig.defaults.metadataProvider
+    metadataProvider: userConfig.metadataProvider || appConfig.defaults.metadataProvider,
+
+    // Optional: re-sort catalogs by rating
+    catalogSort: {
+      // Mode for catalogs without an explicit entry (not applied to search requests)
+      default: userConfig.catalogSort?.default || 'none',
+      // Per-catalog modes keyed by "type:catalogId" (e.g. "movie:top")
+      catalogs: userConfig.catalogSort?.catalogs || {},
+      // Vote threshold for the 'weighted' score (higher = favour well-known titles)
+      weightedMinVotes: userConfig.catalogSort?.weightedMinVotes !== undefined
+        ? userConfig.catalogSort.weightedMinVotes
+        : 5000,
+      // Upstream pages ranked together (pages past the window keep upstream order)
+      windowPages: userConfig.catalogSort?.windowPages !== undefined
+        ? userConfig.catalogSort.windowPages
+        : 3
+    },
+
+    // Optional: hide catalog items below rating/vote thresholds
+    catalogFilter: {
+      // Minimum rating (0 = disabled) and which rating it applies to: 'imdb' or 'consolidated'
+      minRating: userConfig.catalogFilter?.minRating || 0,
+      ratingSource: userConfig.catalogFilter?.ratingSource || 'imdb',
+      // Minimum IMDb vote count (0 = disabled)
+      minVotes: userConfig.catalogFilter?.minVotes || 0,
+      // Hide items without any rating
+      hideUnrated: userConfig.catalogFilter?.hideUnrated || false,
+      // Also filter search results
+      applyToSearch: userConfig.catalogFilter?.applyToSearch || false,
+      // Upper bound of upstream pages fetched to fill one filtered page
+      maxUpstreamPages: userConfig.catalogFilter?.maxUpstreamPages || 5
+    },
+
+    // Optional: serve catalog posters with rating badges drawn on them
+    posterBadge: {
+      enabled: userConfig.posterBadge?.enabled || false,
+      // Public wrapper URL that poster links point at (filled in by the configure page)
+      baseUrl: userConfig.posterBadge?.baseUrl || '',
+      // 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+      corner: userConfig.posterBadge?.corner || 'top-left',
+      // 'small' | 'medium' | 'large'
+      size: userConfig.posterBadge?.size || 'medium',
+      // Any of 'imdb', 'rt', 'mc', 'consolidated' (stacked in this order of priority)
+      sources: userConfig.posterBadge?.sources || ['imdb']
+    }
   };
 
   // Validate required fields
   if (!config.wrappedAddonUrl) {
-    throw new Error('wrappedAddonUrl is required in configuration');
+    throw new ConfigValidationError('wrappedAddonUrl', 'is required in configuration');
   }
 
   // Validate URL format
   try {
     new URL(config.wrappedAddonUrl);
   } catch (error) {
-    throw new Error('wrappedAddonUrl must be a valid URL');
+    throw new ConfigValidationError('wrappedAddonUrl', 'must be a valid URL');
   }
 
   // Validate position for legacy format
   if (!['prefix', 'suffix'].includes(config.ratingFormat.position)) {
-    throw new Error('ratingFormat.position must be "prefix" or "suffix"');
+    throw new ConfigValidationError('ratingFormat.position', 'must be "prefix" or "suffix"');
   }
 
   // Validate positions for new formats
   if (!['prefix', 'suffix'].includes(config.titleFormat.position)) {
-    throw new Error('titleFormat.position must be "prefix" or "suffix"');
+    throw new ConfigValidationError('titleFormat.position', 'must be "prefix" or "suffix"');
   }
   if (!['prefix', 'suffix'].includes(config.descriptionFormat.position)) {
-    throw new Error('descriptionFormat.position must be "prefix" or "suffix"');
+    throw new ConfigValidationError('descriptionFormat.position', 'must be "prefix" or "suffix"');
   }
 
   // Validate location - now supports "both"
   if (!['title', 'description', 'both'].includes(config.ratingLocation)) {
-    throw new Error('ratingLocation must be "title", "description", or "both"');
+    throw new ConfigValidationError('ratingLocation', 'must be "title", "description", or "both"');
   }
 
   // Validate TMDB rating format
   if (!['decimal', 'outof10'].includes(config.descriptionFormat.tmdbRatingFormat)) {
-    throw new Error('descriptionFormat.tmdbRatingFormat must be "decimal" or "outof10"');
+    throw new ConfigValidationError('descriptionFormat.tmdbRatingFormat', 'must be "decimal" or "outof10"');
   }
 
   // Validate release date format
   if (!['year', 'short', 'full'].includes(config.descriptionFormat.releaseDateFormat)) {
-    throw new Error('descriptionFormat.releaseDateFormat must be "year", "short", or "full"');
+    throw new ConfigValidationError('descriptionFormat.releaseDateFormat', 'must be "year", "short", or "full"');
   }
 
   // Validate Metacritic format
   if (!['score', 'outof100'].includes(config.descriptionFormat.metacriticFormat)) {
-    throw new Error('descriptionFormat.metacriticFormat must be "score" or "outof100"');
+    throw new ConfigValidationError('descriptionFormat.metacriticFormat', 'must be "score" or "outof100"');
   }
 
   // Validate streaming region (basic 2-letter ISO code check)
   if (config.descriptionFormat.streamingRegion &&
       !/^[A-Z]{2}$/.test(config.descriptionFormat.streamingRegion)) {
-    throw new Error('descriptionFormat.streamingRegion must be a 2-letter ISO country code (e.g., "US", "GB", "CA")');
+    throw new ConfigValidationError('descriptionFormat.streamingRegion', 'must be a 2-letter ISO country code (e.g., "US", "GB", "CA")');
+  }
+
+  // Validate episode highlights
+  const { episodeHighlights } = config.titleFormat;
+  if (!['season', 'series'].includes(episodeHighlights.scope)) {
+    throw new ConfigValidationError('titleFormat.episodeHighlights.scope', 'must be "season" or "series"');
+  }
+  for (const field of ['topCount', 'bottomCount']) {
+    const count = episodeHighlights[field];
+    if (!Number.isInteger(count) || count < 0 || count > 10) {
+      throw new ConfigValidationError(`titleFormat.episodeHighlights.${field}`, 'must be an integer between 0 and 10');
+    }
+  }
+  if (!Number.isInteger(episodeHighlights.minVotes) || episodeHighlights.minVotes < 0) {
+    throw new ConfigValidationError('titleFormat.episodeHighlights.minVotes', 'must be a non-negative integer');
+  }
+  for (const field of ['topMarker', 'bottomMarker']) {
+    const marker = episodeHighlights[field];
+    if (typeof marker !== 'string' || marker.length > 40) {
+      throw new ConfigValidationError(`titleFormat.episodeHighlights.${field}`, 'must be a string of at most 40 characters');
+    }
+  }
+
+  // Validate runtime format
+  if (!['hm', 'min'].includes(config.descriptionFormat.runtimeFormat)) {
+    throw new ConfigValidationError('descriptionFormat.runtimeFormat', 'must be "hm" or "min"');
+  }
+
+  // Validate season trend threshold
+  if (!Number.isInteger(config.descriptionFormat.seasonTrendMinEpisodes) || config.descriptionFormat.seasonTrendMinEpisodes < 1) {
+    throw new ConfigValidationError('descriptionFormat.seasonTrendMinEpisodes', 'must be a positive integer');
   }
 
   // Validate emoji set for consolidated ratings
-  const allowedEmojiSets = ['circle', 'square', 'star', 'heart', 'diamond'];
-  if (!allowedEmojiSets.includes(config.titleFormat.emojiSet)) {
-    throw new Error(`titleFormat.emojiSet must be one of: ${allowedEmojiSets.join(', ')}`);
+  const allowedEmojiSets = ['circle', 'square', 'star', 'heart', 'diamond', 'custom'];
+  for (const formatName of ['titleFormat', 'descriptionFormat']) {
+    const format = config[formatName];
+    if (!allowedEmojiSets.includes(format.emojiSet)) {
+      throw new ConfigValidationError(`${formatName}.emojiSet`, `must be one of: ${allowedEmojiSets.join(', ')}`);
+    }
+    format.colorTiers = validateColorTiers(format.colorTiers, `${formatName}.colorTiers`);
+    if (format.emojiSet === 'custom' && format.colorTiers.length === 0) {
+      throw new ConfigValidationError(`${formatName}.colorTiers`, 'must define at least one tier when emojiSet is "custom"');
+    }
+  }
+
+  // Validate catalog sort modes
+  const allowedSortModes = ['none', 'imdb', 'consolidated', 'votes', 'weighted'];
+  if (!allowedSortModes.includes(config.catalogSort.default)) {
+    throw new ConfigValidationError('catalogSort.default', `must be one of: ${allowedSortModes.join(', ')}`);
+  }
+  if (typeof config.catalogSort.catalogs !== 'object' || Array.isArray(config.catalogSort.catalogs)) {
+    throw new ConfigValidationError('catalogSort.catalogs', 'must be an object keyed by "type:catalogId"');
+  }
+  for (const [catalogKey, mode] of Object.entries(config.catalogSort.catalogs)) {
+    if (!/^[^:]+:.+$/.test(catalogKey)) {
+      throw new ConfigValidationError(`catalogSort.catalogs["${catalogKey}"]`, 'key must look like "type:catalogId"');
+    }
+    if (!allowedSortModes.includes(mode)) {
+      throw new ConfigValidationError(`catalogSort.catalogs["${catalogKey}"]`, `must be one of: ${allowedSortModes.join(', ')}`);
+    }
   }
-  if (!allowedEmojiSets.includes(config.descriptionFormat.emojiSet)) {
-    throw new Error(`descriptionFormat.emojiSet must be one of: ${allowedEmojiSets.join(', ')}`);
+  if (!Number.isInteger(config.catalogSort.weightedMinVotes) || config.catalogSort.weightedMinVotes < 0) {
+    throw new ConfigValidationError('catalogSort.weightedMinVotes', 'must be a non-negative integer');
+  }
+  if (!Number.isInteger(config.catalogSort.windowPages) || config.catalogSort.windowPages < 1 || config.catalogSort.windowPages > 10) {
+    throw new ConfigValidationError('catalogSort.windowPages', 'must be an integer between 1 and 10');
+  }
+
+  // Validate consolidated rating weights
+  const { consolidatedRating } = config;
+  const allowedWeightSources = Object.keys(appConfig.defaults.consolidatedRating.weights);
+  for (const [source, weight] of Object.entries(consolidatedRating.weights)) {
+    if (!allowedWeightSources.includes(source)) {
+      throw new ConfigValidationError(`consolidatedRating.weights.${source}`, `is not a known source (allowed: ${allowedWeightSources.join(', ')})`);
+    }
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0 || weight > 10) {
+      throw new ConfigValidationError(`consolidatedRating.weights.${source}`, 'must be a number between 0 and 10');
+    }
+  }
+  if (!Object.values(consolidatedRating.weights).some(weight => weight > 0)) {
+    throw new ConfigValidationError('consolidatedRating.weights', 'must give at least one source a weight above 0');
+  }
+  if (typeof consolidatedRating.voteShrinkage !== 'boolean') {
+    throw new ConfigValidationError('consolidatedRating.voteShrinkage', 'must be a boolean');
+  }
+  if (!Number.isInteger(consolidatedRating.minVotes) || consolidatedRating.minVotes < 0) {
+    throw new ConfigValidationError('consolidatedRating.minVotes', 'must be a non-negative integer');
+  }
+
+  // Validate catalog filter thresholds
+  const { catalogFilter } = config;
+  if (typeof catalogFilter.minRating !== 'number' || catalogFilter.minRating < 0 || catalogFilter.minRating > 10) {
+    throw new ConfigValidationError('catalogFilter.minRating', 'must be a number between 0 and 10');
+  }
+  if (!['imdb', 'consolidated'].includes(catalogFilter.ratingSource)) {
+    throw new ConfigValidationError('catalogFilter.ratingSource', 'must be "imdb" or "consolidated"');
+  }
+  if (!Number.isInteger(catalogFilter.minVotes) || catalogFilter.minVotes < 0) {
+    throw new ConfigValidationError('catalogFilter.minVotes', 'must be a non-negative integer');
+  }
+  for (const field of ['hideUnrated', 'applyToSearch']) {
+    if (typeof catalogFilter[field] !== 'boolean') {
+      throw new ConfigValidationError(`catalogFilter.${field}`, 'must be a boolean');
+    }
+  }
+  if (!Number.isInteger(catalogFilter.maxUpstreamPages) || catalogFilter.maxUpstreamPages < 1 || catalogFilter.maxUpstreamPages > 10) {
+    throw new ConfigValidationError('catalogFilter.maxUpstreamPages', 'must be an integer between 1 and 10');
+  }
+
+  // Validate poster badge layout
+  const { posterBadge } = config;
+  if (typeof posterBadge.enabled !== 'boolean') {
+    throw new ConfigValidationError('posterBadge.enabled', 'must be a boolean');
+  }
+  const allowedCorners = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+  if (!allowedCorners.includes(posterBadge.corner)) {
+    throw new ConfigValidationError('posterBadge.corner', `must be one of: ${allowedCorners.join(', ')}`);
+  }
+  if (!['small', 'medium', 'large'].includes(posterBadge.size)) {
+    throw new ConfigValidationError('posterBadge.size', 'must be "small", "medium", or "large"');
+  }
+  const allowedBadgeSources = ['imdb', 'rt', 'mc', 'consolidated'];
+  if (!Array.isArray(posterBadge.sources) || posterBadge.sources.length === 0 ||
+      !posterBadge.sources.every(source => allowedBadgeSources.includes(source))) {
+    throw new ConfigValidationError('posterBadge.sources', `must be a non-empty list of: ${allowedBadgeSources.join(', ')}`);
+  }
+  if (posterBadge.enabled) {
+    let baseUrlProtocol = null;
+    try {
+      baseUrlProtocol = new URL(posterBadge.baseUrl).protocol;
+    } catch (error) {
+      // Reported below
+    }
+    if (baseUrlProtocol !== 'http:' && baseUrlProtocol !== 'https:') {
+      throw new ConfigValidationError('posterBadge.baseUrl', 'must be a valid http(s) URL when poster badges are enabled');
+    }
+    // Poster links are signed; a per-process key would break them on every restart
+    if (!appConfig.posterBadge.signingSecret && !canSealConfigs()) {
+      throw new ConfigValidationError('posterBadge.enabled', 'needs POSTER_SIGNING_SECRET or CONFIG_SECRETS on the server');
+    }
+  }
+
+  // Validate locale
+  if (!localeFormat.isValidLocale(config.locale)) {
+    throw new ConfigValidationError('locale', 'must be a valid BCP 47 locale tag (e.g. "en-US", "de-DE", "pt-BR")');
+  }
+
+  // Validate rating templates (placeholders, sections and formatters)
+  const templatesToCheck = [
+    ['ratingFormat.template', config.ratingFormat.template],
+    ['titleFormat.template', config.titleFormat.template],
+    ['titleFormat.consolidatedTemplate', config.titleFormat.consolidatedTemplate],
+    ['descriptionFormat.template', config.descriptionFormat.template],
+    ['descriptionFormat.metadataTemplate', config.descriptionFormat.metadataTemplate]
+  ];
+  for (const [field, template] of templatesToCheck) {
+    if (typeof template !== 'string') {
+      throw new ConfigValidationError(field, 'must be a string');
+    }
+    const templateError = templateEngine.validateTemplate(template);
+    if (templateError) {
+      throw new ConfigValidationError(field, `is invalid: ${templateError}`);
+    }
   }
 
   // Coerce/validate metadata order
@@ -273,17 +849,27 @@ function parseConfigFromPath(encodedConfig) {
     throw new Error('Configuration parameter is required');
   }
 
+  const sealed = isSealedConfig(encodedConfig);
   const decoded = decodeConfig(encodedConfig);
   if (!decoded) {
-    throw new Error('Invalid configuration format');
+    throw new Error(sealed ? 'Invalid or tampered configuration' : 'Invalid configuration format');
+  }
+
+  // API keys in a plain config are readable by anyone with the URL - don't use them
+  if (!sealed && decoded.apiKeys !== undefined) {
+    logger.warn('Ignoring apiKeys from an unencrypted config');
+    delete decoded.apiKeys;
   }
 
   return validateConfig(decoded);
 }
 
 module.exports = {
+  ConfigValidationError,
   encodeConfig,
   decodeConfig,
+  isSealedConfig,
+  canSealConfigs,
   validateConfig,
   parseConfigFromPath
 };
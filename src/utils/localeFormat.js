@@ -0,0 +1,184 @@
+/**
+ * Locale-aware formatting for rating text
+ * Numbers, vote counts, dates, runtimes and the short labels the enhancer emits
+ * ("votes", "MAL votes", "RT", ...) all go through here so one `locale`
+ * option controls every piece of generated text.
+ *
+ * This file has no dependencies so it can also be served to the configure page
+ * for the live preview (exposed there as window.LocaleFormat).
+ */
+
+(function (root) {
+  const DEFAULT_LOCALE = 'en-US';
+
+  /**
+   * Label translations keyed by language subtag
+   * Missing keys fall back to English.
+   * @type {Object<string, Object<string, string>>}
+   */
+  const LABELS = {
+    en: {
+      votes: 'votes',
+      malVotes: 'MAL votes',
+      source: 'source',
+      sources: 'sources',
+      imdb: 'IMDb',
+      tmdb: 'TMDB',
+      rt: 'RT',
+      mc: 'MC',
+      mal: 'MAL',
+      min: 'min'
+    },
+    de: {
+      votes: 'Stimmen',
+      malVotes: 'MAL-Stimmen',
+      source: 'Quelle',
+      sources: 'Quellen'
+    },
+    pt: {
+      votes: 'votos',
+      malVotes: 'votos MAL',
+      source: 'fonte',
+      sources: 'fontes'
+    },
+    es: {
+      votes: 'votos',
+      malVotes: 'votos MAL',
+      source: 'fuente',
+      sources: 'fuentes'
+    },
+    fr: {
+      votes: 'votes',
+      malVotes: 'votes MAL',
+      source: 'source',
+      sources: 'sources'
+    },
+    it: {
+      votes: 'voti',
+      malVotes: 'voti MAL',
+      source: 'fonte',
+      sources: 'fonti'
+    }
+  };
+
+  /**
+   * Checks whether a locale tag is well-formed and supported by the runtime
+   * @param {string} locale - BCP 47 locale tag (e.g. "de-DE")
+   * @returns {boolean} True if the locale can be used for formatting
+   */
+  function isValidLocale(locale) {
+    if (typeof locale !== 'string' || !locale) return false;
+    try {
+      return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+      // RangeError for malformed tags
+      return false;
+    }
+  }
+
+  /**
+   * Formats a number with a fixed number of decimals (8.4 / 8,4)
+   * @param {number} value - Number to format
+   * @param {number} digits - Decimal places
+   * @param {string} [locale] - Locale tag
+   * @returns {string} Formatted number
+   */
+  function formatNumber(value, digits, locale) {
+    return Number(value).toLocaleString(locale || DEFAULT_LOCALE, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+  }
+
+  /**
+   * Formats a vote count
+   * Short counts keep one decimal for millions and whole thousands (1.2M, 12K / 1,2 Mio.).
+   * @param {number} count - Vote count
+   * @param {string} style - 'short', 'full' (1,200,000) or 'both'
+   * @param {string} [locale] - Locale tag
+   * @returns {string} Formatted vote count
+   */
+  function formatVotes(count, style, locale) {
+    const full = Number(count).toLocaleString(locale || DEFAULT_LOCALE);
+    const millions = count >= 1000000;
+    const short = count >= 1000
+      ? new Intl.NumberFormat(locale || DEFAULT_LOCALE, {
+        notation: 'compact',
+        minimumFractionDigits: millions ? 1 : 0,
+        maximumFractionDigits: millions ? 1 : 0,
+        roundingMode: millions ? 'halfExpand' : 'floor'
+      }).format(count)
+      : String(count);
+
+    if (style === 'full') return full;
+    if (style === 'both') return `${full} / ${short}`;
+    return short;
+  }
+
+  /**
+   * Formats an ISO date string
+   * @param {string} value - Date string (YYYY-MM-DD)
+   * @param {string} style - 'year', 'short' or 'full'
+   * @param {string} [locale] - Locale tag
+   * @returns {string} Formatted date
+   */
+  function formatDate(value, style, locale) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+
+    switch (style) {
+      case 'full':
+        return date.toLocaleDateString(locale || DEFAULT_LOCALE, { month: 'long', day: 'numeric', year: 'numeric' });
+      case 'short':
+        return date.toLocaleDateString(locale || DEFAULT_LOCALE, { month: 'short', day: 'numeric', year: 'numeric' });
+      default:
+        return String(date.getFullYear());
+    }
+  }
+
+  /**
+   * Formats a runtime in minutes
+   * @param {number} minutes - Runtime in minutes
+   * @param {string} style - 'hm' (2h 14m) or 'min' (134 min)
+   * @param {string} [locale] - Locale tag
+   * @returns {string} Formatted runtime
+   */
+  function formatRuntime(minutes, style, locale) {
+    if (style === 'min') {
+      return `${Math.round(minutes)} ${getLabel('min', locale)}`;
+    }
+
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (!hours) return `${rest}m`;
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+  }
+
+  /**
+   * Looks up a translated label
+   * @param {string} key - Label key (see LABELS.en)
+   * @param {string} [locale] - Locale tag
+   * @returns {string} Label text
+   */
+  function getLabel(key, locale) {
+    const language = String(locale || DEFAULT_LOCALE).split('-')[0].toLowerCase();
+    const labels = LABELS[language] || {};
+    return labels[key] !== undefined ? labels[key] : LABELS.en[key];
+  }
+
+  const api = {
+    DEFAULT_LOCALE,
+    isValidLocale,
+    formatNumber,
+    formatVotes,
+    formatDate,
+    formatRuntime,
+    getLabel
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.LocaleFormat = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,417 @@
+/**
+ * Rating template engine
+ * Renders title and description templates with placeholders, conditional
+ * sections and per-field formatters.
+ *
+ * Syntax:
+ *   {imdb}                 Placeholder, rendered with the field's default formatter
+ *   {votes|full}           Placeholder with an explicit formatter chain
+ *   {imdb|scale:10|int}    Formatters run left to right, arguments follow ':'
+ *   {mal|default:n/a}      Fallback text when the value is missing
+ *   {#rt}🍅 {rt}{/rt}       Section rendered only when the field has a value
+ *   {^rt}no RT score{/rt}  Inverted section rendered only when the field is missing
+ *   {{ and }}              Literal braces
+ *
+ * Braces that don't form a placeholder or section of a known field (e.g. "{foo}",
+ * a lone "}") are kept as literal text, as in templates written before this syntax.
+ *
+ * This file only depends on localeFormat.js so it can also be served to the configure
+ * page for the live preview (exposed there as window.RatingTemplate).
+ */
+
+(function (root) {
+  const localeFormat = typeof module !== 'undefined' && module.exports
+    ? require('./localeFormat')
+    : root.LocaleFormat;
+
+  /**
+   * Supported fields and the formatter chain used when a placeholder has none
+   * @type {Object<string, string>}
+   */
+  const FIELDS = {
+    rating: 'fixed:1',       // Primary rating (consolidated or IMDb, depending on config)
+    emoji: '',               // Color indicator emoji for the primary rating
+    imdb: 'fixed:1',         // IMDb rating
+    votes: 'votes',          // IMDb vote count
+    consolidated: 'fixed:1', // Consolidated multi-source rating
+    sources: 'int',          // Number of sources behind the consolidated rating
+    rt: 'percent',           // Rotten Tomatoes score (0-100)
+    mc: 'int',               // Metacritic score (0-100)
+    tmdb: 'fixed:1',         // TMDB rating
+    mal: 'fixed:1',          // MyAnimeList rating
+    malVotes: 'votes',       // MyAnimeList vote count
+    mpaa: '',                // MPAA / age rating
+    year: '',                // Release year
+    runtime: 'min',          // Runtime in minutes
+    date: 'date',            // Release date (ISO string)
+    streaming: 'list:3',     // Streaming providers
+    seasonTrend: ''          // Per-season averages with sparkline (series meta only)
+  };
+
+  /**
+   * Formatters that accept an argument after ':'
+   * @type {Set<string>}
+   */
+  const FORMATTERS_WITH_ARGS = new Set(['fixed', 'scale', 'date', 'list', 'default']);
+
+  /**
+   * Formatters that take no argument
+   * @type {Set<string>}
+   */
+  const FORMATTERS_WITHOUT_ARGS = new Set(['int', 'votes', 'short', 'full', 'both', 'percent', 'min', 'hm', 'upper', 'lower']);
+
+  const MAX_CACHED_TEMPLATES = 200;
+  const parseCache = new Map();
+
+  /**
+   * Checks whether a field value counts as present
+   * @param {*} value - Field value
+   * @returns {boolean} True if the value should be rendered
+   * @private
+   */
+  function hasValue(value) {
+    if (value === null || value === undefined || value === '') return false;
+    if (typeof value === 'number' && isNaN(value)) return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Coerces a value to a number (accepts strings such as "83%", "1,234" or "8,4")
+   * Commas are thousands separators only in groups of three ("1,234,567");
+   * otherwise a comma is a decimal separator.
+   * @param {*} value - Value to coerce
+   * @returns {number} Parsed number or NaN
+   * @private
+   */
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+
+    const text = value.trim().replace(/%$/, '');
+    const normalized = /^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)
+      ? text.replace(/,/g, '')
+      : text.replace(',', '.');
+    return parseFloat(normalized);
+  }
+
+  /**
+   * Checks whether a name is a supported field
+   * @param {string} name - Field name
+   * @returns {boolean} True for fields listed in FIELDS
+   * @private
+   */
+  function isField(name) {
+    return Object.prototype.hasOwnProperty.call(FIELDS, name);
+  }
+
+  /**
+   * Applies a single formatter to a value
+   * @param {*} value - Current value
+   * @param {Object} formatter - Parsed formatter {name, arg}
+   * @param {Object} options - Render options {voteFormat, dateFormat, locale}
+   * @returns {*} Formatted value
+   * @private
+   */
+  function applyFormatter(value, formatter, options) {
+    const { name, arg } = formatter;
+    const num = toNumber(value);
+
+    switch (name) {
+      case 'fixed': {
+        const digits = arg === undefined ? 1 : parseInt(arg, 10);
+        return isNaN(num) ? value : localeFormat.formatNumber(num, digits, options.locale);
+      }
+      case 'int':
+        return isNaN(num) ? value : String(Math.round(num));
+      case 'scale':
+        return isNaN(num) ? value : num * parseFloat(arg);
+      case 'votes':
+        return isNaN(num) ? value : localeFormat.formatVotes(num, options.voteFormat || 'short', options.locale);
+      case 'short':
+      case 'full':
+      case 'both':
+        return isNaN(num) ? value : localeFormat.formatVotes(num, name, options.locale);
+      case 'percent':
+        return isNaN(num) ? value : `${Math.round(num)}%`;
+      case 'min':
+      case 'hm':
+        return isNaN(num) ? value : localeFormat.formatRuntime(num, name, options.locale);
+      case 'date':
+        return localeFormat.formatDate(value, arg || options.dateFormat || 'year', options.locale);
+      case 'list': {
+        const items = Array.isArray(value) ? value : [value];
+        const limit = arg === undefined ? items.length : parseInt(arg, 10);
+        return items.slice(0, limit).join(', ');
+      }
+      case 'upper':
+        return String(value).toUpperCase();
+      case 'lower':
+        return String(value).toLowerCase();
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Parses a formatter chain such as "scale:10|int"
+   * @param {Array<string>} specs - Formatter specs split on '|'
+   * @param {number} position - Template offset (for error messages)
+   * @returns {Array<Object>} Parsed formatters [{name, arg}]
+   * @private
+   */
+  function parseFormatters(specs, position) {
+    return specs.map(spec => {
+      const colon = spec.indexOf(':');
+      const name = (colon === -1 ? spec : spec.substring(0, colon)).trim();
+      const arg = colon === -1 ? undefined : spec.substring(colon + 1);
+
+      if (FORMATTERS_WITHOUT_ARGS.has(name)) {
+        if (arg !== undefined) {
+          throw new Error(`formatter "${name}" does not take an argument (at position ${position})`);
+        }
+      } else if (FORMATTERS_WITH_ARGS.has(name)) {
+        if ((name === 'fixed' || name === 'list') && arg !== undefined && !/^\d+$/.test(arg)) {
+          throw new Error(`formatter "${name}" expects a whole number (at position ${position})`);
+        }
+        if (name === 'scale' && (arg === undefined || isNaN(parseFloat(arg)))) {
+          throw new Error(`formatter "scale" expects a number (at position ${position})`);
+        }
+        if (name === 'date' && arg !== undefined && !['year', 'short', 'full'].includes(arg)) {
+          throw new Error(`formatter "date" expects year, short or full (at position ${position})`);
+        }
+      } else {
+        throw new Error(`unknown formatter "${name}" (at position ${position})`);
+      }
+
+      return { name, arg };
+    });
+  }
+
+  /**
+   * Parses a template into a node tree
+   * Nodes: {type:'text', value} | {type:'field', name, formatters} | {type:'section', name, inverted, children}
+   * @param {string} template - Template string
+   * @returns {Array<Object>} Parsed nodes
+   * @throws {Error} If a section is unbalanced or a known field has an invalid formatter
+   */
+  function parseTemplate(template) {
+    if (typeof template !== 'string') {
+      throw new Error('template must be a string');
+    }
+
+    if (parseCache.has(template)) {
+      return parseCache.get(template);
+    }
+
+    const rootNodes = [];
+    const stack = [{ name: null, children: rootNodes }];
+    let text = '';
+    let i = 0;
+
+    const flushText = () => {
+      if (text) {
+        stack[stack.length - 1].children.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (i < template.length) {
+      const ch = template[i];
+
+      // Escaped braces
+      if ((ch === '{' || ch === '}') && template[i + 1] === ch) {
+        text += ch;
+        i += 2;
+        continue;
+      }
+
+      const end = ch === '{' ? template.indexOf('}', i) : -1;
+      if (end === -1) {
+        // Plain text, a lone "}" or an unclosed "{"
+        text += ch;
+        i++;
+        continue;
+      }
+
+      const body = template.substring(i + 1, end).trim();
+      const marker = body[0];
+      const isTag = marker === '#' || marker === '^' || marker === '/';
+      const name = (isTag ? body.substring(1) : body.split('|')[0]).trim();
+
+      if (!isField(name)) {
+        // Not a placeholder: keep "{...}" as written
+        text += template.substring(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+
+      flushText();
+
+      if (marker === '#' || marker === '^') {
+        const section = { type: 'section', name, inverted: marker === '^', children: [] };
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+      } else if (marker === '/') {
+        const open = stack[stack.length - 1];
+        if (open.name !== name) {
+          throw new Error(open.name
+            ? `"{/${name}}" at position ${i} does not close "{#${open.name}}"`
+            : `"{/${name}}" at position ${i} has no matching section`);
+        }
+        stack.pop();
+      } else {
+        stack[stack.length - 1].children.push({
+          type: 'field',
+          name,
+          formatters: parseFormatters(body.split('|').slice(1), i)
+        });
+      }
+
+      i = end + 1;
+    }
+
+    flushText();
+
+    if (stack.length > 1) {
+      throw new Error(`section "{#${stack[stack.length - 1].name}}" is never closed`);
+    }
+
+    if (parseCache.size >= MAX_CACHED_TEMPLATES) {
+      parseCache.delete(parseCache.keys().next().value);
+    }
+    parseCache.set(template, rootNodes);
+
+    return rootNodes;
+  }
+
+  /**
+   * Validates a template
+   * @param {string} template - Template string
+   * @returns {string|null} Error message, or null if the template is valid
+   */
+  function validateTemplate(template) {
+    try {
+      parseTemplate(template);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Renders a single field node
+   * @param {Object} node - Field node
+   * @param {Object} values - Field values
+   * @param {Object} options - Render options
+   * @returns {string} Rendered text
+   * @private
+   */
+  function renderField(node, values, options) {
+    let value = values[node.name];
+    const formatters = node.formatters.length > 0
+      ? node.formatters
+      : DEFAULT_FORMATTERS[node.name];
+
+    if (!hasValue(value)) {
+      const fallback = formatters.find(f => f.name === 'default');
+      return fallback ? fallback.arg || '' : '';
+    }
+
+    for (const formatter of formatters) {
+      if (formatter.name !== 'default') {
+        value = applyFormatter(value, formatter, options);
+      }
+    }
+
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * Renders a list of nodes
+   * @param {Array<Object>} nodes - Parsed nodes
+   * @param {Object} values - Field values
+   * @param {Object} options - Render options
+   * @returns {string} Rendered text
+   * @private
+   */
+  function renderNodes(nodes, values, options) {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'field') {
+        out += renderField(node, values, options);
+      } else if (node.type === 'section') {
+        if (hasValue(values[node.name]) !== node.inverted) {
+          out += renderNodes(node.children, values, options);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Renders a template with the given values
+   * Runs of spaces left behind by empty placeholders are collapsed and the result is trimmed.
+   * @param {string} template - Template string
+   * @param {Object} values - Field values keyed by field name (see FIELDS)
+   * @param {Object} [options] - Render options
+   * @param {string} [options.voteFormat] - Default vote format: 'short', 'full' or 'both'
+   * @param {string} [options.dateFormat] - Default date format: 'year', 'short' or 'full'
+   * @param {string} [options.locale] - Locale for numbers and dates (default 'en-US')
+   * @returns {string} Rendered text
+   */
+  function renderTemplate(template, values, options = {}) {
+    const nodes = parseTemplate(template);
+    return renderNodes(nodes, values || {}, options)
+      .replace(/ {2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Lists the fields referenced by a template (placeholders and sections)
+   * Used to decide which data sources must be fetched.
+   * @param {string} template - Template string
+   * @returns {Set<string>} Referenced field names (empty if the template is invalid)
+   */
+  function getTemplateFields(template) {
+    const fields = new Set();
+    if (!template) return fields;
+
+    const collect = nodes => nodes.forEach(node => {
+      if (node.type === 'field' || node.type === 'section') fields.add(node.name);
+      if (node.type === 'section') collect(node.children);
+    });
+
+    try {
+      collect(parseTemplate(template));
+    } catch (error) {
+      // Invalid templates are rejected by validateConfig; nothing to collect here
+    }
+    return fields;
+  }
+
+  /**
+   * Parsed default formatter chains, keyed by field name
+   * @type {Object<string, Array<Object>>}
+   */
+  const DEFAULT_FORMATTERS = {};
+  for (const [name, chain] of Object.entries(FIELDS)) {
+    DEFAULT_FORMATTERS[name] = chain ? parseFormatters(chain.split('|'), 0) : [];
+  }
+
+  const api = {
+    FIELDS: Object.keys(FIELDS),
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    getTemplateFields
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.RatingTemplate = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
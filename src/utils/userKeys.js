@@ -0,0 +1,42 @@
+/**
+ * User Key Helpers
+ * Users' own TMDB/OMDb/MAL keys (config.apiKeys) are forwarded to the ratings API
+ * with the shared USER_KEYS_SECRET. Data fetched with them is cached under keys
+ * scoped to the user's key, so it never serves other users.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Builds the ratings API headers for a user's provider key
+ * @param {string} header - Header the ratings API reads the key from (e.g. 'X-TMDB-API-KEY')
+ * @param {string|null} key - User's key
+ * @returns {Object|undefined} Headers, or undefined when there is no key to forward
+ */
+function getUserKeyHeaders(header, key) {
+  if (!key) return undefined;
+
+  if (!config.userKeysSecret) {
+    logger.debug(`USER_KEYS_SECRET is not set, not forwarding ${header}`);
+    return undefined;
+  }
+  return { [header]: key, 'X-User-Keys-Secret': config.userKeysSecret };
+}
+
+/**
+ * Gets the cache key scope of a user's provider key
+ * @param {string|null} key - User's key
+ * @returns {string} ':u{hash}' for user keys forwarded to the ratings API, '' otherwise
+ *   (keys that aren't forwarded fetch with the server's key, so that data is shared)
+ */
+function getUserKeyScope(key) {
+  if (!key || !config.userKeysSecret) return '';
+  return `:u${crypto.createHash('sha256').update(key).digest('hex').substring(0, 16)}`;
+}
+
+module.exports = {
+  getUserKeyHeaders,
+  getUserKeyScope
+};
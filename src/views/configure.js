@@ -3,7 +3,26 @@
  * Generates the HTML for the main configuration page
  */
 
-function generateConfigureHTML(protocol, host) {
+/**
+ * Serializes data for an inline <script> (no "</script>" or line separators can break out)
+ * @param {*} data - JSON-serializable data
+ * @returns {string} JavaScript literal
+ */
+function toScriptLiteral(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Generates the configuration page
+ * @param {string} protocol - Request protocol
+ * @param {string} host - Request host
+ * @param {Object} [prefill] - Installed config to pre-fill the form with ({config, hasApiKeys, upgrade})
+ * @returns {string} HTML
+ */
+function generateConfigureHTML(protocol, host, prefill = null) {
   return `
     <!DOCTYPE html>
     <html>
@@ -74,6 +93,7 @@ function generateConfigureHTML(protocol, host) {
               </div>
 
               <div id="loginStatus" style="display:none; padding: 10px; border-radius: 6px; margin-top: 12px;"></div>
+              <button class="btn" onclick="logout()" id="logoutBtn" style="display:none; margin-top: 10px; background: #e5e7eb; color: #111827;"><i class="fa-solid fa-right-from-bracket" style="margin-right:6px"></i>Log Out</button>
 
               <!-- Installed Addons List -->
               <div id="installedAddonsSection" style="display:none; margin-top: 16px; padding-top: 16px; border-top: 1px solid #bae6fd;">
@@ -81,11 +101,13 @@ function generateConfigureHTML(protocol, host) {
                 <p style="font-size: 13px; color: #374151; margin-bottom: 10px;">
                   Select wrappable addons to add them to your configuration. Addons with a green checkmark can be wrapped.
                 </p>
+                <div id="configUpgradeNotice" style="display:none; background: #fef3c7; border: 1px solid #fbbf24; border-radius: 6px; padding: 10px; margin-bottom: 10px; font-size: 13px;"></div>
                 <div id="installedAddonsList" class="addon-grid"></div>
               </div>
             </div>
 
             <h2 style="margin-bottom: 10px; color: #111827;">Addon Configuration</h2>
+            <div id="prefillNotice" style="display:none; background: #ecfdf5; border: 1px solid #10b981; border-radius: 6px; padding: 10px; margin-bottom: 12px; font-size: 13px; color: #065f46;"></div>
             <div class="row form-group">
               <div>
                 <label for="addonInputUrl">Configured Addon URL</label>
@@ -133,6 +155,19 @@ function generateConfigureHTML(protocol, host) {
                 </div>
               </div>
 
+              <div class="form-group" style="margin-bottom: 16px;">
+                <label for="locale" style="display: block; font-weight: 600; margin-bottom: 6px;">Language &amp; Number Format</label>
+                <select id="locale">
+                  <option value="en-US" selected>English (8.4, 1.2M votes, Jan 15, 2023)</option>
+                  <option value="de-DE">Deutsch (8,4, 1,2 Mio. Stimmen, 15. Jan. 2023)</option>
+                  <option value="pt-BR">Português (8,4, 1,2 mi votos, 15 de jan. de 2023)</option>
+                  <option value="es-ES">Español (8,4, 1,2 M votos, 15 ene 2023)</option>
+                  <option value="fr-FR">Français (8,4, 1,2 M votes, 15 janv. 2023)</option>
+                  <option value="it-IT">Italiano (8,4, 1,2 Mln voti, 15 gen 2023)</option>
+                </select>
+                <div class="help-text">Controls decimal separators, vote counts, dates and labels in titles and descriptions</div>
+              </div>
+
               <!-- Title Format Section (shows when title checkbox is checked) -->
               <div id="titleFormatSection" style="background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
                 <div style="font-weight: 600; margin-bottom: 10px; color: #1e40af;">Title Format Settings</div>
@@ -148,6 +183,40 @@ function generateConfigureHTML(protocol, host) {
                     <input type="checkbox" id="titleEnableEpisodes" checked style="width: 18px; height: 18px;" />
                     <span style="margin-left: 8px;">Episodes</span>
                   </label>
+                  <label style="display: flex; align-items: center; margin-top: 6px; margin-left: 26px; cursor: pointer;">
+                    <input type="checkbox" id="episodeHighlightsEnabled" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Mark best/worst episodes</span>
+                  </label>
+                  <div id="episodeHighlightsSettings" style="display: none; margin-left: 26px; margin-top: 8px; background: #f8fafc; border: 1px solid #cbd5e1; border-radius: 6px; padding: 10px;">
+                    <div class="form-group">
+                      <label for="episodeHighlightsScope">Rank episodes</label>
+                      <select id="episodeHighlightsScope">
+                        <option value="season" selected>Within each season</option>
+                        <option value="series">Across the whole series</option>
+                      </select>
+                    </div>
+                    <div class="row-2">
+                      <div class="form-group">
+                        <label for="episodeHighlightsTopCount">Best episodes</label>
+                        <input type="number" id="episodeHighlightsTopCount" min="0" max="10" step="1" value="1" />
+                      </div>
+                      <div class="form-group">
+                        <label for="episodeHighlightsTopMarker">Marker</label>
+                        <input type="text" id="episodeHighlightsTopMarker" value="🏆" maxlength="40" />
+                      </div>
+                    </div>
+                    <div class="row-2">
+                      <div class="form-group">
+                        <label for="episodeHighlightsBottomCount">Worst episodes</label>
+                        <input type="number" id="episodeHighlightsBottomCount" min="0" max="10" step="1" value="0" />
+                      </div>
+                      <div class="form-group">
+                        <label for="episodeHighlightsBottomMarker">Marker</label>
+                        <input type="text" id="episodeHighlightsBottomMarker" value="👎" maxlength="40" />
+                      </div>
+                    </div>
+                    <div class="help-text">Markers are appended to episode titles; <code>{rank}</code> becomes 1, 2, ... (e.g. <code>#{rank} in season</code>). Episodes with few votes are weighted towards the average so they can't take first place.</div>
+                  </div>
                 </div>
 
                 <!-- Consolidated Rating Option -->
@@ -157,7 +226,7 @@ function generateConfigureHTML(protocol, host) {
                     <span style="margin-left: 8px; font-weight: 600;">Use Consolidated Rating (Multi-Source Average)</span>
                   </label>
                   <div class="help-text" style="margin-left: 26px; margin-top: -4px; margin-bottom: 10px;">
-                    Computes an average rating from IMDb, TMDB, Rotten Tomatoes, and Metacritic (normalized to 0-10 scale).
+                    Computes a weighted average rating from IMDb, TMDB, Rotten Tomatoes, and Metacritic (normalized to 0-10 scale). Weights are set under Consolidated Rating Weights below.
                     <br><strong>Note:</strong> Episodes always use IMDb ratings (only source with episode-level data).
                   </div>
 
@@ -187,15 +256,27 @@ function generateConfigureHTML(protocol, host) {
                         <option value="star">Stars (⭐🌟✨💫🌠☄️)</option>
                         <option value="heart">Hearts (💚💛🧡🩷❤️🖤)</option>
                         <option value="diamond">Diamonds (💎🔷🔶🔸🔺🔻)</option>
+                        <option value="custom">Custom tiers</option>
                       </select>
                       <div class="help-text">Choose your preferred emoji style for the color indicator</div>
                     </div>
+                    <div id="colorTiersSection" style="display: none; margin-bottom: 10px;">
+                      <label for="colorTiers" style="display: block; font-weight: 600; margin-bottom: 6px;">Custom Tiers</label>
+                      <textarea id="colorTiers" rows="5" style="font-family: monospace;">9 | 🏆 | Must watch
+8 | 🔥 |
+7 | 👍 |
+6 | 😐 |
+0 | 💤 | Skip</textarea>
+                      <div class="help-text">One tier per line: <code>minimum | emoji | label</code> (emoji or label may be empty). The highest tier the rating reaches is shown; ratings below every tier get no indicator.</div>
+                      <div id="colorTiersPreview" class="preview" style="margin-top: 6px;"></div>
+                    </div>
 
                     <div class="form-group">
                       <label for="consolidatedTemplate" style="display: block; font-weight: 600; margin-bottom: 6px;">Rating Template</label>
                       <input type="text" id="consolidatedTemplate" value="{emoji} {rating}" placeholder="{emoji} {rating}" style="font-family: monospace;" />
                       <div class="help-text">
-                        Use <code>{emoji}</code> for color indicator, <code>{rating}</code> for average score.<br>
+                        Use <code>{emoji}</code> for color indicator, <code>{rating}</code> for average score.
+                        All template placeholders (see below) are also available.<br>
                         Example: "<code>{emoji} {rating}</code>" → "🟢 8.2"
                       </div>
                     </div>
@@ -210,7 +291,7 @@ function generateConfigureHTML(protocol, host) {
                   <div class="form-group">
                     <label for="titleTemplate">Template</label>
                     <input type="text" id="titleTemplate" value="★ {rating}" />
-                    <div class="help-text">Use {rating} as placeholder</div>
+                    <div class="help-text">Use {rating} as placeholder, or any template placeholder such as <code>{#rt}🍅 {rt}{/rt}</code></div>
                   </div>
                   <div class="form-group">
                     <label for="titleSeparator">Separator</label>
@@ -321,11 +402,22 @@ function generateConfigureHTML(protocol, host) {
                         <option value="star">Stars (⭐🌟✨💫🌠☄️)</option>
                         <option value="heart">Hearts (💚💛🧡🩷❤️🖤)</option>
                         <option value="diamond">Diamonds (💎🔷🔶🔸🔺🔻)</option>
+                        <option value="custom">Custom tiers</option>
                       </select>
                       <div class="help-text" style="margin-top: 5px;">
                         6-tier color grading: Excellent (90%+), Great (80-89%), Good (70-79%), Okay (60-69%), Mediocre (50-59%), Poor (<50%)
                       </div>
                     </div>
+                    <div id="descriptionColorTiersSection" style="display: none; margin-top: 10px;">
+                      <label for="descriptionColorTiers" style="display: block; font-weight: 600; margin-bottom: 6px;">Custom Tiers (Description)</label>
+                      <textarea id="descriptionColorTiers" rows="5" style="font-family: monospace;">9 | 🏆 | Must watch
+8 | 🔥 |
+7 | 👍 |
+6 | 😐 |
+0 | 💤 | Skip</textarea>
+                      <div class="help-text">One tier per line: <code>minimum | emoji | label</code> (emoji or label may be empty). The highest tier the rating reaches is shown; ratings below every tier get no indicator.</div>
+                      <div id="descriptionColorTiersPreview" class="preview" style="margin-top: 6px;"></div>
+                    </div>
                   </div>
 
                   <!-- IMDb Rating -->
@@ -425,6 +517,22 @@ function generateConfigureHTML(protocol, host) {
                     </select>
                     <div class="help-text" style="margin-top: 5px;">Choose how to display release dates</div>
                   </div>
+                  <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                    <input type="checkbox" id="includeYear" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Include year</span>
+                  </label>
+                  <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                    <input type="checkbox" id="includeRuntime" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Include runtime</span>
+                  </label>
+                  <div id="runtimeFormatSection" style="margin-left: 26px; margin-bottom: 10px; display: none;">
+                    <label for="runtimeFormat" style="display: block; font-weight: 600; margin-bottom: 6px;">Runtime Format</label>
+                    <select id="runtimeFormat">
+                      <option value="hm" selected>Hours and minutes (2h 14m)</option>
+                      <option value="min">Minutes (134 min)</option>
+                    </select>
+                    <div class="help-text" style="margin-top: 5px;">Runtime comes from TMDB, or from the original addon when TMDB has none</div>
+                  </div>
                   <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
                     <input type="checkbox" id="includeStreamingServices" style="width: 18px; height: 18px;" />
                     <span style="margin-left: 8px;">Include streaming services</span>
@@ -447,6 +555,28 @@ function generateConfigureHTML(protocol, host) {
                     </select>
                     <div class="help-text" style="margin-top: 5px;">Choose which region's streaming providers to display</div>
                   </div>
+
+                  <!-- Season Trend (series only) -->
+                  <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                    <input type="checkbox" id="includeSeasonTrend" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Include season averages (series)</span>
+                  </label>
+                  <div id="seasonTrendSection" style="margin-left: 26px; margin-bottom: 10px; display: none;">
+                    <label for="seasonTrendMinEpisodes" style="display: block; font-weight: 600; margin-bottom: 6px;">Minimum rated episodes per season</label>
+                    <input type="number" id="seasonTrendMinEpisodes" min="1" step="1" value="3" />
+                    <div class="help-text" style="margin-top: 5px;">Shows e.g. "S1 8.1 ▅ S2 8.6 ▆ S3 –". Seasons with fewer rated episodes are marked with –.</div>
+                  </div>
+                  <div class="form-group" style="margin-top: 10px;">
+                    <label for="metadataTemplate" style="display: block; font-weight: 600; margin-bottom: 6px;">Custom Metadata Template (optional)</label>
+                    <textarea id="metadataTemplate" rows="2" placeholder="{imdb} IMDb{#votes} ({votes}){/votes}{#rt} • 🍅 {rt}{/rt} • {year}" style="width: 100%; font-family: monospace; font-size: 13px;"></textarea>
+                    <div class="help-text" style="margin-top: 5px;">
+                      Replaces the checkboxes and order above with your own layout. Leave empty to use them.<br>
+                      Placeholders: <code>{rating}</code> <code>{emoji}</code> <code>{imdb}</code> <code>{votes}</code> <code>{consolidated}</code> <code>{sources}</code> <code>{rt}</code> <code>{mc}</code> <code>{tmdb}</code> <code>{mal}</code> <code>{malVotes}</code> <code>{mpaa}</code> <code>{year}</code> <code>{runtime}</code> <code>{date}</code> <code>{streaming}</code> <code>{seasonTrend}</code><br>
+                      Sections: <code>{#rt}...{/rt}</code> only shows when the value exists, <code>{^rt}...{/rt}</code> only when it is missing.<br>
+                      Formatters: <code>{votes|full}</code> <code>{imdb|fixed:2}</code> <code>{imdb|scale:10|int}</code> <code>{runtime|hm}</code> <code>{date|date:short}</code> <code>{streaming|list:2}</code> <code>{mal|default:n/a}</code> <code>{mpaa|upper}</code>
+                    </div>
+                    <div id="templateError" style="display: none; margin-top: 6px; padding: 8px; border-radius: 6px; background: #fee2e2; border: 1px solid #ef4444; font-size: 13px;"></div>
+                  </div>
                   <div id="metadataOrderSection" style="margin-top: 10px; display:none;">
                     <label style="display: block; font-weight: 600; margin-bottom: 6px;">Metadata Order</label>
                     <ul id="metadataOrderList" style="list-style: none; padding: 0; margin: 0;"></ul>
@@ -458,6 +588,179 @@ function generateConfigureHTML(protocol, host) {
                   <div id="descriptionPreview" class="preview"></div>
                 </div>
               </div>
+
+              <!-- Consolidated Rating Weights (how sources combine into the consolidated rating) -->
+              <div id="consolidatedWeightsSection" style="background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 10px; color: #15803d;">Consolidated Rating Weights</div>
+                <div class="help-text" style="margin-bottom: 10px;">Relative weight of each source (0 = ignored). Audience scores are only available for series.</div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="weightImdb">IMDb</label>
+                    <input type="number" id="weightImdb" min="0" max="10" step="0.5" value="1" />
+                  </div>
+                  <div class="form-group">
+                    <label for="weightTmdb">TMDB</label>
+                    <input type="number" id="weightTmdb" min="0" max="10" step="0.5" value="1" />
+                  </div>
+                </div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="weightRt">Rotten Tomatoes</label>
+                    <input type="number" id="weightRt" min="0" max="10" step="0.5" value="1" />
+                  </div>
+                  <div class="form-group">
+                    <label for="weightMc">Metacritic</label>
+                    <input type="number" id="weightMc" min="0" max="10" step="0.5" value="1" />
+                  </div>
+                </div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="weightMal">MyAnimeList</label>
+                    <input type="number" id="weightMal" min="0" max="10" step="0.5" value="0" />
+                  </div>
+                  <div class="form-group">
+                    <label for="weightRtAudience">RT audience</label>
+                    <input type="number" id="weightRtAudience" min="0" max="10" step="0.5" value="0" />
+                  </div>
+                </div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="weightMcUser">Metacritic user</label>
+                    <input type="number" id="weightMcUser" min="0" max="10" step="0.5" value="0" />
+                  </div>
+                </div>
+                <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                  <input type="checkbox" id="weightVoteShrinkage" style="width: 18px; height: 18px;" />
+                  <span style="margin-left: 8px;">Count low-vote scores less</span>
+                </label>
+                <div class="form-group">
+                  <label for="weightMinVotes">Votes for full weight</label>
+                  <input type="number" id="weightMinVotes" min="0" step="100" value="1000" />
+                  <div class="help-text">A source's weight is scaled by votes / (votes + this number), so a TMDB score from 12 votes barely counts.</div>
+                </div>
+              </div>
+
+              <!-- Catalog Filters (hide low-rated filler from discovery catalogs) -->
+              <div id="catalogFilterSection" style="background: #fefce8; border: 1px solid #fde68a; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 10px; color: #a16207;">Catalog Filters</div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="filterMinRating">Minimum rating</label>
+                    <input type="number" id="filterMinRating" min="0" max="10" step="0.1" value="0" />
+                    <div class="help-text">0 = no minimum</div>
+                  </div>
+                  <div class="form-group">
+                    <label for="filterRatingSource">Rating used</label>
+                    <select id="filterRatingSource">
+                      <option value="imdb" selected>IMDb rating</option>
+                      <option value="consolidated">Consolidated rating</option>
+                    </select>
+                  </div>
+                </div>
+                <div class="form-group">
+                  <label for="filterMinVotes">Minimum IMDb votes</label>
+                  <input type="number" id="filterMinVotes" min="0" step="100" value="0" />
+                  <div class="help-text">0 = no minimum. Items with very few votes are often filler entries.</div>
+                </div>
+                <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                  <input type="checkbox" id="filterHideUnrated" style="width: 18px; height: 18px;" />
+                  <span style="margin-left: 8px;">Hide items without a rating</span>
+                </label>
+                <label style="display: flex; align-items: center; margin-bottom: 6px; cursor: pointer;">
+                  <input type="checkbox" id="filterApplyToSearch" style="width: 18px; height: 18px;" />
+                  <span style="margin-left: 8px;">Also filter search results</span>
+                </label>
+                <div class="help-text">Filtered catalogs load later pages from the original addon so each page stays full.</div>
+              </div>
+
+              <!-- Derived Catalogs (extra catalogs ranked from wrapped catalogs) -->
+              <div id="derivedCatalogSection" style="background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 10px; color: #15803d;">Derived Catalogs</div>
+                <div class="form-group">
+                  <label for="derivedCatalogs">Extra catalogs (one per line)</label>
+                  <textarea id="derivedCatalogs" rows="3" style="font-family: monospace;" placeholder="Top Rated in Trending | movie | 1:trending | weighted | 3&#10;Hidden Gems | movie | 1:top | imdb | 5 | 7.5 | 1000 | 25000"></textarea>
+                  <div class="help-text">
+                    Format: <code>name | type | addon#:catalog id | ranking | pages | min rating | min votes | max votes</code> (the last four are optional).
+                    <code>addon#</code> is the addon's number in the list above. Ranking: <code>weighted</code>, <code>imdb</code>, <code>consolidated</code> or <code>votes</code>.
+                    Each catalog pulls that many pages of the source catalog, drops unrated items and publishes the top 50.
+                  </div>
+                </div>
+              </div>
+
+              <!-- Your API Keys (sealed into an encrypted config) -->
+              <div id="apiKeysSection" style="background: #fefce8; border: 1px solid #fde68a; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 10px; color: #a16207;">Your API Keys (optional)</div>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="tmdbApiKey">TMDB API key</label>
+                    <input type="password" id="tmdbApiKey" autocomplete="off" placeholder="Server key" />
+                  </div>
+                  <div class="form-group">
+                    <label for="omdbApiKey">OMDb API key</label>
+                    <input type="password" id="omdbApiKey" autocomplete="off" placeholder="Server key" />
+                  </div>
+                </div>
+                <div class="form-group">
+                  <label for="malClientId">MyAnimeList Client ID</label>
+                  <input type="password" id="malClientId" autocomplete="off" placeholder="Server key" />
+                </div>
+                <div class="help-text">Used instead of the server's keys for your lookups. Keys are encrypted into the install URL, so this server must have config encryption enabled.</div>
+              </div>
+
+              <!-- Poster Badges (ratings drawn on catalog posters) -->
+              <div id="posterBadgeSection" style="background: #eff6ff; border: 1px solid #bfdbfe; border-radius: 6px; padding: 12px; margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 10px; color: #1d4ed8;">Poster Badges</div>
+                <label style="display: flex; align-items: center; margin-bottom: 10px; cursor: pointer;">
+                  <input type="checkbox" id="posterBadgeEnabled" style="width: 18px; height: 18px;" />
+                  <span style="margin-left: 8px;">Draw ratings on catalog posters</span>
+                </label>
+                <div class="row-2">
+                  <div class="form-group">
+                    <label for="posterBadgeCorner">Corner</label>
+                    <select id="posterBadgeCorner">
+                      <option value="top-left" selected>Top left</option>
+                      <option value="top-right">Top right</option>
+                      <option value="bottom-left">Bottom left</option>
+                      <option value="bottom-right">Bottom right</option>
+                    </select>
+                  </div>
+                  <div class="form-group">
+                    <label for="posterBadgeSize">Size</label>
+                    <select id="posterBadgeSize">
+                      <option value="small">Small</option>
+                      <option value="medium" selected>Medium</option>
+                      <option value="large">Large</option>
+                    </select>
+                  </div>
+                </div>
+                <div style="display: flex; flex-wrap: wrap; gap: 14px; margin-bottom: 6px;">
+                  <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="posterBadgeImdb" checked style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">IMDb</span>
+                  </label>
+                  <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="posterBadgeRt" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Rotten Tomatoes</span>
+                  </label>
+                  <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="posterBadgeMc" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Metacritic</span>
+                  </label>
+                  <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="posterBadgeConsolidated" style="width: 18px; height: 18px;" />
+                    <span style="margin-left: 8px;">Consolidated (colour dot)</span>
+                  </label>
+                </div>
+                <div class="help-text">Posters are served by this wrapper as PNG images with the badges on top of the original artwork. Needs a poster signing secret on the server.</div>
+              </div>
+            </div>
+
+            <div class="form-group" style="margin-top: 16px;">
+              <label style="display: flex; align-items: center; cursor: pointer;">
+                <input type="checkbox" id="aggregateAddons" style="width: 18px; height: 18px;" />
+                <span style="margin-left: 8px;">Combine all addons into a single install</span>
+              </label>
+              <div class="help-text">Catalogs from every addon are served by one wrapped addon. Meta is looked up in list order. Streams and subtitles come from every addon that provides them.</div>
             </div>
 
             <div class="form-group" style="margin-top: 22px;"><button class="btn" onclick="generateAll()">Generate Install URLs & Enable Auto-Replace</button></div>
@@ -513,6 +816,7 @@ function generateConfigureHTML(protocol, host) {
                 </p>
                 <button class="btn" onclick="autoReplaceAll()" id="replaceAllBtn" style="display:none; background: white; color: #4f46e5; font-size: 16px; padding: 14px 24px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);"><i class="fa-solid fa-wand-magic-sparkles" style="margin-right:8px"></i>Auto Install</button>
                 <div id="replaceStatus" style="display:none; padding: 12px; border-radius: 6px; margin-top: 12px; background: white;"></div>
+                <div id="replacePreview" style="display:none; padding: 12px; border-radius: 6px; margin-top: 12px; background: white; color: #111827; font-size: 13px;"></div>
               </div>
 
               <!-- Manual Install (Accordion) -->
@@ -564,6 +868,104 @@ function generateConfigureHTML(protocol, host) {
               <div id="individualUnwrapperStatus" style="display:none; margin-top: 10px; padding: 10px; border-radius: 6px;"></div>
             </div>
 
+            <!-- Addon Order Editor -->
+            <div style="background: #eef2ff; border: 2px solid #818cf8; border-radius: 8px; padding: 16px; margin-top: 22px;">
+              <h3 style="color:#3730a3; margin-bottom:8px;"><i class="fa-solid fa-list-ol" style="margin-right:8px"></i>Addon Order</h3>
+              <p style="font-size: 13px; color: #312e81; margin-bottom: 10px;">Reorder, disable or remove any addon in your Stremio account. Changes are saved together after you review them.</p>
+
+              <div id="orderAuthInput">
+                <div class="help-text" style="margin-bottom: 8px; color: #312e81;">Paste your auth token or <a href="#" onclick="document.querySelector('.login-section').scrollIntoView({behavior:'smooth'}); return false;" style="color: #4f46e5; text-decoration: underline;">login above</a> to auto-fill.</div>
+                <div style="display:flex; gap:8px; align-items: end;">
+                  <div style="flex:1"><input type="text" id="orderAuthToken" placeholder="Paste your auth token" style="font-family: monospace;" /></div>
+                  <button class="btn" onclick="loadAddonOrder()" style="background: #4f46e5; color: white;"><i class="fa-solid fa-sync" style="margin-right:6px"></i>Load Addons</button>
+                </div>
+              </div>
+
+              <div id="orderAuthReady" style="display:none;">
+                <p style="font-size: 13px; color: #059669; margin-bottom: 10px; font-weight: 600;">✓ Already logged in - ready to load addons</p>
+                <button class="btn" onclick="loadAddonOrder()" style="background: #4f46e5; color: white;"><i class="fa-solid fa-sync" style="margin-right:6px"></i>Load Addons</button>
+              </div>
+
+              <div id="orderEditor" style="display:none; margin-top: 16px;">
+                <div id="orderContainer" style="display: flex; flex-direction: column; gap: 6px;">
+                  <!-- Dynamically populated with addon rows -->
+                </div>
+                <button class="btn" onclick="saveAddonOrder()" style="background: #4f46e5; color: white; margin-top: 12px;"><i class="fa-solid fa-floppy-disk" style="margin-right:6px"></i>Review &amp; Save</button>
+              </div>
+
+              <div id="orderStatus" style="display:none; margin-top: 10px; padding: 10px; border-radius: 6px;"></div>
+              <div id="orderPreview" style="display:none; margin-top: 10px; padding: 12px; border-radius: 6px; background: white; border: 1px solid #c7d2fe; color: #111827; font-size: 13px;"></div>
+            </div>
+
+            <!-- Addon Health Checks -->
+            <div style="background: #ecfdf5; border: 2px solid #34d399; border-radius: 8px; padding: 16px; margin-top: 22px;">
+              <h3 style="color:#065f46; margin-bottom:8px;"><i class="fa-solid fa-heart-pulse" style="margin-right:8px"></i>Addon Health</h3>
+              <p style="font-size: 13px; color: #064e3b; margin-bottom: 10px;">Check your wrapped addons in the background while you're logged in. An addon whose original stops responding or changes its ID is reported here, and can be fixed automatically.</p>
+
+              <div id="healthLoggedOut" class="help-text" style="color: #064e3b;">Log in above to use health checks.</div>
+
+              <div id="healthControls" style="display:none;">
+                <div id="healthRegistration" style="font-size: 13px; color: #064e3b; margin-bottom: 10px;"></div>
+                <div style="display:flex; gap:8px; align-items: end; flex-wrap: wrap;">
+                  <div style="flex:1; min-width: 200px;">
+                    <label for="healthAutoHeal">When an original addon changes its ID</label>
+                    <select id="healthAutoHeal">
+                      <option value="off">Only report it</option>
+                      <option value="rewrap">Re-wrap the addon (keep ratings)</option>
+                      <option value="unwrap">Unwrap the addon (restore the original)</option>
+                    </select>
+                  </div>
+                  <button class="btn" onclick="registerHealthChecks()" id="healthRegisterBtn" style="background: #059669; color: white;"><i class="fa-solid fa-play" style="margin-right:6px"></i>Enable Checks</button>
+                  <button class="btn" onclick="runHealthCheckNow()" id="healthRunBtn" style="display:none; background: #059669; color: white;"><i class="fa-solid fa-stethoscope" style="margin-right:6px"></i>Check Now</button>
+                  <button class="btn" onclick="unregisterHealthChecks()" id="healthUnregisterBtn" style="display:none; background: #e5e7eb; color: #111827;"><i class="fa-solid fa-stop" style="margin-right:6px"></i>Stop Checks</button>
+                </div>
+                <div id="healthHistory" style="display: flex; flex-direction: column; gap: 8px; margin-top: 12px;"></div>
+              </div>
+
+              <div id="healthStatus" style="display:none; margin-top: 10px; padding: 10px; border-radius: 6px;"></div>
+            </div>
+
+            <!-- Collection History -->
+            <div style="background: #f5f3ff; border: 2px solid #a78bfa; border-radius: 8px; padding: 16px; margin-top: 22px;">
+              <h3 style="color:#5b21b6; margin-bottom:8px;"><i class="fa-solid fa-clock-rotate-left" style="margin-right:8px"></i>Collection History</h3>
+              <p style="font-size: 13px; color: #4c1d95; margin-bottom: 10px;">Every change made here to your Stremio addons is saved first. Compare any two points in time or restore your addons as they were.</p>
+
+              <div id="historyAuthInput">
+                <div class="help-text" style="margin-bottom: 8px; color: #4c1d95;">Paste your auth token or <a href="#" onclick="document.querySelector('.login-section').scrollIntoView({behavior:'smooth'}); return false;" style="color: #7c3aed; text-decoration: underline;">login above</a> to auto-fill.</div>
+                <div style="display:flex; gap:8px; align-items: end;">
+                  <div style="flex:1"><input type="text" id="historyAuthToken" placeholder="Paste your auth token" style="font-family: monospace;" /></div>
+                  <button class="btn" onclick="loadSnapshotHistory()" style="background: #7c3aed; color: white;"><i class="fa-solid fa-sync" style="margin-right:6px"></i>Load History</button>
+                </div>
+              </div>
+
+              <div id="historyAuthReady" style="display:none;">
+                <p style="font-size: 13px; color: #059669; margin-bottom: 10px; font-weight: 600;">✓ Already logged in - ready to load history</p>
+                <button class="btn" onclick="loadSnapshotHistory()" style="background: #7c3aed; color: white;"><i class="fa-solid fa-sync" style="margin-right:6px"></i>Load History</button>
+              </div>
+
+              <div id="historyList" style="display:none; margin-top: 16px;">
+                <h4 style="color:#5b21b6; margin-bottom: 10px; font-size: 14px;">Saved Snapshots:</h4>
+                <div id="historyContainer" style="display: flex; flex-direction: column; gap: 8px;">
+                  <!-- Dynamically populated with snapshot rows -->
+                </div>
+
+                <div style="display:flex; gap:8px; align-items: end; margin-top: 12px;">
+                  <div style="flex:1">
+                    <label for="historyDiffFrom">Compare</label>
+                    <select id="historyDiffFrom"></select>
+                  </div>
+                  <div style="flex:1">
+                    <label for="historyDiffTo">With</label>
+                    <select id="historyDiffTo"></select>
+                  </div>
+                  <button class="btn" onclick="compareSnapshots()" style="background: #7c3aed; color: white;"><i class="fa-solid fa-code-compare" style="margin-right:6px"></i>Compare</button>
+                </div>
+                <div id="historyDiff" style="display:none; margin-top: 10px; background: white; border: 1px solid #ddd6fe; border-radius: 6px; padding: 12px; font-size: 13px;"></div>
+              </div>
+
+              <div id="historyStatus" style="display:none; margin-top: 10px; padding: 10px; border-radius: 6px;"></div>
+            </div>
+
             <!-- Emergency Restore (bottom-most) -->
             <div style="background: #fff7ed; border: 2px solid #fdba74; border-radius: 8px; padding: 16px; margin-top: 22px;">
               <h3 style="color:#9a3412; margin-bottom:8px;">Emergency Restore</h3>
@@ -589,7 +991,12 @@ function generateConfigureHTML(protocol, host) {
         <script>
           // Set server URL for external JavaScript
           window.SERVER_URL = '${protocol}://${host}';
+          // Installed config when opened through Stremio's "Configure" button
+          window.PREFILL_CONFIG = ${toScriptLiteral(prefill)};
         </script>
+        <script src="/js/localeFormat.js"></script>
+        <script src="/js/templateEngine.js"></script>
+        <script src="/js/configMigrations.js"></script>
         <script src="/js/configure.js"></script>
       </body>
     </html>
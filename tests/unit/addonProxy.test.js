@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const axios = require('axios');
+
+const appConfig = require('../../src/config');
+const addonProxy = require('../../src/services/addonProxy');
+const redisService = require('../../src/services/redisService');
+
+const ADDON_URL = 'https://addon.example.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+let writes;
+
+test.beforeEach((t) => {
+  appConfig.redis.enabled = true;
+  writes = [];
+  addonProxy.lastKnownGoodWrites.clear();
+  t.mock.method(redisService, 'set', async (key, value, ttl, options) => { writes.push({ key, value, ttl, options }); });
+});
+
+test.after(() => {
+  appConfig.redis.enabled = false;
+});
+
+test('last-known-good copies are only rewritten when the response changes', async (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const params = { resource: 'meta', addonUrl: ADDON_URL, type: 'movie', id: 'tt0111161' };
+
+  await addonProxy._saveLastKnownGood(params, { meta: { id: 'tt0111161', name: 'A' } });
+  await addonProxy._saveLastKnownGood(params, { meta: { id: 'tt0111161', name: 'A' } });
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].ttl, appConfig.redis.ttl.lastKnownGood);
+
+  await addonProxy._saveLastKnownGood(params, { meta: { id: 'tt0111161', name: 'B' } });
+  assert.equal(writes.length, 2);
+  assert.equal(writes[1].value.meta.name, 'B');
+
+  await addonProxy._saveLastKnownGood({ ...params, id: 'tt0068646' }, { meta: { id: 'tt0068646', name: 'B' } });
+  assert.equal(writes.length, 3);
+});
+
+test('unchanged copies are rewritten once a day to keep their TTL', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const params = { resource: 'catalog', addonUrl: ADDON_URL, type: 'movie', id: 'top', extra: {} };
+  const catalog = { metas: [{ id: 'tt0111161' }] };
+
+  await addonProxy._saveLastKnownGood(params, catalog);
+  now += DAY - 1;
+  await addonProxy._saveLastKnownGood(params, catalog);
+  assert.equal(writes.length, 1);
+
+  now += 1;
+  await addonProxy._saveLastKnownGood(params, catalog);
+  assert.equal(writes.length, 2);
+});
+
+test('manifests with malformed resource declarations are rejected', async (t) => {
+  t.mock.method(redisService, 'getWithSWR', async () => null);
+  t.mock.method(addonProxy, '_fetchConditional', async () => ({
+    notModified: false,
+    data: { id: 'broken', name: 'Broken', resources: ['catalog', { types: ['movie'] }] },
+    validators: null
+  }));
+
+  await assert.rejects(addonProxy.fetchManifest(ADDON_URL), /resources must be names or \{name, types, idPrefixes\} objects/);
+});
+
+// Answers catalog requests like an upstream that serves the given ETag
+function mockUpstream(t, etag, metas) {
+  const requests = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    requests.push(options.headers);
+    if (options.headers['If-None-Match'] === etag) {
+      return { status: 304, headers: { etag }, data: '' };
+    }
+    return { status: 200, headers: { etag }, data: { metas } };
+  });
+  return requests;
+}
+
+// Raw catalog cache writes (last-known-good copies are written too)
+const rawWrites = () => writes.filter(write => write.key.includes(':raw:catalog:'));
+
+test('catalog validators are stored and sent with the next request', async (t) => {
+  const requests = mockUpstream(t, '"v1"', [{ id: 'tt0111161' }]);
+  t.mock.method(redisService, 'getWithSWR', async () => null);
+
+  const catalog = await addonProxy.fetchCatalog(ADDON_URL, 'movie', 'top');
+  assert.deepEqual(catalog.metas, [{ id: 'tt0111161' }]);
+  assert.equal(requests[0]['If-None-Match'], undefined);
+  assert.deepEqual(rawWrites()[0].options, { validators: { etag: '"v1"', lastModified: null } });
+});
+
+test('stale catalogs are revalidated and kept on 304 Not Modified', async (t) => {
+  const requests = mockUpstream(t, '"v1"', [{ id: 'tt0068646' }]);
+  const stale = { data: { metas: [{ id: 'tt0111161' }] }, isFresh: false, validators: { etag: '"v1"', lastModified: null } };
+  t.mock.method(redisService, 'getWithSWR', async () => stale);
+
+  const catalog = await addonProxy.fetchCatalog(ADDON_URL, 'movie', 'top');
+  assert.deepEqual(catalog.metas, [{ id: 'tt0111161' }]);
+  assert.equal(requests[0]['If-None-Match'], '"v1"');
+  // The 304 extends the stored copy instead of re-downloading it
+  assert.deepEqual(rawWrites()[0].value, stale.data);
+});
+
+test('changed catalogs replace the stale copy', async (t) => {
+  mockUpstream(t, '"v2"', [{ id: 'tt0068646' }]);
+  t.mock.method(redisService, 'getWithSWR', async () => ({
+    data: { metas: [{ id: 'tt0111161' }] }, isFresh: false, validators: { etag: '"v1"', lastModified: null }
+  }));
+
+  const catalog = await addonProxy.fetchCatalog(ADDON_URL, 'movie', 'top');
+  assert.deepEqual(catalog.metas.map(meta => meta.id), ['tt0068646']);
+  assert.equal(rawWrites()[0].options.validators.etag, '"v2"');
+});
+
+test('fresh catalogs and stale ones without validators are served from cache', async (t) => {
+  const requests = mockUpstream(t, '"v1"', []);
+  const entries = [
+    { data: { metas: [{ id: 'tt0111161' }] }, isFresh: true, validators: { etag: '"v1"', lastModified: null } },
+    { data: { metas: [{ id: 'tt0068646' }] }, isFresh: false, validators: null }
+  ];
+  t.mock.method(redisService, 'getWithSWR', async () => entries.shift());
+
+  assert.deepEqual((await addonProxy.fetchCatalog(ADDON_URL, 'movie', 'top')).metas, [{ id: 'tt0111161' }]);
+  assert.deepEqual((await addonProxy.fetchCatalog(ADDON_URL, 'movie', 'top')).metas, [{ id: 'tt0068646' }]);
+  assert.equal(requests.length, 0);
+});
+
+test('revalidation reports whether the upstream page changed', async (t) => {
+  mockUpstream(t, '"v1"', [{ id: 'tt0111161' }]);
+
+  assert.equal(await addonProxy.revalidateCatalog(ADDON_URL, 'movie', 'top', {}, { etag: '"v1"' }), true);
+  assert.equal(rawWrites().length, 0);
+
+  assert.equal(await addonProxy.revalidateCatalog(ADDON_URL, 'movie', 'top', {}, { etag: '"v0"' }), false);
+  assert.equal(rawWrites().length, 1);
+});
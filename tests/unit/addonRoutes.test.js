@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const addonRouter = require('../../src/routes/addon');
+const appConfig = require('../../src/config');
+const upstreamService = require('../../src/services/upstreamService');
+const { encodeConfig } = require('../../src/utils/configParser');
+const configMigrations = require('../../src/utils/configMigrations');
+
+const CONFIG = encodeConfig({ wrappedAddonUrl: 'https://addon.example.com/manifest.json' });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use('/', addonRouter);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('stream requests are passed to the wrapped addon with their extras', async (t) => {
+  const calls = [];
+  t.mock.method(upstreamService, 'fetchResource', async (config, resource, type, id, extra) => {
+    calls.push({ url: config.wrappedAddonUrl, resource, type, id, extra });
+    return { streams: [{ url: 'https://cdn.example.com/video.mp4' }], cacheMaxAge: 60 };
+  });
+
+  const response = await fetch(`${baseUrl}/${CONFIG}/stream/movie/tt0111161.json`);
+  assert.deepEqual(await response.json(), { streams: [{ url: 'https://cdn.example.com/video.mp4' }], cacheMaxAge: 60 });
+
+  await fetch(`${baseUrl}/${CONFIG}/subtitles/movie/tt0111161/filename=The%20Movie.mkv&videoSize=100.json`);
+  assert.deepEqual(calls, [
+    { url: 'https://addon.example.com/manifest.json', resource: 'stream', type: 'movie', id: 'tt0111161', extra: {} },
+    { url: 'https://addon.example.com/manifest.json', resource: 'subtitles', type: 'movie', id: 'tt0111161', extra: { filename: 'The Movie.mkv', videoSize: '100' } }
+  ]);
+});
+
+test('failing passthrough requests answer with an empty list', async (t) => {
+  t.mock.method(upstreamService, 'fetchResource', async () => { throw new Error('Upstream down'); });
+
+  const streams = await fetch(`${baseUrl}/${CONFIG}/stream/movie/tt0111161.json`);
+  assert.equal(streams.status, 500);
+  assert.deepEqual(await streams.json(), { streams: [] });
+
+  const addons = await fetch(`${baseUrl}/${CONFIG}/addon_catalog/all/community.json`);
+  assert.deepEqual(await addons.json(), { addons: [] });
+});
+
+// Fetches the configure page of an encoded config and reads the embedded prefill
+async function getPrefill(encoded) {
+  const response = await fetch(`${baseUrl}/${encoded}/configure`, { redirect: 'manual' });
+  const html = await response.text();
+  const match = html.match(/window\.PREFILL_CONFIG = (.*);/);
+  return { response, html, prefill: match ? JSON.parse(match[1]) : null };
+}
+
+test('the configure page is pre-filled with the installed config and kept out of shared caches', async () => {
+  const encoded = encodeConfig({
+    wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+    addonName: 'Mine</script><script>alert(1)</script>',
+    schemaVersion: configMigrations.CURRENT_SCHEMA_VERSION
+  });
+  const { response, html, prefill } = await getPrefill(encoded);
+
+  assert.equal(response.headers.get('cache-control'), 'private, no-store');
+  assert.equal(html.includes('</script><script>alert(1)'), false);
+  assert.equal(prefill.config.addonName, 'Mine</script><script>alert(1)</script>');
+  assert.equal(prefill.hasApiKeys, false);
+  assert.equal(prefill.upgrade, null);
+});
+
+test('sealed API keys are not sent back to the configure page', async (t) => {
+  const keys = appConfig.configEncryption.keys;
+  appConfig.configEncryption.keys = [{ id: 'k1', secret: 'a-test-secret-of-16+-chars' }];
+  t.after(() => { appConfig.configEncryption.keys = keys; });
+
+  const sealed = encodeConfig({ wrappedAddonUrl: 'https://addon.example.com/manifest.json', apiKeys: { tmdb: 'my-tmdb-key' } }, { seal: true });
+  const { html, prefill } = await getPrefill(sealed);
+
+  assert.equal(prefill.hasApiKeys, true);
+  assert.equal(prefill.config.apiKeys, undefined);
+  assert.equal(html.includes('my-tmdb-key'), false);
+});
+
+test('configs from older versions report their upgrade, unreadable ones open the blank page', async () => {
+  const { prefill } = await getPrefill(encodeConfig({ wrappedAddonUrl: 'https://addon.example.com/manifest.json' }));
+  assert.equal(prefill.upgrade.fromVersion, 1);
+  assert.ok(prefill.upgrade.applied.length > 0);
+
+  const { response } = await getPrefill('not-a-config');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/configure');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const apiRouter = require('../../src/routes/api');
+const stremioApi = require('../../src/services/stremioApi');
+const configStoreService = require('../../src/services/configStoreService');
+const collectionSnapshotService = require('../../src/services/collectionSnapshotService');
+
+const VALID_TOKEN = 'a'.repeat(40);
+
+let server;
+let baseUrl;
+let collectionRequests;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRouter);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  collectionRequests = 0;
+  stremioApi.getEditableCollection = async () => {
+    collectionRequests++;
+    return [];
+  };
+});
+
+// POSTs JSON to the test server
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the order editor checks the token format before calling Stremio', async () => {
+  const missing = await post('/api/collection', {});
+  assert.equal(missing.status, 400);
+
+  const malformed = await post('/api/collection', { authToken: 'not a token' });
+  assert.equal(malformed.body.success, false);
+  assert.match(malformed.body.error, /^Invalid token: /);
+  assert.equal(collectionRequests, 0);
+
+  const valid = await post('/api/collection', { authToken: VALID_TOKEN });
+  assert.equal(valid.body.success, true);
+  assert.equal(collectionRequests, 1);
+});
+
+test('store errors map to the same status codes on every route', async () => {
+  const unavailable = Object.assign(new Error('Collection snapshots are not available'), { storeUnavailable: true });
+  collectionSnapshotService.list = async () => { throw unavailable; };
+  const snapshots = await post('/api/snapshots', { authToken: VALID_TOKEN });
+  assert.equal(snapshots.status, 503);
+  assert.deepEqual(snapshots.body, { success: false, error: unavailable.message });
+
+  configStoreService.get = async () => { throw Object.assign(new Error('Invalid owner secret'), { forbidden: true }); };
+  const response = await fetch(`${baseUrl}/api/configs/AbCdEfGhIjKl`);
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, 'Invalid owner secret');
+});
+
+test('addons with streams are wrappable when they also have catalogs or metas', async () => {
+  stremioApi.getAddonCollection = async () => [
+    { transportUrl: 'https://mixed.example.com/manifest.json', manifest: { id: 'mixed', name: 'Mixed' } },
+    { transportUrl: 'https://streams.example.com/manifest.json', manifest: { id: 'streams', name: 'Streams' } }
+  ];
+  stremioApi.fetchAddonManifest = async (url) => url.startsWith('https://mixed.')
+    ? { resources: ['catalog', { name: 'meta', types: ['movie'] }, 'stream', 'subtitles'] }
+    : { resources: ['stream'] };
+
+  const { body } = await post('/api/get-wrappable-addons', { authToken: VALID_TOKEN });
+  assert.equal(body.wrappableCount, 1);
+  const [mixed, streams] = body.addons;
+  assert.equal(mixed.id, 'mixed');
+  assert.equal(mixed.reason, 'Has catalog and meta (stream, subtitles passed through)');
+  assert.equal(streams.wrappable, false);
+  assert.equal(streams.reason, 'Missing catalog/meta (has: stream)');
+});
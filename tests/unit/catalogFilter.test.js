@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const appConfig = require('../../src/config');
+const addonProxy = require('../../src/services/addonProxy');
+const metadataEnhancer = require('../../src/services/metadataEnhancer');
+const catalogFilterService = require('../../src/services/catalogFilterService');
+const { validateConfig } = require('../../src/utils/configParser');
+
+appConfig.redis.enabled = false;
+
+// Upstream catalog of 20 items in pages of 5; the filter keeps odd numbers
+const CATALOG = Array.from({ length: 20 }, (_, i) => ({ id: `tt${i + 1}`, type: 'movie' }));
+const PAGE_SIZE = 5;
+
+const requests = [];
+addonProxy.fetchCatalog = async (addonUrl, type, id, extra = {}) => {
+  const skip = parseInt(extra.skip, 10) || 0;
+  requests.push(skip);
+  return { metas: CATALOG.slice(skip, skip + PAGE_SIZE) };
+};
+metadataEnhancer.filterCatalogMetas = async (metas) => metas.filter(meta => parseInt(meta.id.slice(2), 10) % 2 === 1);
+
+function buildConfig(catalogFilter = {}) {
+  return validateConfig({
+    wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+    catalogFilter: { minRating: 6, ...catalogFilter }
+  });
+}
+
+async function getPage(config, skip) {
+  const extra = skip > 0 ? { skip: String(skip) } : {};
+  const metas = await catalogFilterService.fetchFilteredPage(config, 'movie', 'top', extra);
+  return metas.map(meta => meta.id);
+}
+
+test.beforeEach(() => {
+  requests.length = 0;
+  catalogFilterService.cursorCache.clear();
+});
+
+test('pulls later upstream pages to fill a filtered page', async () => {
+  assert.deepEqual(await getPage(buildConfig(), 0), ['tt1', 'tt3', 'tt5', 'tt7', 'tt9']);
+  assert.deepEqual(requests, [0, 5]);
+});
+
+test('the next page resumes from the saved cursor', async () => {
+  const config = buildConfig();
+  await getPage(config, 0);
+  requests.length = 0;
+
+  // tt10 (rest of the second upstream page) wasn't looked at yet, so that page is read again
+  assert.deepEqual(await getPage(config, 5), ['tt11', 'tt13', 'tt15', 'tt17', 'tt19']);
+  assert.deepEqual(requests, [5, 10, 15]);
+});
+
+test('cursors stop short of the page budget instead of returning a wrong page', async () => {
+  const config = buildConfig({ maxUpstreamPages: 1 });
+  assert.deepEqual(await getPage(config, 5), []);
+
+  // Each request still saves its progress, so deep skips get there eventually
+  assert.deepEqual(await getPage(config, 5), []);
+  assert.deepEqual(await getPage(config, 5), ['tt11', 'tt13', 'tt15']);
+});
+
+test('the end of the catalog ends the filtered catalog', async () => {
+  const config = buildConfig();
+  await getPage(config, 0);
+  await getPage(config, 5);
+  assert.deepEqual(await getPage(config, 10), []);
+});
+
+test('search results are only filtered when asked to', () => {
+  assert.equal(catalogFilterService.isEnabled(buildConfig(), { search: 'alien' }), false);
+  assert.equal(catalogFilterService.isEnabled(buildConfig({ applyToSearch: true }), { search: 'alien' }), true);
+  assert.equal(catalogFilterService.isEnabled(buildConfig({ minRating: 0 })), false);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const addonProxy = require('../../src/services/addonProxy');
+const ratingsService = require('../../src/services/ratingsService');
+const { fetchSortedPage } = require('../../src/handlers/catalog');
+const { validateConfig } = require('../../src/utils/configParser');
+
+// Upstream catalog of 10 items in pages of 3; tt<n> is rated n
+const CATALOG = Array.from({ length: 10 }, (_, i) => ({ id: `tt${i + 1}`, type: 'movie', name: `Movie ${i + 1}` }));
+const PAGE_SIZE = 3;
+
+const requests = [];
+addonProxy.fetchCatalog = async (addonUrl, type, id, extra = {}) => {
+  const skip = parseInt(extra.skip, 10) || 0;
+  requests.push(skip);
+  return { metas: CATALOG.slice(skip, skip + PAGE_SIZE) };
+};
+ratingsService.getRatingsBatch = async (items) => new Map(
+  items.map(item => [item.id, { rating: parseInt(item.id.slice(2), 10), votes: '100' }])
+);
+
+function buildConfig(windowPages) {
+  return validateConfig({
+    wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+    catalogSort: { default: 'imdb', windowPages }
+  });
+}
+
+async function getPage(config, skip) {
+  const extra = skip > 0 ? { skip: String(skip) } : {};
+  const metas = await fetchSortedPage(config, 'movie', 'top', extra, 'imdb');
+  return metas.map(meta => meta.id);
+}
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('ranks the whole window, not just the requested page', async () => {
+  const config = buildConfig(3);
+  assert.deepEqual(await getPage(config, 0), ['tt9', 'tt8', 'tt7']);
+  assert.deepEqual(await getPage(config, 3), ['tt6', 'tt5', 'tt4']);
+  assert.deepEqual(await getPage(config, 6), ['tt3', 'tt2', 'tt1']);
+  assert.deepEqual(requests.slice(0, 3), [0, 3, 6]);
+});
+
+test('pages past the window keep the upstream order', async () => {
+  const config = buildConfig(2);
+  const pages = [];
+  for (let skip = 0; skip < CATALOG.length; skip += PAGE_SIZE) {
+    pages.push(...await getPage(config, skip));
+  }
+  assert.deepEqual(pages, ['tt6', 'tt5', 'tt4', 'tt3', 'tt2', 'tt1', 'tt7', 'tt8', 'tt9', 'tt10']);
+  assert.deepEqual(await getPage(config, 12), []);
+});
+
+test('windowPages is validated', () => {
+  assert.equal(validateConfig({ wrappedAddonUrl: 'https://addon.example.com/manifest.json' }).catalogSort.windowPages, 3);
+  assert.throws(() => buildConfig(0), /windowPages/);
+  assert.throws(() => buildConfig(11), /windowPages/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const circuitBreakerService = require('../../src/services/circuitBreakerService');
+
+const UPSTREAM = 'addon.example.com';
+
+test.beforeEach(() => {
+  circuitBreakerService.circuits.clear();
+  circuitBreakerService.failureThreshold = 3;
+  circuitBreakerService.openDurationMs = 60000;
+});
+
+test('circuits are keyed by host', () => {
+  assert.equal(circuitBreakerService.getUpstreamKey('https://addon.example.com/abc/manifest.json'), UPSTREAM);
+  assert.equal(circuitBreakerService.getUpstreamKey('not a url'), 'unknown');
+});
+
+test('opens after the failure threshold and rejects requests', () => {
+  for (let i = 0; i < 2; i++) circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), true);
+
+  circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  assert.equal(circuitBreakerService.isClosed(UPSTREAM), false);
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), false);
+});
+
+test('a success resets the failure count', () => {
+  circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  circuitBreakerService.recordSuccess(UPSTREAM);
+  circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  assert.equal(circuitBreakerService.isClosed(UPSTREAM), true);
+});
+
+test('half-open lets one trial through, which closes or re-opens the circuit', () => {
+  for (let i = 0; i < 3; i++) circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  circuitBreakerService.circuits.get(UPSTREAM).openedAt -= 60000;
+
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), true);
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), false);
+  circuitBreakerService.recordFailure(UPSTREAM, 'still down');
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), false);
+
+  circuitBreakerService.circuits.get(UPSTREAM).openedAt -= 60000;
+  assert.equal(circuitBreakerService.canRequest(UPSTREAM), true);
+  circuitBreakerService.recordSuccess(UPSTREAM);
+  assert.equal(circuitBreakerService.isClosed(UPSTREAM), true);
+});
+
+test('state counts leave out hosts and errors', () => {
+  for (let i = 0; i < 3; i++) circuitBreakerService.recordFailure(UPSTREAM, 'timeout');
+  circuitBreakerService.recordFailure('other.example.com', 'timeout');
+
+  const counts = circuitBreakerService.getStateCounts();
+  assert.deepEqual(counts, { closed: 1, open: 1, 'half-open': 0 });
+  assert.equal(JSON.stringify(counts).includes('example.com'), false);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const stremioApi = require('../../src/services/stremioApi');
+
+const addon = (name, manifest = {}, flags) => ({
+  transportUrl: `https://${name}.example.com/manifest.json`,
+  manifest: { id: name, name, resources: ['catalog'], ...manifest },
+  ...(flags && { flags })
+});
+const cinemeta = addon('cinemeta', { id: 'com.linvo.cinemeta', resources: ['catalog', 'meta'] }, { official: true, protected: true });
+const localFiles = addon('local', {}, { official: true, protected: true });
+const torrentio = addon('torrentio', { resources: ['stream'] });
+const wrapped = addon('wrapped', { id: 'wrapped.ratings-wrapper', resources: ['catalog', 'meta'] });
+
+test('a dry run describes the change without warnings when nothing breaks', () => {
+  const preview = stremioApi.previewCollectionChange([cinemeta, torrentio], [cinemeta, wrapped, torrentio]);
+  assert.equal(preview.success, true);
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(preview.diff.added.map(entry => entry.name), ['wrapped']);
+  assert.deepEqual(preview.finalOrder.map(entry => entry.name), ['cinemeta', 'wrapped', 'torrentio']);
+  assert.deepEqual(preview.warnings, []);
+});
+
+test('warns when Cinemeta or a protected addon is removed', () => {
+  const warnings = stremioApi.getCollectionWarnings([cinemeta, localFiles, torrentio], [wrapped, torrentio]);
+  assert.ok(warnings.includes('Cinemeta will be removed'));
+  assert.ok(warnings.includes('local is a protected official addon and will be removed'));
+});
+
+test('warns when the metadata addon leaves the top position', () => {
+  const warnings = stremioApi.getCollectionWarnings([cinemeta, torrentio], [torrentio, cinemeta]);
+  assert.deepEqual(warnings, ['Metadata addon no longer at position 0 (torrentio will be first)']);
+});
+
+test('warns about empty collections and duplicates', () => {
+  assert.deepEqual(stremioApi.getCollectionWarnings([torrentio], []), ['The addon collection will be empty']);
+  assert.deepEqual(stremioApi.getCollectionWarnings([torrentio], [torrentio, torrentio]), ['torrentio will be installed more than once']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const collectionSnapshotService = require('../../src/services/collectionSnapshotService');
+
+const addon = (name) => ({ transportUrl: `https://${name}.example.com/manifest.json`, manifest: { id: name, name } });
+const [cinemeta, torrentio, anime, trakt] = ['cinemeta', 'torrentio', 'anime', 'trakt'].map(addon);
+
+test('an unchanged collection has no differences', () => {
+  assert.deepEqual(collectionSnapshotService.diff([cinemeta, torrentio], [cinemeta, torrentio]), {
+    added: [], removed: [], moved: [], unchanged: 2
+  });
+});
+
+test('lists added and removed addons', () => {
+  const diff = collectionSnapshotService.diff([cinemeta, torrentio], [cinemeta, anime]);
+  assert.deepEqual(diff.added, [{ transportUrl: anime.transportUrl, name: 'anime' }]);
+  assert.deepEqual(diff.removed, [{ transportUrl: torrentio.transportUrl, name: 'torrentio' }]);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('an insertion at the top does not move the addons below it', () => {
+  const diff = collectionSnapshotService.diff([cinemeta, torrentio], [trakt, cinemeta, torrentio]);
+  assert.deepEqual(diff.moved, []);
+  assert.equal(diff.unchanged, 2);
+});
+
+test('reports moves with their positions in both collections', () => {
+  const diff = collectionSnapshotService.diff([cinemeta, torrentio, anime], [anime, cinemeta, torrentio]);
+  assert.deepEqual(diff.moved.map(({ name, fromIndex, toIndex }) => ({ name, fromIndex, toIndex })), [
+    { name: 'cinemeta', fromIndex: 0, toIndex: 1 },
+    { name: 'torrentio', fromIndex: 1, toIndex: 2 },
+    { name: 'anime', fromIndex: 2, toIndex: 0 }
+  ]);
+  assert.equal(diff.unchanged, 0);
+});
+
+test('addons without a manifest are described by their URL', () => {
+  const bare = { transportUrl: 'https://bare.example.com/manifest.json' };
+  assert.deepEqual(collectionSnapshotService.diff([], [bare]).added, [{ transportUrl: bare.transportUrl, name: bare.transportUrl }]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CURRENT_SCHEMA_VERSION, migrateConfig } = require('../../src/utils/configMigrations');
+const { validateConfig } = require('../../src/utils/configParser');
+
+const WRAPPED_URL = 'https://addon.example.com/manifest.json';
+
+/**
+ * Validates a version 1 config and picks the settings version 1 configs could have
+ */
+function parseV1(config) {
+  const parsed = validateConfig({ wrappedAddonUrl: WRAPPED_URL, ...config });
+  const pickFormat = format => ({
+    position: format.position,
+    template: format.template,
+    separator: format.separator,
+    enableCatalogItems: format.enableCatalogItems,
+    enableEpisodes: format.enableEpisodes
+  });
+  return {
+    enableRatings: parsed.enableRatings,
+    enableTitleRatings: parsed.enableTitleRatings,
+    enableEpisodeRatings: parsed.enableEpisodeRatings,
+    titleFormat: pickFormat(parsed.titleFormat),
+    descriptionFormat: pickFormat(parsed.descriptionFormat)
+  };
+}
+
+const DEFAULT_FORMAT = { position: 'prefix', template: '⭐ {rating}', separator: ' | ', enableCatalogItems: true, enableEpisodes: true };
+
+// Expected values are what validateConfig produced before schema versions existed
+test('version 1 defaults', () => {
+  assert.deepEqual(parseV1({}), {
+    enableRatings: true,
+    enableTitleRatings: true,
+    enableEpisodeRatings: true,
+    titleFormat: DEFAULT_FORMAT,
+    descriptionFormat: DEFAULT_FORMAT
+  });
+});
+
+test('enableRatings: false turns off the global flags but not the per-format ones', () => {
+  assert.deepEqual(parseV1({ enableRatings: false }), {
+    enableRatings: false,
+    enableTitleRatings: false,
+    enableEpisodeRatings: false,
+    titleFormat: DEFAULT_FORMAT,
+    descriptionFormat: DEFAULT_FORMAT
+  });
+});
+
+test('explicit global flags win over enableRatings and feed the per-format flags', () => {
+  const parsed = parseV1({ enableRatings: false, enableTitleRatings: true, enableEpisodeRatings: false });
+  assert.equal(parsed.enableTitleRatings, true);
+  assert.equal(parsed.enableEpisodeRatings, false);
+  assert.equal(parsed.titleFormat.enableCatalogItems, true);
+  assert.equal(parsed.titleFormat.enableEpisodes, false);
+  assert.equal(parsed.descriptionFormat.enableEpisodes, false);
+});
+
+test('falsy non-boolean global flags stay off', () => {
+  const parsed = parseV1({ enableTitleRatings: null, enableEpisodeRatings: 0 });
+  assert.equal(parsed.enableTitleRatings, false);
+  assert.equal(parsed.enableEpisodeRatings, false);
+  // The per-format fallbacks only treated `false` as off
+  assert.equal(parsed.titleFormat.enableCatalogItems, true);
+  assert.equal(parsed.titleFormat.enableEpisodes, true);
+});
+
+test('legacy ratingFormat is used for both formats when neither is set', () => {
+  const parsed = parseV1({ ratingFormat: { position: 'suffix', template: '{rating}/10', separator: ' - ' } });
+  const expected = { ...DEFAULT_FORMAT, position: 'suffix', template: '{rating}/10', separator: ' - ' };
+  assert.deepEqual(parsed.titleFormat, expected);
+  assert.deepEqual(parsed.descriptionFormat, expected);
+});
+
+test('legacy ratingFormat fills in fields missing from separate formats', () => {
+  const parsed = parseV1({
+    ratingFormat: { position: 'suffix', template: '{rating}/10' },
+    titleFormat: { template: 'IMDb {rating}', enableEpisodes: false }
+  });
+  assert.deepEqual(parsed.titleFormat, { ...DEFAULT_FORMAT, position: 'suffix', template: 'IMDb {rating}', enableEpisodes: false });
+  assert.deepEqual(parsed.descriptionFormat, { ...DEFAULT_FORMAT, position: 'suffix', template: '{rating}/10' });
+});
+
+test('migrateConfig reports the migrations it ran and does not modify its input', () => {
+  const input = { wrappedAddonUrl: WRAPPED_URL, enableRatings: false };
+  const frozen = JSON.stringify(input);
+  const result = migrateConfig(input);
+
+  assert.equal(result.fromVersion, 1);
+  assert.equal(result.applied.length, CURRENT_SCHEMA_VERSION - 1);
+  assert.equal(result.config.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(JSON.stringify(input), frozen);
+});
+
+test('current-version configs are not migrated', () => {
+  const result = migrateConfig({ schemaVersion: CURRENT_SCHEMA_VERSION, enableTitleRatings: false });
+  assert.deepEqual(result.applied, []);
+  assert.throws(() => migrateConfig({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), /schemaVersion must be an integer/);
+});
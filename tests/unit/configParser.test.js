@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const appConfig = require('../../src/config');
+const {
+  ConfigValidationError,
+  encodeConfig,
+  decodeConfig,
+  isSealedConfig,
+  validateConfig,
+  parseConfigFromPath
+} = require('../../src/utils/configParser');
+
+const WRAPPED_URL = 'https://addon.example.com/manifest.json';
+
+test('plain configs round-trip through the URL encoding', () => {
+  const encoded = encodeConfig({ wrappedAddonUrl: WRAPPED_URL });
+  assert.deepEqual(decodeConfig(encoded), { wrappedAddonUrl: WRAPPED_URL });
+  assert.equal(parseConfigFromPath(encoded).wrappedAddonUrl, WRAPPED_URL);
+});
+
+test('legacy templates with non-placeholder braces still validate', () => {
+  const config = validateConfig({
+    wrappedAddonUrl: WRAPPED_URL,
+    titleFormat: { template: '{IMDb} {rating}' },
+    ratingFormat: { template: '{rating}/10 }' }
+  });
+  assert.equal(config.titleFormat.template, '{IMDb} {rating}');
+});
+
+test('invalid templates are rejected with their field path', () => {
+  assert.throws(
+    () => validateConfig({ wrappedAddonUrl: WRAPPED_URL, descriptionFormat: { template: '{rating|nope}' } }),
+    error => error instanceof ConfigValidationError && error.path === 'descriptionFormat.template'
+  );
+});
+
+test('sealed configs open with the server key and reject tampering', () => {
+  const keys = appConfig.configEncryption.keys;
+  appConfig.configEncryption.keys = [{ id: 'k1', secret: 'a-test-secret-of-16+-chars' }];
+  try {
+    const sealed = encodeConfig({ wrappedAddonUrl: WRAPPED_URL, apiKeys: { tmdb: 'secret' } }, { seal: true });
+    assert.equal(isSealedConfig(sealed), true);
+    assert.equal(sealed.includes('secret'), false);
+    assert.equal(parseConfigFromPath(sealed).apiKeys.tmdb, 'secret');
+
+    const tampered = sealed.slice(0, -2) + (sealed.endsWith('AA') ? 'BB' : 'AA');
+    assert.equal(decodeConfig(tampered), null);
+  } finally {
+    appConfig.configEncryption.keys = keys;
+  }
+});
+
+test('api keys in plain configs are dropped', () => {
+  const encoded = encodeConfig({ wrappedAddonUrl: WRAPPED_URL, apiKeys: { tmdb: 'secret' } });
+  assert.equal(parseConfigFromPath(encoded).apiKeys, null);
+});
+
+test('the locale defaults to en-US and must be a valid tag', () => {
+  assert.equal(validateConfig({ wrappedAddonUrl: WRAPPED_URL }).locale, 'en-US');
+  assert.equal(validateConfig({ wrappedAddonUrl: WRAPPED_URL, locale: 'pt-BR' }).locale, 'pt-BR');
+  assert.throws(
+    () => validateConfig({ wrappedAddonUrl: WRAPPED_URL, locale: 'not a locale' }),
+    error => error instanceof ConfigValidationError && error.path === 'locale'
+  );
+});
+
+test('custom colour tiers are validated and need at least one tier', () => {
+  const reject = (titleFormat, path) => assert.throws(
+    () => validateConfig({ wrappedAddonUrl: WRAPPED_URL, titleFormat }),
+    error => error instanceof ConfigValidationError && error.path === path
+  );
+
+  reject({ emojiSet: 'custom' }, 'titleFormat.colorTiers');
+  reject({ emojiSet: 'custom', colorTiers: [{ min: 11, emoji: '🔥' }] }, 'titleFormat.colorTiers[0].min');
+  reject({ emojiSet: 'custom', colorTiers: [{ min: 8 }] }, 'titleFormat.colorTiers[0]');
+  reject({ emojiSet: 'custom', colorTiers: [{ min: 8, emoji: '🔥' }, { min: 8, label: 'Great' }] }, 'titleFormat.colorTiers');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const appConfig = require('../../src/config');
+const configStoreService = require('../../src/services/configStoreService');
+const { isSealedConfig, parseConfigFromPath } = require('../../src/utils/configParser');
+
+const WRAPPED_URL = 'https://addon.example.com/manifest.json';
+const SECRET_KEYS = [{ id: 'k1', secret: 'config-store-test-secret' }];
+
+// Minimal in-memory stand-in for the Redis commands the store uses
+function createFakeRedis() {
+  const values = new Map();
+  return {
+    values,
+    async set(key, value, mode) {
+      if (mode === 'NX' && values.has(key)) return null;
+      if (mode === 'XX' && !values.has(key)) return null;
+      values.set(key, value);
+      return 'OK';
+    },
+    async get(key) { return values.has(key) ? values.get(key) : null; }
+  };
+}
+
+let redis;
+
+test.beforeEach(() => {
+  redis = createFakeRedis();
+  configStoreService._getClient = () => redis;
+  appConfig.configEncryption.keys = SECRET_KEYS;
+});
+
+test('stored configs need their owner secret to be read or edited', async () => {
+  const { configId, ownerSecret } = await configStoreService.create({ wrappedAddonUrl: WRAPPED_URL });
+  assert.equal(configStoreService.isConfigId(configId), true);
+
+  const stored = await configStoreService.get(configId, ownerSecret);
+  assert.equal(stored.config.wrappedAddonUrl, WRAPPED_URL);
+  assert.equal(stored.revision, 1);
+  assert.equal(redis.values.get(`configstore:${configId}`).includes(ownerSecret), false);
+
+  await assert.rejects(() => configStoreService.get(configId, 'wrong'), error => error.forbidden === true);
+  await assert.rejects(
+    () => configStoreService.update(configId, undefined, { wrappedAddonUrl: WRAPPED_URL }),
+    error => error.forbidden === true
+  );
+
+  const updated = await configStoreService.update(configId, ownerSecret, { wrappedAddonUrl: WRAPPED_URL, addonName: 'Renamed' });
+  assert.equal(updated.revision, 2);
+  assert.equal((await configStoreService.get(configId, ownerSecret)).config.addonName, 'Renamed');
+});
+
+test('unknown config IDs resolve to nothing', async () => {
+  assert.equal(await configStoreService.resolve('AAAAAAAAAAAA'), null);
+  assert.equal(await configStoreService.get('not-an-id', 'secret'), null);
+});
+
+test('configs with API keys are only stored sealed', async () => {
+  const config = { wrappedAddonUrl: WRAPPED_URL, apiKeys: { tmdb: 'user-tmdb-key' } };
+  const { configId, ownerSecret } = await configStoreService.create(config);
+
+  assert.equal(redis.values.get(`configstore:${configId}`).includes('user-tmdb-key'), false);
+  assert.deepEqual((await configStoreService.get(configId, ownerSecret)).config, config);
+
+  const encoded = await configStoreService.resolve(configId);
+  assert.equal(isSealedConfig(encoded), true);
+  assert.equal(parseConfigFromPath(encoded).apiKeys.tmdb, 'user-tmdb-key');
+
+  await configStoreService.update(configId, ownerSecret, { wrappedAddonUrl: WRAPPED_URL });
+  assert.equal(isSealedConfig(await configStoreService.resolve(configId)), false);
+});
+
+test('API keys are dropped when configs cannot be sealed', async () => {
+  appConfig.configEncryption.keys = [];
+
+  const { configId, ownerSecret } = await configStoreService.create({ wrappedAddonUrl: WRAPPED_URL, apiKeys: { omdb: 'user-omdb-key' } });
+  assert.equal(redis.values.get(`configstore:${configId}`).includes('user-omdb-key'), false);
+  assert.equal((await configStoreService.get(configId, ownerSecret)).config.apiKeys, undefined);
+});
+
+test('plaintext API keys stored earlier are sealed on first load', async () => {
+  const key = 'configstore:AbCdEfGhIjKl';
+  redis.values.set(key, JSON.stringify({
+    config: { wrappedAddonUrl: WRAPPED_URL, apiKeys: { mal: 'user-mal-id' } },
+    ownerSecretHash: 'a'.repeat(64),
+    revision: 3,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z'
+  }));
+
+  const encoded = await configStoreService.resolve('AbCdEfGhIjKl');
+  assert.equal(parseConfigFromPath(encoded).apiKeys.mal, 'user-mal-id');
+  assert.equal(redis.values.get(key).includes('user-mal-id'), false);
+  assert.equal(JSON.parse(redis.values.get(key)).revision, 3);
+});
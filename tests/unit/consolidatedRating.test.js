@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const consolidatedRatingService = require('../../src/services/consolidatedRatingService');
+const ratingsService = require('../../src/services/ratingsService');
+const tmdbService = require('../../src/services/tmdbService');
+const omdbService = require('../../src/services/omdbService');
+const redisService = require('../../src/services/redisService');
+const cacheKeys = require('../../src/utils/cacheKeys');
+const { validateConfig } = require('../../src/utils/configParser');
+
+// Serves fixed source data instead of calling the rating providers
+function stubSources(t, { imdb = null, tmdb = null, omdb = null } = {}) {
+  t.mock.method(redisService, 'get', async () => null);
+  t.mock.method(redisService, 'set', async () => {});
+  t.mock.method(ratingsService, 'getRating', async () => imdb);
+  t.mock.method(tmdbService, 'getTmdbDataByImdbId', async () => tmdb);
+  t.mock.method(omdbService, 'getOmdbDataByImdbId', async () => omdb);
+}
+
+test('sources are averaged on a 0-10 scale with equal default weights', async t => {
+  stubSources(t, {
+    imdb: { rating: '8.0', votes: '250000' },
+    tmdb: { tmdbRating: 8.0 },
+    omdb: { rottenTomatoes: '90%', metacritic: '70' }
+  });
+
+  const result = await consolidatedRatingService.getConsolidatedRating('tt0000001', 'movie', { forceRefresh: true });
+  assert.equal(result.consolidatedRating, 8.0);
+  assert.equal(result.sourceCount, 4);
+  assert.equal(result.sources.rt.weight, 0.25);
+  assert.equal(result.colorIndicator, 'great');
+});
+
+test('custom weights change the share of each source and zero drops it', async t => {
+  stubSources(t, {
+    imdb: { rating: '8.0', votes: '250000' },
+    tmdb: { tmdbRating: 7.0 },
+    omdb: { rottenTomatoes: '90%', metacritic: '70' }
+  });
+
+  const { consolidatedRating } = validateConfig({
+    wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+    consolidatedRating: { weights: { imdb: 3, tmdb: 0, mc: 0 } }
+  });
+  const result = await consolidatedRatingService.getConsolidatedRating('tt0000002', 'movie', { forceRefresh: true, weighting: consolidatedRating });
+  // (8.0 * 3 + 9.0 * 1) / 4
+  assert.equal(result.consolidatedRating, 8.3);
+  assert.equal(result.sourceCount, 2);
+  assert.equal(result.sources.imdb.weight, 0.75);
+  assert.equal(result.sources.tmdb.weight, 0);
+});
+
+test('vote shrinkage lets a low-vote score barely move the average', async t => {
+  stubSources(t, {
+    imdb: { rating: '9.5', votes: '10' },
+    omdb: { rottenTomatoes: '60%' }
+  });
+
+  const plain = await consolidatedRatingService.getConsolidatedRating('tt0000003', 'movie', { forceRefresh: true });
+  assert.equal(plain.consolidatedRating, 7.8);
+
+  const shrunk = await consolidatedRatingService.getConsolidatedRating('tt0000003', 'movie', {
+    forceRefresh: true,
+    weighting: { voteShrinkage: true, minVotes: 990 }
+  });
+  // IMDb weight 10 / (10 + 990) = 0.01 against RT's 1 (critic scores have no vote count)
+  assert.equal(shrunk.consolidatedRating, 6.0);
+  assert.equal(shrunk.sources.imdb.weight, 0.01);
+});
+
+test('equivalent weighting settings share a cache key, different ones do not', () => {
+  const key = weighting => cacheKeys.generateConsolidatedRatingKey('tt0000004', consolidatedRatingService.getWeightingProfile(weighting));
+
+  assert.equal(key(null), key({ weights: { imdb: 1 }, minVotes: 50 }));
+  assert.notEqual(key(null), key({ weights: { imdb: 2 } }));
+  assert.notEqual(key({ voteShrinkage: true, minVotes: 50 }), key({ voteShrinkage: true, minVotes: 500 }));
+});
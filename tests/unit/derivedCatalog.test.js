@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const addonProxy = require('../../src/services/addonProxy');
+const ratingsService = require('../../src/services/ratingsService');
+const derivedCatalogService = require('../../src/services/derivedCatalogService');
+const { ConfigValidationError, validateConfig } = require('../../src/utils/configParser');
+
+// IMDb ratings of the source catalog items
+const RATINGS = {
+  tt1: { rating: 8.1, votes: 900000 },
+  tt2: { rating: 7.9, votes: 12000 },
+  tt3: { rating: 6.5, votes: 8000 },
+  tt4: { rating: 8.6, votes: 20000 },
+  tt5: { rating: 7.6, votes: 3000 },
+  tt7: { rating: 9.0, votes: 15000 }
+};
+
+// Source catalog in pages of 3 (tt6 is unrated, tt3 repeats on the second page)
+const PAGES = [['tt1', 'tt2', 'tt3'], ['tt3', 'tt4', 'tt5'], ['tt6', 'tt7']];
+
+let requests;
+
+test.beforeEach((t) => {
+  requests = [];
+  t.mock.method(addonProxy, 'fetchCatalog', async (addonUrl, type, id, extra = {}) => {
+    const skip = parseInt(extra.skip, 10) || 0;
+    requests.push({ addonUrl, id, skip });
+    const page = PAGES[[0, 3, 6].indexOf(skip)] || [];
+    return { metas: page.map(metaId => ({ id: metaId, type })) };
+  });
+  t.mock.method(ratingsService, 'getRatingsBatch', async (items) =>
+    new Map(items.filter(item => RATINGS[item.id]).map(item => [item.id, RATINGS[item.id]])));
+});
+
+// Config with one "Hidden Gems" catalog built from the wrapped "top" catalog
+function buildConfig(definition = {}) {
+  return validateConfig({
+    wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+    derivedCatalogs: [{
+      id: 'gems', name: 'Hidden Gems', type: 'movie', source: 'top',
+      formula: 'imdb', minRating: 7.5, maxVotes: 25000, depth: 2, limit: 2,
+      ...definition
+    }]
+  });
+}
+
+test('derived catalogs are listed in the manifest under their own prefix', () => {
+  const catalogs = derivedCatalogService.getManifestCatalogs(buildConfig());
+  assert.deepEqual(catalogs, [{ type: 'movie', id: 'derived.gems', name: 'Hidden Gems' }]);
+  assert.equal(derivedCatalogService.isDerivedCatalog('derived.gems'), true);
+  assert.equal(derivedCatalogService.isDerivedCatalog('top'), false);
+});
+
+test('source pages are pulled up to the depth, filtered, ranked and cut to the limit', async () => {
+  const metas = await derivedCatalogService.fetchCatalog(buildConfig(), 'movie', 'derived.gems');
+  assert.deepEqual(metas.map(meta => meta.id), ['tt4', 'tt2']);
+  assert.deepEqual(requests.map(request => request.skip), [0, 3]);
+
+  const deeper = await derivedCatalogService.fetchCatalog(buildConfig({ depth: 5, limit: 10 }), 'movie', 'derived.gems');
+  assert.deepEqual(deeper.map(meta => meta.id), ['tt7', 'tt4', 'tt2', 'tt5']);
+});
+
+test('derived catalogs are a single page and unknown ones are empty', async () => {
+  const config = buildConfig();
+  assert.deepEqual(await derivedCatalogService.fetchCatalog(config, 'movie', 'derived.gems', { skip: '50' }), []);
+  assert.deepEqual(await derivedCatalogService.fetchCatalog(config, 'series', 'derived.gems'), []);
+  assert.deepEqual(await derivedCatalogService.fetchCatalog(config, 'movie', 'derived.other'), []);
+  assert.equal(requests.length, 0);
+});
+
+test('aggregated configs read the source from the namespaced upstream', async () => {
+  const config = validateConfig({
+    upstreams: [{ url: 'https://one.example.com/manifest.json' }, { url: 'https://two.example.com/manifest.json' }],
+    derivedCatalogs: [{ id: 'gems', name: 'Hidden Gems', type: 'movie', source: 'u2:top', formula: 'imdb', depth: 1 }]
+  });
+  const metas = await derivedCatalogService.fetchCatalog(config, 'movie', 'derived.gems');
+
+  assert.deepEqual(metas.map(meta => meta.id), ['tt1', 'tt2', 'tt3']);
+  assert.deepEqual(requests, [{ addonUrl: 'https://two.example.com/manifest.json', id: 'top', skip: 0 }]);
+});
+
+test('aggregated definitions need a namespaced source', () => {
+  assert.throws(
+    () => validateConfig({
+      upstreams: [{ url: 'https://one.example.com/manifest.json' }],
+      derivedCatalogs: [{ name: 'Hidden Gems', type: 'movie', source: 'top' }]
+    }),
+    error => error instanceof ConfigValidationError && error.path === 'derivedCatalogs[0].source'
+  );
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const appConfig = require('../../src/config');
+const healthCheckService = require('../../src/services/healthCheckService');
+const sessionService = require('../../src/services/sessionService');
+const stremioApi = require('../../src/services/stremioApi');
+const addonProxy = require('../../src/services/addonProxy');
+const configStoreService = require('../../src/services/configStoreService');
+const { decodeConfig } = require('../../src/utils/configParser');
+
+appConfig.configEncryption.keys = [{ id: 'k1', secret: 'health-check-test-secret' }];
+
+const AUTH_KEY = 'stremio-auth-key';
+const SESSION = { userId: 'user1', ref: 'a'.repeat(64), expiresAt: new Date(Date.now() + 3600 * 1000).toISOString() };
+const WRAPPED = {
+  transportUrl: 'https://wrapper.example.com/cfg/manifest.json',
+  manifest: { id: 'org.example.addon.ratings-wrapper', name: 'Example (with Ratings)' }
+};
+
+// Minimal in-memory stand-in for the Redis commands the service uses
+function createFakeRedis() {
+  const values = new Map();
+  const sets = new Map();
+  const lists = new Map();
+  const client = {
+    values,
+    sets,
+    async set(key, value) { values.set(key, value); return 'OK'; },
+    async get(key) { return values.has(key) ? values.get(key) : null; },
+    async del(key) { return values.delete(key) ? 1 : 0; },
+    async sadd(key, member) { if (!sets.has(key)) sets.set(key, new Set()); sets.get(key).add(member); },
+    async srem(key, member) { sets.get(key)?.delete(member); },
+    async lrange(key) { return lists.get(key) || []; },
+    multi() {
+      const chain = {
+        lpush(key, value) { lists.set(key, [value, ...(lists.get(key) || [])]); return chain; },
+        ltrim() { return chain; },
+        expire() { return chain; },
+        async exec() {}
+      };
+      return chain;
+    }
+  };
+  return client;
+}
+
+let redis;
+let sessionActive;
+let replaced;
+
+test.beforeEach(() => {
+  redis = createFakeRedis();
+  sessionActive = true;
+  replaced = null;
+  healthCheckService._getClient = () => redis;
+  sessionService.isActive = async (ref) => sessionActive && ref === SESSION.ref;
+  stremioApi.getAddonCollection = async () => [WRAPPED];
+  stremioApi.replaceCollectionEntry = async (authKey, currentUrl, newUrls, action) => {
+    replaced = { authKey, currentUrl, newUrls, action };
+    return { success: true };
+  };
+  configStoreService.parseInstallConfig = async () => ({ wrappedAddonUrl: 'https://addon.example.com/manifest.json' });
+  addonProxy.fetchManifest = async () => ({ id: 'org.example.addon-v2', name: 'Example', resources: ['catalog'] });
+});
+
+test('the auth key is sealed with its own key, not as a config', async () => {
+  await healthCheckService.register(AUTH_KEY, SESSION, 'off');
+  const record = JSON.parse(redis.values.get('healthcheck:user:user1'));
+
+  assert.equal(record.sessionRef, SESSION.ref);
+  assert.ok(!record.authKey.includes(AUTH_KEY));
+  assert.equal(decodeConfig(record.authKey), null);
+  assert.equal(healthCheckService._openAuthKey(record.authKey), AUTH_KEY);
+  assert.equal(healthCheckService._openAuthKey(record.authKey.slice(0, -2) + 'AA'), null);
+});
+
+test('registrations end when their session ends', async () => {
+  await healthCheckService.register(AUTH_KEY, SESSION, 'unwrap');
+  sessionActive = false;
+
+  assert.equal(await healthCheckService.checkUser('user1'), null);
+  assert.equal(redis.values.size, 0);
+  assert.equal(replaced, null);
+});
+
+test('changed upstream IDs are reported and healed', async () => {
+  await healthCheckService.register(AUTH_KEY, SESSION, 'unwrap');
+
+  const run = await healthCheckService.checkUser('user1');
+  assert.equal(run.idChanged, 1);
+  assert.equal(run.addons[0].action, 'unwrapped');
+  assert.deepEqual(replaced, {
+    authKey: AUTH_KEY,
+    currentUrl: WRAPPED.transportUrl,
+    newUrls: ['https://addon.example.com/manifest.json'],
+    action: 'health-unwrap'
+  });
+});
+
+test('auto-heal off only reports', async () => {
+  await healthCheckService.register(AUTH_KEY, SESSION, 'off');
+
+  const run = await healthCheckService.checkUser('user1');
+  assert.equal(run.addons[0].status, 'id-changed');
+  assert.equal(run.addons[0].action, null);
+  assert.equal(replaced, null);
+});
+
+test('rejects unknown auto-heal modes and expired sessions', async () => {
+  await assert.rejects(healthCheckService.register(AUTH_KEY, SESSION, 'delete'), /autoHeal/);
+  await assert.rejects(healthCheckService.register(AUTH_KEY, { ...SESSION, expiresAt: new Date(0).toISOString() }), /expired/);
+});
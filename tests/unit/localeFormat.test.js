@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const localeFormat = require('../../src/utils/localeFormat');
+const { renderTemplate } = require('../../src/utils/templateEngine');
+const metadataEnhancer = require('../../src/services/metadataEnhancer');
+
+test('vote counts use the locale for grouping and abbreviations', () => {
+  assert.equal(localeFormat.formatVotes(1234567, 'short', 'en-US'), '1.2M');
+  assert.equal(localeFormat.formatVotes(12999, 'short', 'en-US'), '12K');
+  assert.equal(localeFormat.formatVotes(950, 'short', 'de-DE'), '950');
+  assert.equal(localeFormat.formatVotes(1234567, 'both', 'de-DE'), '1.234.567 / 1,2\u00a0Mio.');
+  assert.equal(metadataEnhancer._formatVoteCount('1234567', 'full', 'de-DE'), '1.234.567');
+});
+
+test('numbers, dates and runtimes follow the locale', () => {
+  assert.equal(localeFormat.formatNumber(8.44, 1, 'de-DE'), '8,4');
+  assert.equal(localeFormat.formatDate('2008-01-20', 'full', 'de-DE'), '20. Januar 2008');
+  assert.equal(localeFormat.formatDate('2008-01-20', 'short', 'en-US'), 'Jan 20, 2008');
+  assert.equal(localeFormat.formatDate('2008-01-20', 'year', 'de-DE'), '2008');
+  assert.equal(localeFormat.formatDate('not a date', 'full', 'de-DE'), 'not a date');
+  assert.equal(localeFormat.formatRuntime(134, 'hm', 'de-DE'), '2h 14m');
+  assert.equal(localeFormat.formatRuntime(120, 'hm'), '2h');
+  assert.equal(localeFormat.formatRuntime(134, 'min', 'de-DE'), '134 min');
+});
+
+test('labels fall back to English per key and per language', () => {
+  assert.equal(localeFormat.getLabel('votes', 'pt-BR'), 'votos');
+  assert.equal(localeFormat.getLabel('rt', 'de-DE'), 'RT');
+  assert.equal(localeFormat.getLabel('votes', 'ja-JP'), 'votes');
+});
+
+test('only well-formed locale tags are accepted', () => {
+  assert.equal(localeFormat.isValidLocale('de-DE'), true);
+  assert.equal(localeFormat.isValidLocale('not a locale'), false);
+  assert.equal(localeFormat.isValidLocale(''), false);
+  assert.equal(localeFormat.isValidLocale(null), false);
+});
+
+test('templates render with the configured locale', () => {
+  assert.equal(renderTemplate('{rating} ({votes})', { rating: 8.4, votes: 1234567 }, { locale: 'de-DE' }), '8,4 (1,2\u00a0Mio.)');
+  assert.equal(renderTemplate('{rating} ({votes})', { rating: 8.4, votes: 1234567 }), '8.4 (1.2M)');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const addonProxy = require('../../src/services/addonProxy');
+const { createManifestHandler } = require('../../src/handlers/manifest');
+const { validateConfig } = require('../../src/utils/configParser');
+
+const MANIFESTS = {
+  'https://movies.example.com/manifest.json': {
+    id: 'movies', name: 'Movies', types: ['movie'],
+    resources: ['catalog', 'meta'],
+    catalogs: [{ type: 'movie', id: 'top', name: 'Top' }]
+  },
+  'https://anime.example.com/manifest.json': {
+    id: 'anime', name: 'Anime', types: ['series'],
+    resources: ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['kitsu:'] }, 'stream'],
+    catalogs: [{ type: 'series', id: 'top', name: 'Top Anime' }],
+    idPrefixes: ['kitsu:']
+  },
+  'https://extra.example.com/manifest.json': {
+    id: 'extra', name: 'Extra', types: ['movie'],
+    resources: ['catalog'],
+    catalogs: [{ type: 'movie', id: 'new', name: 'New' }]
+  }
+};
+
+const URLS = Object.keys(MANIFESTS);
+
+test.beforeEach(() => {
+  addonProxy.fetchManifest = async (url) => {
+    if (!MANIFESTS[url]) throw new Error('Not found');
+    return MANIFESTS[url];
+  };
+});
+
+// Builds the manifest of an aggregated config (optionally requested by config ID)
+async function aggregatedManifest(urls, configId) {
+  const config = validateConfig({ upstreams: urls.map(url => ({ url })) });
+  const { manifest } = await createManifestHandler(config, { configId })();
+  return manifest;
+}
+
+test('stream, subtitles and addon_catalog resources of the wrapped addon are kept', async (t) => {
+  MANIFESTS['https://mixed.example.com/manifest.json'] = {
+    id: 'mixed', name: 'Mixed', types: ['movie'],
+    resources: ['catalog', 'stream', 'subtitles', 'addon_catalog'],
+    catalogs: [{ type: 'movie', id: 'top', name: 'Top' }]
+  };
+  t.after(() => { delete MANIFESTS['https://mixed.example.com/manifest.json']; });
+
+  const config = validateConfig({ wrappedAddonUrl: 'https://mixed.example.com/manifest.json' });
+  const { manifest } = await createManifestHandler(config)();
+
+  const names = manifest.resources.map(resource => resource.name || resource);
+  assert.deepEqual(names, ['catalog', 'stream', 'subtitles', 'addon_catalog']);
+});
+
+test('object-form resources, idPrefixes, addon catalogs and catalog extras are kept', async (t) => {
+  const catalog = { type: 'series', id: 'search', name: 'Search', extra: [{ name: 'search', isRequired: true }], extraSupported: ['search'] };
+  MANIFESTS['https://kitsu.example.com/manifest.json'] = {
+    id: 'kitsu', name: 'Kitsu', types: ['series'],
+    resources: ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['kitsu:'] }, 'unknown'],
+    catalogs: [catalog],
+    idPrefixes: ['kitsu:'],
+    addonCatalogs: [{ type: 'all', id: 'community', name: 'Community' }],
+    config: [{ key: 'region', type: 'text' }],
+    behaviorHints: { adult: false }
+  };
+  t.after(() => { delete MANIFESTS['https://kitsu.example.com/manifest.json']; });
+
+  const config = validateConfig({ wrappedAddonUrl: 'https://kitsu.example.com/manifest.json' });
+  const { manifest } = await createManifestHandler(config)();
+
+  assert.deepEqual(manifest.resources, ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['kitsu:'] }]);
+  assert.deepEqual(manifest.idPrefixes, ['kitsu:']);
+  assert.deepEqual(manifest.addonCatalogs, [{ type: 'all', id: 'community', name: 'Community' }]);
+  assert.deepEqual(manifest.config, [{ key: 'region', type: 'text' }]);
+  assert.deepEqual(manifest.catalogs, [catalog]);
+  assert.equal(manifest.behaviorHints.adult, false);
+  assert.equal(manifest.behaviorHints.configurable, true);
+});
+
+test('aggregated resource declarations are merged and only narrowed when every upstream narrows them', async () => {
+  const manifest = await aggregatedManifest(URLS.slice(0, 2));
+  assert.deepEqual(manifest.resources, ['catalog', 'meta', 'stream']);
+  assert.equal(manifest.idPrefixes, undefined);
+
+  const animeOnly = await aggregatedManifest([URLS[1]]);
+  assert.deepEqual(animeOnly.resources, ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['kitsu:'] }, 'stream']);
+  assert.deepEqual(animeOnly.idPrefixes, ['kitsu:']);
+});
+
+test('aggregated manifest IDs survive upstream edits', async () => {
+  const original = await aggregatedManifest(URLS.slice(0, 2));
+  const edited = await aggregatedManifest(URLS);
+  assert.ok(original.id.startsWith('ratings-wrapper.aggregate.'));
+  assert.equal(edited.id, original.id);
+
+  const otherInstall = await aggregatedManifest([URLS[1], URLS[0]]);
+  assert.notEqual(otherInstall.id, original.id);
+});
+
+test('stored aggregated configs keep the ID of their config', async () => {
+  const stored = await aggregatedManifest(URLS.slice(0, 2), 'AbCdEfGhIjKl');
+  const reordered = await aggregatedManifest([URLS[2], URLS[1]], 'AbCdEfGhIjKl');
+  assert.equal(reordered.id, stored.id);
+  assert.notEqual(stored.id, (await aggregatedManifest(URLS.slice(0, 2))).id);
+  assert.notEqual(stored.id, (await aggregatedManifest(URLS.slice(0, 2), 'ZzZzZzZzZzZz')).id);
+});
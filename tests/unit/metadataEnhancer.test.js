@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const metadataEnhancer = require('../../src/services/metadataEnhancer');
+const { validateConfig } = require('../../src/utils/configParser');
+
+const WRAPPED_URL = 'https://addon.example.com/manifest.json';
+
+// Series videos with their episode ratings, in the shape _fetchEpisodeRatings returns
+function buildSeries(seasons) {
+  const videos = [];
+  const episodeItems = [];
+  const episodeRatingsMap = new Map();
+  seasons.forEach((ratings, seasonIndex) => {
+    ratings.forEach((rating, episodeIndex) => {
+      const id = `tt0903747:${seasonIndex + 1}:${episodeIndex + 1}`;
+      videos.push({ id, season: seasonIndex + 1, episode: episodeIndex + 1, title: `Episode ${episodeIndex + 1}` });
+      episodeItems.push({ id });
+      if (rating !== null) {
+        episodeRatingsMap.set(id, typeof rating === 'object' ? rating : { rating, votes: 1000 });
+      }
+    });
+  });
+  return { videos, episodeRatings: { episodeItems, episodeRatingsMap } };
+}
+
+test('season averages form a trend line on a fixed 5-10 scale', () => {
+  const { videos, episodeRatings } = buildSeries([[8, 8.2, 8.1], [9.9, 10, 10], [5, 5.2, 4.8]]);
+  assert.equal(metadataEnhancer._buildSeasonTrend(videos, episodeRatings), 'S1 8.1 ▅ S2 10.0 █ S3 5.0 ▁');
+});
+
+test('seasons with too few rated episodes are marked instead of averaged', () => {
+  const { videos, episodeRatings } = buildSeries([[8, 8, 8], [9, null, null]]);
+  assert.equal(metadataEnhancer._buildSeasonTrend(videos, episodeRatings), 'S1 8.0 ▅ S2 –');
+  assert.equal(metadataEnhancer._buildSeasonTrend(videos, episodeRatings, 4), null);
+});
+
+test('specials and series-level ratings stay out of the averages', () => {
+  const { videos, episodeRatings } = buildSeries([[7, 7, 7]]);
+  videos.push({ id: 'tt0903747:0:1', season: 0, episode: 1 });
+  episodeRatings.episodeItems.push({ id: 'tt0903747:0:1' });
+  episodeRatings.episodeRatingsMap.set('tt0903747:0:1', { rating: 10, votes: 1000 });
+  videos.push({ id: 'tt0903747', season: 2, episode: 1 });
+  episodeRatings.episodeItems.push({ id: 'tt0903747' });
+  episodeRatings.episodeRatingsMap.set('tt0903747', { rating: 10, votes: 1000 });
+
+  assert.equal(metadataEnhancer._buildSeasonTrend(videos, episodeRatings), 'S1 7.0 ▄');
+});
+
+test('the trend line is a description part with the configured locale', async () => {
+  const config = validateConfig({
+    wrappedAddonUrl: WRAPPED_URL,
+    ratingLocation: 'description',
+    locale: 'de-DE',
+    descriptionFormat: { includeSeasonTrend: true, metadataOrder: ['seasonTrend'] }
+  });
+  const { videos, episodeRatings } = buildSeries([[8.4, 8.4, 8.4]]);
+  const trend = metadataEnhancer._buildSeasonTrend(videos, episodeRatings, 3, config.locale);
+  assert.equal(trend, 'S1 8,4 ▆');
+
+  const meta = { id: 'tt0903747', type: 'series', name: 'Series', description: 'Plot.' };
+  const enhanced = await metadataEnhancer._enhanceMetaWithRating(meta, { rating: 9.5, votes: 2000000 }, config, 'tt0903747', null, null, null, null, null, false, null, trend);
+  assert.ok(enhanced.description.startsWith('S1 8,4 ▆'), enhanced.description);
+  assert.ok(enhanced.description.endsWith('Plot.'), enhanced.description);
+});
+
+// Highlight settings as validateConfig fills them in
+function highlights(overrides = {}) {
+  const config = validateConfig({ wrappedAddonUrl: WRAPPED_URL, titleFormat: { episodeHighlights: { enabled: true, ...overrides } } });
+  return config.titleFormat.episodeHighlights;
+}
+
+// Marker per episode id, for readable assertions
+function markersById(markers) {
+  return Object.fromEntries([...markers].map(([video, marker]) => [video.id, marker]));
+}
+
+test('the best episode of each season gets the top marker by default', () => {
+  const { videos, episodeRatings } = buildSeries([[8, 9, 7], [6, 6.5, 9.5]]);
+  const markers = metadataEnhancer._rankEpisodes(videos, episodeRatings, highlights());
+  assert.deepEqual(markersById(markers), { 'tt0903747:1:2': '🏆', 'tt0903747:2:3': '🏆' });
+});
+
+test('series scope ranks across seasons and numbers markers with {rank}', () => {
+  const { videos, episodeRatings } = buildSeries([[8, 9, 7], [6, 6.5, 9.5]]);
+  const markers = metadataEnhancer._rankEpisodes(videos, episodeRatings, highlights({
+    scope: 'series', topCount: 2, bottomCount: 1, topMarker: '#{rank}', bottomMarker: 'worst {rank}'
+  }));
+  assert.deepEqual(markersById(markers), {
+    'tt0903747:2:3': '#1',
+    'tt0903747:1:2': '#2',
+    'tt0903747:2:1': 'worst 1'
+  });
+});
+
+test('seasons with too few rated episodes are not highlighted', () => {
+  const { videos, episodeRatings } = buildSeries([[8, 9], [6, 7, 8]]);
+  const markers = metadataEnhancer._rankEpisodes(videos, episodeRatings, highlights({ bottomCount: 1 }));
+  assert.deepEqual(markersById(markers), { 'tt0903747:2:3': '🏆', 'tt0903747:2:1': '👎' });
+});
+
+test('a barely voted episode does not outrank established ones', () => {
+  const { videos, episodeRatings } = buildSeries([[{ rating: 10, votes: 5 }, { rating: 9, votes: 5000 }, 7, 7.5]]);
+  const markers = metadataEnhancer._rankEpisodes(videos, episodeRatings, highlights());
+  assert.deepEqual(markersById(markers), { 'tt0903747:1:2': '🏆' });
+
+  const unweighted = metadataEnhancer._rankEpisodes(videos, episodeRatings, highlights({ minVotes: 0 }));
+  assert.deepEqual(markersById(unweighted), { 'tt0903747:1:1': '🏆' });
+});
+
+test('custom colour tiers pick the highest tier the rating reaches', () => {
+  const config = validateConfig({
+    wrappedAddonUrl: WRAPPED_URL,
+    titleFormat: {
+      useColorEmoji: true,
+      emojiSet: 'custom',
+      colorTiers: [{ min: 5, emoji: '🙂' }, { min: 8, emoji: '🔥', label: 'Must watch' }]
+    }
+  });
+  const title = rating => metadataEnhancer._formatTitleRating('Movie', { consolidatedRating: rating, colorIndicator: 'great' }, config.titleFormat, true);
+
+  assert.equal(title(9), '🔥 Must watch 9.0 | Movie');
+  assert.equal(title(8), '🔥 Must watch 8.0 | Movie');
+  assert.equal(title(6), '🙂 6.0 | Movie');
+  assert.equal(title(4), '4.0 | Movie');
+  // The description inherits the title's tiers unless it sets its own
+  assert.equal(config.descriptionFormat.colorTiers.length, 2);
+});
+
+test('year and runtime parts prefer TMDB and follow the configured order', async () => {
+  const config = validateConfig({
+    wrappedAddonUrl: WRAPPED_URL,
+    ratingLocation: 'description',
+    descriptionFormat: { includeYear: true, includeRuntime: true, metadataOrder: ['runtime', 'year'] }
+  });
+  const tmdbData = { releaseDate: '2010-07-16', runtime: 148 };
+  const description = await metadataEnhancer._formatDescriptionRating('Plot.', { rating: 8.8, votes: 1000 }, config.descriptionFormat, null, null, tmdbData);
+  assert.equal(description, '2h 28m • 2010 | Plot.');
+});
+
+test('year and runtime fall back to the upstream meta', async () => {
+  const config = validateConfig({
+    wrappedAddonUrl: WRAPPED_URL,
+    descriptionFormat: { includeYear: true, includeRuntime: true, runtimeFormat: 'min' }
+  });
+  const values = metadataEnhancer._buildTemplateValues({ releaseInfo: '2008–2013', runtime: '47 min' }, { rating: 9.5 });
+  assert.equal(values.year, 2008);
+  assert.equal(values.runtime, 47);
+
+  const description = await metadataEnhancer._formatDescriptionRating('Plot.', { rating: 9.5 }, config.descriptionFormat, null, null, null, null, null, false, null, values);
+  assert.equal(description, '2008 • 47 min | Plot.');
+});
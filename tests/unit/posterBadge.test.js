@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const axios = require('axios');
+const appConfig = require('../../src/config');
+const posterBadgeService = require('../../src/services/posterBadgeService');
+const { ConfigValidationError, validateConfig } = require('../../src/utils/configParser');
+
+const POSTER_URL = 'https://images.example.com/poster.jpg';
+const SOURCES = ['imdb', 'rt'];
+const CONFIG = {
+  wrappedAddonUrl: 'https://addon.example.com/manifest.json',
+  posterBadge: { enabled: true, baseUrl: 'https://wrapper.example.com', corner: 'top-left', size: 'medium', sources: SOURCES }
+};
+
+appConfig.posterBadge.signingSecret = 'poster-test-secret';
+appConfig.redis.enabled = false;
+
+test('poster links carry a signature that the route can verify', () => {
+  const badge = posterBadgeService.getBadgeContent({ imdb: 7.46, rt: 91 }, SOURCES);
+  const link = new URL(posterBadgeService.buildPosterUrl(POSTER_URL, 'movie', 'tt0111161', badge, CONFIG));
+  const query = Object.fromEntries(link.searchParams);
+  assert.ok(link.pathname.endsWith('/poster/movie/tt0111161.png'));
+
+  const readBack = posterBadgeService.getBadgeContent(query, SOURCES);
+  assert.equal(posterBadgeService.verifyPoster(query.url, readBack, query.sig), true);
+});
+
+test('changed poster URLs, badges or signatures are rejected', () => {
+  const badge = { imdb: '7.5' };
+  const sig = posterBadgeService.signPoster(POSTER_URL, badge);
+
+  assert.equal(posterBadgeService.verifyPoster('http://169.254.169.254/latest', badge, sig), false);
+  assert.equal(posterBadgeService.verifyPoster(POSTER_URL, { imdb: '9.9' }, sig), false);
+  assert.equal(posterBadgeService.verifyPoster(POSTER_URL, badge, sig.slice(1)), false);
+  assert.equal(posterBadgeService.verifyPoster(POSTER_URL, badge, undefined), false);
+});
+
+test('posters are not fetched from private addresses', async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.setHeader('Content-Type', 'image/png');
+    res.end('png');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  for (const url of [`http://127.0.0.1:${port}/p.png`, `http://localhost:${port}/p.png`, `http://[::ffff:127.0.0.1]:${port}/p.png`, 'http://10.0.0.1/p.png']) {
+    assert.equal(await posterBadgeService._fetchPosterImage(url), null, url);
+  }
+  assert.equal(requests, 0);
+});
+
+test('only raster image types are embedded, and attributes are escaped', async (t) => {
+  const get = axios.get;
+  t.after(() => { axios.get = get; });
+
+  const respond = contentType => {
+    axios.get = async () => ({ headers: { 'content-type': contentType }, data: Buffer.from('img') });
+  };
+
+  respond('image/svg+xml');
+  assert.equal(await posterBadgeService._fetchPosterImage(POSTER_URL), null);
+  respond('image/png" onload="alert(1)');
+  assert.equal(await posterBadgeService._fetchPosterImage(POSTER_URL), null);
+  respond('IMAGE/PNG; charset=binary');
+  assert.equal(await posterBadgeService._fetchPosterImage(POSTER_URL), 'data:image/png;base64,aW1n');
+
+  const svg = posterBadgeService._renderSvg('data:image/png;base64,x" onload="alert(1)', { imdb: '7.5' }, { corner: 'top-left', size: 'medium' });
+  assert.equal(svg.includes('" onload="'), false);
+  assert.ok(svg.includes('&quot; onload=&quot;'));
+});
+
+test('unavailable posters are rendered as uncached fallbacks', async (t) => {
+  const get = axios.get;
+  t.after(() => { axios.get = get; });
+  axios.get = async () => { throw new Error('timeout'); };
+
+  const result = await posterBadgeService.getPoster(POSTER_URL, { imdb: '7.5' }, { corner: 'top-left', size: 'medium' }, 'svg');
+  assert.equal(result.fallback, true);
+  assert.equal(result.contentType, 'image/svg+xml');
+  assert.ok(result.body.startsWith('<svg'));
+});
+
+test('posters are rasterized to PNG', async (t) => {
+  const get = axios.get;
+  t.after(() => { axios.get = get; });
+  // 1x1 transparent PNG
+  const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+  axios.get = async () => ({ headers: { 'content-type': 'image/png' }, data: pixel });
+
+  const result = await posterBadgeService.getPoster(POSTER_URL, { imdb: '7.5', rt: '91' }, { corner: 'top-right', size: 'large' });
+  assert.equal(result.fallback, false);
+  assert.equal(result.contentType, 'image/png');
+  assert.equal(result.body.subarray(1, 4).toString(), 'PNG');
+  // IHDR width and height match the poster canvas
+  assert.equal(result.body.readUInt32BE(16), 300);
+  assert.equal(result.body.readUInt32BE(20), 450);
+});
+
+test('badges cannot be enabled without a signing secret', (t) => {
+  const { signingSecret } = appConfig.posterBadge;
+  const { keys } = appConfig.configEncryption;
+  t.after(() => {
+    appConfig.posterBadge.signingSecret = signingSecret;
+    appConfig.configEncryption.keys = keys;
+  });
+  appConfig.posterBadge.signingSecret = null;
+  appConfig.configEncryption.keys = [];
+
+  assert.throws(
+    () => validateConfig(CONFIG),
+    error => error instanceof ConfigValidationError && error.path === 'posterBadge.enabled'
+  );
+  assert.doesNotThrow(() => validateConfig({ ...CONFIG, posterBadge: { ...CONFIG.posterBadge, enabled: false } }));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const sessionService = require('../../src/services/sessionService');
+const { sessionMiddleware, getSessionId } = require('../../src/middleware/session');
+
+const SESSION_ID = 'a'.repeat(43);
+
+function createRequest(cookie, body = {}) {
+  return { headers: { cookie }, body, method: 'POST', baseUrl: '/api', path: '/test' };
+}
+
+function createResponse() {
+  return { cleared: false, clearCookie() { this.cleared = true; } };
+}
+
+function runMiddleware(req, res) {
+  return new Promise(resolve => sessionMiddleware(req, res, error => resolve(error)));
+}
+
+test.beforeEach(() => {
+  sessionService.isAvailable = () => true;
+  sessionService.resolve = async (sessionId) => sessionId === SESSION_ID
+    ? { auditId: 'audit', userId: 'user', expiresAt: '2030-01-01T00:00:00.000Z', authKey: 'session-key' }
+    : null;
+});
+
+test('malformed cookie is treated as no session', async () => {
+  const req = createRequest('rw_session=%E0%A4%A');
+  assert.equal(getSessionId(req), null);
+
+  const error = await runMiddleware(req, createResponse());
+  assert.equal(error, undefined);
+  assert.equal(req.session, undefined);
+});
+
+test('valid session fills in the auth token', async () => {
+  const req = createRequest(`other=1; rw_session=${SESSION_ID}`);
+  await runMiddleware(req, createResponse());
+
+  assert.equal(req.body.authToken, 'session-key');
+  assert.equal(req.authTokenFromSession, true);
+  assert.equal(req.session.userId, 'user');
+});
+
+test('auth token in the body wins over the session', async () => {
+  const req = createRequest(`rw_session=${SESSION_ID}`, { authToken: 'body-key' });
+  await runMiddleware(req, createResponse());
+
+  assert.equal(req.body.authToken, 'body-key');
+  assert.equal(req.authTokenFromSession, undefined);
+});
+
+test('unknown session clears the cookie', async () => {
+  const req = createRequest(`rw_session=${'b'.repeat(43)}`);
+  const res = createResponse();
+  await runMiddleware(req, res);
+
+  assert.equal(res.cleared, true);
+  assert.equal(req.session, undefined);
+});
+
+test('lookup errors fail open', async () => {
+  sessionService.resolve = async () => { throw new Error('Redis down'); };
+  const req = createRequest(`rw_session=${SESSION_ID}`);
+
+  const error = await runMiddleware(req, createResponse());
+  assert.equal(error, undefined);
+  assert.equal(req.session, undefined);
+});
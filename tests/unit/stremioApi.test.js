@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const stremioApi = require('../../src/services/stremioApi');
+const collectionSnapshotService = require('../../src/services/collectionSnapshotService');
+
+const addon = (name) => ({ transportUrl: `https://${name}.example.com/manifest.json`, manifest: { id: name, name } });
+const COLLECTION = [addon('cinemeta'), addon('torrentio')];
+
+let requests;
+let snapshots;
+
+// Answers Stremio API requests in-process and records the endpoints called
+function fakeRequest(url, options, callback) {
+  const req = new EventEmitter();
+  let body = '';
+  req.write = chunk => { body += chunk; };
+  req.end = () => {
+    const endpoint = new URL(url).pathname;
+    requests.push({ endpoint, body: body ? JSON.parse(body) : null });
+
+    const result = endpoint === '/api/addonCollectionGet' ? { addons: COLLECTION } : { success: true };
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    callback(res);
+    res.emit('data', JSON.stringify({ result }));
+    res.emit('end');
+  };
+  return req;
+}
+
+test.beforeEach((t) => {
+  requests = [];
+  snapshots = [];
+  t.mock.method(https, 'request', fakeRequest);
+  collectionSnapshotService.isAvailable = () => true;
+  collectionSnapshotService.record = async (authToken, addons, action) => { snapshots.push({ addons, action }); };
+});
+
+test('writes snapshot the collection the caller already holds', async () => {
+  const updated = [COLLECTION[1], COLLECTION[0]];
+  await stremioApi.setAddonCollection('token', updated, 'reorder-collection', COLLECTION);
+
+  assert.deepEqual(requests.map(r => r.endpoint), ['/api/addonCollectionSet']);
+  assert.deepEqual(snapshots, [{ addons: COLLECTION, action: 'reorder-collection' }]);
+});
+
+test('writes fetch the collection for the snapshot when the caller has none', async () => {
+  await stremioApi.setAddonCollection('token', [], 'snapshot-restore');
+
+  assert.deepEqual(requests.map(r => r.endpoint), ['/api/addonCollectionGet', '/api/addonCollectionSet']);
+  assert.equal(snapshots[0].addons.length, 2);
+});
+
+test('manifests are fetched with one helper that rejects failed responses', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/manifest.json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ id: 'local', name: 'Local' }));
+    } else {
+      res.statusCode = 404;
+      res.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  assert.deepEqual(await stremioApi.fetchAddonManifest(`${base}/manifest.json`), { id: 'local', name: 'Local' });
+  await assert.rejects(() => stremioApi.fetchAddonManifest(`${base}/missing.json`), /status 404/);
+
+  const result = await stremioApi.replaceAddon('token', {
+    removePattern: 'torrentio',
+    newAddonUrl: `${base}/missing.json`
+  });
+  assert.equal(result.success, false);
+  assert.deepEqual(requests.map(r => r.endpoint), ['/api/addonCollectionGet']);
+});
+
+// Stores disabled (parked) addons in memory instead of the snapshot store
+function parkInMemory(parked) {
+  collectionSnapshotService.getDisabledAddons = async () => parked.addons;
+  collectionSnapshotService.setDisabledAddons = async (authToken, addons) => { parked.addons = addons; };
+}
+
+// Addons sent to Stremio by the last collection write
+const savedCollection = () => requests.filter(r => r.endpoint === '/api/addonCollectionSet').pop()?.body.addons;
+
+test('the order editor lists installed addons first, then disabled ones not installed again', async () => {
+  parkInMemory({ addons: [addon('old'), COLLECTION[1]] });
+
+  const entries = await stremioApi.getEditableCollection('token');
+  assert.deepEqual(entries.map(entry => [entry.id, entry.enabled]), [['cinemeta', true], ['torrentio', true], ['old', false]]);
+});
+
+test('saving the order writes enabled addons in order and parks disabled ones', async () => {
+  const parked = { addons: [addon('old')] };
+  parkInMemory(parked);
+
+  const result = await stremioApi.saveCollectionOrder('token', [
+    { transportUrl: addon('old').transportUrl, enabled: true },
+    { transportUrl: COLLECTION[0].transportUrl, enabled: true },
+    { transportUrl: COLLECTION[1].transportUrl, enabled: false }
+  ]);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(savedCollection().map(entry => entry.manifest.id), ['old', 'cinemeta']);
+  assert.deepEqual(parked.addons.map(entry => entry.manifest.id), ['torrentio']);
+  assert.deepEqual(snapshots.map(snapshot => snapshot.action), ['reorder-collection']);
+});
+
+test('addons left out of the saved order are removed, and dry runs change nothing', async () => {
+  const parked = { addons: [addon('old')] };
+  parkInMemory(parked);
+
+  const preview = await stremioApi.saveCollectionOrder('token', [
+    { transportUrl: COLLECTION[1].transportUrl, enabled: true }
+  ], { dryRun: true });
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(preview.finalOrder.map(entry => entry.name), ['torrentio']);
+  assert.equal(savedCollection(), undefined);
+
+  await stremioApi.saveCollectionOrder('token', [{ transportUrl: COLLECTION[1].transportUrl, enabled: true }]);
+  assert.deepEqual(savedCollection().map(entry => entry.manifest.id), ['torrentio']);
+  assert.deepEqual(parked.addons, []);
+});
+
+test('invalid orders are rejected before anything is written', async () => {
+  parkInMemory({ addons: [] });
+  const url = COLLECTION[0].transportUrl;
+  const save = async (entries) => (await stremioApi.saveCollectionOrder('token', entries)).error;
+
+  assert.equal(await save({}), 'addons must be an array');
+  assert.match(await save([{ transportUrl: 'https://unknown.example.com/manifest.json', enabled: true }]), /^addons\[0\] is not in the addon collection/);
+  assert.equal(await save([{ transportUrl: url, enabled: true }, { transportUrl: url, enabled: false }]), 'addons[1] is listed more than once');
+  assert.equal(await save([{ transportUrl: url, enabled: 'yes' }]), 'addons[0].enabled must be a boolean');
+
+  collectionSnapshotService.isAvailable = () => false;
+  assert.match(await save([{ transportUrl: url, enabled: false }]), /^Disabling addons is not available/);
+  assert.equal(savedCollection(), undefined);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderTemplate, validateTemplate, getTemplateFields } = require('../../src/utils/templateEngine');
+
+test('renders placeholders with default formatters', () => {
+  assert.equal(renderTemplate('⭐ {rating}', { rating: 7.46 }), '⭐ 7.5');
+  assert.equal(renderTemplate('{votes}', { votes: 1234567 }), '1.2M');
+  assert.equal(renderTemplate('{imdb|scale:10|int}', { imdb: 7.46 }), '75');
+});
+
+test('renders sections only when the field has a value', () => {
+  const template = '{rating}{#rt} 🍅 {rt}{/rt}{^mc} no MC{/mc}';
+  assert.equal(renderTemplate(template, { rating: 8, rt: 91, mc: 70 }), '8.0 🍅 91%');
+  assert.equal(renderTemplate(template, { rating: 8 }), '8.0 no MC');
+});
+
+test('zero is a value, not a missing field', () => {
+  assert.equal(renderTemplate('{#rt}RT {rt}{/rt}', { rt: 0 }), 'RT 0%');
+  assert.equal(renderTemplate('{mc|default:n/a}', { mc: 0 }), '0');
+  assert.equal(renderTemplate('{mc|default:n/a}', { mc: null }), 'n/a');
+});
+
+test('reads decimal commas and thousands separators', () => {
+  assert.equal(renderTemplate('{imdb}', { imdb: '8,4' }), '8.4');
+  assert.equal(renderTemplate('{votes|full}', { votes: '1,234,567' }), '1,234,567');
+  assert.equal(renderTemplate('{rt}', { rt: '83%' }), '83%');
+});
+
+test('keeps unknown placeholders and stray braces as literal text', () => {
+  assert.equal(validateTemplate('★ {rating} {score} } {'), null);
+  assert.equal(renderTemplate('★ {rating} {score} } {', { rating: 7 }), '★ 7.0 {score} } {');
+  assert.equal(renderTemplate('{#foo}x{/foo}', {}), '{#foo}x{/foo}');
+  assert.equal(renderTemplate('{{rating}}', { rating: 7 }), '{rating}');
+});
+
+test('rejects invalid formatters and unbalanced sections of known fields', () => {
+  assert.match(validateTemplate('{rating|nope}'), /unknown formatter "nope"/);
+  assert.match(validateTemplate('{rating|fixed:x}'), /expects a whole number/);
+  assert.match(validateTemplate('{#rt}x'), /never closed/);
+  assert.match(validateTemplate('{#rt}x{/mc}'), /does not close/);
+});
+
+test('lists the fields a template references', () => {
+  assert.deepEqual([...getTemplateFields('{rating} {#rt}{rt}{/rt} {unknown}')].sort(), ['rating', 'rt']);
+});
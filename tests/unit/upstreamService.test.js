@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const addonProxy = require('../../src/services/addonProxy');
+const upstreamService = require('../../src/services/upstreamService');
+
+const MANIFESTS = {
+  'https://movies.example.com': {
+    id: 'movies', name: 'Movies', types: ['movie'], resources: ['catalog', 'meta']
+  },
+  'https://anime.example.com': {
+    id: 'anime', name: 'Anime', types: ['movie', 'series'],
+    resources: ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['kitsu:'] }]
+  },
+  'https://catalogs.example.com': {
+    id: 'catalogs', name: 'Catalogs', types: ['movie', 'series'], resources: ['catalog']
+  }
+};
+
+const CONFIG = {
+  wrappedAddonUrl: 'https://movies.example.com',
+  upstreams: Object.keys(MANIFESTS).map((url, index) => ({ key: `u${index + 1}`, url })),
+  metaPriority: ['u2', 'u1', 'u3']
+};
+
+test.beforeEach(() => {
+  upstreamService.manifestCache.clear();
+  addonProxy.fetchManifest = async (url) => {
+    if (!MANIFESTS[url]) throw new Error('Not found');
+    return MANIFESTS[url];
+  };
+});
+
+test('resource declarations narrow by type and id prefix', () => {
+  const anime = MANIFESTS['https://anime.example.com'];
+  assert.equal(upstreamService.declaresResource(anime, 'meta', 'series', 'kitsu:1'), true);
+  assert.equal(upstreamService.declaresResource(anime, 'meta', 'series', 'tt0944947'), false);
+  assert.equal(upstreamService.declaresResource(anime, 'meta', 'movie', 'kitsu:1'), false);
+  assert.equal(upstreamService.declaresResource(anime, 'stream', 'series', 'kitsu:1'), false);
+});
+
+test('meta lookups only ask upstreams that declare the meta, in priority order', async () => {
+  assert.deepEqual(await upstreamService.getMetaAddonUrls(CONFIG, 'series', 'kitsu:1'), ['https://anime.example.com']);
+  assert.deepEqual(await upstreamService.getMetaAddonUrls(CONFIG, 'movie', 'tt0111161'), ['https://movies.example.com']);
+  assert.deepEqual(await upstreamService.getMetaAddonUrls(CONFIG, 'series', 'tt0944947'), []);
+});
+
+test('upstreams that are down are skipped', async () => {
+  const config = { ...CONFIG, upstreams: [...CONFIG.upstreams, { key: 'u4', url: 'https://down.example.com' }], metaPriority: ['u4', 'u1'] };
+  assert.deepEqual(await upstreamService.getMetaAddonUrls(config, 'movie', 'tt0111161'), ['https://movies.example.com']);
+});
+
+test('single-addon configs keep using the wrapped addon', async () => {
+  const config = { wrappedAddonUrl: 'https://catalogs.example.com' };
+  assert.deepEqual(await upstreamService.getMetaAddonUrls(config, 'movie', 'tt0111161'), ['https://catalogs.example.com']);
+  assert.deepEqual(upstreamService.getAddonUrls(config), ['https://catalogs.example.com']);
+});
+
+test('passthrough resources fan out to the upstreams that declare them', async (t) => {
+  const manifests = {
+    'https://one.example.com': { id: 'one', name: 'One', types: ['movie'], resources: ['catalog', 'stream'] },
+    'https://two.example.com': { id: 'two', name: 'Two', types: ['movie'], resources: ['catalog', { name: 'stream', types: ['movie'], idPrefixes: ['tt'] }] },
+    'https://three.example.com': { id: 'three', name: 'Three', types: ['movie'], resources: ['catalog'] }
+  };
+  const config = {
+    wrappedAddonUrl: 'https://one.example.com',
+    upstreams: Object.keys(manifests).map((url, index) => ({ key: `u${index + 1}`, url })),
+    metaPriority: ['u1', 'u2', 'u3']
+  };
+  const requested = [];
+  const fetchResource = addonProxy.fetchResource;
+  addonProxy.fetchManifest = async (url) => manifests[url];
+  addonProxy.fetchResource = async (url) => {
+    requested.push(url);
+    return { streams: [{ url: `${url}/video.mp4` }] };
+  };
+  t.after(() => { addonProxy.fetchResource = fetchResource; });
+
+  const result = await upstreamService.fetchResource(config, 'stream', 'movie', 'tt0111161');
+  assert.deepEqual(requested, ['https://one.example.com', 'https://two.example.com']);
+  assert.deepEqual(result.streams.map(stream => stream.url), ['https://one.example.com/video.mp4', 'https://two.example.com/video.mp4']);
+
+  requested.length = 0;
+  assert.deepEqual(await upstreamService.fetchResource(config, 'stream', 'movie', 'kitsu:1'), { streams: [{ url: 'https://one.example.com/video.mp4' }] });
+  assert.deepEqual(requested, ['https://one.example.com']);
+});
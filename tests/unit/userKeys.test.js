@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const appConfig = require('../../src/config');
+const cacheKeys = require('../../src/utils/cacheKeys');
+const { getUserKeyHeaders } = require('../../src/utils/userKeys');
+
+appConfig.redis.enabled = false;
+
+test('user keys are not forwarded without the shared secret', () => {
+  appConfig.userKeysSecret = null;
+
+  assert.equal(getUserKeyHeaders('X-TMDB-API-KEY', 'user-key'), undefined);
+  assert.equal(cacheKeys.generateTmdbDataKey('tt0111161', 'US', 'user-key'), cacheKeys.generateTmdbDataKey('tt0111161'));
+});
+
+test('user keys are forwarded with the shared secret', () => {
+  appConfig.userKeysSecret = 'shared-secret';
+
+  assert.deepEqual(getUserKeyHeaders('X-OMDB-API-KEY', 'user-key'), {
+    'X-OMDB-API-KEY': 'user-key',
+    'X-User-Keys-Secret': 'shared-secret'
+  });
+  assert.equal(getUserKeyHeaders('X-OMDB-API-KEY', null), undefined);
+
+  appConfig.userKeysSecret = null;
+});
+
+test('data fetched with a user key is cached apart from shared data', () => {
+  appConfig.userKeysSecret = 'shared-secret';
+
+  const shared = cacheKeys.generateOmdbDataKey('tt0111161');
+  const userA = cacheKeys.generateOmdbDataKey('tt0111161', 'key-a');
+  const userB = cacheKeys.generateOmdbDataKey('tt0111161', 'key-b');
+
+  assert.notEqual(userA, shared);
+  assert.notEqual(userA, userB);
+  assert.ok(userA.startsWith(shared));
+  assert.ok(!userA.includes('key-a'));
+  assert.notEqual(cacheKeys.generateMalDataKey(1, 'client'), cacheKeys.generateMalDataKey(1));
+
+  appConfig.userKeysSecret = null;
+});